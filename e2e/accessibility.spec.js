@@ -0,0 +1,90 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Accessible forecast grid', () => {
+  test.beforeEach(async ({ page }) => {
+    // Upcoming hours, so cells are coloured by score rather than greyed out
+    await serveMockWeather(page, 'upcoming');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.getByRole('gridcell').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  const focusedCell = (page) => page.locator('[role="gridcell"]:focus');
+
+  test('should have no detectable accessibility violations', async ({ page }) => {
+    const results = await new AxeBuilder({ page })
+      .include('[role="grid"]')
+      .include('[aria-label="Ride score legend"]')
+      .withTags(['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'])
+      .analyze();
+
+    expect(results.violations).toEqual([]);
+  });
+
+  test('should lay the forecast out as a grid with headers', async ({ page }) => {
+    const grid = page.getByRole('grid', { name: 'Hourly riding forecast' });
+    await expect(grid.getByRole('columnheader').first()).toHaveText('Day');
+    await expect(grid.getByRole('rowheader')).toHaveCount(3);
+    // The mock forecast has 13 hours a day
+    await expect(grid.getByRole('row').nth(1).getByRole('gridcell')).toHaveCount(13);
+  });
+
+  test('should describe each hour for screen readers', async ({ page }) => {
+    const [tooCold, fine] = [page.getByRole('gridcell').nth(0), page.getByRole('gridcell').nth(1)];
+
+    await expect(tooCold).toHaveAttribute('aria-label', /Not suitable for riding\..*Failed: Min Temperature/);
+    await expect(fine).toHaveAttribute('aria-label', /Suitable for riding\..*Ride score \d+\/100/);
+  });
+
+  test('should mark suitability with more than colour', async ({ page }) => {
+    const icons = page.getByTestId('suitability-icon');
+    await expect(icons.nth(0)).toHaveText('✕');
+    await expect(icons.nth(1)).toHaveText('✓');
+    await expect(page.getByRole('gridcell').nth(0)).toHaveAttribute('data-suitable', 'false');
+  });
+
+  test('should move between hours with the arrow keys', async ({ page }) => {
+    // One tab stop for the whole grid
+    await expect(page.locator('[role="gridcell"][tabindex="0"]')).toHaveCount(1);
+    await page.getByRole('gridcell').first().focus();
+
+    await page.keyboard.press('ArrowRight');
+    await expect(focusedCell(page)).toHaveAttribute('data-column', '1');
+    await page.keyboard.press('ArrowDown');
+    await expect(focusedCell(page)).toHaveAttribute('data-row', '1');
+    await page.keyboard.press('End');
+    await expect(focusedCell(page)).toHaveAttribute('data-column', '12');
+    await page.keyboard.press('ArrowRight');
+    await expect(focusedCell(page)).toHaveAttribute('data-column', '12');
+    await page.keyboard.press('Control+Home');
+    await expect(focusedCell(page)).toHaveAttribute('data-row', '0');
+    await expect(focusedCell(page)).toHaveAttribute('data-column', '0');
+
+    // Tabbing away and back returns to the last hour visited
+    await page.keyboard.press('Control+End');
+    await page.keyboard.press('Shift+Tab');
+    await page.keyboard.press('Tab');
+    await expect(focusedCell(page)).toHaveAttribute('data-row', '2');
+  });
+});
@@ -1,16 +1,10 @@
 import { test, expect } from '@playwright/test';
-import { mockWeatherData } from './fixtures/mock-weather-data.js';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
 
 test.describe('RideReady App', () => {
   test.beforeEach(async ({ page }) => {
-    // Mock the weather API
-    await page.route('**/api.open-meteo.com/v1/forecast*', route => {
-      route.fulfill({
-        status: 200,
-        contentType: 'application/json',
-        body: JSON.stringify(mockWeatherData)
-      });
-    });
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
     
     // Mock geolocation
     await page.addInitScript(() => {
@@ -40,12 +34,11 @@ test.describe('RideReady App', () => {
 
   test('should have location input fields', async ({ page }) => {
     const cityInput = page.locator('input[placeholder*="Enter city name"]');
-    const latInput = page.locator('input[placeholder="Latitude"]');
-    const lonInput = page.locator('input[placeholder="Longitude"]');
+    const coordinatesInput = page.getByLabel('Coordinates');
 
     await expect(cityInput).toBeVisible();
-    await expect(latInput).toBeVisible();
-    await expect(lonInput).toBeVisible();
+    await expect(page.getByRole('application', { name: 'Map' })).toBeVisible();
+    await expect(coordinatesInput).toBeVisible();
   });
 
   test('should have riding criteria controls', async ({ page }) => {
@@ -84,7 +77,7 @@ test.describe('RideReady App', () => {
     await page.waitForTimeout(1000);
     
     // Check if weather grid appears
-    const gridContainer = page.locator('text=Green blocks indicate suitable riding conditions');
+    const gridContainer = page.locator('text=Hours marked ✓ meet your riding criteria');
     await expect(gridContainer).toBeVisible({ timeout: 5000 });
     
     // Look for day column header
@@ -95,11 +88,11 @@ test.describe('RideReady App', () => {
     // Wait for mocked weather data to load
     await page.waitForTimeout(1000);
     
-    const dayColumn = page.locator('div:has-text("Day")').first();
+    const dayColumn = page.getByRole('rowheader').first();
     await expect(dayColumn).toBeVisible();
     
     // Check that the scrollable section exists
-    const scrollableSection = page.locator('.overflow-x-auto');
+    const scrollableSection = page.getByRole('grid');
     await expect(scrollableSection).toBeVisible();
     
     // Get the day column position
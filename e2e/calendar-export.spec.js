@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+import { readFile } from 'node:fs/promises';
+import { MOCK_SCENARIOS, serveMockWeather } from './fixtures/mock-weather-api.js';
+
+// Forecast `time` as the UTC DATE-TIME an .ics file uses
+const toIcsUtc = (time, utcOffsetSeconds) =>
+  new Date(Date.parse(`${time}Z`) - utcOffsetSeconds * 1000).toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+
+const readDownload = async (page, action) => {
+  const downloadPromise = page.waitForEvent('download');
+  await action();
+  const download = await downloadPromise;
+  return { filename: download.suggestedFilename(), text: await readFile(await download.path(), 'utf8') };
+};
+
+const getUids = (text) => text.split('\r\n').filter(line => line.startsWith('UID:'));
+
+test.describe('Calendar Export', () => {
+  let forecast;
+
+  test.beforeEach(async ({ page }) => {
+    // Hours that are still ahead of us, as the mock weather API serves them
+    forecast = MOCK_SCENARIOS.upcoming().body;
+    await serveMockWeather(page, 'upcoming');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.getByText('Best Ride Windows')).toBeVisible({ timeout: 5000 });
+    await page.getByLabel('Minimum ride window length').selectOption('2');
+  });
+
+  test('should download a ride window as an event', async ({ page }) => {
+    const { filename, text } = await readDownload(page, () =>
+      page.getByRole('list', { name: 'Ride windows' }).getByRole('button', { name: /to calendar$/ }).first().click()
+    );
+
+    expect(filename).toMatch(/\.ics$/);
+    expect(text).toMatch(/^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+    expect(text).toMatch(/END:VCALENDAR\r\n$/);
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+
+    // Day one 07:00-09:00 at the location, written in UTC
+    const { time } = forecast.hourly;
+    expect(text).toContain(`DTSTART:${toIcsUtc(time[1], forecast.utc_offset_seconds)}\r\n`);
+    expect(text).toContain(`DTEND:${toIcsUtc(time[3], forecast.utc_offset_seconds)}\r\n`);
+    expect(text).toContain('GEO:-37.8136;144.9631');
+
+    // The description summarises the forecast, with its line breaks escaped
+    const unfolded = text.replace(/\r\n /g, '');
+    expect(unfolded).toContain('DESCRIPTION:Temperature: 12°C–16°C\\nMax wind: 18.7 km/h\\nPrecipitation: 0 mm');
+  });
+
+  test('should download the hours a shared link highlights', async ({ page }) => {
+    // Day one 10:00-12:00, which isn't one of the listed windows
+    const { time } = forecast.hourly;
+    await page.goto(`/?lat=-37.8136&lon=144.9631&from=${time[4]}&to=${time[6]}`);
+    await expect(page.getByText('Best Ride Windows')).toBeVisible({ timeout: 5000 });
+
+    const { text } = await readDownload(page, () => page.getByRole('button', { name: 'Add highlighted hours to calendar' }).click());
+
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(text).toContain(`DTSTART:${toIcsUtc(time[4], forecast.utc_offset_seconds)}\r\n`);
+    expect(text).toContain(`DTEND:${toIcsUtc(time[6], forecast.utc_offset_seconds)}\r\n`);
+  });
+
+  test('should export every window with stable UIDs', async ({ page }) => {
+    const addAll = () => page.getByRole('button', { name: 'Add all to calendar' }).click();
+
+    const first = await readDownload(page, addAll);
+    expect(first.text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(new Set(getUids(first.text)).size).toBe(2);
+
+    // Exporting again keeps the same UIDs, so calendars update the events
+    const second = await readDownload(page, addAll);
+    expect(getUids(second.text)).toEqual(getUids(first.text));
+  });
+
+  test('should keep content lines within 75 octets', async ({ page }) => {
+    const { text } = await readDownload(page, () => page.getByRole('button', { name: 'Add all to calendar' }).click());
+
+    for (const line of text.split('\r\n')) {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    }
+  });
+});
@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+import { mockGeocodingResults, mockGeocodingNoResults } from './fixtures/mock-geocoding-data.js';
+
+test.describe('City Search', () => {
+  test.beforeEach(async ({ page }) => {
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock the geocoding API
+    await page.route('**/geocoding-api.open-meteo.com/v1/search*', route => {
+      const url = new URL(route.request().url());
+      const body = url.searchParams.get('name').startsWith('Fitz')
+        ? mockGeocodingResults
+        : mockGeocodingNoResults;
+      route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify(body)
+      });
+    });
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+  });
+
+  test('should show suggestions while typing', async ({ page }) => {
+    await page.fill('#city', 'Fitz');
+
+    const options = page.getByRole('option');
+    await expect(options).toHaveCount(2);
+    await expect(options.first()).toHaveText('Fitzroy, Victoria, Australia');
+  });
+
+  test('should set coordinates and fetch weather when a suggestion is picked', async ({ page }) => {
+    await page.fill('#city', 'Fitz');
+
+    const forecastRequest = page.waitForRequest(request =>
+      request.url().includes('/mock-api/v1/forecast') &&
+      request.url().includes('latitude=-37.79839')
+    );
+    await page.getByRole('option', { name: 'Fitzroy, Victoria, Australia' }).click();
+    await forecastRequest;
+
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.79839, 144.97833');
+    await expect(page.locator('#city')).toHaveValue('Fitzroy');
+  });
+
+  test('should select a suggestion with the keyboard', async ({ page }) => {
+    await page.fill('#city', 'Fitz');
+    await expect(page.getByRole('option')).toHaveCount(2);
+
+    await page.press('#city', 'ArrowDown');
+    await page.press('#city', 'Enter');
+
+    await expect(page.getByLabel('Coordinates')).toHaveValue(/^-18\.19769, /);
+    await expect(page.locator('#city')).toHaveValue('Fitzroy Crossing');
+  });
+
+  test('should tell the user when nothing matches', async ({ page }) => {
+    await page.fill('#city', 'Nowhereville');
+
+    await expect(page.getByText('No matching places found')).toBeVisible();
+  });
+});
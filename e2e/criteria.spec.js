@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+
+test.describe('Additional Weather Criteria', () => {
+  let forecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    forecastRequests = recordForecastRequests(page);
+
+    // Serve gusts, visibility, UV and friends from the mock weather API
+    await serveMockWeather(page, 'gusty');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('div[title*="°C"]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should request the extra hourly variables', async () => {
+    const hourly = forecastRequests.at(-1).searchParams.get('hourly').split(',');
+    expect(hourly).toEqual(expect.arrayContaining([
+      'wind_gusts_10m',
+      'visibility',
+      'precipitation_probability',
+      'apparent_temperature',
+      'relative_humidity_2m',
+      'uv_index'
+    ]));
+  });
+
+  test('should only show optional sliders once enabled', async ({ page }) => {
+    await expect(page.locator('input[type="range"]')).toHaveCount(4);
+
+    await page.getByLabel('Max Wind Gusts').check();
+
+    await expect(page.locator('input[type="range"]')).toHaveCount(5);
+    await expect(page.getByText('Max Wind Gusts: 40 km/h')).toBeVisible();
+  });
+
+  test('should list every failed threshold in the cell tooltip', async ({ page }) => {
+    // Relax the core criteria so only the optional ones can fail
+    await page.fill('input[min="0"][max="50"]', '50');
+    await page.fill('input[min="-10"][max="40"]', '-5');
+    await page.getByLabel('Min Visibility').check();
+    await page.getByLabel('Max Wind Gusts').check();
+
+    // The first hour of each day has fog (400 m) and gusts of 22.5 km/h
+    const firstCell = page.locator('div[title*="°C"]').first();
+    await page.getByRole('slider', { name: 'Max Wind Gusts' }).fill('20');
+
+    const title = await firstCell.getAttribute('title');
+    expect(title).toContain('Gusts 22.5 km/h');
+    expect(title).toContain('Min Visibility: 400 m (limit 2000 m)');
+    expect(title).toContain('Max Wind Gusts: 22.5 km/h (limit 20 km/h)');
+  });
+});
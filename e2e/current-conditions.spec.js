@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+
+// 08:37 at the fixture's location (UTC+11)
+const NOW = new Date('2025-07-21T08:37:00+11:00');
+
+const setUp = async (page, scenario) => {
+  await page.clock.setFixedTime(NOW);
+
+  const forecastRequests = recordForecastRequests(page);
+  await serveMockWeather(page, scenario);
+
+  // Mock geolocation
+  await page.addInitScript(() => {
+    const mockGeolocation = {
+      getCurrentPosition: (success) => {
+        setTimeout(() => {
+          success({
+            coords: {
+              latitude: -37.8136,
+              longitude: 144.9631
+            }
+          });
+        }, 100);
+      }
+    };
+    Object.defineProperty(navigator, 'geolocation', {
+      value: mockGeolocation
+    });
+  });
+
+  await page.goto('/');
+  await expect(page.getByTestId('ride-now')).toBeVisible({ timeout: 5000 });
+  return () => forecastRequests.at(-1);
+};
+
+test.describe('Current Conditions', () => {
+  test('should request current and 15-minute data', async ({ page }) => {
+    const getForecastUrl = await setUp(page, 'default');
+    expect(getForecastUrl().searchParams.get('current')).toContain('wind_gusts_10m');
+    expect(getForecastUrl().searchParams.get('minutely_15').split(',')).toEqual(
+      ['temperature_2m', 'precipitation', 'wind_speed_10m', 'wind_gusts_10m']
+    );
+  });
+
+  test('should show the current block and warn of rain on the way', async ({ page }) => {
+    // Rain from 09:15
+    await setUp(page, 'rainOnTheWay');
+
+    await expect(page.getByTestId('current-temperature')).toContainText('15.1°C');
+    await expect(page.getByTestId('current-apparentTemperature')).toContainText('13°C');
+    await expect(page.getByTestId('current-windGusts')).toContainText('25 km/h');
+    await expect(page.getByText('As of 08:30 AM')).toBeVisible();
+
+    const verdict = page.getByTestId('ride-now');
+    await expect(verdict).toHaveAttribute('data-status', 'changing');
+    await expect(verdict).toContainText('Good to ride now, but not for long.');
+    // 0.3 mm in 15 minutes is 1.2 mm an hour
+    await expect(verdict).toContainText('From 09:15 AM: Max Precipitation: 1.2 mm (limit 0 mm)');
+
+    // 08:30 to 10:30, the step under way included
+    const strip = page.getByRole('list', { name: 'Next 2 hours' }).getByRole('listitem');
+    await expect(strip).toHaveCount(9);
+    await expect(strip.nth(2)).toHaveAttribute('data-suitable', 'true');
+    await expect(strip.nth(3)).toHaveAttribute('data-suitable', 'false');
+    await expect(strip.nth(3)).toContainText('gusts 22km/h');
+    await expect(page.getByTestId('rain-onset')).toHaveText('Rain expected from 09:15 AM.');
+  });
+
+  test('should say when a bad spell clears', async ({ page }) => {
+    // Too windy until 09:30
+    await setUp(page, 'clearingUp');
+
+    const verdict = page.getByTestId('ride-now');
+    await expect(verdict).toHaveAttribute('data-status', 'bad');
+    await expect(verdict).toContainText('Not good to ride right now.');
+    await expect(verdict).toContainText('Max Wind Speed: 35 km/h (limit 20 km/h)');
+    await expect(verdict).toContainText('Clears up from 09:30 AM.');
+    await expect(page.getByTestId('rain-onset')).toHaveText('No rain expected in the next 2 hours.');
+  });
+
+  test('should fall back to the hourly forecast for the current hour', async ({ page }) => {
+    await setUp(page, 'default');
+
+    // The 08:00 hour, not midnight's values
+    await expect(page.getByTestId('current-temperature')).toContainText('15.8°C');
+    await expect(page.getByTestId('current-windSpeed')).toContainText('18.7 km/h');
+    await expect(page.getByText('Hourly forecast from 08:00 AM')).toBeVisible();
+    await expect(page.getByTestId('ride-now')).toContainText('From 09:00 AM: Max Wind Speed: 22.1 km/h (limit 20 km/h)');
+  });
+});
@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+
+test.describe('Daylight', () => {
+  let forecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    forecastRequests = recordForecastRequests(page);
+
+    // Serve a winter day from the mock weather API: sunrise 07:30, sunset 17:30
+    await serveMockWeather(page, 'daylight');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('div[title*="°C"]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should request sunrise and sunset', async () => {
+    expect(forecastRequests.at(-1).searchParams.get('daily')).toBe('sunrise,sunset');
+  });
+
+  test('should mark hours before dawn and after dusk as night', async ({ page }) => {
+    // Day one: 06:00 is before dawn, 17:00 is civil twilight, 18:00 is dark
+    const firstRow = page.locator('[data-daylight]');
+    await expect(firstRow.nth(0)).toHaveAttribute('data-daylight', 'night');
+    await expect(firstRow.nth(1)).toHaveAttribute('data-daylight', 'day');
+    await expect(firstRow.nth(11)).toHaveAttribute('data-daylight', 'twilight');
+    await expect(firstRow.nth(12)).toHaveAttribute('data-daylight', 'night');
+    await expect(firstRow.nth(12)).toHaveAttribute('title', /Night/);
+  });
+
+  test('should fail night hours when riding in daylight only', async ({ page }) => {
+    await page.getByLabel('Daylight only').check();
+
+    const nightCell = page.locator('[data-daylight="night"]').first();
+    await expect(nightCell).toHaveAttribute('title', /Daylight only \(incl\. civil twilight\): Night/);
+  });
+
+  test('should let the rider choose which hours are shown', async ({ page }) => {
+    const hourHeaders = page.locator('.min-w-max > div').first().locator('> div');
+    await expect(hourHeaders).toHaveCount(13);
+
+    await page.getByLabel('First hour shown').selectOption('9');
+    await page.getByLabel('Last hour shown').selectOption('12');
+
+    await expect(hourHeaders).toHaveCount(4);
+  });
+});
@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+import { MOCK_SCENARIOS, serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+
+test.describe('Deep Links', () => {
+  let forecast;
+  let forecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    forecastRequests = recordForecastRequests(page);
+
+    // Hours that are still ahead of us, as the mock weather API serves them
+    forecast = MOCK_SCENARIOS.upcoming().body;
+    await serveMockWeather(page, 'upcoming');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+  });
+
+  test('should open the location, criteria, units and window from a link', async ({ page }) => {
+    // 07:00-09:00 on the first day
+    const [, from, , to] = forecast.hourly.time;
+    await page.goto(`/?lat=-33.8688&lon=151.2093&maxWindSpeed=30&units=celsius,mph,mm,km&from=${from}&to=${to}`);
+
+    // The link wins over geolocation
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-33.8688, 151.2093');
+    await expect.poll(() => forecastRequests.at(-1)?.searchParams.get('latitude')).toBe('-33.8688');
+
+    // Criteria go into their own profile rather than over the rider's
+    await expect(page.getByLabel('Rider profile').locator('option:checked')).toHaveText('Shared link');
+    await expect(page.getByLabel('Wind speed unit')).toHaveValue('mph');
+    await expect(page.locator('[data-in-window]')).toHaveCount(2);
+
+    await page.getByLabel('Rider profile').selectOption({ label: 'Commute' });
+    await page.getByLabel('Wind speed unit').selectOption('kmh');
+    await expect(page.getByText('Max Wind Speed: 20 km/h')).toBeVisible();
+  });
+
+  test('should keep the URL in step with the page', async ({ page }) => {
+    await page.goto('/');
+    await expect(page).toHaveURL(/[?&]lat=-37\.8136&lon=144\.9631/);
+    await expect(page).toHaveURL(/[?&]maxWindSpeed=20(&|$)/);
+
+    // Slider changes update the current history entry
+    const historyLength = await page.evaluate(() => history.length);
+    await page.locator('input[min="0"][max="50"]').fill('27');
+    await expect(page).toHaveURL(/[?&]maxWindSpeed=27(&|$)/);
+    expect(await page.evaluate(() => history.length)).toBe(historyLength);
+
+    // A reload doesn't turn the page's own URL into a shared profile
+    await page.reload();
+    await expect(page.getByLabel('Rider profile').locator('option:checked')).toHaveText('Commute');
+    await expect(page.getByText('Max Wind Speed: 27 km/h')).toBeVisible();
+  });
+
+  test('should restore earlier locations on back and forward', async ({ page }) => {
+    await page.goto('/');
+    await expect(page).toHaveURL(/[?&]lat=-37\.8136/);
+
+    await page.getByLabel('Coordinates').fill('-33.8688, 151.2093');
+    await expect(page).toHaveURL(/[?&]lat=-33\.8688&lon=151\.2093/);
+
+    await page.goBack();
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 144.9631');
+    await expect.poll(() => forecastRequests.at(-1)?.searchParams.get('latitude')).toBe('-37.8136');
+
+    await page.goForward();
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-33.8688, 151.2093');
+  });
+
+  test('should put the selected ride window in the URL', async ({ page }) => {
+    await page.goto('/');
+    await page.getByLabel('Minimum ride window length').selectOption('2');
+    await page.getByRole('list', { name: 'Ride windows' }).getByRole('button').first().click();
+    await expect(page).toHaveURL(/[?&]from=.+&to=.+/);
+
+    await page.reload();
+    await expect(page.locator('[data-in-window]')).toHaveCount(2);
+    await expect(page.getByRole('list', { name: 'Ride windows' }).getByRole('button').first()).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('should share the link with the Web Share API', async ({ page }) => {
+    await page.addInitScript(() => {
+      navigator.share = async (data) => {
+        window.sharedData = data;
+      };
+    });
+    await page.goto('/');
+    await expect(page).toHaveURL(/[?&]lat=-37\.8136/);
+
+    await page.getByRole('button', { name: 'Share' }).click();
+
+    const shared = await page.evaluate(() => window.sharedData);
+    expect(shared.url).toBe(page.url());
+    expect(shared.text).toContain('Riding forecast for');
+  });
+});
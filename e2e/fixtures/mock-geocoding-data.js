@@ -0,0 +1,53 @@
+export const mockGeocodingResults = {
+  results: [
+    {
+      id: 2166436,
+      name: "Fitzroy",
+      latitude: -37.79839,
+      longitude: 144.97833,
+      country: "Australia",
+      admin1: "Victoria"
+    },
+    {
+      id: 2166437,
+      name: "Fitzroy Crossing",
+      latitude: -18.19769,
+      longitude: 125.56681,
+      country: "Australia",
+      admin1: "Western Australia"
+    }
+  ],
+  generationtime_ms: 0.5
+};
+
+export const mockGeocodingNoResults = {
+  generationtime_ms: 0.3
+};
+
+export const mockReverseGeocodingResult = {
+  place_id: 123456,
+  lat: "-37.8142176",
+  lon: "144.9631608",
+  name: "Melbourne",
+  address: {
+    suburb: "Melbourne",
+    city: "City of Melbourne",
+    state: "Victoria",
+    country: "Australia",
+    country_code: "au"
+  }
+};
+
+export const mockReverseGeocodingPerth = {
+  place_id: 654321,
+  lat: "-31.9558933",
+  lon: "115.8605855",
+  name: "Perth",
+  address: {
+    suburb: "Perth",
+    city: "City of Perth",
+    state: "Western Australia",
+    country: "Australia",
+    country_code: "au"
+  }
+};
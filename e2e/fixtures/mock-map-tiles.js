@@ -0,0 +1,19 @@
+// A stand-in for the map's tile server: every OpenStreetMap tile request
+// gets a plain tile labelled with its z/x/y, so map tests neither depend on
+// nor load the real tile server. Resolves to the list of tile URLs requested.
+export const serveMockTiles = async (page) => {
+  const requests = [];
+  await page.route('**/tile.openstreetmap.org/**', route => {
+    const url = new URL(route.request().url());
+    requests.push(url.pathname);
+    route.fulfill({
+      status: 200,
+      contentType: 'image/svg+xml',
+      body: `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+        <rect width="256" height="256" fill="#e5efe0" stroke="#c8d4c2"/>
+        <text x="128" y="128" text-anchor="middle" font-size="14" fill="#6b7a66">${url.pathname}</text>
+      </svg>`
+    });
+  });
+  return requests;
+};
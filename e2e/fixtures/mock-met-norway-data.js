@@ -0,0 +1,31 @@
+import { mockWeatherData } from './mock-weather-data.js';
+
+// mockWeatherData as a MET Norway locationforecast response: UTC steps with
+// instant values (wind in m/s) and the amounts for the hour after each step
+const { hourly, utc_offset_seconds: utcOffsetSeconds } = mockWeatherData;
+
+export const mockMetNorwayData = {
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [144.9631, -37.8136, 31] },
+  properties: {
+    meta: {
+      updated_at: "2025-07-20T18:00:00Z",
+      units: { air_temperature: "celsius", precipitation_amount: "mm", wind_speed: "m/s" }
+    },
+    timeseries: hourly.time.map((time, i) => ({
+      time: new Date(Date.parse(`${time}Z`) - utcOffsetSeconds * 1000).toISOString().replace('.000Z', 'Z'),
+      data: {
+        instant: {
+          details: {
+            air_temperature: hourly.temperature_2m[i],
+            wind_speed: hourly.wind_speed_10m[i] === undefined ? undefined : Math.round(hourly.wind_speed_10m[i] / 3.6 * 10) / 10
+          }
+        },
+        next_1_hours: {
+          summary: { symbol_code: "cloudy" },
+          details: { precipitation_amount: hourly.precipitation[i] }
+        }
+      }
+    }))
+  }
+};
@@ -0,0 +1,96 @@
+import {
+  mockWeatherData,
+  mockWeatherDataRainy,
+  mockWeatherDataGusty,
+  withUpcomingDates,
+  withDaylight,
+  withNowcast,
+  withModels
+} from './mock-weather-data.js';
+
+// Scenarios for the dev server's mock weather API (see
+// plugins/mock-weather-api.js). Each is given the request URL and returns the
+// `{ status, headers, body }` to answer it with, built per request so
+// relative dates stay current. A browser picks its scenario with the
+// MOCK_SCENARIO_COOKIE cookie.
+export const MOCK_SCENARIO_COOKIE = 'rideready-mock-scenario';
+
+// Header the service worker stamps on cached forecasts (see src/forecastCache.js)
+const FETCHED_AT_HEADER = 'X-RideReady-Fetched-At';
+const THREE_HOURS_MS = 3 * 60 * 60 * 1000;
+
+export const MOCK_SCENARIOS = {
+  default: () => ({ body: mockWeatherData }),
+  // Gusts, visibility, UV and friends
+  gusty: () => ({ body: mockWeatherDataGusty }),
+  // Hours that are still ahead of us
+  upcoming: () => ({ body: withUpcomingDates(mockWeatherData) }),
+  upcomingRainy: () => ({ body: withUpcomingDates(mockWeatherDataRainy) }),
+  // A winter day: sunrise 07:30, sunset 17:30
+  daylight: () => ({ body: withDaylight(withUpcomingDates(mockWeatherData)) }),
+  // The way the service worker answers with a forecast it cached 3 hours ago
+  cached: () => ({
+    headers: { [FETCHED_AT_HEADER]: String(Date.now() - THREE_HOURS_MS) },
+    body: mockWeatherData
+  }),
+  // Forecast model comparison requests get per-model data (see withModels)
+  models: (url) => ({ body: url.searchParams.has('models') ? withModels(mockWeatherData) : mockWeatherData }),
+  // Current conditions at 08:30 on the first day with rain from 09:15
+  rainOnTheWay: () => ({
+    body: withNowcast(
+      mockWeatherData,
+      { temperature_2m: 15.1, apparent_temperature: 13, precipitation: 0, wind_speed_10m: 14, wind_gusts_10m: 25 },
+      (i) => ({ temperature: 15, precipitation: i >= 5 ? 0.3 : 0, windSpeed: 12, windGusts: 22 })
+    )
+  }),
+  // Current conditions at 08:30 on the first day, too windy until 09:30
+  clearingUp: () => ({
+    body: withNowcast(
+      mockWeatherData,
+      { temperature_2m: 15, precipitation: 0, wind_speed_10m: 35, wind_gusts_10m: 60 },
+      (i) => ({ temperature: 15, precipitation: 0, windSpeed: i >= 6 ? 12 : 35, windGusts: 30 })
+    )
+  }),
+  // The fixture's hours in Perth (UTC+8)
+  perth: () => ({
+    body: {
+      ...mockWeatherData,
+      latitude: -31.9523,
+      longitude: 115.8613,
+      utc_offset_seconds: 28800,
+      timezone: 'Australia/Perth',
+      timezone_abbreviation: 'AWST'
+    }
+  }),
+  // The fixture's hours in Melbourne outside daylight saving (UTC+10)
+  standardTime: () => ({
+    body: { ...mockWeatherData, utc_offset_seconds: 36000, timezone: 'Australia/Melbourne', timezone_abbreviation: 'AEST' }
+  }),
+  error: () => ({ status: 400, body: { error: true, reason: 'Invalid coordinates' } }),
+  serverError: () => ({ status: 500, body: { error: true, reason: 'Internal server error' } }),
+  rateLimited: () => ({ status: 429, body: { error: true, reason: 'Too many requests' } })
+};
+
+// Serve the page its forecasts from the mock weather API: picks the "Local
+// mock" provider on every page load and sets the scenario. Call again to
+// switch scenarios mid-test.
+export const serveMockWeather = async (page, scenario = 'default') => {
+  await page.context().addCookies([
+    { name: MOCK_SCENARIO_COOKIE, value: scenario, domain: 'localhost', path: '/' }
+  ]);
+  await page.addInitScript(() => {
+    localStorage.setItem('rideready:weatherProvider', JSON.stringify('mock'));
+  });
+};
+
+// Record the page's requests to the mock weather API. Returns the list the
+// request URLs are added to, as URL objects, oldest first.
+export const recordForecastRequests = (page) => {
+  const requests = [];
+  page.on('request', request => {
+    if (request.url().includes('/mock-api/v1/forecast')) {
+      requests.push(new URL(request.url()));
+    }
+  });
+  return requests;
+};
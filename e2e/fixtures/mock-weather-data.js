@@ -1,10 +1,13 @@
+// Melbourne's coordinates on a fixed UTC+11, so the fixture's hours are the
+// same instants whichever dates withUpcomingDates moves them to (Melbourne
+// itself is on UTC+10 in July; see the standardTime mock scenario)
 export const mockWeatherData = {
   latitude: -37.8136,
   longitude: 144.9631,
   generationtime_ms: 0.123456,
   utc_offset_seconds: 39600,
-  timezone: "Australia/Melbourne",
-  timezone_abbreviation: "AEDT",
+  timezone: "Etc/GMT-11",
+  timezone_abbreviation: "+11",
   elevation: 31.0,
   hourly_units: {
     time: "iso8601",
@@ -82,4 +85,98 @@ export const mockWeatherDataRainy = {
       0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0
     ]
   }
-};
\ No newline at end of file
+};
+export const mockWeatherDataGusty = {
+  ...mockWeatherData,
+  hourly_units: {
+    ...mockWeatherData.hourly_units,
+    wind_gusts_10m: "km/h",
+    visibility: "m",
+    precipitation_probability: "%",
+    apparent_temperature: "°C",
+    relative_humidity_2m: "%",
+    uv_index: ""
+  },
+  hourly: {
+    ...mockWeatherData.hourly,
+    wind_gusts_10m: mockWeatherData.hourly.wind_speed_10m.map(speed => Math.round(speed * 1.8 * 10) / 10),
+    visibility: mockWeatherData.hourly.time.map((_, i) => (i % 13 < 2 ? 400 : 24000)),
+    precipitation_probability: mockWeatherData.hourly.time.map(() => 10),
+    apparent_temperature: mockWeatherData.hourly.temperature_2m.map(temp => Math.round((temp - 3) * 10) / 10),
+    relative_humidity_2m: mockWeatherData.hourly.time.map(() => 65),
+    uv_index: mockWeatherData.hourly.time.map((_, i) => Math.min(i % 13, 9))
+  }
+};
+
+// Shift a fixture's hourly times so its first day falls `daysAhead` days from
+// today at the forecast location, keeping the hours intact. Useful for tests
+// that need upcoming hours.
+export const withUpcomingDates = (data, daysAhead = 1) => {
+  const parseDay = (time) => Date.parse(`${time.slice(0, 10)}T00:00:00Z`);
+  const now = new Date(Date.now() + (data.utc_offset_seconds || 0) * 1000);
+  const targetDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + daysAhead);
+  const shift = targetDay - parseDay(data.hourly.time[0]);
+
+  return {
+    ...data,
+    hourly: {
+      ...data.hourly,
+      time: data.hourly.time.map(time =>
+        `${new Date(parseDay(time) + shift).toISOString().slice(0, 10)}${time.slice(10)}`
+      )
+    }
+  };
+};
+
+// Add an Open-Meteo `daily` block with the same sunrise/sunset on every day
+export const withDaylight = (data, { sunrise = '07:30', sunset = '17:30' } = {}) => {
+  const days = [...new Set(data.hourly.time.map(time => time.slice(0, 10)))];
+  return {
+    ...data,
+    daily_units: { time: "iso8601", sunrise: "iso8601", sunset: "iso8601" },
+    daily: {
+      time: days,
+      sunrise: days.map(day => `${day}T${sunrise}`),
+      sunset: days.map(day => `${day}T${sunset}`)
+    }
+  };
+};
+
+// Add an Open-Meteo `current` block at 08:30 on the fixture's first day and
+// 15-minute steps from 08:00 to 10:45, with per-step values from
+// `step(index)` as `{ temperature, precipitation, windSpeed, windGusts }`
+export const withNowcast = (data, current, step) => {
+  const time = Array.from({ length: 12 }, (_, i) => {
+    const minutes = 8 * 60 + i * 15;
+    return `2025-07-21T${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  });
+  const steps = time.map((_, i) => step(i));
+  return {
+    ...data,
+    current: { time: '2025-07-21T08:30', interval: 900, ...current },
+    minutely_15: {
+      time,
+      temperature_2m: steps.map(values => values.temperature),
+      precipitation: steps.map(values => values.precipitation),
+      wind_speed_10m: steps.map(values => values.windSpeed),
+      wind_gusts_10m: steps.map(values => values.windGusts)
+    }
+  };
+};
+
+// The models the app compares (see src/core/models.js)
+export const MOCK_MODELS = ['ecmwf_ifs025', 'gfs_seamless', 'icon_seamless', 'bom_access_global'];
+
+// Multi-model response built from a fixture: ICON is 5 km/h windier
+// throughout and BOM has rain at 07:00 on the first day
+export const withModels = (data) => {
+  const hourly = { time: data.hourly.time };
+  for (const model of MOCK_MODELS) {
+    hourly[`temperature_2m_${model}`] = data.hourly.temperature_2m;
+    hourly[`wind_speed_10m_${model}`] = data.hourly.wind_speed_10m
+      .map(speed => (model === 'icon_seamless' ? Math.round((speed + 5) * 10) / 10 : speed));
+    hourly[`precipitation_${model}`] = data.hourly.precipitation
+      .map((amount, i) => (model === 'bom_access_global' && i === 1 ? 1 : amount));
+  }
+  return { ...data, hourly };
+};
@@ -0,0 +1,106 @@
+import { test, expect } from '@playwright/test';
+import { readFile } from 'node:fs/promises';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+const download = async (page) => {
+  const downloadPromise = page.waitForEvent('download');
+  await page.getByRole('button', { name: 'Download', exact: true }).click();
+  const file = await downloadPromise;
+  return { filename: file.suggestedFilename(), text: await readFile(await file.path(), 'utf8') };
+};
+
+test.describe('Grid Export', () => {
+  test.beforeEach(async ({ page }) => {
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('[data-band]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should export the grid as CSV', async ({ page }) => {
+    const { filename, text } = await download(page);
+    expect(filename).toMatch(/^forecast-.*\.csv$/);
+
+    const lines = text.trimEnd().split('\r\n');
+    const metadata = lines.filter(line => line.startsWith('#'));
+    expect(metadata[0]).toContain('(-37.8136, 144.9631)');
+    expect(metadata).toContain('# Criterion: Max Wind Speed <= 20 km/h');
+    expect(metadata).toContain('# Criterion: Min Temperature >= 10 °C');
+
+    const [header, ...rows] = lines.slice(metadata.length);
+    expect(header).toMatch(/^day,hour,time,temperature \(°C\),precipitation \(mm\),windSpeed \(km\/h\),/);
+    expect(header).toMatch(/,maxPrecipitation,maxWindSpeed,minTemperature,maxTemperature,score,suitable,past$/);
+
+    // One row per hour on screen: three days of 06:00-18:00
+    expect(rows).toHaveLength(39);
+    // 06:00 on the first day is 8.5°C, too cold for the 10°C minimum
+    expect(rows[0]).toMatch(/^2025-07-21,06:00,2025-07-21T06:00,8\.5,/);
+    expect(rows[0]).toMatch(/,pass,pass,fail,pass,\d+,false,true$/);
+  });
+
+  test('should export the grid as JSON in the rider\'s units', async ({ page }) => {
+    await page.getByLabel('Units', { exact: true }).selectOption('us');
+    await page.getByLabel('Export format').selectOption('json');
+
+    const { filename, text } = await download(page);
+    expect(filename).toMatch(/^forecast-.*\.json$/);
+
+    const data = JSON.parse(text);
+    expect(data.type).toBe('rideready-forecast');
+    expect(data.location).toMatchObject({ latitude: -37.8136, longitude: 144.9631, utcOffsetSeconds: 39600 });
+    expect(data.units.speed).toBe('mph');
+    expect(data.criteria.find(criterion => criterion.key === 'maxWindSpeed')).toMatchObject({ bound: 'max', limit: 12.4, unit: 'mph' });
+    expect(data.criteria.find(criterion => criterion.key === 'maxWindGusts').limit).toBeNull();
+
+    expect(data.hours).toHaveLength(39);
+    expect(data.hours[0]).toMatchObject({
+      day: '2025-07-21',
+      hour: 6,
+      time: '2025-07-21T06:00',
+      suitable: false,
+      criteria: { minTemperature: false, maxWindSpeed: true }
+    });
+    // 8.5°C and 12.5 km/h
+    expect(data.hours[0].values.temperature).toBe(47.3);
+    expect(data.hours[0].values.windSpeed).toBe(7.8);
+  });
+
+  test('should only export the hours shown', async ({ page }) => {
+    await page.getByLabel('Last hour shown').selectOption('9');
+
+    const { text } = await download(page);
+    const rows = text.trimEnd().split('\r\n').filter(line => /^\d{4}-/.test(line));
+    // 06:00-09:00 on three days
+    expect(rows).toHaveLength(12);
+  });
+
+  test('should copy the export to the clipboard', async ({ page, context }) => {
+    await context.grantPermissions(['clipboard-read', 'clipboard-write']);
+
+    await page.getByRole('button', { name: 'Copy', exact: true }).click();
+    await expect(page.getByText('Copied to clipboard')).toBeVisible();
+
+    const copied = await page.evaluate(() => navigator.clipboard.readText());
+    expect(copied).toContain('day,hour,time,temperature (°C)');
+  });
+});
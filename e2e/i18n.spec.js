@@ -0,0 +1,92 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+const setUp = async (page) => {
+  // Serve forecasts from the mock weather API
+  await serveMockWeather(page);
+
+  // Mock geolocation
+  await page.addInitScript(() => {
+    const mockGeolocation = {
+      getCurrentPosition: (success) => {
+        setTimeout(() => {
+          success({
+            coords: {
+              latitude: -37.8136,
+              longitude: 144.9631
+            }
+          });
+        }, 100);
+      }
+    };
+    Object.defineProperty(navigator, 'geolocation', {
+      value: mockGeolocation
+    });
+  });
+
+  await page.goto('/');
+  await expect(page.locator('[data-band]').first()).toBeVisible({ timeout: 5000 });
+};
+
+test.describe('Internationalisation', () => {
+  test.describe('with an English browser', () => {
+    test.use({ locale: 'en-US' });
+
+    test.beforeEach(async ({ page }) => {
+      await setUp(page);
+    });
+
+    test('should follow the browser locale by default', async ({ page }) => {
+      await expect(page.getByLabel('Language')).toHaveValue('auto');
+      await expect(page.locator('html')).toHaveAttribute('lang', 'en-US');
+      await expect(page.getByLabel('First hour shown').locator('option:checked')).toHaveText('06:00 AM');
+    });
+
+    test('should switch to a 24-hour clock', async ({ page }) => {
+      await page.getByLabel('Clock').selectOption('24');
+      await expect(page.getByLabel('First hour shown').locator('option:checked')).toHaveText('06:00');
+
+      await page.reload();
+      await expect(page.getByLabel('Clock')).toHaveValue('24');
+    });
+
+    test('should switch language and remember it', async ({ page }) => {
+      await page.getByLabel('Language').selectOption('de');
+
+      await expect(page.locator('h1')).toContainText('7-Tage-Vorhersage');
+      await expect(page.getByText('Max. Windgeschwindigkeit: 20 km/h')).toBeVisible();
+      await expect(page.getByRole('button', { name: 'Wetterdaten aktualisieren' })).toBeVisible();
+
+      await page.reload();
+      await expect(page.getByLabel('Sprache')).toHaveValue('de');
+      await expect(page.locator('h1')).toContainText('7-Tage-Vorhersage');
+    });
+  });
+
+  test.describe('with a German browser', () => {
+    test.use({ locale: 'de-DE' });
+
+    test.beforeEach(async ({ page }) => {
+      await setUp(page);
+    });
+
+    test('should default to German with local formats', async ({ page }) => {
+      await expect(page.locator('h1')).toContainText('7-Tage-Vorhersage');
+      await expect(page.locator('html')).toHaveAttribute('lang', 'de-DE');
+
+      // 24-hour clock and decimal commas
+      await expect(page.getByLabel('Erste angezeigte Stunde').locator('option:checked')).toHaveText('06:00');
+      await expect(page.locator('div[title*="12,5km/h"]').first()).toBeVisible();
+
+      // Weekday names in German, e.g. "Mo., 21. Juli"
+      await expect(page.getByText(/^(Mo|Di|Mi|Do|Fr|Sa|So)\., \d+\. /).first()).toBeVisible();
+    });
+
+    test('should still offer English', async ({ page }) => {
+      await page.getByLabel('Sprache').selectOption('en');
+      await expect(page.locator('h1')).toContainText('7 Day Forecast');
+      // Formats follow the chosen language when the browser has no regional variant of it
+      await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+import { serveMockTiles } from './fixtures/mock-map-tiles.js';
+
+test.describe('Map picker and coordinate input', () => {
+  let tileRequests;
+  let forecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    forecastRequests = recordForecastRequests(page);
+
+    await serveMockWeather(page);
+    tileRequests = await serveMockTiles(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 144.9631');
+  });
+
+  const map = (page) => page.getByRole('application', { name: 'Map' });
+
+  test('should show the location on map tiles from the tile source', async ({ page }) => {
+    await expect(page.getByTestId('map-location')).toBeVisible();
+    // Melbourne is in tile 1848/1256 at zoom 11
+    await expect.poll(() => tileRequests).toContain('/11/1848/1256.png');
+    await expect(map(page)).toContainText('OpenStreetMap contributors');
+  });
+
+  test('should look where the map is clicked', async ({ page }) => {
+    const box = await map(page).boundingBox();
+    // 128px is 1/4096 of the world's width at zoom 11, about 0.088°
+    await map(page).click({ position: { x: box.width / 2 + 128, y: box.height / 2 } });
+
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 145.051');
+    await expect.poll(() => forecastRequests.at(-1)?.searchParams.get('longitude')).toBe('145.051');
+  });
+
+  test('should pick the middle of the map with the keyboard', async ({ page }) => {
+    await map(page).focus();
+    await page.keyboard.press('ArrowRight');
+    await page.keyboard.press('ArrowRight');
+    await page.keyboard.press('Enter');
+
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 145.051');
+  });
+
+  test('should switch to saved locations from their markers', async ({ page }) => {
+    await page.getByPlaceholder(/Name this location/).fill('Home');
+    await page.getByRole('button', { name: 'Save Location' }).click();
+
+    await page.getByLabel('Coordinates').fill('-37.82, 144.99');
+    await expect(page.locator('#forecast-location')).not.toContainText('Home');
+
+    await page.getByRole('button', { name: 'Saved location: Home' }).click();
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 144.9631');
+    await expect(page.locator('#forecast-location')).toContainText('Home');
+  });
+
+  test('should read pasted degrees, minutes and seconds', async ({ page }) => {
+    await page.getByLabel('Coordinates').fill('33°52\'7.7"S 151°12\'33.5"E');
+
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-33.868806, 151.209306');
+    await expect.poll(() => forecastRequests.at(-1)?.searchParams.get('latitude')).toBe('-33.868806');
+  });
+
+  test('should read a pasted Google Maps link', async ({ page }) => {
+    await page.getByLabel('Coordinates').fill('https://www.google.com/maps/@-33.8688,151.2093,14z');
+
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-33.8688, 151.2093');
+  });
+
+  test('should reject coordinates out of range', async ({ page }) => {
+    await page.getByLabel('Coordinates').fill('200, 10');
+
+    await expect(page.getByText("Those coordinates aren't valid")).toBeVisible();
+    await expect(page.getByLabel('Coordinates')).toHaveValue('200, 10');
+  });
+});
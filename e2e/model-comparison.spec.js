@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { MOCK_MODELS } from './fixtures/mock-weather-data.js';
+import { serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+
+test.describe('Model Comparison', () => {
+  let forecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    forecastRequests = recordForecastRequests(page);
+
+    // Serve per-model forecasts from the mock weather API: ICON is 5 km/h
+    // windier throughout and BOM has rain at 07:00 on the first day
+    await serveMockWeather(page, 'models');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('[data-band]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  const modelRequests = () => forecastRequests.filter(url => url.searchParams.has('models'));
+
+  test('should be off by default', async ({ page }) => {
+    await expect(page.getByLabel('Compare forecast models')).not.toBeChecked();
+    await expect(page.locator('[data-confidence]')).toHaveCount(0);
+    expect(modelRequests()).toHaveLength(0);
+  });
+
+  test('should show how many models find each hour suitable', async ({ page }) => {
+    await page.getByLabel('Compare forecast models').check();
+    await expect.poll(() => modelRequests().length).toBe(1);
+    expect(modelRequests()[0].searchParams.get('models').split(',')).toEqual(MOCK_MODELS);
+
+    const badges = page.locator('[data-confidence]');
+    // 06:00 is too cold in every model
+    await expect(badges.nth(0)).toHaveText('0/4');
+    await expect(badges.nth(0)).toHaveAttribute('data-confidence', 'high');
+    // 07:00: ICON's wind and BOM's rain both fail
+    await expect(badges.nth(1)).toHaveText('2/4');
+    await expect(badges.nth(1)).toHaveAttribute('data-confidence', 'low');
+    // 08:00: only ICON fails
+    await expect(badges.nth(2)).toHaveText('3/4');
+    await expect(badges.nth(2)).toHaveAttribute('data-confidence', 'medium');
+
+    await expect(page.locator('[data-band]').nth(2)).toHaveAttribute('title', /3\/4 models suitable \(medium confidence\)/);
+  });
+
+  test('should drill down into each model for a cell', async ({ page }) => {
+    await page.getByLabel('Compare forecast models').check();
+    await page.getByRole('button', { name: 'Compare models for Mon, Jul 21 08:00 AM' }).click();
+
+    const panel = page.getByRole('region', { name: 'Models for Mon, Jul 21 08:00 AM' });
+    await expect(panel.locator('tbody tr')).toHaveCount(4);
+    await expect(panel.locator('[data-model="ecmwf_ifs025"]')).toHaveAttribute('data-suitable', 'true');
+    await expect(panel.locator('[data-model="icon_seamless"]')).toHaveAttribute('data-suitable', 'false');
+    await expect(panel.locator('[data-model="icon_seamless"]')).toContainText('Max Wind Speed: 23.7 km/h (limit 20 km/h)');
+
+    await panel.getByRole('button', { name: 'Close' }).click();
+    await expect(panel).toHaveCount(0);
+  });
+
+  test('should remember the setting', async ({ page }) => {
+    await page.getByLabel('Compare forecast models').check();
+    await expect(page.locator('[data-confidence]').first()).toBeVisible();
+
+    await page.reload();
+    await expect(page.getByLabel('Compare forecast models')).toBeChecked();
+    await expect(page.locator('[data-confidence]').first()).toBeVisible();
+  });
+});
@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Offline Forecasts', () => {
+  test.beforeEach(async ({ page }) => {
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+  });
+
+  test('should flag a forecast served from the service worker cache', async ({ page, context }) => {
+    // Respond the way the service worker does for a forecast cached 3 hours ago
+    await serveMockWeather(page, 'cached');
+    await page.goto('/');
+
+    const notice = page.getByTestId('stale-forecast');
+    await expect(notice).toContainText('Forecast from 3 hours ago');
+
+    await context.setOffline(true);
+    await expect(notice).toContainText('Forecast from 3 hours ago (offline)');
+    await context.setOffline(false);
+  });
+
+  test('should not flag a fresh network forecast', async ({ page }) => {
+    await serveMockWeather(page);
+    await page.goto('/');
+
+    await expect(page.locator('div[title*="°C"]').first()).toBeVisible({ timeout: 5000 });
+    await expect(page.getByTestId('stale-forecast')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Rider Profiles', () => {
+  test.beforeEach(async ({ page }) => {
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+  });
+
+  test('should switch criteria when a different profile is selected', async ({ page }) => {
+    await expect(page.getByText('Max Wind Speed: 20 km/h')).toBeVisible();
+
+    await page.getByLabel('Rider profile').selectOption({ label: 'Sport ride' });
+
+    await expect(page.getByText('Max Wind Speed: 30 km/h')).toBeVisible();
+  });
+
+  test('should keep slider changes after a reload', async ({ page }) => {
+    await page.locator('input[min="0"][max="50"]').fill('27');
+    await expect(page.getByText('Max Wind Speed: 27 km/h')).toBeVisible();
+
+    await page.reload();
+
+    await expect(page.getByText('Max Wind Speed: 27 km/h')).toBeVisible();
+  });
+
+  test('should save the current criteria as a new profile', async ({ page }) => {
+    await page.locator('input[min="0"][max="50"]').fill('12');
+    await page.getByLabel('New profile name').fill('Rainy commute');
+    await page.getByRole('button', { name: 'Save as Profile' }).click();
+
+    await expect(page.getByLabel('Rider profile').locator('option:checked')).toHaveText('Rainy commute');
+    await expect(page.getByText('Max Wind Speed: 12 km/h')).toBeVisible();
+  });
+
+  test('should export the active profile as JSON', async ({ page }) => {
+    const downloadPromise = page.waitForEvent('download');
+    await page.getByRole('button', { name: 'Export' }).click();
+    const download = await downloadPromise;
+
+    expect(download.suggestedFilename()).toBe('commute.rideready-profile.json');
+  });
+
+  test('should import a shared profile', async ({ page }) => {
+    await page.getByTestId('profile-import').setInputFiles('e2e/fixtures/winter.rideready-profile.json');
+
+    await expect(page.getByLabel('Rider profile').locator('option:checked')).toHaveText('Winter');
+    await expect(page.getByText('Min Temperature: 2°C')).toBeVisible();
+  });
+
+  test('should reject files that are not profiles', async ({ page }) => {
+    await page.getByTestId('profile-import').setInputFiles('e2e/fixtures/not-a-profile.json');
+
+    await expect(page.getByText('Could not import profile: The file is not a Ride Ready profile.')).toBeVisible();
+  });
+});
@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import { mockWeatherData } from './fixtures/mock-weather-data.js';
+import { mockMetNorwayData } from './fixtures/mock-met-norway-data.js';
+
+test.describe('Weather providers', () => {
+  let metRequests;
+
+  test.beforeEach(async ({ page }) => {
+    metRequests = [];
+
+    // Mock both providers' real APIs; other specs use the local mock
+    await page.route('**/api.open-meteo.com/v1/forecast*', route => {
+      route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify(mockWeatherData)
+      });
+    });
+    await page.route('**/api.met.no/weatherapi/locationforecast/2.0/complete*', route => {
+      metRequests.push(new URL(route.request().url()));
+      route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify(mockMetNorwayData)
+      });
+    });
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('div[title*="°C"]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should default to Open-Meteo with every feature', async ({ page }) => {
+    await expect(page.getByLabel('Forecast source')).toHaveValue('open-meteo');
+    await expect(page.getByTestId('provider-missing')).toHaveCount(0);
+    await expect(page.getByLabel('Compare forecast models')).toBeVisible();
+    await expect(page.getByText('Powered by Open-Meteo.com')).toBeVisible();
+  });
+
+  test('should switch to MET Norway and remember the choice', async ({ page }) => {
+    await page.getByLabel('Forecast source').selectOption('met-norway');
+
+    await expect.poll(() => metRequests.length).toBeGreaterThan(0);
+    expect(metRequests[0].searchParams.get('lat')).toBe('-37.8136');
+    expect(metRequests[0].searchParams.get('lon')).toBe('144.9631');
+
+    // The same hours, converted from MET Norway's format
+    await expect(page.locator('div[title*="8.5°C"]').first()).toBeVisible();
+    await expect(page.getByText('Powered by MET Norway')).toBeVisible();
+    await expect(page.getByTestId('provider-missing')).toContainText('Not available from MET Norway: 15-minute nowcast');
+    await expect(page.getByLabel('Compare forecast models')).toHaveCount(0);
+
+    await page.reload();
+    await expect(page.getByLabel('Forecast source')).toHaveValue('met-norway');
+    await expect(page.locator('div[title*="8.5°C"]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should offer the local mock in development', async ({ page }) => {
+    await page.getByLabel('Forecast source').selectOption('mock');
+    await expect(page.getByText('Powered by mock data')).toBeVisible();
+    await expect(page.locator('div[title*="8.5°C"]').first()).toBeVisible({ timeout: 5000 });
+  });
+});
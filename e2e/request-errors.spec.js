@@ -0,0 +1,86 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+
+test.describe('Forecast requests', () => {
+  let forecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    forecastRequests = recordForecastRequests(page);
+
+    await serveMockWeather(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('div[title*="°C"]').first()).toBeVisible();
+  });
+
+  test('should only fetch coordinates once typing pauses', async ({ page }) => {
+    const requestsBefore = forecastRequests.length;
+    await page.getByLabel('Coordinates').fill('');
+    // One keystroke at a time, as a rider types
+    await page.getByLabel('Coordinates').pressSequentially('-33.8688, 151.2093');
+
+    await expect.poll(() => forecastRequests.length).toBe(requestsBefore + 1);
+    expect(forecastRequests.at(-1).searchParams.get('latitude')).toBe('-33.8688');
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-33.8688, 151.2093');
+  });
+
+  test('should not fetch invalid coordinates', async ({ page }) => {
+    const requestsBefore = forecastRequests.length;
+    await page.getByLabel('Coordinates').fill('-95, 144.9631');
+
+    await expect(page.getByText("Those coordinates aren't valid")).toBeVisible();
+    // The typed value stays put for the rider to fix
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-95, 144.9631');
+    expect(forecastRequests.length).toBe(requestsBefore);
+
+    await page.getByLabel('Coordinates').fill('-35, 144.9631');
+    await expect(page.getByText("Those coordinates aren't valid")).toBeHidden();
+    await expect.poll(() => forecastRequests.at(-1)?.searchParams.get('latitude')).toBe('-35');
+  });
+
+  test('should retry server errors before giving up', async ({ page }) => {
+    await serveMockWeather(page, 'serverError');
+    const requestsBefore = forecastRequests.length;
+    await page.getByLabel('Coordinates').fill('-33.8688, 151.2093');
+
+    await expect(page.getByText('The weather service is having trouble')).toBeVisible({ timeout: 10000 });
+    // The first attempt and two retries
+    expect(forecastRequests.length).toBe(requestsBefore + 3);
+  });
+
+  test('should say when the API is turning requests away', async ({ page }) => {
+    await serveMockWeather(page, 'rateLimited');
+    const requestsBefore = forecastRequests.length;
+    await page.getByLabel('Coordinates').fill('-33.8688, 151.2093');
+
+    await expect(page.getByText('Too many forecast requests')).toBeVisible();
+    expect(forecastRequests.length).toBe(requestsBefore + 1);
+  });
+
+  test('should say when the device is offline', async ({ page, context }) => {
+    await context.setOffline(true);
+    await page.getByLabel('Coordinates').fill('-33.8688, 151.2093');
+
+    await expect(page.getByText('You appear to be offline. Check your connection')).toBeVisible();
+    await context.setOffline(false);
+  });
+});
@@ -0,0 +1,88 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+import { mockReverseGeocodingResult, mockReverseGeocodingPerth } from './fixtures/mock-geocoding-data.js';
+
+test.describe('Reverse Geocoding', () => {
+  let reverseRequests;
+
+  test.beforeEach(async ({ page }) => {
+    reverseRequests = [];
+
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+  });
+
+  const mockReverseGeocoder = async (page) => {
+    await page.route('**/nominatim.openstreetmap.org/reverse*', route => {
+      const url = new URL(route.request().url());
+      reverseRequests.push(url);
+      const body = url.searchParams.get('lat').startsWith('-31')
+        ? mockReverseGeocodingPerth
+        : mockReverseGeocodingResult;
+      route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify(body)
+      });
+    });
+  };
+
+  test('should show the place name for the geolocated position', async ({ page }) => {
+    await mockReverseGeocoder(page);
+    await page.goto('/');
+
+    await expect(page.locator('#forecast-location')).toContainText('Melbourne');
+    await expect(page.locator('#city')).toHaveValue('Melbourne');
+  });
+
+  test('should update the place name when coordinates are typed', async ({ page }) => {
+    await mockReverseGeocoder(page);
+    await page.goto('/');
+    await expect(page.locator('#forecast-location')).toContainText('Melbourne');
+
+    await page.getByLabel('Coordinates').fill('-31.9523, 115.8613');
+
+    await expect(page.locator('#forecast-location')).toContainText('Perth');
+  });
+
+  test('should cache lookups per rounded coordinate', async ({ page }) => {
+    await mockReverseGeocoder(page);
+    await page.goto('/');
+    await expect(page.locator('#forecast-location')).toContainText('Melbourne');
+
+    // Nudge the position by less than the cache precision
+    await page.getByLabel('Coordinates').fill('-37.8131, 144.9631');
+    await page.waitForTimeout(1500);
+
+    await expect(page.locator('#forecast-location')).toContainText('Melbourne');
+    expect(reverseRequests).toHaveLength(1);
+  });
+
+  test('should fall back to formatted coordinates when lookup fails', async ({ page }) => {
+    await page.route('**/nominatim.openstreetmap.org/reverse*', route => {
+      route.fulfill({ status: 500, body: 'Internal Server Error' });
+    });
+    await page.goto('/');
+
+    await expect(page.locator('#forecast-location')).toContainText('37.81°S, 144.96°E');
+  });
+});
@@ -0,0 +1,95 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Ride Alerts', () => {
+  test.beforeEach(async ({ page, context }) => {
+    await context.grantPermissions(['notifications']);
+
+    // Serve a forecast that starts tomorrow from the mock weather API
+    await serveMockWeather(page, 'upcoming');
+
+    // Record notifications instead of showing them
+    await page.addInitScript(() => {
+      window.shownNotifications = JSON.parse(sessionStorage.getItem('shownNotifications') || '[]');
+      class RecordingNotification {
+        static permission = 'granted';
+        static requestPermission = async () => 'granted';
+        constructor(title, options = {}) {
+          window.shownNotifications.push({ title, body: options.body });
+          sessionStorage.setItem('shownNotifications', JSON.stringify(window.shownNotifications));
+        }
+      }
+      window.Notification = RecordingNotification;
+    });
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 144.9631');
+  });
+
+  const createAlert = async (page) => {
+    await page.getByLabel('Alert minimum window length').selectOption('1');
+    // Notify from midnight so the evening-before check is already due
+    await page.getByLabel('Notify from').selectOption('0');
+    await page.getByRole('button', { name: 'Create Alert' }).click();
+    await expect(page.getByRole('list', { name: 'Ride alerts' }).getByRole('listitem')).toHaveCount(1);
+  };
+
+  const shownNotifications = (page) => page.evaluate(() => window.shownNotifications);
+
+  test('should keep alerts across reloads and delete them', async ({ page }) => {
+    await createAlert(page);
+    await expect(page.getByRole('list', { name: 'Ride alerts' })).toContainText('Commute');
+
+    await page.reload();
+    const list = page.getByRole('list', { name: 'Ride alerts' });
+    await expect(list.getByRole('listitem')).toHaveCount(1);
+
+    await list.getByRole('button', { name: /Delete alert/ }).click();
+    await expect(list).toHaveCount(0);
+  });
+
+  test('should notify once the evening before a good day', async ({ page }) => {
+    await createAlert(page);
+
+    await page.reload();
+    await expect.poll(() => shownNotifications(page)).toEqual([
+      expect.objectContaining({ title: expect.stringContaining('Ride tomorrow') })
+    ]);
+
+    // The same day is not announced twice
+    await page.reload();
+    await expect(page.getByRole('list', { name: 'Ride alerts' })).toBeVisible();
+    await page.waitForTimeout(500);
+    expect(await shownNotifications(page)).toHaveLength(1);
+  });
+
+  test('should notify when an announced window falls through', async ({ page }) => {
+    await createAlert(page);
+    await page.reload();
+    await expect.poll(() => shownNotifications(page)).toHaveLength(1);
+
+    await serveMockWeather(page, 'upcomingRainy');
+    await page.reload();
+    await expect.poll(async () => (await shownNotifications(page)).map(notification => notification.title))
+      .toContainEqual(expect.stringContaining('Ride window cancelled'));
+  });
+});
@@ -0,0 +1,183 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+// The morning after the fixture's first day, at the fixture's location
+const NOW = new Date('2025-07-22T10:00:00+11:00');
+const TODAY = '2025-07-22';
+
+test.use({ timezoneId: 'Australia/Melbourne' });
+
+// Hourly response for a whole day, with `wind(hour)` as the wind speed and
+// otherwise mild, dry weather
+const mockDayData = (day, wind) => {
+  const time = Array.from({ length: 24 }, (_, hour) => `${day}T${String(hour).padStart(2, '0')}:00`);
+  return {
+    latitude: -37.8136,
+    longitude: 144.9631,
+    utc_offset_seconds: 39600,
+    hourly: {
+      time,
+      temperature_2m: time.map(() => 18),
+      apparent_temperature: time.map(() => 17),
+      relative_humidity_2m: time.map(() => 60),
+      precipitation: time.map(() => 0),
+      wind_speed_10m: time.map((_, hour) => wind(hour)),
+      wind_gusts_10m: time.map(() => 30)
+    }
+  };
+};
+
+// The archive recorded wind of 24 km/h at 09:00 and 26 km/h at 10:00
+const mockArchiveData = (day) => mockDayData(day, (hour) => (hour === 9 ? 24 : hour === 10 ? 26 : 10));
+
+// The forecast Open-Meteo served had a steady 15 km/h
+const mockHistoricalForecastData = (day) => mockDayData(day, () => 15);
+
+test.describe('Ride Log', () => {
+  let archiveRequests;
+  let historicalForecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    archiveRequests = [];
+    historicalForecastRequests = [];
+    await page.clock.setFixedTime(NOW);
+
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock the weather archive, which turns down days still to come
+    await page.route('**/archive-api.open-meteo.com/v1/archive*', route => {
+      const url = new URL(route.request().url());
+      const day = url.searchParams.get('start_date');
+      archiveRequests.push(url);
+      route.fulfill(day > TODAY
+        ? {
+            status: 400,
+            contentType: 'application/json',
+            body: JSON.stringify({ error: true, reason: "Parameter 'start_date' is out of allowed range" })
+          }
+        : {
+            status: 200,
+            contentType: 'application/json',
+            body: JSON.stringify(mockArchiveData(day))
+          });
+    });
+
+    // Mock the record of past forecasts
+    await page.route('**/historical-forecast-api.open-meteo.com/v1/forecast*', route => {
+      const url = new URL(route.request().url());
+      historicalForecastRequests.push(url);
+      route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify(mockHistoricalForecastData(url.searchParams.get('start_date')))
+      });
+    });
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('[data-band]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  const logRide = async (page, { day, from, to, rating }) => {
+    await page.getByLabel('Ride date').fill(day);
+    await page.getByLabel('Ride start').selectOption(String(from));
+    await page.getByLabel('Ride end').selectOption(String(to));
+    await page.getByLabel('Ride rating').selectOption(rating);
+    await page.getByRole('button', { name: 'Log Ride' }).click();
+  };
+
+  test('should compare the forecast with the observed weather', async ({ page }) => {
+    await logRide(page, { day: '2025-07-21', from: 9, to: 11, rating: 'good' });
+
+    const ride = page.getByRole('list', { name: 'Logged rides' }).getByRole('listitem');
+    await expect(ride).toHaveCount(1);
+    await expect(ride).toContainText('felt good');
+
+    // Forecast wind peaked at 25.4 km/h at 10:00, the archive recorded 26
+    const wind = ride.locator('[data-row="wind"]');
+    await expect(wind.locator('td').nth(0)).toHaveText('25.4 km/h');
+    await expect(wind.locator('td').nth(1)).toHaveText('26 km/h');
+    await expect(ride.locator('[data-row="verdict"] td').nth(0)).toHaveText('Unsuitable');
+    await expect(ride.locator('[data-row="verdict"] td').nth(1)).toHaveText('Unsuitable');
+    await expect(ride.getByTestId('ride-review')).toHaveText('The forecast got this ride right.');
+
+    expect(archiveRequests).toHaveLength(1);
+    expect(archiveRequests[0].searchParams.get('start_date')).toBe('2025-07-21');
+    expect(archiveRequests[0].searchParams.get('end_date')).toBe('2025-07-21');
+    // The forecast on screen covered the ride
+    expect(historicalForecastRequests).toHaveLength(0);
+  });
+
+  test('should look up the forecast for a day the grid no longer shows', async ({ page }) => {
+    await logRide(page, { day: '2025-07-19', from: 9, to: 11, rating: 'good' });
+
+    const ride = page.getByRole('list', { name: 'Logged rides' }).getByRole('listitem');
+    const wind = ride.locator('[data-row="wind"]');
+    await expect(wind.locator('td').nth(0)).toHaveText('15 km/h');
+    await expect(wind.locator('td').nth(1)).toHaveText('26 km/h');
+    await expect(ride.locator('[data-row="verdict"] td').nth(0)).toHaveText('Suitable');
+    await expect(ride.getByTestId('ride-review')).toHaveText('The forecast got this ride wrong.');
+
+    expect(historicalForecastRequests).toHaveLength(1);
+    expect(historicalForecastRequests[0].searchParams.get('start_date')).toBe('2025-07-19');
+    expect(historicalForecastRequests[0].searchParams.get('latitude')).toBe('-37.8136');
+  });
+
+  test('should wait for the archive on rides that have not happened yet', async ({ page }) => {
+    await logRide(page, { day: '2025-07-23', from: 9, to: 11, rating: 'good' });
+
+    const ride = page.getByRole('list', { name: 'Logged rides' }).getByRole('listitem');
+    await expect(ride.getByTestId('ride-review')).toHaveText('Observed weather is usually available a few days after the ride.');
+    await expect.poll(() => archiveRequests.map(url => url.searchParams.get('start_date'))).toEqual(['2025-07-23']);
+
+    // Asked for again next time
+    await page.reload();
+    await expect(ride.getByTestId('ride-review')).toHaveText('Observed weather is usually available a few days after the ride.');
+    await expect.poll(() => archiveRequests.length).toBe(2);
+  });
+
+  test('should suggest loosening a limit that rides rated good went past', async ({ page }) => {
+    await logRide(page, { day: '2025-07-21', from: 9, to: 11, rating: 'good' });
+    await expect(page.getByRole('list', { name: 'Suggested limits' })).toHaveCount(0);
+    await logRide(page, { day: '2025-07-21', from: 10, to: 11, rating: 'good' });
+
+    const suggestions = page.getByRole('list', { name: 'Suggested limits' });
+    await expect(suggestions).toContainText('2 rides rated good went past Max Wind Speed (20 km/h). Raise it to 26 km/h?');
+
+    await suggestions.getByRole('button', { name: 'Apply suggested Max Wind Speed' }).click();
+    await expect(page.getByText('Max Wind Speed: 26 km/h')).toBeVisible();
+    await expect(suggestions).toHaveCount(0);
+  });
+
+  test('should keep rides across reloads and delete them', async ({ page }) => {
+    await logRide(page, { day: '2025-07-21', from: 9, to: 11, rating: 'ok' });
+    const rides = page.getByRole('list', { name: 'Logged rides' }).getByRole('listitem');
+    await expect(rides).toHaveCount(1);
+
+    await page.reload();
+    await expect(rides).toHaveCount(1);
+    await expect(rides).toContainText('felt OK');
+
+    await page.getByRole('button', { name: 'Delete ride on Mon, Jul 21' }).click();
+    await expect(rides).toHaveCount(0);
+  });
+});
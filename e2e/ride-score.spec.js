@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Ride Score', () => {
+  test.beforeEach(async ({ page }) => {
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('div[title*="°C"]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should show a legend explaining the score scale', async ({ page }) => {
+    const legend = page.getByLabel('Ride score legend');
+    await expect(legend).toContainText('Great (80–100)');
+    await expect(legend).toContainText('Marginal (40–59)');
+    await expect(legend).toContainText('Terrible (0–19)');
+  });
+
+  test('should include the score and its breakdown in the tooltip', async ({ page }) => {
+    // 09:00 on day one: 18.5°C with 22.1 km/h wind, just over the 20 km/h default
+    const title = await page.locator('div[title*="18.5°C"]').first().getAttribute('title');
+
+    expect(title).toMatch(/Ride score \d+\/100 \(Marginal\)/);
+    expect(title).toContain('Max Wind Speed');
+  });
+
+  test('should grade a near miss above a far miss', async ({ page }) => {
+    // 22.1 km/h (just over) versus 35.1 km/h (well over) with a 20 km/h limit
+    const nearMiss = page.locator('div[title*="22.1km/h"]').first();
+    const farMiss = page.locator('div[title*="35.1km/h"]').first();
+
+    await expect(nearMiss).toHaveAttribute('data-band', 'marginal');
+    await expect(farMiss).not.toHaveAttribute('data-band', 'marginal');
+  });
+});
@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Ride Windows', () => {
+  test.beforeEach(async ({ page }) => {
+    // Serve upcoming hours from the mock weather API
+    await serveMockWeather(page, 'upcoming');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.getByText('Best Ride Windows')).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should list contiguous suitable windows of the minimum length', async ({ page }) => {
+    await page.getByLabel('Minimum ride window length').selectOption('2');
+
+    // Day one 07:00-09:00 and day three 06:00-08:00 stay under the 20 km/h default
+    const windows = page.getByRole('list', { name: 'Ride windows' }).getByRole('listitem');
+    await expect(windows).toHaveCount(2);
+    await expect(windows.first()).toContainText('2 h');
+  });
+
+  test('should explain when no window is long enough', async ({ page }) => {
+    await page.getByLabel('Minimum ride window length').selectOption('4');
+
+    await expect(page.getByText('No upcoming windows of 4 hours or more match your criteria.')).toBeVisible();
+  });
+
+  test('should highlight the cells of a selected window', async ({ page }) => {
+    await page.getByLabel('Minimum ride window length').selectOption('2');
+
+    const firstWindow = page.getByRole('list', { name: 'Ride windows' }).getByRole('button').first();
+    await firstWindow.click();
+
+    await expect(firstWindow).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('[data-in-window]')).toHaveCount(2);
+
+    // Clicking again clears the highlight
+    await firstWindow.click();
+    await expect(page.locator('[data-in-window]')).toHaveCount(0);
+  });
+});
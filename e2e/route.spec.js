@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather, recordForecastRequests } from './fixtures/mock-weather-api.js';
+
+// Tomorrow at 08:00 in the datetime-local format
+const tomorrowAtEight = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T08:00`;
+};
+
+test.describe('Route Forecast', () => {
+  let forecastRequests;
+
+  test.beforeEach(async ({ page }) => {
+    forecastRequests = recordForecastRequests(page);
+
+    // Serve upcoming hours from the mock weather API; multi-location requests
+    // get one forecast per point
+    await serveMockWeather(page, 'upcoming');
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await page.fill('#route-departure', tomorrowAtEight());
+  });
+
+  test('should give a good verdict when every segment is suitable', async ({ page }) => {
+    await page.fill('#route-waypoints', '-37.8136, 144.9631\n-38.1499, 144.3617');
+    await page.fill('#route-speed', '60');
+    await page.click('button:has-text("Check Route")');
+
+    await expect(page.getByTestId('route-verdict')).toContainText('Good to go');
+    const segments = page.getByRole('list', { name: 'Route segments' }).getByRole('listitem');
+    await expect(segments).toHaveCount(3);
+    const routeRequest = forecastRequests.find(url => url.searchParams.get('latitude').includes(','));
+    expect(routeRequest.searchParams.get('latitude').split(',')).toHaveLength(3);
+  });
+
+  test('should judge each segment at the hour the rider reaches it', async ({ page }) => {
+    // At 30 km/h the later segments are reached after 09:00, when the wind picks up
+    await page.fill('#route-waypoints', '-37.8136, 144.9631\n-38.1499, 144.3617');
+    await page.fill('#route-speed', '30');
+    await page.click('button:has-text("Check Route")');
+
+    await expect(page.getByTestId('route-verdict')).toContainText('2 of 3 segments miss your criteria.');
+    const segments = page.getByRole('list', { name: 'Route segments' }).getByRole('listitem');
+    await expect(segments.first()).toHaveAttribute('data-suitable', 'true');
+    await expect(segments.last()).toHaveAttribute('data-suitable', 'false');
+    await expect(segments.last()).toHaveAttribute('title', /Max Wind Speed/);
+  });
+
+  test('should import a route from a GPX file', async ({ page }) => {
+    await page.setInputFiles('#route-gpx', 'e2e/fixtures/melbourne-geelong.gpx');
+    await expect(page.getByText('melbourne-geelong.gpx (4 points)')).toBeVisible();
+
+    await page.click('button:has-text("Check Route")');
+
+    await expect(page.getByTestId('route-verdict')).toBeVisible();
+  });
+
+  test('should reject malformed waypoints', async ({ page }) => {
+    await page.fill('#route-waypoints', '-37.8136, 144.9631\nsomewhere');
+    await page.click('button:has-text("Check Route")');
+
+    await expect(page.getByText('Waypoint 2 ("somewhere") is not a valid "latitude, longitude" pair.')).toBeVisible();
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Saved Locations', () => {
+  let geolocationCalls;
+
+  test.beforeEach(async ({ page }) => {
+    geolocationCalls = 0;
+    await page.exposeFunction('recordGeolocationCall', () => {
+      geolocationCalls++;
+    });
+
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          window.recordGeolocationCall();
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 144.9631');
+  });
+
+  const saveCurrentLocation = async (page, name) => {
+    await page.getByLabel('Location name').fill(name);
+    await page.getByRole('button', { name: 'Save Location' }).click();
+  };
+
+  test('should save the current coordinates under a name', async ({ page }) => {
+    await saveCurrentLocation(page, 'Home');
+
+    const list = page.getByRole('list', { name: 'Saved locations' });
+    await expect(list.getByRole('button', { name: /Home/ })).toBeVisible();
+  });
+
+  test('should switch location with one tap', async ({ page }) => {
+    await saveCurrentLocation(page, 'Home');
+
+    await page.getByLabel('Coordinates').fill('-37.9, 145.1');
+    await saveCurrentLocation(page, 'Work');
+
+    const forecastRequest = page.waitForRequest(request =>
+      request.url().includes('/mock-api/v1/forecast') &&
+      request.url().includes('latitude=-37.8136')
+    );
+    await page.getByRole('button', { name: /^Home/ }).click();
+    await forecastRequest;
+
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.8136, 144.9631');
+    await expect(page.locator('#forecast-location')).toContainText('Home');
+  });
+
+  test('should reorder and delete saved locations', async ({ page }) => {
+    await saveCurrentLocation(page, 'Home');
+    await saveCurrentLocation(page, 'Work');
+
+    const items = page.getByRole('list', { name: 'Saved locations' }).getByRole('listitem');
+    await expect(items.first()).toContainText('Home');
+
+    await page.getByRole('button', { name: 'Move Work up' }).click();
+    await expect(items.first()).toContainText('Work');
+
+    await page.getByRole('button', { name: 'Delete Work' }).click();
+    await expect(items).toHaveCount(1);
+    await expect(items.first()).toContainText('Home');
+  });
+
+  test('should persist saved locations and reuse the last location on reload', async ({ page }) => {
+    await page.getByLabel('Coordinates').fill('-37.9, 145.1');
+    await saveCurrentLocation(page, 'Staging point');
+    const callsBeforeReload = geolocationCalls;
+
+    await page.reload();
+
+    await expect(page.getByRole('list', { name: 'Saved locations' }).getByRole('button', { name: /Staging point/ })).toBeVisible();
+    await expect(page.getByLabel('Coordinates')).toHaveValue('-37.9, 145.1');
+    // Only the first visit should have asked for geolocation
+    expect(geolocationCalls).toBe(callsBeforeReload);
+  });
+});
@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+const setUp = async (page, { scenario, now, latitude, longitude }) => {
+  // Fix the clock so "now" falls inside the fixture's first day
+  await page.clock.setFixedTime(now);
+
+  await serveMockWeather(page, scenario);
+
+  // Mock geolocation
+  await page.addInitScript(({ latitude, longitude }) => {
+    const mockGeolocation = {
+      getCurrentPosition: (success) => {
+        setTimeout(() => {
+          success({ coords: { latitude, longitude } });
+        }, 100);
+      }
+    };
+    Object.defineProperty(navigator, 'geolocation', {
+      value: mockGeolocation
+    });
+  }, { latitude, longitude });
+
+  await page.goto('/');
+  await expect(page.locator('[data-band]').first()).toBeVisible({ timeout: 5000 });
+};
+
+const hourHeaders = (page) => page.locator('.min-w-max > div').first().locator('> div');
+
+test.describe('Time zones', () => {
+  test.describe('looking at Perth from Melbourne', () => {
+    test.use({ timezoneId: 'Australia/Melbourne' });
+
+    test.beforeEach(async ({ page }) => {
+      await setUp(page, {
+        scenario: 'perth',
+        // 10:30 in Melbourne is 08:30 in Perth
+        now: new Date('2025-07-21T10:30:00+10:00'),
+        latitude: -31.9523,
+        longitude: 115.8613
+      });
+    });
+
+    test('should show the location time and its current conditions', async ({ page }) => {
+      await expect(page.getByTestId('location-time')).toHaveText('Local time there: 08:30 AM (AWST)');
+      await expect(page.getByLabel('Times shown in')).toHaveValue('location');
+      // The 08:00 Perth hour, not 10:00
+      await expect(page.getByTestId('current-temperature')).toContainText('15.8°C');
+    });
+
+    test('should shade hours that have passed at the location', async ({ page }) => {
+      const firstRow = page.locator('[data-band]');
+      await expect(hourHeaders(page).first()).toHaveText('06:00 AM');
+      await expect(firstRow.nth(2)).toHaveAttribute('title', /\(past\)/);
+      await expect(firstRow.nth(3)).not.toHaveAttribute('title', /\(past\)/);
+    });
+
+    test('should switch the grid to my time and remember it', async ({ page }) => {
+      await page.getByLabel('Times shown in').selectOption('device');
+
+      // Perth's 06:00 is 08:00 in Melbourne; the same hours are still past
+      await expect(hourHeaders(page).first()).toHaveText('08:00 AM');
+      const firstRow = page.locator('[data-band]');
+      await expect(firstRow.nth(2)).toHaveAttribute('title', /\(past\)/);
+      await expect(firstRow.nth(3)).not.toHaveAttribute('title', /\(past\)/);
+      await expect(page.getByTestId('current-temperature')).toContainText('15.8°C');
+
+      await page.reload();
+      await expect(page.getByLabel('Times shown in')).toHaveValue('device');
+    });
+  });
+
+  test.describe('looking at Melbourne from London', () => {
+    test.use({ timezoneId: 'Europe/London' });
+
+    test.beforeEach(async ({ page }) => {
+      await setUp(page, {
+        scenario: 'standardTime',
+        // Still Sunday evening in London, Monday morning in Melbourne
+        now: new Date('2025-07-20T23:30:00+01:00'),
+        latitude: -37.8136,
+        longitude: 144.9631
+      });
+    });
+
+    test('should keep days on the location calendar', async ({ page }) => {
+      await expect(page.getByTestId('location-time')).toHaveText('Local time there: 08:30 AM (AEST)');
+      await expect(page.getByText('Mon, Jul 21', { exact: true })).toBeVisible();
+      await expect(page.getByTestId('current-temperature')).toContainText('15.8°C');
+    });
+
+    test('should move early hours to the previous day in my time', async ({ page }) => {
+      await page.getByLabel('Times shown in').selectOption('device');
+
+      // Melbourne's 06:00 Monday is 21:00 Sunday in London
+      await expect(page.getByText('Sun, Jul 20', { exact: true })).toBeVisible();
+      await expect(hourHeaders(page).first()).toHaveText('06:00 AM');
+      await expect(hourHeaders(page).last()).toHaveText('11:00 PM');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
+
+test.describe('Units', () => {
+  test.beforeEach(async ({ page }) => {
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
+    // Mock geolocation
+    await page.addInitScript(() => {
+      const mockGeolocation = {
+        getCurrentPosition: (success) => {
+          setTimeout(() => {
+            success({
+              coords: {
+                latitude: -37.8136,
+                longitude: 144.9631
+              }
+            });
+          }, 100);
+        }
+      };
+      Object.defineProperty(navigator, 'geolocation', {
+        value: mockGeolocation
+      });
+    });
+
+    await page.goto('/');
+    await expect(page.locator('div[title*="°C"]').first()).toBeVisible({ timeout: 5000 });
+  });
+
+  test('should default to metric', async ({ page }) => {
+    await expect(page.getByLabel('Units', { exact: true })).toHaveValue('metric');
+    await expect(page.getByText('Max Wind Speed: 20 km/h')).toBeVisible();
+  });
+
+  test('should convert criteria, sliders and the grid to US units', async ({ page }) => {
+    await page.getByLabel('Units', { exact: true }).selectOption('us');
+
+    await expect(page.getByText('Max Wind Speed: 12.4 mph')).toBeVisible();
+    await expect(page.getByText('Min Temperature: 50°F')).toBeVisible();
+    await expect(page.getByRole('slider', { name: 'Max Temperature' })).toHaveAttribute('max', '122');
+
+    // 09:00 on day one is 18.5°C with 22.1 km/h wind
+    const title = await page.locator('div[title*="65.3°F"]').first().getAttribute('title');
+    expect(title).toContain('65.3°F, 13.7mph');
+    expect(title).toContain('(limit 12.4 mph)');
+  });
+
+  test('should mix units per quantity and remember the choice', async ({ page }) => {
+    await page.getByLabel('Wind speed unit').selectOption('kn');
+    await expect(page.getByLabel('Units', { exact: true })).toHaveValue('custom');
+    await expect(page.getByText('Max Wind Speed: 10.8 kn')).toBeVisible();
+    await expect(page.getByText('Min Temperature: 10°C')).toBeVisible();
+
+    await page.reload();
+    await expect(page.getByLabel('Wind speed unit')).toHaveValue('kn');
+    await expect(page.getByText('Max Wind Speed: 10.8 kn')).toBeVisible();
+  });
+
+  test('should keep the stored limits when switching units back and forth', async ({ page }) => {
+    await page.getByLabel('Units', { exact: true }).selectOption('us');
+    await expect(page.getByText('Max Wind Speed: 12.4 mph')).toBeVisible();
+
+    await page.getByLabel('Units', { exact: true }).selectOption('metric');
+    await expect(page.getByText('Max Wind Speed: 20 km/h')).toBeVisible();
+  });
+
+  test('should set limits in the rider\'s units from the sliders', async ({ page }) => {
+    await page.getByLabel('Units', { exact: true }).selectOption('us');
+    await page.getByRole('slider', { name: 'Max Wind Speed' }).fill('15');
+    await expect(page.getByText('Max Wind Speed: 15 mph')).toBeVisible();
+
+    await page.getByLabel('Units', { exact: true }).selectOption('metric');
+    await expect(page.getByText('Max Wind Speed: 24.1 km/h')).toBeVisible();
+  });
+});
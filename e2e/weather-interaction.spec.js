@@ -1,8 +1,11 @@
 import { test, expect } from "@playwright/test";
-import { mockWeatherData, mockWeatherDataRainy } from './fixtures/mock-weather-data.js';
+import { serveMockWeather } from './fixtures/mock-weather-api.js';
 
 test.describe("Weather Interaction", () => {
   test.beforeEach(async ({ page }) => {
+    // Serve forecasts from the mock weather API
+    await serveMockWeather(page);
+
     // Mock geolocation
     await page.addInitScript(() => {
       const mockGeolocation = {
@@ -28,32 +31,8 @@ test.describe("Weather Interaction", () => {
   test("should update coordinates and refresh weather data", async ({
     page,
   }) => {
-    // Mock API for Sydney coordinates with different data
-    await page.route('**/api.open-meteo.com/v1/forecast*', route => {
-      const url = route.request().url();
-      if (url.includes('-33.8688') && url.includes('151.2093')) {
-        route.fulfill({
-          status: 200,
-          contentType: 'application/json',
-          body: JSON.stringify({
-            ...mockWeatherData,
-            latitude: -33.8688,
-            longitude: 151.2093,
-            timezone: "Australia/Sydney"
-          })
-        });
-      } else {
-        route.fulfill({
-          status: 200,
-          contentType: 'application/json',
-          body: JSON.stringify(mockWeatherData)
-        });
-      }
-    });
-    
     // Update latitude and longitude to a known location (Sydney)
-    await page.fill('input[placeholder="Latitude"]', "-33.8688");
-    await page.fill('input[placeholder="Longitude"]', "151.2093");
+    await page.getByLabel('Coordinates').fill('-33.8688, 151.2093');
 
     // Click refresh button
     await page.click('button:has-text("Refresh Weather Data")');
@@ -65,22 +44,13 @@ test.describe("Weather Interaction", () => {
 
     // Should eventually show weather grid
     await expect(
-      page.locator("text=Green blocks indicate suitable riding conditions")
+      page.locator("text=Hours marked ✓ meet your riding criteria")
     ).toBeVisible({ timeout: 5000 });
   });
 
   test("should change riding criteria and affect cell colors", async ({
     page,
   }) => {
-    // Mock the weather API for this test
-    await page.route('**/api.open-meteo.com/v1/forecast*', route => {
-      route.fulfill({
-        status: 200,
-        contentType: 'application/json',
-        body: JSON.stringify(mockWeatherData)
-      });
-    });
-    
     // Wait for mocked weather data to load
     await page.waitForTimeout(1000);
 
@@ -91,8 +61,8 @@ test.describe("Weather Interaction", () => {
     // Wait a moment for re-calculation
     await page.waitForTimeout(500);
 
-    // Most cells should now be red (unsuitable) due to restrictive criteria
-    const redCells = page.locator(".bg-red-50");
+    // Most cells should now score as terrible due to restrictive criteria
+    const redCells = page.locator('[data-band="terrible"]');
     await expect(redCells.first()).toBeVisible();
 
     // Now set very permissive criteria
@@ -104,21 +74,12 @@ test.describe("Weather Interaction", () => {
     // Wait a moment for re-calculation
     await page.waitForTimeout(500);
 
-    // Should have more green cells now
-    const greenCells = page.locator(".bg-green-100");
+    // Should have more green (suitable) cells now
+    const greenCells = page.locator('[data-band="great"], [data-band="good"]');
     await expect(greenCells.first()).toBeVisible();
   });
 
   test("should show tooltip on weather cell hover", async ({ page }) => {
-    // Mock the weather API
-    await page.route('**/api.open-meteo.com/v1/forecast*', route => {
-      route.fulfill({
-        status: 200,
-        contentType: 'application/json',
-        body: JSON.stringify(mockWeatherData)
-      });
-    });
-    
     // Wait for mocked weather data to load
     await page.waitForTimeout(1000);
     
@@ -136,24 +97,14 @@ test.describe("Weather Interaction", () => {
   });
 
   test("should handle error states gracefully", async ({ page }) => {
-    // Mock API error response
-    await page.route('**/api.open-meteo.com/v1/forecast*', route => {
-      route.fulfill({
-        status: 400,
-        contentType: 'application/json',
-        body: JSON.stringify({ error: 'Invalid coordinates' })
-      });
-    });
+    // Answer further forecast requests with an API error
+    await serveMockWeather(page, 'error');
     
     // Set invalid coordinates
-    await page.fill('input[placeholder="Latitude"]', "invalid");
-    await page.fill('input[placeholder="Longitude"]', "invalid");
-
-    // Try to refresh
-    await page.click('button:has-text("Refresh Weather Data")');
+    await page.getByLabel('Coordinates').fill('invalid, invalid');
 
-    // Should show an error message
-    await expect(page.locator('text=Failed to fetch weather data')).toBeVisible({ timeout: 3000 });
+    // Should explain what's wrong rather than ask the API
+    await expect(page.locator("text=Those coordinates aren't valid")).toBeVisible({ timeout: 3000 });
 
     // Page should still be responsive
     await expect(page.locator("h1")).toBeVisible();
@@ -0,0 +1,39 @@
+import { MOCK_SCENARIOS, MOCK_SCENARIO_COOKIE } from '../e2e/fixtures/mock-weather-api.js';
+
+// Serve a mock weather API from the dev server
+//
+// Answers Open-Meteo forecast requests at `path` (MOCK_FORECAST_PATH in
+// src/core/providers.js) with the e2e fixtures, so the app can be run and
+// tested without the real API: pick "Local mock" as the forecast source in a
+// dev build. The response comes from the scenario named by the scenario
+// cookie (see e2e/fixtures/mock-weather-api.js), `default` without one.
+// Comma separated coordinates get a list back, like the real API.
+export const mockWeatherApiPlugin = ({ path = '/mock-api/v1/forecast' } = {}) => ({
+  name: 'rideready-mock-weather-api',
+  apply: 'serve',
+
+  configureServer(server) {
+    server.middlewares.use(path, (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const cookies = new URLSearchParams((req.headers.cookie || '').replace(/;\s*/g, '&'));
+      const name = cookies.get(MOCK_SCENARIO_COOKIE) || 'default';
+      const scenario = MOCK_SCENARIOS[name];
+      const { status = 200, headers = {}, body } = scenario
+        ? scenario(url)
+        : { status: 400, body: { error: true, reason: `Unknown mock scenario "${name}"` } };
+
+      const latitudes = (url.searchParams.get('latitude') || '').split(',');
+      const longitudes = (url.searchParams.get('longitude') || '').split(',');
+      const payload = status === 200 && latitudes.length > 1
+        ? latitudes.map((latitude, i) => ({ ...body, latitude: Number(latitude), longitude: Number(longitudes[i]) }))
+        : body;
+
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      for (const [header, value] of Object.entries(headers)) {
+        res.setHeader(header, value);
+      }
+      res.end(JSON.stringify(payload));
+    });
+  }
+});
@@ -0,0 +1,65 @@
+import { build } from 'vite';
+import { createHash } from 'node:crypto';
+import { readFile, readdir } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+// Build the service worker alongside the app
+//
+// After the app bundle is written, the service worker entry is bundled into a
+// standalone `sw.js` at the root of the output directory. The list of built
+// files and a hash of their contents is baked in as `__PRECACHE_MANIFEST__`,
+// so every deploy gets a new app shell cache and a byte-different `sw.js`,
+// which is what tells browsers to install the update.
+export const serviceWorkerPlugin = ({ entry = 'src/sw.js', fileName = 'sw.js' } = {}) => {
+  let config;
+
+  return {
+    name: 'rideready-service-worker',
+    apply: 'build',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    async writeBundle(options, bundle) {
+      const outDir = options.dir || resolve(config.root, config.build.outDir);
+      const publicFiles = config.publicDir ? await readdir(config.publicDir) : [];
+      const files = [...new Set([...Object.keys(bundle), ...publicFiles])]
+        .filter(file => !file.endsWith('.map') && file !== fileName)
+        .sort();
+
+      const hash = createHash('sha256');
+      for (const file of files) {
+        hash.update(file);
+        hash.update(await readFile(resolve(outDir, file)));
+      }
+
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        urls: ['/', ...files.map(file => `/${file}`)]
+      };
+
+      await build({
+        configFile: false,
+        root: config.root,
+        mode: config.mode,
+        logLevel: 'warn',
+        publicDir: false,
+        define: {
+          __PRECACHE_MANIFEST__: JSON.stringify(manifest)
+        },
+        build: {
+          outDir,
+          emptyOutDir: false,
+          minify: config.build.minify,
+          lib: {
+            entry: resolve(config.root, entry),
+            formats: ['iife'],
+            name: 'RideReadyServiceWorker',
+            fileName: () => fileName
+          }
+        }
+      });
+    }
+  };
+};
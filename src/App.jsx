@@ -1,26 +1,234 @@
 import './App.css'
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef } from 'react';
+import CitySearch from './components/CitySearch.jsx';
+import SavedLocations from './components/SavedLocations.jsx';
+import ProfileSelector from './components/ProfileSelector.jsx';
+import CriteriaPanel from './components/CriteriaPanel.jsx';
+import ScoreLegend from './components/ScoreLegend.jsx';
+import RideWindows from './components/RideWindows.jsx';
+import RoutePlanner from './components/RoutePlanner.jsx';
+import RideAlerts from './components/RideAlerts.jsx';
+import RideLog from './components/RideLog.jsx';
+import UnitSettings from './components/UnitSettings.jsx';
+import LanguageSettings from './components/LanguageSettings.jsx';
+import TimeZoneSettings from './components/TimeZoneSettings.jsx';
+import CurrentConditions from './components/CurrentConditions.jsx';
+import ModelComparison from './components/ModelComparison.jsx';
+import ShareLink from './components/ShareLink.jsx';
+import GridExport from './components/GridExport.jsx';
+import ProviderSettings from './components/ProviderSettings.jsx';
+import MapPicker from './components/MapPicker.jsx';
+import WeatherGrid from './components/WeatherGrid.jsx';
+import {
+  openMeteoGeocoder,
+  nominatimReverseGeocoder,
+  createCachedReverseGeocoder,
+  formatCoordinates
+} from './geocoding.js';
+import {
+  loadSavedLocations,
+  saveSavedLocations,
+  loadLastLocation,
+  saveLastLocation,
+  addLocation,
+  removeLocation,
+  moveLocation
+} from './savedLocations.js';
+import {
+  loadProfiles,
+  saveProfiles,
+  getActiveProfile,
+  updateProfileCriteria,
+  applySharedCriteria,
+  addProfile,
+  removeProfile
+} from './profiles.js';
+import { WEATHER_VARIABLES } from './core/criteria.js';
+import { findRideWindows, isInWindow, isSameWindow, summariseCells } from './core/rideWindows.js';
+import { buildShareLink, parseShareLink } from './shareLink.js';
+import { buildRideCalendar } from './calendar.js';
+import { buildGridExport } from './gridExport.js';
+import { downloadFile, slugify } from './download.js';
+import { FETCHED_AT_HEADER } from './forecastCache.js';
+import { loadJSON, saveJSON } from './storage.js';
+import {
+  PROVIDERS,
+  MOCK_PROVIDER,
+  DEFAULT_PROVIDER_ID,
+  getProvider,
+  fetchForecast,
+  fetchModelComparison
+} from './core/providers.js';
+import { REQUEST_ERROR_KINDS } from './core/request.js';
+import { parseCoordinatePair } from './core/coordinates.js';
+import { OSM_TILES } from './core/map.js';
+import { organizeWeatherGrid } from './core/grid.js';
+import { loadUnits, saveUnits } from './unitPreferences.js';
+import { toLocationTime, fromDayKey, getForecastZone } from './core/time.js';
+import {
+  t,
+  setLocale,
+  detectLanguage,
+  loadLanguagePreference,
+  saveLanguagePreference,
+  loadClock,
+  saveClock,
+  formatDate,
+  formatTime,
+  formatHour
+} from './i18n.js';
+
+// Hours of the day shown in the grid by default
+const DEFAULT_VISIBLE_HOURS = { startHour: 6, endHour: 23 };
+const HOURS_OF_DAY = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Delay before resolving typed coordinates to a place name
+const REVERSE_GEOCODE_DEBOUNCE_MS = 500;
+// Pause in typing coordinates before they're used
+const COORDINATE_DEBOUNCE_MS = 600;
+
+// Forecasts older than this get a staleness notice
+const STALE_FORECAST_MS = 30 * 60 * 1000;
+// How often the clock behind "past" shading and the location time ticks
+const CLOCK_TICK_MS = 60 * 1000;
+// Location changes closer together than this share one history entry
+const HISTORY_COALESCE_MS = 1000;
+// The dev server also serves a mock forecast API (see plugins/mock-weather-api.js)
+const AVAILABLE_PROVIDERS = import.meta.env.DEV ? [...PROVIDERS, MOCK_PROVIDER] : PROVIDERS;
+
+// Describe how long ago a forecast was fetched, e.g. "3 hours ago"
+const formatAge = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return t('forecast.minutesAgo', { count: minutes });
+  }
+  return t('forecast.hoursAgo', { count: Math.round(minutes / 60) });
+};
 
 // Main App component
-const App = () => {
+// `geocoder` can be swapped for any adapter implementing `search(query)`,
+// `reverseGeocoder` for any adapter implementing `reverse(latitude, longitude)`
+// and `mapTiles` for any tile source (see core/map.js)
+const App = ({ geocoder = openMeteoGeocoder, reverseGeocoder = nominatimReverseGeocoder, mapTiles = OSM_TILES }) => {
+  // State for the display language (`null` follows the browser) and clock.
+  // The i18n module is switched over once a change commits, and the render
+  // that follows (before the browser paints) has every component below
+  // translating and formatting with the new choice.
+  const [languagePreference, setLanguagePreference] = useState(loadLanguagePreference);
+  const [clock, setClock] = useState(loadClock);
+  const language = languagePreference || detectLanguage();
+  const [, setAppliedLocale] = useState(null);
+
+  useLayoutEffect(() => {
+    setLocale({ language, clock });
+    setAppliedLocale({ language, clock });
+  }, [language, clock]);
+
+  useEffect(() => {
+    saveLanguagePreference(languagePreference);
+  }, [languagePreference]);
+
+  useEffect(() => {
+    saveClock(clock);
+  }, [clock]);
+
+  // What the link the page was opened with asks for (see src/shareLink.js).
+  // It wins over the rider's stored location, units and active profile.
+  const [sharedLink] = useState(() => parseShareLink(window.location.search));
+
   // State for latitude and longitude (defaulting to Melbourne, Australia)
   const [latitude, setLatitude] = useState(null);
   const [longitude, setLongitude] = useState(null);
 
-  // State for riding criteria
-  // Default riding criteria constants
-  const DEFAULT_MAX_WIND_SPEED = 20;
-  const DEFAULT_MIN_TEMPERATURE = 10;
-  const DEFAULT_MAX_TEMPERATURE = 35;
-  const DEFAULT_MAX_PRECIPITATION = 0;
+  // State for rider profiles, each bundling a full set of riding criteria
+  const [profileState, setProfileState] = useState(() => (
+    sharedLink.criteria ? applySharedCriteria(loadProfiles(), sharedLink.criteria) : loadProfiles()
+  ));
+  const activeProfile = getActiveProfile(profileState);
+  const criteria = activeProfile.criteria;
+
+  // Persist profiles whenever they change
+  useEffect(() => {
+    saveProfiles(profileState);
+  }, [profileState]);
+
+  // State for the ride window finder
+  const [minWindowHours, setMinWindowHours] = useState(() => loadJSON('minWindowHours', 3));
+  // The highlighted window as `{ start, end }` forecast times, either picked
+  // from the list or opened from a link
+  const [highlightedWindow, setHighlightedWindow] = useState(sharedLink.window);
 
-  const [maxPrecipitation, setMaxPrecipitation] = useState(DEFAULT_MAX_PRECIPITATION);
-  const [maxWindSpeed, setMaxWindSpeed] = useState(DEFAULT_MAX_WIND_SPEED);
-  const [minTemperature, setMinTemperature] = useState(DEFAULT_MIN_TEMPERATURE);
-  const [maxTemperature, setMaxTemperature] = useState(DEFAULT_MAX_TEMPERATURE);
+  useEffect(() => {
+    saveJSON('minWindowHours', minWindowHours);
+  }, [minWindowHours]);
+
+  // State for the range of hours shown in the grid
+  const [visibleHours, setVisibleHours] = useState(() => loadJSON('visibleHours', DEFAULT_VISIBLE_HOURS));
+
+  useEffect(() => {
+    saveJSON('visibleHours', visibleHours);
+  }, [visibleHours]);
+
+  // Whether forecast days and hours are shown in the location's time or the
+  // device's. Either way, "now" is the same instant.
+  const [timeDisplay, setTimeDisplay] = useState(() => loadJSON('timeDisplay', 'location'));
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    saveJSON('timeDisplay', timeDisplay);
+  }, [timeDisplay]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // State for the rider's preferred units. Criteria stay metric whatever the
+  // units, and are only snapped onto a unit's steps when set from a slider.
+  const [units, setUnits] = useState(() => sharedLink.units || loadUnits());
+
+  useEffect(() => {
+    saveUnits(units);
+  }, [units]);
+
+  // State for the weather provider forecasts are fetched from
+  const [providerId, setProviderId] = useState(() => loadJSON('weatherProvider', DEFAULT_PROVIDER_ID));
+  const provider = getProvider(providerId, AVAILABLE_PROVIDERS);
+
+  useEffect(() => {
+    saveJSON('weatherProvider', providerId);
+  }, [providerId]);
+
+  // Update a single criterion on the active profile
+  const setCriterion = (key, value) => {
+    setProfileState(state => updateProfileCriteria(state, activeProfile.id, { [key]: value }));
+  };
+
+  // State for the rider's saved locations
+  const [savedLocations, setSavedLocations] = useState(loadSavedLocations);
+
+  // Persist saved locations whenever they change
+  useEffect(() => {
+    saveSavedLocations(savedLocations);
+  }, [savedLocations]);
 
   // Get user's location on component mount
   useEffect(() => {
+    // A shared link says where to look
+    if (sharedLink.location) {
+      setLatitude(sharedLink.location.latitude);
+      setLongitude(sharedLink.location.longitude);
+      return;
+    }
+
+    // Prefer the last location used over asking for geolocation again
+    const lastLocation = loadLastLocation();
+    if (lastLocation) {
+      setLatitude(lastLocation.latitude);
+      setLongitude(lastLocation.longitude);
+      return;
+    }
+
     if (navigator.geolocation) {
     navigator.geolocation.getCurrentPosition(
       (position) => {
@@ -32,164 +240,436 @@ const App = () => {
       // Fallback to Melbourne coordinates
       setLatitude('-37.8136');
       setLongitude('144.9631');
-      setError('Unable to get your location. Using Melbourne as default.');
+      setError(t('app.errors.locationUnavailable'));
       }
     );
     } else {
     // Geolocation not supported, use Melbourne as fallback
     setLatitude('-37.8136');
     setLongitude('144.9631');
-    setError('Geolocation not supported by this browser. Using Melbourne as default.');
+    setError(t('app.errors.geolocationUnsupported'));
     }
+  }, [sharedLink]);
+
+  // Remember the coordinates in use for the next visit
+  useEffect(() => {
+    if (latitude && longitude && Number.isFinite(Number(latitude)) && Number.isFinite(Number(longitude))) {
+      saveLastLocation({ latitude, longitude });
+    }
+  }, [latitude, longitude]);
+
+  // Keep the page URL describing what's on screen, so it can be shared and
+  // bookmarked. Moving to another place or window adds a history entry;
+  // anything else, like dragging a slider, updates the current one.
+  const lastHistoryPushRef = useRef(0);
+  useEffect(() => {
+    if (!latitude || !longitude || !Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude))) {
+      return;
+    }
+    const search = `?${buildShareLink({ latitude, longitude, criteria, units, window: highlightedWindow })}`;
+    if (search === window.location.search) {
+      return;
+    }
+
+    const current = parseShareLink(window.location.search);
+    const moved = current.location !== null && (
+      current.location.latitude !== String(latitude) ||
+      current.location.longitude !== String(longitude) ||
+      !isSameWindow(current.window, highlightedWindow)
+    );
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    // Typing coordinates moves on every keystroke; keep that to one entry
+    if (moved && Date.now() - lastHistoryPushRef.current > HISTORY_COALESCE_MS) {
+      window.history.pushState(null, '', url);
+      lastHistoryPushRef.current = Date.now();
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [latitude, longitude, criteria, units, highlightedWindow]);
+
+  // Restore the state a history entry's URL describes on back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      const link = parseShareLink(window.location.search);
+      if (link.location) {
+        setCoordinateDraft(null);
+        setLatitude(link.location.latitude);
+        setLongitude(link.location.longitude);
+      }
+      if (link.criteria) {
+        setProfileState(state => applySharedCriteria(state, link.criteria));
+      }
+      if (link.units) {
+        setUnits(link.units);
+      }
+      setHighlightedWindow(link.window);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
   }, []);
+
   // State for weather data
   const [weatherData, setWeatherData] = useState(null);
   // State for loading status
   const [loading, setLoading] = useState(false);
   // State for any errors
   const [error, setError] = useState('');
-  // State for current city name (optional, could be added via geocoding)
-  const [cityName, setCityName] = useState('Melbourne');
+  // When the forecast on screen was fetched, if it came from the offline cache
+  const [forecastFetchedAt, setForecastFetchedAt] = useState(null);
+  // Whether the browser thinks it has a connection
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // State for current city name, resolved from the coordinates in use
+  const [cityName, setCityName] = useState('');
+
+  // Reverse geocoder with results cached per rounded coordinate
+  const cachedReverseGeocoder = useMemo(
+    () => createCachedReverseGeocoder(reverseGeocoder),
+    [reverseGeocoder]
+  );
+
+  // Resolve the coordinates in use to a place name for the heading
+  useEffect(() => {
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (!latitude || !longitude || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const place = await cachedReverseGeocoder.reverse(lat, lon, { signal: controller.signal });
+        setCityName(place ? place.name : formatCoordinates(lat, lon));
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          return;
+        }
+        console.error('Error resolving place name:', err);
+        setCityName(formatCoordinates(lat, lon));
+      }
+    }, REVERSE_GEOCODE_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [latitude, longitude, cachedReverseGeocoder]);
+
+  // Coordinates being typed or pasted, or null while the field shows the
+  // coordinates in use. They're used once typing pauses, and only if they
+  // parse (see core/coordinates.js), so half-typed values never reach the API.
+  const [coordinateDraft, setCoordinateDraft] = useState(null);
+
+  // Use the typed coordinates if they're valid, returning the coordinates
+  // now in use, or null if they aren't
+  const commitCoordinateDraft = useCallback((draft) => {
+    const coordinates = parseCoordinatePair(draft);
+    if (!coordinates) {
+      setError(t('app.errors.invalidCoordinates'));
+      return null;
+    }
+    setCoordinateDraft(null);
+    setError('');
+    setLatitude(coordinates.latitude);
+    setLongitude(coordinates.longitude);
+    return coordinates;
+  }, []);
+
+  useEffect(() => {
+    if (coordinateDraft === null) {
+      return;
+    }
+    const timer = setTimeout(() => commitCoordinateDraft(coordinateDraft), COORDINATE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [coordinateDraft, commitCoordinateDraft]);
+
+  // Move to a spot clicked on the map
+  const handleMapPick = (coordinates) => {
+    setCoordinateDraft(null);
+    setLatitude(coordinates.latitude);
+    setLongitude(coordinates.longitude);
+  };
+
+  // Apply a place picked from the city search
+  const handlePlaceSelect = (place) => {
+    // We already know this place's name, so skip the reverse lookup
+    cachedReverseGeocoder.prime(place.latitude, place.longitude, place);
+    setCoordinateDraft(null);
+    setCityName(place.name);
+    setLatitude(place.latitude.toString());
+    setLongitude(place.longitude.toString());
+  };
 
-  // Function to fetch weather data from Open-Meteo API
-  const fetchWeatherData = useCallback(async () => {
+  // Save the current coordinates under a rider-chosen name
+  const handleSaveLocation = (name) => {
+    // Coordinates still being typed are what the rider means to save
+    const coordinates = coordinateDraft === null ? { latitude, longitude } : commitCoordinateDraft(coordinateDraft);
+    if (coordinates) {
+      setSavedLocations(locations => addLocation(locations, { name, ...coordinates }));
+    }
+  };
+
+  // Switch to a saved location, showing its saved name in the heading
+  const handleSavedLocationSelect = (location) => {
+    cachedReverseGeocoder.prime(location.latitude, location.longitude, { name: location.name });
+    setCoordinateDraft(null);
+    setCityName(location.name);
+    setLatitude(location.latitude);
+    setLongitude(location.longitude);
+  };
+
+  // The forecast request in flight, cancelled when a newer one starts so a
+  // slow answer for an old location can't overwrite the current one
+  const forecastRequestRef = useRef(null);
+
+  // Function to fetch weather data from the chosen provider
+  // A background refresh swaps the data in place without clearing the grid
+  const fetchWeatherData = useCallback(async ({ background = false } = {}) => {
     // Only fetch if we have valid coordinates
     if (!latitude || !longitude) {
     return;
     }
 
-    setLoading(true); // Set loading to true while fetching
-    setError('');      // Clear any previous errors
-    setWeatherData(null); // Clear previous weather data
+    forecastRequestRef.current?.abort();
+    const controller = new AbortController();
+    forecastRequestRef.current = controller;
 
-    try {
-      // Open-Meteo API URL
-      const apiUrl = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&hourly=temperature_2m,precipitation,wind_speed_10m&wind_speed_unit=kmh&timezone=auto&forecast_days=7`;
+    if (!background) {
+      setLoading(true); // Set loading to true while fetching
+      setError('');      // Clear any previous errors
+      setWeatherData(null); // Clear previous weather data
+    }
 
-      const response = await fetch(apiUrl);
-      // Check if the response is OK
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
-      setWeatherData(data); // Set the fetched weather data
+    try {
+      const { forecast, response } = await fetchForecast(provider, latitude, longitude, {
+        nowcast: true,
+        signal: controller.signal
+      });
+      setWeatherData(forecast); // Set the fetched weather data
+      // Only responses served from the service worker cache are stamped
+      const fetchedAt = Number(response.headers.get(FETCHED_AT_HEADER));
+      setForecastFetchedAt(fetchedAt > 0 ? fetchedAt : null);
     } catch (err) {
+      if (err.name === 'AbortError') {
+        return;
+      }
       console.error('Error fetching weather data:', err);
-      setError('Failed to fetch weather data. Please try again.'); // Set error message
+      // Explain what went wrong where we can tell
+      setError(t(REQUEST_ERROR_KINDS.includes(err.kind) ? `app.errors.${err.kind}` : 'app.errors.fetchFailed'));
     } finally {
-      setLoading(false); // Set loading to false once fetching is complete
+      // A newer request takes over the loading state
+      if (forecastRequestRef.current === controller) {
+        setLoading(false); // Set loading to false once fetching is complete
+      }
     }
-  }, [latitude, longitude]); // Dependencies for useCallback
+  }, [latitude, longitude, provider]); // Dependencies for useCallback
 
   // useEffect hook to fetch data when latitude or longitude changes
   useEffect(() => {
     fetchWeatherData();
   }, [fetchWeatherData]); // Dependency array ensures it runs when fetchWeatherData changes (which is on initial render and when lat/lon change)
 
-  // Function to organize weather data into grid format
-  const organizeWeatherGrid = () => {
-    if (!weatherData || !weatherData.hourly) {
-      return { days: [], hours: [], grid: [] };
+  // Pick up fresher forecasts the service worker fetched in the background
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) {
+      return;
     }
+    const handleMessage = (event) => {
+      if (event.data?.type === 'forecast-updated') {
+        fetchWeatherData({ background: true });
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [fetchWeatherData]);
+
+  // Per-model forecasts for the confidence indicator. Off by default, as it
+  // is a second, larger request.
+  const [compareModels, setCompareModels] = useState(() => loadJSON('compareModels', false));
+  const [modelForecast, setModelForecast] = useState(null);
+  const [modelError, setModelError] = useState('');
+  // Forecast `time` of the cell whose models are shown, e.g. "2025-07-21T09:00"
+  const [comparedTime, setComparedTime] = useState(null);
 
-    const { time, precipitation, wind_speed_10m, temperature_2m } = weatherData.hourly;
-    const dayMap = new Map();
-    const hoursSet = new Set();
-
-    // Group data by day and collect all hours
-    for (let i = 0; i < time.length; i++) {
-      const dateTime = new Date(time[i]);
-      const dayKey = dateTime.toDateString();
-      const hour = dateTime.getHours();
+  useEffect(() => {
+    saveJSON('compareModels', compareModels);
+  }, [compareModels]);
 
-      hoursSet.add(hour);
+  useEffect(() => {
+    setModelForecast(null);
+    setModelError('');
+    if (!compareModels || !provider.features.models || !latitude || !longitude) {
+      return;
+    }
 
-      if (!dayMap.has(dayKey)) {
-        dayMap.set(dayKey, {
-          date: dateTime,
-          hours: new Map()
-        });
+    const controller = new AbortController();
+    const fetchModels = async () => {
+      try {
+        setModelForecast(await fetchModelComparison(provider, latitude, longitude, { signal: controller.signal }));
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          return;
+        }
+        console.error('Error fetching model comparison:', err);
+        setModelError(t('models.fetchFailed'));
       }
+    };
+    fetchModels();
+    return () => controller.abort();
+  }, [compareModels, provider, latitude, longitude]);
 
-      // Check if conditions are suitable for riding
-      const isSuitable =
-        precipitation[i] <= maxPrecipitation &&
-        wind_speed_10m[i] <= maxWindSpeed &&
-        temperature_2m[i] >= minTemperature &&
-        temperature_2m[i] <= maxTemperature;
-
-      dayMap.get(dayKey).hours.set(hour, {
-        suitable: isSuitable,
-        temperature: temperature_2m[i],
-        precipitation: precipitation[i],
-        windSpeed: wind_speed_10m[i],
-        isPast: dateTime < new Date()
-      });
-    }
+  // Track connectivity for the offline notice
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
 
-    const days = Array.from(dayMap.values()).sort((a, b) => a.date - b.date);
-    const hours = Array.from(hoursSet).sort((a, b) => a - b).filter(hour => hour >= 6);
+  // Lay the forecast out as a grid of hours judged against the criteria
+  const { days, hours, grid } = organizeWeatherGrid(weatherData, {
+    criteria,
+    now,
+    timeDisplay,
+    visibleHours,
+    modelForecast,
+    latitude
+  });
 
-    // Create grid data with days as rows and hours as columns
-    const grid = days.map(day => ({
-      day,
-      hours: hours.map(hour => day.hours.get(hour) || null)
-    }));
+  // The zone the forecast's times are in (see core/time.js)
+  const forecastZone = getForecastZone(weatherData);
+
+  // Format an instant in the time zone the forecast is shown in
+  const formatClockTime = (date) => (
+    timeDisplay === 'device' || forecastZone === null
+      ? formatTime(date)
+      : formatTime(toLocationTime(date, forecastZone), { timeZone: 'UTC' })
+  );
 
-    return { days, hours, grid };
+  // Contiguous suitable windows, best first
+  const rideWindows = findRideWindows(grid, hours, { minHours: minWindowHours });
+  const selectedWindow = rideWindows.find(window => isSameWindow(window, highlightedWindow)) || null;
+
+  // The highlighted hours, which needn't be one of the listed windows (or
+  // within the hours on screen) when they were opened from a link
+  const highlightedCells = days
+    .flatMap(day => Array.from(day.hours.values()))
+    .filter(cell => isInWindow(highlightedWindow, cell.time));
+
+  const placeName = cityName || formatCoordinates(Number(latitude), Number(longitude));
+
+  // What a shared link says about the forecast on screen
+  const describeShareLink = () => {
+    if (!highlightedWindow) {
+      return t('share.text', { location: placeName });
+    }
+    const { start, end } = highlightedWindow;
+    const span = `${formatDate(fromDayKey(start.slice(0, 10)))} ${formatHour(Number(start.slice(11, 13)))} – ${formatHour(Number(end.slice(11, 13)))}`;
+    return t('share.textWindow', { location: placeName, window: span });
   };
 
-  const { days, hours, grid } = organizeWeatherGrid();
+  // Download ride windows as an .ics file
+  const downloadCalendar = (windows, filename, name) => {
+    const calendar = buildRideCalendar(windows, {
+      allWindows: rideWindows,
+      location: { name: placeName, latitude, longitude },
+      zone: forecastZone,
+      units,
+      name
+    });
+    downloadFile(filename, calendar, 'text/calendar');
+  };
 
-  // Helper to format date for display
-  const formatDate = (date) => date.toLocaleDateString('en-AU', {
-    weekday: 'short', month: 'short', day: 'numeric'
-  });
+  const addWindowToCalendar = (window) => {
+    downloadCalendar([window], `ride-${slugify(placeName)}-${window.start.slice(0, 10)}.ics`);
+  };
 
-  // Helper to format time for display
-  const formatTime = (date) => date.toLocaleTimeString('en-AU', {
-    hour: '2-digit', minute: '2-digit', hour12: true
-  });
+  // The grid cell whose models are shown, if it's still on screen
+  const comparedRow = comparedTime
+    ? grid.find(row => row.hours.some(cell => cell && cell.time === comparedTime && cell.models))
+    : null;
+  const comparedColumn = comparedRow ? comparedRow.hours.findIndex(cell => cell && cell.time === comparedTime) : -1;
 
   return (
     <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
     <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-6xl">
+      <LanguageSettings
+        languagePreference={languagePreference}
+        onLanguageChange={setLanguagePreference}
+        clock={clock}
+        onClockChange={setClock}
+      />
       <h1 className="text-4xl font-extrabold text-gray-900 mb-6 text-center">
-      🏍️ POC Ride Ready - 7 Day Forecast
+      {t('app.title')}
       </h1>
+      <h2 id="forecast-location" className="text-xl font-medium text-gray-600 mb-6 text-center -mt-4">
+      📍 {cityName || t('app.findingLocation')}
+      </h2>
+      {latitude && longitude && (
+        <ShareLink title={t('app.title')} text={describeShareLink()}>
+          {highlightedCells.length > 0 && (
+            <button
+              type="button"
+              onClick={() => addWindowToCalendar(selectedWindow || { ...highlightedWindow, stats: summariseCells(highlightedCells) })}
+              className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+            >
+              {t('calendar.addHighlighted')}
+            </button>
+          )}
+        </ShareLink>
+      )}
 
       {/* Location Input */}
       <div className="mb-6">
-      <input
-        type="text"
-        id="city"
+      <CitySearch
         value={cityName}
-        onChange={(e) => setCityName(e.target.value)}
-        placeholder="Enter city name or adjust Lat/Lon below"
-        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 mb-2"
-        disabled // Disabled for now, as geocoding isn't implemented.
+        language={language}
+        geocoder={geocoder}
+        onSelect={handlePlaceSelect}
       />
-      <div className="flex space-x-4">
-        <input
-        type="text"
-        value={latitude || ''}
-        onChange={(e) => setLatitude(e.target.value)}
-        placeholder="Latitude"
-        className="w-1/2 p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-        />
-        <input
+      <MapPicker
+        latitude={latitude}
+        longitude={longitude}
+        locations={savedLocations}
+        tiles={mapTiles}
+        onPick={handleMapPick}
+        onSelectLocation={handleSavedLocationSelect}
+      />
+      <input
         type="text"
-        value={longitude || ''}
-        onChange={(e) => setLongitude(e.target.value)}
-        placeholder="Longitude"
-        className="w-1/2 p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-        />
-      </div>
+        value={coordinateDraft ?? (latitude && longitude ? `${latitude}, ${longitude}` : '')}
+        onChange={(e) => setCoordinateDraft(e.target.value)}
+        aria-label={t('location.coordinates')}
+        placeholder={t('location.coordinatesPlaceholder')}
+        autoComplete="off"
+        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+      />
       <p className="text-sm text-gray-500 mt-2">
-        Currently hardcoded to Melbourne (change Lat/Lon above for other locations).
+        {t('location.hint')}
       </p>
       </div>
 
+      {/* Saved Locations */}
+      <SavedLocations
+        locations={savedLocations}
+        latitude={latitude}
+        longitude={longitude}
+        suggestedName={cityName}
+        onSave={handleSaveLocation}
+        onSelect={handleSavedLocationSelect}
+        onMove={(id, offset) => setSavedLocations(locations => moveLocation(locations, id, offset))}
+        onDelete={(id) => setSavedLocations(locations => removeLocation(locations, id))}
+      />
+      <ProviderSettings
+        providers={AVAILABLE_PROVIDERS}
+        provider={provider}
+        onChange={setProviderId}
+      />
+
         {/* Fetch Button */}
       {/* Loading and Error Messages */}
       {loading && (
@@ -198,200 +678,208 @@ const App = () => {
         <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
         <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
         </svg>
-        Loading weather data...
+        {t('app.loading')}
       </div>
       )}
       {error && (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative mb-4" role="alert">
-        <strong className="font-bold">Error: </strong>
+        <strong className="font-bold">{t('app.error')}</strong>
         <span className="block sm:inline">{error}</span>
       </div>
       )}
 
+      {/* Offline / stale forecast notice */}
+      {weatherData && forecastFetchedAt && Date.now() - forecastFetchedAt > STALE_FORECAST_MS && (
+      <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded-lg mb-4" role="status" data-testid="stale-forecast">
+        {t('forecast.from', { age: formatAge(Date.now() - forecastFetchedAt) })}
+        {isOnline ? t('forecast.updating') : t('forecast.offline')}
+      </div>
+      )}
+
       {/* Current Weather Display (if data available) */}
       {weatherData && weatherData.hourly && (
         <>
-        <h2 className="text-2xl font-semibold text-gray-800 mb-3">Current Conditions</h2>
-      <div className="mb-8 p-4 bg-blue-50 rounded-lg shadow-inner">
-        <p className="text-gray-700">
-        <span className="font-medium">Temperature:</span>{' '}
-        {(() => {
-          // Find the index for the current hour
-          const now = new Date();
-          // Round to the nearest hour in the weather data's timezone
-          const pad = (n) => n.toString().padStart(2, '0');
-          const localISO = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T${pad(now.getHours())}:00`;
-          const idx = weatherData.hourly.time.findIndex(t => t.startsWith(localISO));
-          return idx !== -1
-          ? `${weatherData.hourly.temperature_2m[idx]} °C`
-          : 'N/A';
-        })()}
-        </p>
-        <p className="text-gray-700">
-        <span className="font-medium">Precipitation:</span> {weatherData.hourly.precipitation[0]} mm
-        </p>
-        <p className="text-gray-700">
-        <span className="font-medium">Wind Speed:</span> {weatherData.hourly.wind_speed_10m[0]} km/h
-        </p>
-      </div></>
+        <h2 className="text-2xl font-semibold text-gray-800 mb-3">{t('current.title')}</h2>
+      {forecastZone !== null && (
+        <TimeZoneSettings
+          zone={forecastZone}
+          zoneName={weatherData.timezone_abbreviation}
+          now={now}
+          timeDisplay={timeDisplay}
+          onChange={setTimeDisplay}
+        />
+      )}
+      <CurrentConditions
+        forecast={weatherData}
+        criteria={criteria}
+        units={units}
+        now={now}
+        formatTime={formatClockTime}
+      />
+      </>
       )}
 
       <button
-      onClick={fetchWeatherData}
+      onClick={() => fetchWeatherData()}
       disabled={loading}
       className={`w-full py-3 px-4 rounded-lg text-white font-semibold transition duration-300 ${
         loading ? 'bg-blue-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-500 focus:ring-opacity-50'
       } shadow-md mb-6`}
       >
-      {loading ? 'Fetching Weather...' : 'Refresh Weather Data'}
+      {loading ? t('app.refreshing') : t('app.refresh')}
       </button>
 
 
       {/* Riding Criteria */}
       <>
       <h2 className="text-2xl font-semibold text-gray-800 mb-4">
-      Suitable Forecasted Riding Windows
+      {t('app.criteriaTitle')}
       </h2>
-      <p className="mb-6">Select your criteria</p>
-      <div className="mb-6 p-4 bg-gray-50 rounded-lg">
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Max Precipitation: {maxPrecipitation} mm
-          </label>
-          <input
-            type="range"
-            value={maxPrecipitation}
-            onChange={(e) => setMaxPrecipitation(Number(e.target.value))}
-            min="0"
-            max="10"
-            step="0.1"
-            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-          />
-          </div>
-          <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Max Wind Speed: {maxWindSpeed} km/h
-          </label>
-          <input
-            type="range"
-            value={maxWindSpeed}
-            onChange={(e) => setMaxWindSpeed(Number(e.target.value))}
-            min="0"
-            max="50"
-            step="1"
-            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-          />
-          </div>
-          <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Min Temperature: {minTemperature}°C
-          </label>
-          <input
-            type="range"
-            value={minTemperature}
-            onChange={(e) => setMinTemperature(Number(e.target.value))}
-            min="-10"
-            max="40"
-            step="1"
-            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-          />
-          </div>
-          <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Max Temperature: {maxTemperature}°C
-          </label>
-          <input
-            type="range"
-            value={maxTemperature}
-            onChange={(e) => setMaxTemperature(Number(e.target.value))}
-            min="-10"
-            max="50"
-            step="1"
-            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-          />
-          </div>
-        </div>
-      </div></>
+      <p className="mb-6">{t('app.criteriaPrompt')}</p>
+      <ProfileSelector
+        profiles={profileState.profiles}
+        activeProfile={activeProfile}
+        onSelect={(id) => setProfileState(state => ({ ...state, activeProfileId: id }))}
+        onCreate={(name) => setProfileState(state => addProfile(state, { name, criteria: activeProfile.criteria }))}
+        onDelete={(id) => setProfileState(state => removeProfile(state, id))}
+        onImport={(profile) => setProfileState(state => addProfile(state, profile))}
+      />
+      <UnitSettings units={units} onChange={setUnits} />
+      <CriteriaPanel criteria={criteria} units={units} onChange={setCriterion} />
+      </>
+
+      {/* Ride Windows */}
+      {weatherData && (
+        <RideWindows
+          windows={rideWindows}
+          minHours={minWindowHours}
+          onMinHoursChange={setMinWindowHours}
+          selectedWindowId={selectedWindow ? selectedWindow.id : null}
+          onSelect={(id) => {
+            const picked = rideWindows.find(window => window.id === id);
+            setHighlightedWindow(picked ? { start: picked.start, end: picked.end } : null);
+          }}
+          onAddToCalendar={addWindowToCalendar}
+          onAddAllToCalendar={() => downloadCalendar(
+            rideWindows,
+            `ride-windows-${slugify(placeName)}.ics`,
+            t('calendar.name', { location: placeName })
+          )}
+          formatDate={formatDate}
+          formatHour={formatHour}
+          units={units}
+        />
+      )}
 
       {/* Weather Grid Display */}
-      <p className="text-sm text-gray-500 mb-4">Green blocks indicate suitable riding conditions based on your criteria:</p>
+      <p className="text-sm text-gray-500 mb-4">{t('grid.intro')}</p>
+      <ScoreLegend />
+      <div className="flex items-center space-x-2 mb-4 text-sm text-gray-700">
+        <span>{t('grid.showHoursFrom')}</span>
+        <select
+          value={visibleHours.startHour}
+          onChange={(e) => setVisibleHours({ ...visibleHours, startHour: Number(e.target.value) })}
+          aria-label={t('grid.firstHour')}
+          className="p-1 border border-gray-300 rounded-lg"
+        >
+          {HOURS_OF_DAY.filter(hour => hour <= visibleHours.endHour).map(hour => (
+            <option key={hour} value={hour}>{formatHour(hour)}</option>
+          ))}
+        </select>
+        <span>{t('grid.to')}</span>
+        <select
+          value={visibleHours.endHour}
+          onChange={(e) => setVisibleHours({ ...visibleHours, endHour: Number(e.target.value) })}
+          aria-label={t('grid.lastHour')}
+          className="p-1 border border-gray-300 rounded-lg"
+        >
+          {HOURS_OF_DAY.filter(hour => hour >= visibleHours.startHour).map(hour => (
+            <option key={hour} value={hour}>{formatHour(hour)}</option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-500">{t('grid.daylightKey')}</span>
+        {provider.features.models && (
+          <label className="flex items-center space-x-1 ml-auto">
+            <input
+              type="checkbox"
+              checked={compareModels}
+              onChange={(e) => setCompareModels(e.target.checked)}
+            />
+            <span>{t('models.compare')}</span>
+          </label>
+        )}
+      </div>
+      {compareModels && provider.features.models && weatherData && !modelForecast && (
+        <p className="text-sm text-gray-500 mb-4" role={modelError ? 'alert' : 'status'}>
+          {modelError || t('models.loading')}
+        </p>
+      )}
       {days.length > 0 ? (
-        <div className="relative overflow-hidden">
-          <div className="flex">
-            {/* Fixed Day Column */}
-            <div className="flex-shrink-0 bg-white border-r border-gray-200 z-10">
-              {/* Day Header */}
-              <div className="p-2 text-xs text-gray-600 font-extrabold h-10 flex items-center border-b border-gray-200 bg-gray-50">
-                Day
-              </div>
-              {/* Day Rows */}
-              {grid.map((row, rowIndex) => (
-                <div key={rowIndex} className="p-2 text-xs font-medium text-gray-600 flex items-center h-16 border-b border-gray-100 last:border-b-0 bg-white min-w-[120px]">
-                  {formatDate(row.day.date)}
-                </div>
-              ))}
-            </div>
-
-            {/* Scrollable Hours Section */}
-            <div className="overflow-x-auto flex-1">
-              <div className="min-w-max">
-                {/* Hours Header */}
-                <div className="flex h-10 border-b border-gray-200 bg-gray-50">
-                  {hours.map((hour, index) => (
-                    <div key={index} className="p-2 text-xs font-medium text-gray-600 text-center min-w-[80px] flex items-center justify-center">
-                      {formatTime(new Date(new Date().setHours(hour, 0, 0, 0)))}
-                    </div>
-                  ))}
-                </div>
-
-                {/* Weather Grid Rows */}
-                {grid.map((row, rowIndex) => (
-                  <div key={rowIndex} className="flex h-16 border-b border-gray-100 last:border-b-0">
-                    {row.hours.map((cell, cellIndex) => (
-                      <div
-                        key={cellIndex}
-                        className={`p-2 text-xs transition-all duration-200 hover:scale-105 min-w-[80px] ${
-                          !cell
-                            ? 'bg-gray-100'
-                            : cell.isPast
-                            ? 'bg-gray-200 opacity-50'
-                            : cell.suitable
-                            ? 'bg-green-100 hover:bg-green-200'
-                            : 'bg-red-50'
-                        }`}
-                        title={
-                          cell
-                            ? `${cell.temperature}°C, ${cell.windSpeed}km/h, ${cell.precipitation}mm${cell.isPast ? ' (past)' : ''}`
-                            : 'No data'
-                        }
-                      >
-                        {cell && (
-                          <div className="flex flex-col items-center justify-center h-12">
-                            <div className="font-medium">{Math.round(cell.temperature)}°C</div>
-                            <div className="text-xs text-gray-600">
-                              {cell.windSpeed}km/h
-                            </div>
-                          </div>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                ))}
-              </div>
-            </div>
-          </div>
-        </div>
+        <>
+        <WeatherGrid
+          grid={grid}
+          hours={hours}
+          units={units}
+          highlightedWindow={highlightedWindow}
+          comparedTime={comparedTime}
+          onCompare={setComparedTime}
+        />
+        <GridExport
+          filename={`forecast-${slugify(placeName)}`}
+          buildExport={() => buildGridExport(grid, hours, {
+            criteria,
+            units,
+            location: { name: placeName, latitude, longitude },
+            timeDisplay,
+            utcOffsetSeconds: weatherData.utc_offset_seconds
+          })}
+        />
+        </>
       ) : (
         !loading && !error && weatherData && (
           <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded-lg relative" role="alert">
-            <strong className="font-bold">No data available!</strong>
-            <span className="block sm:inline"> Unable to load weather data for the forecast period.</span>
+            <strong className="font-bold">{t('grid.emptyTitle')}</strong>
+            <span className="block sm:inline">{t('grid.emptyBody')}</span>
           </div>
         )
       )}
+
+      {/* Model comparison for the chosen cell */}
+      {comparedRow && (
+        <ModelComparison
+          comparison={comparedRow.hours[comparedColumn].models}
+          title={t('models.title', { time: `${formatDate(comparedRow.day.date)} ${formatHour(hours[comparedColumn])}` })}
+          units={units}
+          onClose={() => setComparedTime(null)}
+        />
+      )}
+
+      {/* Route Forecast */}
+      <div className="mt-8">
+        <RoutePlanner criteria={criteria} units={units} provider={provider} formatTime={formatTime} />
+      </div>
+
+      {/* Ride Alerts */}
+      <RideAlerts
+        savedLocations={savedLocations}
+        currentLocation={{ name: cityName, latitude: latitude ? Number(latitude) : null, longitude: longitude ? Number(longitude) : null }}
+        providerId={provider.id}
+        profiles={profileState.profiles}
+        activeProfileId={activeProfile.id}
+        language={language}
+      />
+
+      <RideLog
+        savedLocations={savedLocations}
+        currentLocation={{ name: cityName, latitude: latitude ? Number(latitude) : null, longitude: longitude ? Number(longitude) : null }}
+        forecast={weatherData}
+        criteria={criteria}
+        units={units}
+        onApplySuggestion={setCriterion}
+      />
+
       <div className="mt-8 text-center text-gray-500 text-xs">
-      <p>Powered by Open-Meteo.com</p>
+      <p>{t('app.poweredBy', { provider: provider.attribution })}</p>
       </div>
     </div>
     </div>
@@ -0,0 +1,150 @@
+import { getHourlyValues, evaluateCriteria } from './core/criteria.js';
+import { buildDaylightByDay, classifyHour } from './core/daylight.js';
+import { PROVIDERS, MOCK_PROVIDER, getProvider, fetchForecast } from './core/providers.js';
+import { ALERTS_STORE, getAllRecords, putRecord } from './db.js';
+import { toZonedHourKey, toZonedDayKey, parseForecastTime, formatHourKey, getForecastZone } from './core/time.js';
+import { translate, DEFAULT_LANGUAGE } from './i18n.js';
+
+// Ride alerts
+//
+// An alert subscribes a location to a snapshot of a profile's criteria. It is
+// checked by the service worker on periodic background sync, and by the page
+// whenever the app is open. Two notifications can fire:
+//   - the evening before: "tomorrow has a window of N+ hours", once per day
+//     after the alert's notify hour
+//   - an invalidation: a window we already announced no longer holds up
+//
+// Subscriptions are stored in IndexedDB so the service worker can read them:
+//   { id, locationName, latitude, longitude, provider, profileName, criteria,
+//     minHours, notifyHour, language, notifiedDay, notifiedWindows }
+// `provider` is the id of the weather provider chosen when the alert was
+// created (see providers.js); older alerts without one use the default.
+// Notifications are written in the language the alert was created in, since
+// the service worker can't see the page's language setting. Days and the
+// notify hour are judged in the location's time, not the device's.
+
+export const ALERT_SYNC_TAG = 'ride-alerts';
+export const DEFAULT_NOTIFY_HOUR = 18;
+// Browsers treat this as a hint and usually check less often
+export const ALERT_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+// Contiguous runs of suitable hours on `day` ("YYYY-MM-DD") at least
+// `minHours` long, as `{ day, startHour, endHour }` with an exclusive end
+export const findDayWindows = (forecast, criteria, day, minHours) => {
+  const { hourly } = forecast;
+  const zone = getForecastZone(forecast);
+  const daylightByDay = buildDaylightByDay(forecast.daily, forecast.latitude, zone);
+  const windows = [];
+  let startHour = null;
+  let lastHour = null;
+
+  const closeRun = () => {
+    if (startHour !== null && lastHour + 1 - startHour >= minHours) {
+      windows.push({ day, startHour, endHour: lastHour + 1 });
+    }
+    startHour = null;
+  };
+
+  hourly.time.forEach((time, i) => {
+    if (!time.startsWith(day)) {
+      return;
+    }
+    const hour = Number(time.slice(11, 13));
+    const values = getHourlyValues(hourly, i);
+    values.daylight = classifyHour(parseForecastTime(time, zone), daylightByDay.get(day));
+    const suitable = evaluateCriteria(values, criteria).length === 0;
+
+    if (!suitable || (startHour !== null && hour !== lastHour + 1)) {
+      closeRun();
+    }
+    if (suitable) {
+      if (startHour === null) {
+        startHour = hour;
+      }
+      lastHour = hour;
+    }
+  });
+  closeRun();
+
+  return windows;
+};
+
+const overlapHours = (a, b) => Math.min(a.endHour, b.endHour) - Math.max(a.startHour, b.startHour);
+
+const describeWindow = ({ startHour, endHour }) =>
+  `${formatHourKey(startHour)}–${formatHourKey(endHour)} (${endHour - startHour}h)`;
+
+// Work out which notifications an alert should raise against a fresh
+// forecast. Returns `{ notifications, alert }` with the updated alert state.
+export const checkAlert = (alert, forecast, now = new Date()) => {
+  const { criteria, minHours, notifyHour, locationName } = alert;
+  const message = (key, params) => translate(alert.language || DEFAULT_LANGUAGE, key, params);
+  // The location's current hour, e.g. "2025-07-21T18:00"
+  const zone = getForecastZone(forecast);
+  const hourKey = toZonedHourKey(now, zone);
+  const today = hourKey.slice(0, 10);
+  const tomorrow = toZonedDayKey(new Date(now.getTime() + 24 * 3600000), zone);
+  const notifications = [];
+
+  // Forget windows that have passed, then re-check the ones still ahead
+  let notifiedWindows = (alert.notifiedWindows || []).filter(window => window.day >= today);
+  const currentByDay = new Map();
+  const cancelled = notifiedWindows.filter(window => {
+    if (!currentByDay.has(window.day)) {
+      currentByDay.set(window.day, findDayWindows(forecast, criteria, window.day, minHours));
+    }
+    return !currentByDay.get(window.day).some(current => overlapHours(current, window) >= minHours);
+  });
+  if (cancelled.length > 0) {
+    notifications.push({
+      title: message('alerts.notifications.cancelledTitle', { location: locationName }),
+      body: message('alerts.notifications.cancelledBody', {
+        windows: cancelled.map(describeWindow).join(', '),
+        profile: alert.profileName
+      }),
+      tag: `${alert.id}-cancelled`
+    });
+    notifiedWindows = notifiedWindows.filter(window => !cancelled.includes(window));
+  }
+
+  // Evening-before heads up, at most once per day
+  let { notifiedDay } = alert;
+  if (Number(hourKey.slice(11, 13)) >= notifyHour && notifiedDay !== tomorrow) {
+    const windows = findDayWindows(forecast, criteria, tomorrow, minHours);
+    if (windows.length > 0) {
+      const best = windows.reduce((longest, window) =>
+        window.endHour - window.startHour > longest.endHour - longest.startHour ? window : longest
+      );
+      notifications.push({
+        title: message('alerts.notifications.tomorrowTitle', { location: locationName }),
+        body: message('alerts.notifications.tomorrowBody', { window: describeWindow(best), profile: alert.profileName }),
+        tag: `${alert.id}-tomorrow`
+      });
+      notifiedDay = tomorrow;
+      notifiedWindows = [...notifiedWindows, ...windows];
+    }
+  }
+
+  return { notifications, alert: { ...alert, notifiedDay, notifiedWindows } };
+};
+
+// Check every stored alert against a fresh forecast, raising notifications
+// through `notify({ title, body, tag })`. Failures are logged per alert so one
+// bad location doesn't stop the rest.
+export const runAlertChecks = async ({ notify, now = new Date() }) => {
+  const alerts = await getAllRecords(ALERTS_STORE);
+  for (const alert of alerts) {
+    try {
+      // The mock provider only exists in development, where it was picked
+      const provider = getProvider(alert.provider, [...PROVIDERS, MOCK_PROVIDER]);
+      const { forecast } = await fetchForecast(provider, alert.latitude, alert.longitude);
+      const result = checkAlert(alert, forecast, now);
+      for (const notification of result.notifications) {
+        await notify(notification);
+      }
+      await putRecord(ALERTS_STORE, result.alert);
+    } catch (err) {
+      console.error(`Error checking ride alert for ${alert.locationName}:`, err);
+    }
+  }
+};
@@ -0,0 +1,115 @@
+import { formatVariable } from './core/criteria.js';
+import { parseForecastTime } from './core/time.js';
+import { t } from './i18n.js';
+
+// Calendar export
+//
+// Ride windows as iCalendar (RFC 5545) events, built from the same
+// `{ start, end, stats }` windows the grid highlights (see rideWindows.js).
+// Times are written in UTC, so calendars place them right whatever time zone
+// they're in.
+//
+// Each event's UID comes from the location, the window's day and its place
+// among that day's windows, so importing a newer export updates the event
+// even when a forecast update has moved the window by an hour or two. Windows
+// that appear or disappear earlier the same day renumber the later ones.
+
+const PRODUCT_ID = '-//RideReady//Ride Windows//EN';
+// Content lines longer than this are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+const CRLF = '\r\n';
+
+const encoder = new TextEncoder();
+
+// e.g. "20250720T230000Z"
+const formatUtcDateTime = (date) => date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line into lines of at most 75 octets, continuing each with
+// a space. Characters are never split across lines.
+export const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join(CRLF);
+};
+
+const getDay = (window) => window.start.slice(0, 10);
+
+// Stable identifier for a window at a location: its day and its number
+// among `windows` (the other windows on offer) that start that day, in time
+// order
+export const getEventUid = (window, windows, { latitude, longitude }) => {
+  const number = windows.filter(other => getDay(other) === getDay(window) && other.start < window.start).length + 1;
+  return `ride-${getDay(window).replace(/-/g, '')}-${number}-${Number(latitude).toFixed(4)}_${Number(longitude).toFixed(4)}@rideready`;
+};
+
+// Forecast summary for an event's description, one line per value
+const describeWindow = ({ stats, averageScore }, units) => {
+  const lines = [
+    t('calendar.temperature', {
+      range: `${formatVariable('temperature', stats.minTemperature, units, { decimals: 0 })}–${
+        formatVariable('temperature', stats.maxTemperature, units, { decimals: 0 })}`
+    }),
+    t('calendar.wind', { wind: formatVariable('windSpeed', stats.maxWindSpeed, units) })
+  ];
+  if (stats.maxWindGusts !== null) {
+    lines.push(t('calendar.gusts', { gusts: formatVariable('windGusts', stats.maxWindGusts, units) }));
+  }
+  lines.push(t('calendar.precipitation', { rain: formatVariable('precipitation', stats.totalPrecipitation, units) }));
+  if (averageScore !== undefined) {
+    lines.push(t('calendar.score', { score: averageScore }));
+  }
+  return lines.join('\n');
+};
+
+const buildEvent = (window, { allWindows, location, zone, units, now }) => [
+  'BEGIN:VEVENT',
+  `UID:${getEventUid(window, allWindows, location)}`,
+  `DTSTAMP:${formatUtcDateTime(now)}`,
+  `DTSTART:${formatUtcDateTime(parseForecastTime(window.start, zone))}`,
+  `DTEND:${formatUtcDateTime(parseForecastTime(window.end, zone))}`,
+  `SUMMARY:${escapeText(t('calendar.summary', { location: location.name }))}`,
+  `LOCATION:${escapeText(location.name)}`,
+  `GEO:${Number(location.latitude)};${Number(location.longitude)}`,
+  `DESCRIPTION:${escapeText(describeWindow(window, units))}`,
+  'END:VEVENT'
+];
+
+// Build an .ics document with one event per window.
+// `location` is `{ name, latitude, longitude }` and `zone` the forecast's
+// (see getForecastZone in core/time.js), which the windows' `start` and `end`
+// times are in.
+// `name`, if given, names the calendar when it's imported as a whole.
+// `allWindows` are the windows on offer, which events are numbered among
+// (see getEventUid) when only some of them are exported.
+export const buildRideCalendar = (windows, { allWindows = windows, location, zone, units, now = new Date(), name }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...windows.flatMap(window => buildEvent(window, { allWindows, location, zone, units, now })),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { escapeText, foldLine, getEventUid, buildRideCalendar } from './calendar.js';
+import { DEFAULT_UNITS } from './core/units.js';
+
+const MELBOURNE = { name: 'Melbourne', latitude: '-37.8136', longitude: '144.9631' };
+
+const rideWindow = (start, end) => ({
+  start,
+  end,
+  averageScore: 92,
+  stats: { minTemperature: 12.2, maxTemperature: 15.8, maxWindSpeed: 18.7, maxWindGusts: null, totalPrecipitation: 0 }
+});
+
+const build = (windows, options = {}) => buildRideCalendar(windows, {
+  location: MELBOURNE,
+  zone: 'Australia/Melbourne',
+  units: DEFAULT_UNITS,
+  now: new Date('2025-07-20T12:00:00Z'),
+  ...options
+});
+
+const octets = (line) => new TextEncoder().encode(line).length;
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons, commas and line breaks', () => {
+    expect(escapeText('a\\b; c, d')).toBe('a\\\\b\\; c\\, d');
+    expect(escapeText('one\ntwo\r\nthree')).toBe('one\\ntwo\\nthree');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = 'x'.repeat(75);
+    expect(foldLine(line)).toBe(line);
+  });
+
+  it('continues longer lines with a space', () => {
+    const folded = foldLine('x'.repeat(100));
+    expect(folded.split('\r\n')).toEqual(['x'.repeat(75), ` ${'x'.repeat(25)}`]);
+  });
+
+  it('counts octets rather than characters and never splits one', () => {
+    // Each "é" is two octets and each "🚲" four
+    const line = `SUMMARY:${'é'.repeat(40)}${'🚲'.repeat(20)}`;
+    const lines = foldLine(line).split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(2);
+    for (const folded of lines) {
+      expect(octets(folded)).toBeLessThanOrEqual(75);
+      expect(folded.isWellFormed()).toBe(true);
+    }
+    expect(lines[0]).toBe(`SUMMARY:${'é'.repeat(33)}`);
+    expect(unfold(lines.join('\r\n'))).toBe(line);
+  });
+});
+
+describe('getEventUid', () => {
+  const morning = rideWindow('2025-07-21T09:00', '2025-07-21T11:00');
+  const evening = rideWindow('2025-07-21T17:00', '2025-07-21T19:00');
+  const nextDay = rideWindow('2025-07-22T09:00', '2025-07-22T11:00');
+  const windows = [evening, morning, nextDay];
+
+  it('numbers windows within their day', () => {
+    expect(getEventUid(morning, windows, MELBOURNE)).toBe('ride-20250721-1--37.8136_144.9631@rideready');
+    expect(getEventUid(evening, windows, MELBOURNE)).toBe('ride-20250721-2--37.8136_144.9631@rideready');
+    expect(getEventUid(nextDay, windows, MELBOURNE)).toBe('ride-20250722-1--37.8136_144.9631@rideready');
+  });
+
+  it('keeps the UID when a forecast update moves the window', () => {
+    const moved = rideWindow('2025-07-21T10:00', '2025-07-21T12:00');
+    expect(getEventUid(moved, [evening, moved, nextDay], MELBOURNE))
+      .toBe(getEventUid(morning, windows, MELBOURNE));
+  });
+
+  it('tells locations apart', () => {
+    const sydney = { name: 'Sydney', latitude: -33.8688, longitude: 151.2093 };
+    expect(getEventUid(morning, windows, sydney)).not.toBe(getEventUid(morning, windows, MELBOURNE));
+  });
+});
+
+describe('buildRideCalendar', () => {
+  it('writes window times in UTC from the forecast\'s time zone', () => {
+    const calendar = build([rideWindow('2025-07-21T07:00', '2025-07-21T09:00')]);
+    expect(calendar).toContain('DTSTART:20250720T210000Z\r\n');
+    expect(calendar).toContain('DTEND:20250720T230000Z\r\n');
+    expect(calendar).toContain('DTSTAMP:20250720T120000Z\r\n');
+  });
+
+  it('keeps windows after a daylight saving change at their local times', () => {
+    // Melbourne moves from UTC+10 to UTC+11 at 02:00 on 2025-10-05
+    const calendar = build([
+      rideWindow('2025-10-04T07:00', '2025-10-04T09:00'),
+      rideWindow('2025-10-05T07:00', '2025-10-05T09:00')
+    ], { now: new Date('2025-10-03T12:00:00Z') });
+    expect(calendar).toContain('DTSTART:20251003T210000Z\r\n');
+    expect(calendar).toContain('DTSTART:20251004T200000Z\r\n');
+    expect(calendar).toContain('DTEND:20251004T220000Z\r\n');
+  });
+
+  it('falls back to a fixed UTC offset', () => {
+    const calendar = build([rideWindow('2025-07-21T07:00', '2025-07-21T09:00')], { zone: 11 * 60 * 60 });
+    expect(calendar).toContain('DTSTART:20250720T200000Z\r\n');
+  });
+
+  it('builds a calendar of folded CRLF lines with one event per window', () => {
+    const windows = [
+      rideWindow('2025-07-21T07:00', '2025-07-21T09:00'),
+      rideWindow('2025-07-22T07:00', '2025-07-22T10:00')
+    ];
+    const calendar = build(windows, { name: 'Ride windows, Melbourne' });
+
+    expect(calendar).toMatch(/^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+    expect(calendar).toMatch(/END:VCALENDAR\r\n$/);
+    expect(calendar).toContain('X-WR-CALNAME:Ride windows\\, Melbourne\r\n');
+    expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    for (const line of calendar.split('\r\n')) {
+      expect(octets(line)).toBeLessThanOrEqual(75);
+    }
+    expect(unfold(calendar)).toContain('DESCRIPTION:Temperature: 12°C–16°C\\nMax wind: 18.7 km/h\\nPrecipitation: 0 mm');
+  });
+
+  it('numbers a single window among all the windows on offer', () => {
+    const morning = rideWindow('2025-07-21T07:00', '2025-07-21T09:00');
+    const evening = rideWindow('2025-07-21T17:00', '2025-07-21T19:00');
+    const calendar = build([evening], { allWindows: [morning, evening] });
+    expect(calendar).toContain('UID:ride-20250721-2--37.8136_144.9631@rideready\r\n');
+  });
+});
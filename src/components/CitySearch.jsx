@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { t } from '../i18n.js';
+
+// Minimum number of characters before we hit the geocoder
+const MIN_QUERY_LENGTH = 2;
+// Delay between the last keystroke and the geocoding request
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Type-ahead search box that resolves place names to coordinates, with
+// place names in `language`
+const CitySearch = ({ value, language, geocoder, onSelect }) => {
+  const [query, setQuery] = useState(value);
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isOpen, setIsOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  // Only search when the user has typed, not when the parent updates `value`
+  const userTypedRef = useRef(false);
+
+  // Keep the input in sync with the selected place
+  useEffect(() => {
+    userTypedRef.current = false;
+    setQuery(value);
+  }, [value]);
+
+  // Debounced lookup against the geocoder
+  useEffect(() => {
+    if (!userTypedRef.current) {
+      return;
+    }
+
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setIsOpen(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      setSearchError('');
+      try {
+        const places = await geocoder.search(trimmed, { signal: controller.signal, language });
+        setResults(places);
+        setActiveIndex(places.length > 0 ? 0 : -1);
+        setIsOpen(true);
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          return;
+        }
+        console.error('Error searching for location:', err);
+        setResults([]);
+        setSearchError(t('citySearch.failed'));
+        setIsOpen(true);
+      } finally {
+        if (!controller.signal.aborted) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, language, geocoder]);
+
+  const selectPlace = (place) => {
+    setIsOpen(false);
+    setResults([]);
+    onSelect(place);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || results.length === 0) {
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % results.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      selectPlace(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative mb-2">
+      <input
+        type="text"
+        id="city"
+        value={query}
+        onChange={(e) => {
+          userTypedRef.current = true;
+          setQuery(e.target.value);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setIsOpen(false)}
+        placeholder={t('citySearch.placeholder')}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={isOpen}
+        aria-controls="city-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={isOpen && activeIndex >= 0 ? `city-suggestion-${activeIndex}` : undefined}
+        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+      />
+      {searching && (
+        <span className="absolute right-3 top-3 text-sm text-gray-400">{t('citySearch.searching')}</span>
+      )}
+      {isOpen && (
+        <ul
+          id="city-suggestions"
+          role="listbox"
+          className="absolute z-20 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto"
+        >
+          {searchError && (
+            <li className="p-3 text-sm text-red-700">{searchError}</li>
+          )}
+          {!searchError && results.length === 0 && (
+            <li className="p-3 text-sm text-gray-500">{t('citySearch.noResults')}</li>
+          )}
+          {results.map((place, index) => (
+            <li
+              key={place.id ?? `${place.latitude},${place.longitude}`}
+              id={`city-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Use mousedown so the selection lands before the input blurs
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectPlace(place);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`p-3 text-sm cursor-pointer ${index === activeIndex ? 'bg-blue-50' : ''}`}
+            >
+              {place.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CitySearch;
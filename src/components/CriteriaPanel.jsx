@@ -0,0 +1,77 @@
+import React from 'react';
+import {
+  CRITERIA,
+  formatVariable,
+  getCriterionRange,
+  toSliderValue,
+  fromSliderValue,
+  snapCriterion,
+  getCriterionLabel,
+  isCriterionEnabled
+} from '../core/criteria.js';
+import { t } from '../i18n.js';
+
+// Slider for a single criterion, in the rider's units
+const CriterionSlider = ({ criterion, value, units, onChange }) => {
+  const { min, max, step } = getCriterionRange(criterion, units);
+  return (
+    <input
+      type="range"
+      value={toSliderValue(criterion, value, units)}
+      onChange={(e) => onChange(criterion.key, fromSliderValue(criterion, Number(e.target.value), units))}
+      min={min}
+      max={max}
+      step={step}
+      aria-label={getCriterionLabel(criterion)}
+      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+    />
+  );
+};
+
+// Riding criteria controls. Core criteria are always on; optional criteria
+// have a checkbox and only show their slider when switched on.
+const CriteriaPanel = ({ criteria, units, onChange }) => {
+  const coreCriteria = CRITERIA.filter(criterion => !criterion.optional);
+  const optionalCriteria = CRITERIA.filter(criterion => criterion.optional);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <div className="grid grid-cols-2 gap-4">
+        {coreCriteria.map(criterion => (
+          <div key={criterion.key}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {getCriterionLabel(criterion)}: {formatVariable(criterion.variable, criteria[criterion.key], units)}
+            </label>
+            <CriterionSlider criterion={criterion} value={criteria[criterion.key]} units={units} onChange={onChange} />
+          </div>
+        ))}
+      </div>
+
+      <h3 className="text-sm font-semibold text-gray-700 mt-6 mb-2">{t('criteria.more')}</h3>
+      <div className="grid grid-cols-2 gap-4">
+        {optionalCriteria.map(criterion => {
+          const enabled = isCriterionEnabled(criteria, criterion);
+          return (
+            <div key={criterion.key}>
+              <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
+                <input
+                  type="checkbox"
+                  checked={enabled}
+                  onChange={(e) => onChange(criterion.key, e.target.checked ? snapCriterion(criterion, criterion.defaultValue, units) : null)}
+                  className="mr-2"
+                />
+                {getCriterionLabel(criterion)}
+                {enabled && criterion.type !== 'flag' && `: ${formatVariable(criterion.variable, criteria[criterion.key], units)}`}
+              </label>
+              {enabled && criterion.type !== 'flag' && (
+                <CriterionSlider criterion={criterion} value={criteria[criterion.key]} units={units} onChange={onChange} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CriteriaPanel;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { formatVariable, describeFailure, evaluateCriteria } from '../core/criteria.js';
+import { getCurrentConditions, buildNowcast, findRainOnset, judgeRideNow } from '../core/nowcast.js';
+import { t } from '../i18n.js';
+
+// Values listed for right now, in order
+const CURRENT_VARIABLES = [
+  { key: 'temperature', label: 'current.temperature' },
+  { key: 'apparentTemperature', label: 'current.feelsLike' },
+  { key: 'precipitation', label: 'current.precipitation' },
+  { key: 'windSpeed', label: 'current.windSpeed' },
+  { key: 'windGusts', label: 'current.windGusts' }
+];
+
+const VERDICT_CLASSES = {
+  good: 'bg-green-100 border-green-400 text-green-800',
+  changing: 'bg-yellow-100 border-yellow-400 text-yellow-800',
+  bad: 'bg-red-100 border-red-400 text-red-700',
+  unknown: 'bg-gray-100 border-gray-300 text-gray-700'
+};
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// "Good to ride now?" verdict, conditions right now and a two-hour nowcast
+// strip. `formatTime` shows an instant in the time zone the rider picked.
+const CurrentConditions = ({ forecast, criteria, units, now, formatTime }) => {
+  const conditions = getCurrentConditions(forecast, now);
+  const steps = buildNowcast(forecast, now);
+  const { status, failures, change } = judgeRideNow(conditions, steps, criteria);
+  const rainOnset = findRainOnset(steps);
+  const reasons = (list) => list.map(failure => describeFailure(failure, units)).join('; ');
+
+  let detail = '';
+  if (status === 'good') {
+    detail = t('current.verdict.goodDetail');
+  } else if (status === 'changing') {
+    detail = t('current.verdict.changingDetail', { time: formatTime(change.date), reasons: reasons(change.failures) });
+  } else if (status === 'bad') {
+    detail = `${reasons(failures)}. ${change
+      ? t('current.verdict.clearsAt', { time: formatTime(change.date) })
+      : t('current.verdict.noChange')}`;
+  }
+
+  return (
+    <div className="mb-8">
+      <div
+        className={`border px-4 py-3 rounded-lg mb-3 ${VERDICT_CLASSES[status]}`}
+        role="status"
+        data-testid="ride-now"
+        data-status={status}
+      >
+        <strong className="font-bold">{t(`current.verdict.${status}`)}</strong>
+        {detail && <span className="block sm:inline"> {detail}</span>}
+      </div>
+
+      <div className="p-4 bg-blue-50 rounded-lg shadow-inner">
+        {CURRENT_VARIABLES.map(({ key, label }) => (
+          <p key={key} className="text-gray-700" data-testid={`current-${key}`}>
+            <span className="font-medium">{t(label)}</span>{' '}
+            {conditions && hasValue(conditions.values[key])
+              ? formatVariable(key, conditions.values[key], units)
+              : t('current.notAvailable')}
+          </p>
+        ))}
+        {conditions && (
+          <p className="text-xs text-gray-500 mt-1">
+            {t(conditions.source === 'current' ? 'current.asOf' : 'current.hourly', { time: formatTime(conditions.date) })}
+          </p>
+        )}
+      </div>
+
+      {steps.length > 0 && (
+        <div className="mt-3">
+          <h3 className="text-sm font-semibold text-gray-700 mb-1">{t('nowcast.title')}</h3>
+          <ol className="flex overflow-x-auto gap-1" aria-label={t('nowcast.title')}>
+            {steps.map(step => {
+              const stepFailures = evaluateCriteria(step.values, criteria);
+              return (
+                <li
+                  key={step.date.getTime()}
+                  className={`p-2 rounded text-xs text-center min-w-[72px] ${stepFailures.length === 0 ? 'bg-green-100' : 'bg-red-100'}`}
+                  data-suitable={stepFailures.length === 0}
+                  title={stepFailures.length > 0 ? reasons(stepFailures) : undefined}
+                >
+                  <div className="font-medium">{formatTime(step.date)}</div>
+                  {hasValue(step.values.precipitation) && (
+                    <div>💧 {formatVariable('precipitation', step.values.precipitation, units, { compact: true })}</div>
+                  )}
+                  <div>
+                    {formatVariable('windSpeed', step.values.windSpeed, units, { compact: true })}
+                    {hasValue(step.values.windGusts) && (
+                      <span className="text-gray-600">
+                        {' '}{t('nowcast.gusts', { gusts: formatVariable('windGusts', step.values.windGusts, units, { compact: true }) })}
+                      </span>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+          <p className="text-sm text-gray-600 mt-1" data-testid="rain-onset">
+            {rainOnset
+              ? t(rainOnset.date <= now ? 'nowcast.raining' : 'nowcast.rainFrom', { time: formatTime(rainOnset.date) })
+              : t('nowcast.noRain')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CurrentConditions;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { exportCsv, exportJson } from '../gridExport.js';
+import { downloadFile } from '../download.js';
+import { t } from '../i18n.js';
+
+const FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv', serialise: exportCsv },
+  json: { extension: 'json', type: 'application/json', serialise: exportJson }
+};
+
+// Download or copy the evaluated grid. `buildExport` returns the export
+// document for what's on screen (see gridExport.js).
+const GridExport = ({ buildExport, filename }) => {
+  const [format, setFormat] = useState('csv');
+  const [status, setStatus] = useState('');
+
+  const serialise = () => FORMATS[format].serialise(buildExport());
+
+  const handleDownload = () => {
+    setStatus('');
+    downloadFile(`${filename}.${FORMATS[format].extension}`, serialise(), FORMATS[format].type);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(serialise());
+      setStatus(t('export.copied'));
+    } catch (err) {
+      console.error('Error copying export:', err);
+      setStatus(t('export.copyFailed'));
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+      <span>{t('export.label')}</span>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label={t('export.format')}
+        className="p-1 border border-gray-300 rounded-lg"
+      >
+        <option value="csv">CSV</option>
+        <option value="json">JSON</option>
+      </select>
+      <button
+        type="button"
+        onClick={handleDownload}
+        className="px-2 py-1 rounded-lg border border-gray-300 hover:bg-gray-100"
+      >
+        {t('export.download')}
+      </button>
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="px-2 py-1 rounded-lg border border-gray-300 hover:bg-gray-100"
+      >
+        {t('export.copy')}
+      </button>
+      {status && <span className="text-gray-600" role="status">{status}</span>}
+    </div>
+  );
+};
+
+export default GridExport;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { LANGUAGES, CLOCKS, detectLanguage, t } from '../i18n.js';
+
+const BROWSER_LANGUAGE = 'auto';
+
+// Language switcher (defaulting to the browser's language) and 12/24 hour clock
+const LanguageSettings = ({ languagePreference, onLanguageChange, clock, onClockChange }) => (
+  <div className="flex justify-end gap-2 mb-2 text-sm text-gray-700">
+    <select
+      value={languagePreference || BROWSER_LANGUAGE}
+      onChange={(e) => onLanguageChange(e.target.value === BROWSER_LANGUAGE ? null : e.target.value)}
+      aria-label={t('language.label')}
+      className="p-1 border border-gray-300 rounded-lg"
+    >
+      <option value={BROWSER_LANGUAGE}>
+        {t('language.auto', { language: LANGUAGES[detectLanguage()].label })}
+      </option>
+      {Object.entries(LANGUAGES).map(([code, { label }]) => (
+        <option key={code} value={code} lang={code}>{label}</option>
+      ))}
+    </select>
+    <select
+      value={clock}
+      onChange={(e) => onClockChange(e.target.value)}
+      aria-label={t('clock.label')}
+      className="p-1 border border-gray-300 rounded-lg"
+    >
+      {CLOCKS.map(option => (
+        <option key={option} value={option}>{t(`clock.${option}`)}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default LanguageSettings;
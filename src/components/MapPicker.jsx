@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  TILE_SIZE,
+  clampZoom,
+  tileUrl,
+  getVisibleTiles,
+  toViewPosition,
+  fromViewPosition
+} from '../core/map.js';
+import { isValidCoordinates, formatCoordinate } from '../core/coordinates.js';
+import { t } from '../i18n.js';
+
+const DEFAULT_ZOOM = 11;
+// How far the arrow keys pan the map
+const KEY_PAN_PX = 64;
+// Pointer movement below this is a click rather than a drag
+const DRAG_THRESHOLD_PX = 4;
+// Decimal places for picked coordinates; a click is only good to ~10m
+const PICK_DECIMALS = 4;
+
+// Map to pick where to look by clicking, showing the location in use and
+// the saved locations. Drag or use the arrow keys to pan. `tiles` is the
+// tile source (see core/map.js).
+const MapPicker = ({ latitude, longitude, locations, tiles, onPick, onSelectLocation }) => {
+  const containerRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  const [center, setCenter] = useState({ latitude: 0, longitude: 0 });
+  // The drag in progress: where it started and the centre at the time
+  const dragRef = useRef(null);
+
+  const hasLocation = isValidCoordinates(latitude, longitude);
+
+  // Follow the location in use, wherever it was chosen
+  useEffect(() => {
+    if (isValidCoordinates(latitude, longitude)) {
+      setCenter({ latitude: Number(latitude), longitude: Number(longitude) });
+    }
+  }, [latitude, longitude]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const measure = () => setSize({ width: container.clientWidth, height: container.clientHeight });
+    measure();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const view = { center, zoom, ...size };
+
+  const pick = (left, top) => {
+    const point = fromViewPosition(view, left, top);
+    onPick({
+      latitude: formatCoordinate(point.latitude, PICK_DECIMALS),
+      longitude: formatCoordinate(point.longitude, PICK_DECIMALS)
+    });
+  };
+
+  const panBy = (dx, dy) => {
+    setCenter(fromViewPosition(view, size.width / 2 + dx, size.height / 2 + dy));
+  };
+
+  const handlePointerDown = (e) => {
+    // Markers are buttons of their own
+    if (e.button !== 0 || e.target.closest('button')) {
+      return;
+    }
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, center, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) {
+      return;
+    }
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) < DRAG_THRESHOLD_PX) {
+      return;
+    }
+    drag.moved = true;
+    setCenter(fromViewPosition({ ...view, center: drag.center }, size.width / 2 - dx, size.height / 2 - dy));
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved) {
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    pick(e.clientX - rect.left, e.clientY - rect.top);
+  };
+
+  const handleKeyDown = (e) => {
+    const pans = {
+      ArrowLeft: [-KEY_PAN_PX, 0],
+      ArrowRight: [KEY_PAN_PX, 0],
+      ArrowUp: [0, -KEY_PAN_PX],
+      ArrowDown: [0, KEY_PAN_PX]
+    };
+    if (pans[e.key]) {
+      e.preventDefault();
+      panBy(...pans[e.key]);
+    } else if (e.key === '+' || e.key === '=') {
+      e.preventDefault();
+      setZoom(current => clampZoom(current + 1));
+    } else if (e.key === '-' || e.key === '_') {
+      e.preventDefault();
+      setZoom(current => clampZoom(current - 1));
+    } else if (e.key === 'Enter' && e.target === e.currentTarget) {
+      e.preventDefault();
+      pick(size.width / 2, size.height / 2);
+    }
+  };
+
+  const markerStyle = (location) => {
+    const { left, top } = toViewPosition(view, Number(location.latitude), Number(location.longitude));
+    return { left, top };
+  };
+
+  return (
+    <div className="relative mb-2">
+      <div
+        ref={containerRef}
+        role="application"
+        aria-label={t('map.label')}
+        aria-describedby="map-instructions"
+        tabIndex={0}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => { dragRef.current = null; }}
+        onKeyDown={handleKeyDown}
+        className="relative h-64 overflow-hidden rounded-lg border border-gray-300 bg-gray-100 cursor-crosshair touch-none select-none focus:outline-none focus:ring-2 focus:ring-blue-500"
+        data-testid="map-picker"
+      >
+        {size.width > 0 && getVisibleTiles(view).map(tile => (
+          <img
+            key={tile.key}
+            src={tileUrl(tiles.url, tile)}
+            alt=""
+            draggable={false}
+            className="absolute max-w-none pointer-events-none"
+            style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+          />
+        ))}
+        {size.width > 0 && locations.map(location => (
+          <button
+            key={location.id}
+            type="button"
+            onClick={() => onSelectLocation(location)}
+            aria-label={t('map.savedLocation', { name: location.name })}
+            title={location.name}
+            className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-white border-2 border-blue-600 shadow hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            style={markerStyle(location)}
+          />
+        ))}
+        {size.width > 0 && hasLocation && (
+          <span
+            className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-red-600 border-2 border-white shadow pointer-events-none"
+            style={markerStyle({ latitude, longitude })}
+            data-testid="map-location"
+          />
+        )}
+        <div className="absolute top-2 right-2 flex flex-col rounded-lg bg-white shadow">
+          <button
+            type="button"
+            onClick={() => setZoom(current => clampZoom(current + 1))}
+            aria-label={t('map.zoomIn')}
+            className="w-8 h-8 text-lg text-gray-700 hover:bg-gray-100 rounded-t-lg"
+          >
+            +
+          </button>
+          <button
+            type="button"
+            onClick={() => setZoom(current => clampZoom(current - 1))}
+            aria-label={t('map.zoomOut')}
+            className="w-8 h-8 text-lg text-gray-700 hover:bg-gray-100 rounded-b-lg border-t border-gray-200"
+          >
+            −
+          </button>
+        </div>
+        <span className="absolute bottom-0 right-0 px-1 bg-white/75 text-[10px] text-gray-600">
+          {tiles.attribution}
+        </span>
+      </div>
+      <p id="map-instructions" className="text-xs text-gray-500 mt-1">{t('map.instructions')}</p>
+    </div>
+  );
+};
+
+export default MapPicker;
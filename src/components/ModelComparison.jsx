@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatVariable, describeFailure } from '../core/criteria.js';
+import { t } from '../i18n.js';
+
+// Variables shown per model, in order
+const COLUMNS = ['temperature', 'precipitation', 'windSpeed', 'windGusts'];
+
+// Drill-down for one grid cell: each model's values and verdict
+const ModelComparison = ({ comparison, title, units, onClose }) => (
+  <div className="mt-4 p-4 rounded-lg border border-gray-200" role="region" aria-label={title}>
+    <div className="flex items-center justify-between mb-2">
+      <h3 className="font-semibold text-gray-800">{title}</h3>
+      <button
+        type="button"
+        onClick={onClose}
+        className="px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded"
+      >
+        {t('models.close')}
+      </button>
+    </div>
+    <p className="text-sm text-gray-600 mb-2">
+      {t('models.agreement', { suitable: comparison.suitable, total: comparison.total })}
+      {' · '}
+      {t(`models.confidence.${comparison.confidence}`)}
+    </p>
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-600">
+          <th className="p-1 font-medium">{t('models.model')}</th>
+          {COLUMNS.map(key => (
+            <th key={key} className="p-1 font-medium">{t(`variables.${key}`)}</th>
+          ))}
+          <th className="p-1 font-medium">{t('models.verdict')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {comparison.models.map(model => (
+          <tr key={model.key} className="border-t border-gray-100" data-model={model.key} data-suitable={model.suitable}>
+            <td className="p-1 font-medium">{model.label}</td>
+            {COLUMNS.map(key => (
+              <td key={key} className="p-1">
+                {model.values[key] === null || model.values[key] === undefined
+                  ? t('current.notAvailable')
+                  : formatVariable(key, model.values[key], units)}
+              </td>
+            ))}
+            <td className={`p-1 ${model.suitable ? 'text-green-700' : 'text-red-700'}`}>
+              {model.suitable
+                ? t('models.suitable')
+                : model.failures.map(failure => describeFailure(failure, units)).join('; ')}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default ModelComparison;
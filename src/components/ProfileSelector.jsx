@@ -0,0 +1,114 @@
+import React, { useState, useRef } from 'react';
+import { exportProfile, parseProfile } from '../profiles.js';
+import { downloadFile, slugify } from '../download.js';
+import { t } from '../i18n.js';
+
+// Dropdown for switching rider profiles, plus create, delete, import and export
+const ProfileSelector = ({ profiles, activeProfile, onSelect, onCreate, onDelete, onImport }) => {
+  const [newName, setNewName] = useState('');
+  const [importError, setImportError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) {
+      return;
+    }
+    onCreate(newName);
+    setNewName('');
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      `${slugify(activeProfile.name)}.rideready-profile.json`,
+      exportProfile(activeProfile),
+      'application/json'
+    );
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires a change event
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      onImport(parseProfile(await file.text()));
+      setImportError('');
+    } catch (err) {
+      setImportError(t('profiles.importFailed', { message: err.message }));
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="profile-select" className="text-sm font-medium text-gray-700">
+          {t('profiles.label')}
+        </label>
+        <select
+          id="profile-select"
+          value={activeProfile.id}
+          onChange={(e) => onSelect(e.target.value)}
+          className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+        >
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => onDelete(activeProfile.id)}
+          disabled={profiles.length <= 1}
+          className="px-3 py-2 text-sm rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+        >
+          {t('profiles.delete')}
+        </button>
+        <button
+          type="button"
+          onClick={handleExport}
+          className="px-3 py-2 text-sm rounded-lg border border-gray-300 hover:bg-gray-100"
+        >
+          {t('profiles.export')}
+        </button>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current.click()}
+          className="px-3 py-2 text-sm rounded-lg border border-gray-300 hover:bg-gray-100"
+        >
+          {t('profiles.import')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          className="hidden"
+          data-testid="profile-import"
+        />
+      </div>
+      <form onSubmit={handleCreate} className="flex space-x-2 mt-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('profiles.newName')}
+          aria-label={t('profiles.newName')}
+          className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg bg-gray-800 text-white font-medium hover:bg-gray-900"
+        >
+          {t('profiles.saveAs')}
+        </button>
+      </form>
+      {importError && (
+        <p className="text-sm text-red-700 mt-2" role="alert">{importError}</p>
+      )}
+    </div>
+  );
+};
+
+export default ProfileSelector;
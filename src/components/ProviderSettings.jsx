@@ -0,0 +1,34 @@
+import React from 'react';
+import { getMissingFeatures } from '../core/providers.js';
+import { t, formatList } from '../i18n.js';
+
+// Weather provider picker, noting what the chosen one can't show
+const ProviderSettings = ({ providers, provider, onChange }) => {
+  const missing = getMissingFeatures(provider);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+      <span>{t('provider.label')}</span>
+      <select
+        value={provider.id}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={t('provider.label')}
+        className="p-1 border border-gray-300 rounded-lg"
+      >
+        {providers.map(option => (
+          <option key={option.id} value={option.id}>{option.name}</option>
+        ))}
+      </select>
+      {missing.length > 0 && (
+        <span className="text-xs text-gray-500" data-testid="provider-missing">
+          {t('provider.missing', {
+            provider: provider.name,
+            features: formatList(missing.map(feature => t(`provider.features.${feature}`)))
+          })}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ProviderSettings;
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from 'react';
+import { ALERT_SYNC_TAG, ALERT_SYNC_INTERVAL_MS, DEFAULT_NOTIFY_HOUR, runAlertChecks } from '../alerts.js';
+import { ALERTS_STORE, getAllRecords, putRecord, deleteRecord } from '../db.js';
+import { createId } from '../storage.js';
+import { t, formatHour } from '../i18n.js';
+
+const MIN_HOURS_OPTIONS = [1, 2, 3, 4, 5, 6, 8];
+const NOTIFY_HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => hour);
+const CURRENT_LOCATION = 'current';
+
+// Show a notification through the service worker when there is one, so it
+// behaves the same as background alerts; otherwise straight from the page
+const showNotification = async ({ title, ...options }) => {
+  const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration) {
+    return registration.showNotification(title, { icon: '/android-chrome-192x192.png', ...options });
+  }
+  return new Notification(title, options);
+};
+
+// Ask the browser to check alerts in the background. Resolves to whether
+// periodic background sync is available (Chromium, installed app only).
+const registerBackgroundChecks = async () => {
+  const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (!registration || !('periodicSync' in registration)) {
+    return false;
+  }
+  try {
+    await registration.periodicSync.register(ALERT_SYNC_TAG, { minInterval: ALERT_SYNC_INTERVAL_MS });
+    return true;
+  } catch (err) {
+    console.error('Error registering periodic sync:', err);
+    return false;
+  }
+};
+
+// Subscribe locations to evening-before "good to ride tomorrow" notifications,
+// written in `language`
+const RideAlerts = ({ savedLocations, currentLocation, providerId, profiles, activeProfileId, language }) => {
+  const [alerts, setAlerts] = useState([]);
+  const [locationId, setLocationId] = useState(CURRENT_LOCATION);
+  const [profileId, setProfileId] = useState(activeProfileId);
+  const [minHours, setMinHours] = useState(3);
+  const [notifyHour, setNotifyHour] = useState(DEFAULT_NOTIFY_HOUR);
+  const [backgroundChecks, setBackgroundChecks] = useState(null);
+  const [alertError, setAlertError] = useState('');
+
+  const notificationsSupported = typeof Notification !== 'undefined' && typeof indexedDB !== 'undefined';
+
+  // Load alerts, then check them while the app is open. Background checks
+  // may not run at all, so this is the fallback that always works.
+  useEffect(() => {
+    if (!notificationsSupported) {
+      return;
+    }
+    let cancelled = false;
+    const loadAndCheck = async () => {
+      try {
+        setAlerts(await getAllRecords(ALERTS_STORE));
+        if (Notification.permission === 'granted') {
+          await runAlertChecks({ notify: showNotification });
+          if (!cancelled) {
+            setAlerts(await getAllRecords(ALERTS_STORE));
+          }
+        }
+      } catch (err) {
+        console.error('Error loading ride alerts:', err);
+      }
+    };
+    loadAndCheck();
+    return () => {
+      cancelled = true;
+    };
+  }, [notificationsSupported]);
+
+  if (!notificationsSupported) {
+    return null;
+  }
+
+  const location = locationId === CURRENT_LOCATION
+    ? currentLocation
+    : savedLocations.find(saved => saved.id === locationId);
+  const profile = profiles.find(candidate => candidate.id === profileId) || profiles[0];
+
+  const handleSubscribe = async (e) => {
+    e.preventDefault();
+    setAlertError('');
+    if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
+      setAlertError(t('alerts.errors.location'));
+      return;
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      setAlertError(t('alerts.errors.blocked'));
+      return;
+    }
+
+    const alert = {
+      id: createId(),
+      locationName: location.name,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      provider: providerId,
+      profileName: profile.name,
+      criteria: { ...profile.criteria },
+      minHours,
+      notifyHour,
+      language,
+      notifiedDay: null,
+      notifiedWindows: []
+    };
+    try {
+      await putRecord(ALERTS_STORE, alert);
+      setAlerts(current => [...current, alert]);
+      setBackgroundChecks(await registerBackgroundChecks());
+    } catch (err) {
+      console.error('Error saving ride alert:', err);
+      setAlertError(t('alerts.errors.saveFailed'));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteRecord(ALERTS_STORE, id);
+      setAlerts(current => current.filter(alert => alert.id !== id));
+    } catch (err) {
+      console.error('Error deleting ride alert:', err);
+    }
+  };
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-3">{t('alerts.title')}</h2>
+      <form onSubmit={handleSubscribe} className="p-4 bg-gray-50 rounded-lg space-y-3">
+        <p className="text-sm text-gray-600">
+          {t('alerts.intro')}
+        </p>
+        <div className="grid grid-cols-2 gap-4 text-sm">
+          <label className="block text-gray-700">
+            {t('alerts.location')}
+            <select
+              value={locationId}
+              onChange={(e) => setLocationId(e.target.value)}
+              aria-label={t('alerts.locationLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              <option value={CURRENT_LOCATION}>
+                {t('alerts.currentLocation', { name: currentLocation.name || t('alerts.thisLocation') })}
+              </option>
+              {savedLocations.map(saved => (
+                <option key={saved.id} value={saved.id}>{saved.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-gray-700">
+            {t('alerts.profile')}
+            <select
+              value={profile.id}
+              onChange={(e) => setProfileId(e.target.value)}
+              aria-label={t('alerts.profileLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              {profiles.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-gray-700">
+            {t('alerts.minLength')}
+            <select
+              value={minHours}
+              onChange={(e) => setMinHours(Number(e.target.value))}
+              aria-label={t('alerts.minLengthLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              {MIN_HOURS_OPTIONS.map(hours => (
+                <option key={hours} value={hours}>{t('common.hours', { count: hours })}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-gray-700">
+            {t('alerts.notifyFrom')}
+            <select
+              value={notifyHour}
+              onChange={(e) => setNotifyHour(Number(e.target.value))}
+              aria-label={t('alerts.notifyFrom')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              {NOTIFY_HOUR_OPTIONS.map(hour => (
+                <option key={hour} value={hour}>{formatHour(hour)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <button
+          type="submit"
+          className="w-full py-2 px-4 rounded-lg text-white font-semibold bg-gray-800 hover:bg-gray-900"
+        >
+          {t('alerts.create')}
+        </button>
+      </form>
+
+      {alertError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4" role="alert">
+          {alertError}
+        </div>
+      )}
+      {backgroundChecks === false && (
+        <p className="text-sm text-gray-500 mt-2" data-testid="alerts-foreground-only">
+          {t('alerts.foregroundOnly')}
+        </p>
+      )}
+
+      {alerts.length > 0 && (
+        <ul className="mt-4 space-y-2" aria-label={t('alerts.list')}>
+          {alerts.map(alert => (
+            <li key={alert.id} className="flex items-center justify-between p-3 rounded-lg border border-gray-200 text-sm">
+              <span>
+                <span className="font-medium text-gray-800">{alert.locationName}</span>
+                <span className="text-gray-600">
+                  {t('alerts.summary', { profile: alert.profileName, hours: alert.minHours, time: formatHour(alert.notifyHour) })}
+                </span>
+              </span>
+              <button
+                type="button"
+                onClick={() => handleDelete(alert.id)}
+                aria-label={t('alerts.deleteLabel', { name: alert.locationName })}
+                className="px-2 py-1 text-red-600 hover:bg-red-50 rounded"
+              >
+                {t('alerts.delete')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RideAlerts;
@@ -0,0 +1,353 @@
+import React, { useEffect, useState } from 'react';
+import {
+  RIDE_RATINGS,
+  pickRideHours,
+  fetchObservedHours,
+  fetchPredictedHours,
+  summariseRideHours,
+  suggestCalibration
+} from '../rideLog.js';
+import { RIDES_STORE, getAllRecords, putRecord, deleteRecord } from '../db.js';
+import { formatVariable, getCriterionLabel } from '../core/criteria.js';
+import { createId } from '../storage.js';
+import { toLocalDayKey, fromDayKey } from '../core/time.js';
+import { t, formatDate, formatHour } from '../i18n.js';
+
+const HOURS = Array.from({ length: 25 }, (_, hour) => hour);
+const CURRENT_LOCATION = 'current';
+const NOT_RATED = '';
+
+// Rows of the forecast vs observed comparison
+const COMPARISON_ROWS = [
+  { key: 'wind', format: (stats, units) => stats.maxWindSpeed === null ? null : formatVariable('windSpeed', stats.maxWindSpeed, units) },
+  { key: 'gusts', format: (stats, units) => stats.maxWindGusts === null ? null : formatVariable('windGusts', stats.maxWindGusts, units) },
+  {
+    key: 'temperature',
+    format: (stats, units) => stats.minTemperature === null
+      ? null
+      : `${formatVariable('temperature', stats.minTemperature, units, { decimals: 0 })}–${formatVariable('temperature', stats.maxTemperature, units, { decimals: 0 })}`
+  },
+  { key: 'rain', format: (stats, units) => formatVariable('precipitation', stats.totalPrecipitation, units) }
+];
+
+// `hours` if known, else whatever `fetchHours` finds for the ride
+const fetchMissingHours = async (hours, fetchHours, ride) => {
+  if (hours) {
+    return hours;
+  }
+  try {
+    return await fetchHours(ride);
+  } catch (err) {
+    console.error('Error fetching weather for a ride:', err);
+    return null;
+  }
+};
+
+// Fill in the forecast for rides the forecast on screen didn't cover, and
+// observed weather for rides the archive didn't have yet. A ride's day is in
+// its location's time, which can be ahead of the device's, so rather than
+// guess whether it has started this asks anyway: days the APIs don't have yet
+// come back empty and are asked for again next time.
+const fillWeather = async (ride) => {
+  if (ride.predicted && ride.observed) {
+    return ride;
+  }
+  const [predicted, observed] = await Promise.all([
+    fetchMissingHours(ride.predicted, fetchPredictedHours, ride),
+    fetchMissingHours(ride.observed, fetchObservedHours, ride)
+  ]);
+  if (predicted === ride.predicted && observed === ride.observed) {
+    return ride;
+  }
+  const updated = { ...ride, predicted, observed };
+  try {
+    await putRecord(RIDES_STORE, updated);
+  } catch (err) {
+    console.error('Error saving ride weather:', err);
+  }
+  return updated;
+};
+
+// Log rides actually done, compare the forecast with what was observed, and
+// suggest criteria changes from how rides felt
+const RideLog = ({ savedLocations, currentLocation, forecast, criteria, units, onApplySuggestion }) => {
+  const [rides, setRides] = useState([]);
+  const [day, setDay] = useState(() => toLocalDayKey(new Date()));
+  const [startHour, setStartHour] = useState(9);
+  const [endHour, setEndHour] = useState(12);
+  const [locationId, setLocationId] = useState(CURRENT_LOCATION);
+  const [rating, setRating] = useState(NOT_RATED);
+  const [logError, setLogError] = useState('');
+
+  const storageSupported = typeof indexedDB !== 'undefined';
+
+  useEffect(() => {
+    if (!storageSupported) {
+      return;
+    }
+    let cancelled = false;
+    const loadRides = async () => {
+      try {
+        const stored = await getAllRecords(RIDES_STORE);
+        if (!cancelled) {
+          setRides(stored);
+        }
+        const filled = await Promise.all(stored.map(fillWeather));
+        if (!cancelled) {
+          setRides(filled);
+        }
+      } catch (err) {
+        console.error('Error loading ride log:', err);
+      }
+    };
+    loadRides();
+    return () => {
+      cancelled = true;
+    };
+  }, [storageSupported]);
+
+  if (!storageSupported) {
+    return null;
+  }
+
+  const location = locationId === CURRENT_LOCATION
+    ? currentLocation
+    : savedLocations.find(saved => saved.id === locationId);
+
+  const handleLog = async (e) => {
+    e.preventDefault();
+    setLogError('');
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+    if (!location || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      setLogError(t('rideLog.errors.location'));
+      return;
+    }
+    if (!day || endHour <= startHour) {
+      setLogError(t('rideLog.errors.time'));
+      return;
+    }
+
+    const ride = {
+      id: createId(),
+      day,
+      startHour,
+      endHour,
+      locationName: location.name,
+      latitude,
+      longitude,
+      rating: rating || null,
+      observed: null
+    };
+    // The forecast on screen only speaks for the current location; other
+    // rides get theirs from the record of past forecasts (see fillWeather)
+    ride.predicted = locationId === CURRENT_LOCATION ? pickRideHours(forecast, ride) : null;
+
+    try {
+      await putRecord(RIDES_STORE, ride);
+      setRides(current => [...current, ride]);
+      const filled = await fillWeather(ride);
+      setRides(current => current.map(candidate => (candidate.id === ride.id ? filled : candidate)));
+    } catch (err) {
+      console.error('Error saving ride:', err);
+      setLogError(t('rideLog.errors.saveFailed'));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteRecord(RIDES_STORE, id);
+      setRides(current => current.filter(ride => ride.id !== id));
+    } catch (err) {
+      console.error('Error deleting ride:', err);
+    }
+  };
+
+  // Most recent first
+  const sortedRides = [...rides].sort((a, b) => b.day.localeCompare(a.day) || b.startHour - a.startHour);
+  const suggestions = suggestCalibration(rides, criteria);
+
+  const describeSuggestion = ({ criterion, direction, value, count }) => t(`rideLog.suggestions.${direction}`, {
+    count,
+    criterion: getCriterionLabel(criterion),
+    from: formatVariable(criterion.variable, criteria[criterion.key], units),
+    to: formatVariable(criterion.variable, value, units)
+  });
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-3">{t('rideLog.title')}</h2>
+      <form onSubmit={handleLog} className="p-4 bg-gray-50 rounded-lg space-y-3">
+        <p className="text-sm text-gray-600">{t('rideLog.intro')}</p>
+        <div className="grid grid-cols-2 gap-4 text-sm">
+          <label className="block text-gray-700">
+            {t('rideLog.date')}
+            <input
+              type="date"
+              value={day}
+              onChange={(e) => setDay(e.target.value)}
+              aria-label={t('rideLog.dateLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            />
+          </label>
+          <label className="block text-gray-700">
+            {t('rideLog.location')}
+            <select
+              value={locationId}
+              onChange={(e) => setLocationId(e.target.value)}
+              aria-label={t('rideLog.locationLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              <option value={CURRENT_LOCATION}>
+                {t('alerts.currentLocation', { name: currentLocation.name || t('alerts.thisLocation') })}
+              </option>
+              {savedLocations.map(saved => (
+                <option key={saved.id} value={saved.id}>{saved.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-gray-700">
+            {t('rideLog.from')}
+            <select
+              value={startHour}
+              onChange={(e) => setStartHour(Number(e.target.value))}
+              aria-label={t('rideLog.fromLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              {HOURS.slice(0, 24).map(hour => (
+                <option key={hour} value={hour}>{formatHour(hour)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-gray-700">
+            {t('rideLog.to')}
+            <select
+              value={endHour}
+              onChange={(e) => setEndHour(Number(e.target.value))}
+              aria-label={t('rideLog.toLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              {HOURS.slice(1).map(hour => (
+                <option key={hour} value={hour}>{formatHour(hour)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-gray-700 col-span-2">
+            {t('rideLog.rating')}
+            <select
+              value={rating}
+              onChange={(e) => setRating(e.target.value)}
+              aria-label={t('rideLog.ratingLabel')}
+              className="w-full p-2 border border-gray-300 rounded-lg mt-1"
+            >
+              <option value={NOT_RATED}>{t('rideLog.ratings.none')}</option>
+              {RIDE_RATINGS.map(option => (
+                <option key={option} value={option}>{t(`rideLog.ratings.${option}`)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <button
+          type="submit"
+          className="w-full py-2 px-4 rounded-lg text-white font-semibold bg-gray-800 hover:bg-gray-900"
+        >
+          {t('rideLog.log')}
+        </button>
+      </form>
+
+      {logError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4" role="alert">
+          {logError}
+        </div>
+      )}
+
+      {suggestions.length > 0 && (
+        <div className="mt-4 p-4 rounded-lg border border-blue-200 bg-blue-50">
+          <h3 className="font-semibold text-gray-800 mb-2">{t('rideLog.suggestions.title')}</h3>
+          <ul className="space-y-2 text-sm" aria-label={t('rideLog.suggestions.title')}>
+            {suggestions.map(suggestion => (
+              <li key={suggestion.criterion.key} className="flex items-center justify-between gap-2">
+                <span>{describeSuggestion(suggestion)}</span>
+                <button
+                  type="button"
+                  onClick={() => onApplySuggestion(suggestion.criterion.key, suggestion.value)}
+                  aria-label={t('rideLog.suggestions.applyLabel', { criterion: getCriterionLabel(suggestion.criterion) })}
+                  className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  {t('rideLog.suggestions.apply')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {sortedRides.length > 0 && (
+        <ul className="mt-4 space-y-2" aria-label={t('rideLog.list')}>
+          {sortedRides.map(ride => {
+            const predicted = ride.predicted ? summariseRideHours(ride.predicted, criteria) : null;
+            const observed = ride.observed ? summariseRideHours(ride.observed, criteria) : null;
+            const verdict = (stats) => (stats.suitable ? t('rideLog.suitable') : t('rideLog.unsuitable'));
+            return (
+              <li key={ride.id} className="p-3 rounded-lg border border-gray-200 text-sm">
+                <div className="flex items-center justify-between">
+                  <span>
+                    <span className="font-medium text-gray-800">
+                      {formatDate(fromDayKey(ride.day))}, {formatHour(ride.startHour)} – {formatHour(ride.endHour)}
+                    </span>
+                    <span className="text-gray-600">
+                      {' · '}{ride.locationName}
+                      {ride.rating && ` · ${t(`rideLog.felt.${ride.rating}`)}`}
+                    </span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(ride.id)}
+                    aria-label={t('rideLog.deleteLabel', { date: formatDate(fromDayKey(ride.day)) })}
+                    className="px-2 py-1 text-red-600 hover:bg-red-50 rounded"
+                  >
+                    {t('alerts.delete')}
+                  </button>
+                </div>
+                {(predicted || observed) && (
+                  <table className="mt-2 text-xs text-gray-700">
+                    <thead>
+                      <tr className="text-left">
+                        <th className="pr-4 font-medium"></th>
+                        <th className="pr-4 font-medium">{t('rideLog.forecast')}</th>
+                        <th className="pr-4 font-medium">{t('rideLog.observed')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {COMPARISON_ROWS.map(({ key, format }) => (
+                        <tr key={key} data-row={key}>
+                          <th className="pr-4 text-left font-medium">{t(`rideLog.rows.${key}`)}</th>
+                          <td className="pr-4">{(predicted && format(predicted, units)) || '–'}</td>
+                          <td className="pr-4">{(observed && format(observed, units)) || '–'}</td>
+                        </tr>
+                      ))}
+                      <tr data-row="verdict">
+                        <th className="pr-4 text-left font-medium">{t('rideLog.rows.verdict')}</th>
+                        <td className="pr-4">{predicted ? verdict(predicted) : '–'}</td>
+                        <td className="pr-4">{observed ? verdict(observed) : '–'}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                )}
+                <p className="text-xs text-gray-500 mt-1" data-testid="ride-review">
+                  {!observed && t('rideLog.awaitingObserved')}
+                  {observed && predicted && (predicted.suitable === observed.suitable
+                    ? t('rideLog.forecastRight')
+                    : t('rideLog.forecastWrong'))}
+                  {observed && !predicted && t('rideLog.noForecast')}
+                </p>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RideLog;
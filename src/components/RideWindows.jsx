@@ -0,0 +1,102 @@
+import React from 'react';
+import { formatVariable } from '../core/criteria.js';
+import { t } from '../i18n.js';
+
+// Options for the minimum window length, in hours
+const MIN_HOURS_OPTIONS = [1, 2, 3, 4, 5, 6, 8];
+
+// Ranked list of contiguous suitable riding windows, each of which can be
+// added to a calendar, as can the whole list at once
+const RideWindows = ({
+  windows,
+  minHours,
+  onMinHoursChange,
+  selectedWindowId,
+  onSelect,
+  onAddToCalendar,
+  onAddAllToCalendar,
+  formatDate,
+  formatHour,
+  units
+}) => (
+  <div className="mb-6">
+    <div className="flex items-center justify-between mb-2">
+      <h2 className="text-2xl font-semibold text-gray-800">{t('rideWindows.title')}</h2>
+      <div className="flex items-center gap-2">
+        {windows.length > 0 && (
+          <button
+            type="button"
+            onClick={onAddAllToCalendar}
+            className="px-2 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            {t('calendar.addAll')}
+          </button>
+        )}
+        <label className="text-sm text-gray-700">
+          {t('rideWindows.atLeast')}{' '}
+          <select
+            value={minHours}
+            onChange={(e) => onMinHoursChange(Number(e.target.value))}
+            aria-label={t('rideWindows.minLength')}
+            className="p-1 border border-gray-300 rounded-lg"
+          >
+            {MIN_HOURS_OPTIONS.map(hours => (
+              <option key={hours} value={hours}>{t('common.hours', { count: hours })}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+    {windows.length > 0 ? (
+      <ol className="space-y-2" aria-label={t('rideWindows.list')}>
+        {windows.map(window => {
+          const isSelected = window.id === selectedWindowId;
+          const { minTemperature, maxTemperature, maxWindSpeed, maxWindGusts, totalPrecipitation } = window.stats;
+          return (
+            <li key={window.id} className="flex items-stretch gap-2">
+              <button
+                type="button"
+                onClick={() => onSelect(isSelected ? null : window.id)}
+                aria-pressed={isSelected}
+                className={`flex-1 text-left p-3 rounded-lg border transition duration-200 ${
+                  isSelected ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between font-medium text-gray-800">
+                  <span>
+                    {formatDate(window.date)}, {formatHour(window.startHour)} – {formatHour(window.endHour)}
+                  </span>
+                  <span>{t('rideWindows.summary', { length: window.length, score: window.averageScore })}</span>
+                </div>
+                <div className="text-xs text-gray-600 mt-1">
+                  {t('rideWindows.conditions', {
+                    temperature: `${formatVariable('temperature', minTemperature, units, { decimals: 0 })}–${
+                      formatVariable('temperature', maxTemperature, units, { decimals: 0 })}`,
+                    wind: formatVariable('windSpeed', maxWindSpeed, units),
+                    gusts: maxWindGusts === null ? '' : t('rideWindows.gusts', { gusts: formatVariable('windGusts', maxWindGusts, units) }),
+                    rain: formatVariable('precipitation', totalPrecipitation, units)
+                  })}
+                </div>
+              </button>
+              <button
+                type="button"
+                onClick={() => onAddToCalendar(window)}
+                aria-label={t('calendar.addLabel', { window: `${formatDate(window.date)}, ${formatHour(window.startHour)} – ${formatHour(window.endHour)}` })}
+                title={t('calendar.add')}
+                className="px-3 rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+              >
+                <span aria-hidden="true">📅</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    ) : (
+      <p className="text-sm text-gray-500">
+        {t('rideWindows.empty', { hours: t('common.hours', { count: minHours }) })}
+      </p>
+    )}
+  </div>
+);
+
+export default RideWindows;
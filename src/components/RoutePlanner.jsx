@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { parseWaypoints, parseGpx, planRoute, fetchSegmentForecasts, evaluateRoute } from '../route.js';
+import { getScoreBand } from '../core/rideScore.js';
+import { describeFailure, formatVariable } from '../core/criteria.js';
+import { getUnit, toDisplay, fromDisplay } from '../core/units.js';
+import { t, formatNumber } from '../i18n.js';
+
+// Default departure: the start of the next hour, formatted for datetime-local
+const nextHourValue = () => {
+  const date = new Date();
+  date.setHours(date.getHours() + 1, 0, 0, 0);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:00`;
+};
+
+const VERDICT_CLASSES = {
+  good: 'bg-green-100 border-green-400 text-green-800',
+  bad: 'bg-red-100 border-red-400 text-red-700',
+  unknown: 'bg-yellow-100 border-yellow-400 text-yellow-700'
+};
+
+// Route mode: check suitability along a multi-waypoint ride
+const RoutePlanner = ({ criteria, units, provider, formatTime }) => {
+  const [waypointText, setWaypointText] = useState('');
+  const [gpxPoints, setGpxPoints] = useState(null);
+  const [gpxName, setGpxName] = useState('');
+  const [departure, setDeparture] = useState(nextHourValue);
+  const [speedKmh, setSpeedKmh] = useState(60);
+  const speedUnit = getUnit('speed', units).symbol;
+  // Route distances are kilometres; the distance quantity is metres
+  const formatDistance = (km) =>
+    `${formatNumber(Math.round(toDisplay(km * 1000, 'distance', units)))} ${getUnit('distance', units).symbol}`;
+  // The last planned route and its forecasts, re-judged whenever criteria change
+  const [routeForecast, setRouteForecast] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [routeError, setRouteError] = useState('');
+
+  const handleGpxFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      setGpxPoints(parseGpx(await file.text()));
+      setGpxName(file.name);
+      setRouteError('');
+    } catch (err) {
+      setGpxPoints(null);
+      setGpxName('');
+      setRouteError(err.message);
+    }
+  };
+
+  const checkRoute = async (e) => {
+    e.preventDefault();
+    setRouteError('');
+    setRouteForecast(null);
+
+    let plan;
+    try {
+      const points = gpxPoints || parseWaypoints(waypointText);
+      if (!(speedKmh > 0)) {
+        throw new Error(t('route.errors.speed'));
+      }
+      plan = planRoute(points, { departure: new Date(departure), speedKmh });
+    } catch (err) {
+      setRouteError(err.message);
+      return;
+    }
+
+    setChecking(true);
+    try {
+      const forecasts = await fetchSegmentForecasts(plan.segments, provider);
+      setRouteForecast({ plan, forecasts });
+    } catch (err) {
+      console.error('Error fetching route forecast:', err);
+      setRouteError(t('route.fetchFailed'));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const route = routeForecast && {
+    totalKm: routeForecast.plan.totalKm,
+    ...evaluateRoute(routeForecast.plan.segments, routeForecast.forecasts, criteria)
+  };
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-3">{t('route.title')}</h2>
+      <form onSubmit={checkRoute} className="p-4 bg-gray-50 rounded-lg space-y-3">
+        <div>
+          <label htmlFor="route-waypoints" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('route.waypoints')}
+          </label>
+          <textarea
+            id="route-waypoints"
+            value={waypointText}
+            onChange={(e) => {
+              setWaypointText(e.target.value);
+              setGpxPoints(null);
+              setGpxName('');
+            }}
+            rows={4}
+            placeholder={'-37.8136, 144.9631\n-38.3420, 143.5850'}
+            className="w-full p-2 border border-gray-300 rounded-lg font-mono text-sm"
+          />
+        </div>
+        <div className="flex items-center space-x-2 text-sm">
+          <label htmlFor="route-gpx" className="font-medium text-gray-700">{t('route.gpx')}</label>
+          <input id="route-gpx" type="file" accept=".gpx,application/gpx+xml" onChange={handleGpxFile} />
+          {gpxName && <span className="text-gray-600">{t('route.gpxPoints', { name: gpxName, count: gpxPoints.length })}</span>}
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="route-departure" className="block text-sm font-medium text-gray-700 mb-1">{t('route.departure')}</label>
+            <input
+              id="route-departure"
+              type="datetime-local"
+              value={departure}
+              onChange={(e) => setDeparture(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+          <div>
+            <label htmlFor="route-speed" className="block text-sm font-medium text-gray-700 mb-1">{t('route.speed', { unit: speedUnit })}</label>
+            <input
+              id="route-speed"
+              type="number"
+              min="1"
+              value={Math.round(toDisplay(speedKmh, 'speed', units))}
+              onChange={(e) => setSpeedKmh(fromDisplay(Number(e.target.value), 'speed', units))}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={checking}
+          className="w-full py-2 px-4 rounded-lg text-white font-semibold bg-gray-800 hover:bg-gray-900 disabled:bg-gray-400"
+        >
+          {checking ? t('route.checking') : t('route.check')}
+        </button>
+      </form>
+
+      {routeError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mt-4" role="alert">
+          {routeError}
+        </div>
+      )}
+
+      {route && (
+        <div className="mt-4">
+          <div className={`border px-4 py-3 rounded-lg mb-3 ${VERDICT_CLASSES[route.verdict.status]}`} data-testid="route-verdict">
+            <strong className="font-bold">{formatDistance(route.totalKm)}: </strong>
+            {route.verdict.message}
+          </div>
+          <ol className="flex w-full rounded-lg overflow-hidden border border-gray-200" aria-label={t('route.segments')}>
+            {route.segments.map(segment => (
+              <li
+                key={segment.index}
+                className={`flex-1 h-12 text-[10px] flex flex-col items-center justify-center ${
+                  segment.score === null ? 'bg-gray-100' : getScoreBand(segment.score).className
+                }`}
+                data-suitable={segment.suitable === null ? undefined : String(segment.suitable)}
+                title={[
+                  t('route.segmentAround', {
+                    from: formatDistance(segment.startKm),
+                    to: formatDistance(segment.endKm),
+                    time: formatTime(segment.eta)
+                  }),
+                  segment.values
+                    ? ['temperature', 'windSpeed', 'precipitation']
+                      .map(key => formatVariable(key, segment.values[key], units, { compact: true }))
+                      .join(', ')
+                    : t('route.noForecast'),
+                  ...segment.failures.map(failure => describeFailure(failure, units))
+                ].join('\n')}
+              >
+                <span>{formatDistance(segment.startKm)}</span>
+                <span>{segment.score ?? '–'}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoutePlanner;
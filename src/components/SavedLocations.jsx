@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { isSameLocation } from '../savedLocations.js';
+import { t } from '../i18n.js';
+
+// Saved locations list with save, reorder, delete and one-tap switching
+const SavedLocations = ({
+  locations,
+  latitude,
+  longitude,
+  suggestedName,
+  onSave,
+  onSelect,
+  onMove,
+  onDelete
+}) => {
+  const [name, setName] = useState('');
+  const canSave = latitude && longitude;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const locationName = name.trim() || suggestedName;
+    if (!canSave || !locationName) {
+      return;
+    }
+    onSave(locationName);
+    setName('');
+  };
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-2">{t('savedLocations.title')}</h2>
+      {locations.length > 0 ? (
+        <ul className="mb-3 divide-y divide-gray-100 border border-gray-200 rounded-lg" aria-label={t('savedLocations.list')}>
+          {locations.map((location, index) => {
+            const isActive = isSameLocation(location, latitude, longitude);
+            return (
+              <li key={location.id} className={`flex items-center p-2 ${isActive ? 'bg-blue-50' : ''}`}>
+                <button
+                  type="button"
+                  onClick={() => onSelect(location)}
+                  aria-current={isActive ? 'location' : undefined}
+                  className="flex-1 text-left px-2 py-1 rounded hover:bg-gray-100"
+                >
+                  <span className="font-medium text-gray-800">{location.name}</span>
+                  <span className="ml-2 text-xs text-gray-500">
+                    {Number(location.latitude).toFixed(3)}, {Number(location.longitude).toFixed(3)}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(location.id, -1)}
+                  disabled={index === 0}
+                  aria-label={t('savedLocations.moveUp', { name: location.name })}
+                  className="px-2 py-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(location.id, 1)}
+                  disabled={index === locations.length - 1}
+                  aria-label={t('savedLocations.moveDown', { name: location.name })}
+                  className="px-2 py-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(location.id)}
+                  aria-label={t('savedLocations.delete', { name: location.name })}
+                  className="px-2 py-1 text-red-500 hover:text-red-700"
+                >
+                  ✕
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">{t('savedLocations.empty')}</p>
+      )}
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={suggestedName
+            ? t('savedLocations.namePlaceholderSuggested', { name: suggestedName })
+            : t('savedLocations.namePlaceholder')}
+          aria-label={t('savedLocations.nameLabel')}
+          className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!canSave}
+          className="px-4 py-2 rounded-lg bg-gray-800 text-white font-medium hover:bg-gray-900 disabled:bg-gray-300"
+        >
+          {t('savedLocations.save')}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SavedLocations;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { SCORE_BANDS, getBandLabel, UNSUITABLE_PATTERN_CLASS } from '../core/rideScore.js';
+import { t } from '../i18n.js';
+
+// Legend explaining the ride score colours, stripes and marks
+const ScoreLegend = () => (
+  <div className="mb-4" role="group" aria-label={t('score.legend')}>
+    <ul className="flex flex-wrap gap-2 text-xs">
+      {SCORE_BANDS.map((band, index) => {
+        const max = index === 0 ? 100 : SCORE_BANDS[index - 1].min - 1;
+        return (
+          <li key={band.key} className="flex items-center">
+            <span
+              className={`inline-flex items-center justify-center w-4 h-4 rounded mr-1 text-[10px] font-bold text-gray-900 ${band.className}${
+                band.suitable ? '' : ` ${UNSUITABLE_PATTERN_CLASS}`
+              }`}
+              aria-hidden="true"
+            >
+              {band.suitable ? '✓' : '✕'}
+            </span>
+            {getBandLabel(band)} ({band.min}–{max})
+          </li>
+        );
+      })}
+    </ul>
+    <p className="text-xs text-gray-500 mt-1">
+      {t('score.legendNote')}
+    </p>
+  </div>
+);
+
+export default ScoreLegend;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { t } from '../i18n.js';
+
+// Share the page's URL, which always describes what's on screen. Uses the
+// Web Share API where the browser has it and copies the link otherwise.
+// `children` are other actions on what's on screen, shown alongside.
+const ShareLink = ({ title, text, children }) => {
+  const [status, setStatus] = useState('');
+
+  const handleShare = async () => {
+    const url = window.location.href;
+    setStatus('');
+    try {
+      if (navigator.share) {
+        await navigator.share({ title, text, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setStatus(t('share.copied'));
+    } catch (err) {
+      // Closing the share sheet isn't an error
+      if (err.name === 'AbortError') {
+        return;
+      }
+      console.error('Error sharing link:', err);
+      setStatus(t('share.failed'));
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center gap-2 mb-6 -mt-4 text-sm">
+      <button
+        type="button"
+        onClick={handleShare}
+        className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+      >
+        {t('share.button')}
+      </button>
+      {children}
+      {status && <span className="text-gray-600" role="status">{status}</span>}
+    </div>
+  );
+};
+
+export default ShareLink;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { toLocationTime, getUtcOffsetSeconds, formatUtcOffset } from '../core/time.js';
+import { t, formatTime } from '../i18n.js';
+
+const TIME_DISPLAYS = ['location', 'device'];
+
+// The forecast location's local time, and whether the forecast is shown in
+// that time or the device's own. `zone` is the forecast's (see core/time.js).
+const TimeZoneSettings = ({ zone, zoneName, now, timeDisplay, onChange }) => {
+  const offset = formatUtcOffset(getUtcOffsetSeconds(now, zone));
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+      <span data-testid="location-time">
+        {t('timeZone.localTime', {
+          time: formatTime(toLocationTime(now, zone), { timeZone: 'UTC' }),
+          zone: zoneName || offset
+        })}
+      </span>
+      <select
+        value={timeDisplay}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={t('timeZone.label')}
+        className="p-1 border border-gray-300 rounded-lg"
+      >
+        {TIME_DISPLAYS.map(option => (
+          <option key={option} value={option}>{t(`timeZone.${option}`, { offset })}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TimeZoneSettings;
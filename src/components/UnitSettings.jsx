@@ -0,0 +1,46 @@
+import React from 'react';
+import { QUANTITIES, UNIT_PRESETS, findPreset } from '../core/units.js';
+import { t } from '../i18n.js';
+
+const CUSTOM_PRESET = 'custom';
+
+// Unit preference: a preset, or a unit per quantity
+const UnitSettings = ({ units, onChange }) => {
+  const preset = findPreset(units) || CUSTOM_PRESET;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+      <span>{t('units.label')}</span>
+      <select
+        value={preset}
+        onChange={(e) => onChange({ ...UNIT_PRESETS[e.target.value].units })}
+        aria-label={t('units.label')}
+        className="p-1 border border-gray-300 rounded-lg"
+      >
+        {Object.keys(UNIT_PRESETS).map(key => (
+          <option key={key} value={key}>{t(`units.presets.${key}`)}</option>
+        ))}
+        {preset === CUSTOM_PRESET && <option value={CUSTOM_PRESET} disabled>{t('units.custom')}</option>}
+      </select>
+      {Object.entries(QUANTITIES).map(([quantity, { units: options }]) => {
+        const label = t(`units.quantities.${quantity}`);
+        return (
+          <select
+            key={quantity}
+            value={units[quantity]}
+            onChange={(e) => onChange({ ...units, [quantity]: e.target.value })}
+            aria-label={t('units.quantityUnit', { quantity: label })}
+            title={label}
+            className="p-1 border border-gray-300 rounded-lg"
+          >
+            {Object.entries(options).map(([key, { symbol }]) => (
+              <option key={key} value={key}>{symbol}</option>
+            ))}
+          </select>
+        );
+      })}
+    </div>
+  );
+};
+
+export default UnitSettings;
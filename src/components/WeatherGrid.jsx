@@ -0,0 +1,247 @@
+import React, { useState, useRef } from 'react';
+import {
+  WEATHER_VARIABLES,
+  formatVariable,
+  describeFailure,
+  getDaylightLabel,
+  getCriterionLabel,
+  getVariableLabel
+} from '../core/criteria.js';
+import { getScoreBand, getBandLabel, UNSUITABLE_PATTERN_CLASS } from '../core/rideScore.js';
+import { isInWindow } from '../core/rideWindows.js';
+import { t, formatDate, formatHour, formatList } from '../i18n.js';
+
+// Extra shading for grid cells outside daylight
+const DAYLIGHT_CLASSES = {
+  twilight: 'brightness-95',
+  night: 'brightness-75 saturate-50'
+};
+
+// Badge colours for how far the forecast models agree on a cell
+const MODEL_CONFIDENCE_CLASSES = {
+  high: 'bg-white text-gray-700',
+  medium: 'bg-yellow-50 text-yellow-800',
+  low: 'bg-red-50 text-red-700 font-bold'
+};
+
+const SUMMARY_KEYS = ['temperature', 'windSpeed', 'precipitation'];
+
+// Describe a cell's weather and score, one line per fact, with what cost it
+// points and the criteria it fails listed separately
+const describeCell = (cell, units) => {
+  const summary = SUMMARY_KEYS
+    .map(key => formatVariable(key, cell.values[key], units, { compact: true }))
+    .join(', ');
+  const lines = [`${summary}${cell.isPast ? t('grid.past') : ''}`];
+  if (cell.values.daylight !== 'day') {
+    lines.push(getDaylightLabel(cell.values.daylight));
+  }
+
+  const extras = WEATHER_VARIABLES
+    .filter(variable => !SUMMARY_KEYS.includes(variable.key))
+    .filter(variable => cell.values[variable.key] !== null && cell.values[variable.key] !== undefined)
+    .map(variable => `${getVariableLabel(variable.key)} ${formatVariable(variable.key, cell.values[variable.key], units)}`);
+  if (extras.length > 0) {
+    lines.push(extras.join(', '));
+  }
+
+  lines.push(t('grid.rideScore', { score: cell.score, band: getBandLabel(getScoreBand(cell.score)) }));
+  if (cell.models) {
+    lines.push(`${t('models.agreement', { suitable: cell.models.suitable, total: cell.models.total })} (${t(`models.confidence.${cell.models.confidence}`)})`);
+  }
+
+  return {
+    lines,
+    contributions: cell.contributions.map(({ criterion, points }) => `−${points} ${getCriterionLabel(criterion)}`),
+    failures: cell.failures.map(failure => describeFailure(failure, units))
+  };
+};
+
+// Tooltip for a cell, listing every failed criterion
+const describeCellTooltip = (cell, units) => {
+  const { lines, contributions, failures } = describeCell(cell, units);
+  const tooltip = [...lines, ...contributions.map(contribution => `  ${contribution}`)];
+  if (failures.length > 0) {
+    tooltip.push(t('grid.failed'), ...failures.map(failure => `• ${failure}`));
+  }
+  return tooltip.join('\n');
+};
+
+// What a screen reader announces for a cell, starting with when it is and
+// whether it's suitable
+const describeCellLabel = (cell, when, units) => {
+  if (!cell) {
+    return `${when}. ${t('grid.noData')}`;
+  }
+  const { lines, contributions, failures } = describeCell(cell, units);
+  const parts = [when, cell.suitable ? t('grid.suitable') : t('grid.unsuitable'), ...lines, ...contributions];
+  if (failures.length > 0) {
+    parts.push(`${t('grid.failed')} ${formatList(failures)}`);
+  }
+  return parts.join('. ');
+};
+
+// Keys that move the active cell, as [row, column] for the current position
+const moveActive = (key, ctrlKey, { row, column }, rows, columns) => {
+  switch (key) {
+    case 'ArrowUp': return [Math.max(0, row - 1), column];
+    case 'ArrowDown': return [Math.min(rows - 1, row + 1), column];
+    case 'ArrowLeft': return [row, Math.max(0, column - 1)];
+    case 'ArrowRight': return [row, Math.min(columns - 1, column + 1)];
+    case 'Home': return ctrlKey ? [0, 0] : [row, 0];
+    case 'End': return ctrlKey ? [rows - 1, columns - 1] : [row, columns - 1];
+    default: return null;
+  }
+};
+
+// Forecast grid of days by hours, following the ARIA grid pattern: one tab
+// stop, with the arrow keys (plus Home and End, with Ctrl for the corners)
+// moving between hours. Each hour's colour gives its ride score band, and a
+// ✓ or a striped ✕ whether it meets the criteria; screen readers get the
+// full description. Enter on an hour with model forecasts compares them.
+const WeatherGrid = ({ grid, hours, units, highlightedWindow, comparedTime, onCompare }) => {
+  const gridRef = useRef(null);
+  const [active, setActive] = useState({ row: 0, column: 0 });
+
+  // The grid can shrink under the active cell
+  const activeRow = Math.min(active.row, grid.length - 1);
+  const activeColumn = Math.min(active.column, hours.length - 1);
+
+  const focusCell = (row, column) => {
+    setActive({ row, column });
+    gridRef.current.querySelector(`[data-row="${row}"][data-column="${column}"]`)?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    const position = e.target.closest('[role="gridcell"]');
+    if (!position) {
+      return;
+    }
+    const current = { row: Number(position.dataset.row), column: Number(position.dataset.column) };
+    const next = moveActive(e.key, e.ctrlKey || e.metaKey, current, grid.length, hours.length);
+    if (next) {
+      e.preventDefault();
+      focusCell(...next);
+      return;
+    }
+    const cell = grid[current.row].hours[current.column];
+    if ((e.key === 'Enter' || e.key === ' ') && e.target === position && cell?.models) {
+      e.preventDefault();
+      onCompare(cell.time);
+    }
+  };
+
+  return (
+    <>
+    <p id="grid-keyboard-hint" className="sr-only">{t('grid.keyboardHint')}</p>
+    <div
+      ref={gridRef}
+      role="grid"
+      aria-label={t('grid.label')}
+      aria-describedby="grid-keyboard-hint"
+      aria-rowcount={grid.length + 1}
+      aria-colcount={hours.length + 1}
+      onKeyDown={handleKeyDown}
+      className="relative overflow-x-auto"
+    >
+      <div className="min-w-max">
+        <div role="row" className="flex h-10 border-b border-gray-200 bg-gray-50">
+          <div
+            role="columnheader"
+            className="sticky left-0 z-10 p-2 text-xs text-gray-700 font-extrabold flex items-center min-w-[120px] border-r border-gray-200 bg-gray-50"
+          >
+            {t('grid.day')}
+          </div>
+          {hours.map((hour, index) => (
+            <div
+              key={index}
+              role="columnheader"
+              className="p-2 text-xs font-medium text-gray-700 text-center min-w-[80px] flex items-center justify-center"
+            >
+              {formatHour(hour)}
+            </div>
+          ))}
+        </div>
+
+        {grid.map((row, rowIndex) => (
+          <div key={rowIndex} role="row" className="flex h-16 border-b border-gray-100 last:border-b-0">
+            <div
+              role="rowheader"
+              className="sticky left-0 z-10 p-2 text-xs font-medium text-gray-700 flex items-center min-w-[120px] border-r border-gray-200 bg-white"
+            >
+              {formatDate(row.day.date)}
+            </div>
+            {row.hours.map((cell, cellIndex) => {
+              const when = `${formatDate(row.day.date)} ${formatHour(hours[cellIndex])}`;
+              const inWindow = isInWindow(highlightedWindow, cell?.time);
+              const isActive = rowIndex === activeRow && cellIndex === activeColumn;
+              return (
+                <div
+                  key={cellIndex}
+                  role="gridcell"
+                  tabIndex={isActive ? 0 : -1}
+                  onFocus={() => setActive({ row: rowIndex, column: cellIndex })}
+                  aria-label={describeCellLabel(cell, when, units)}
+                  aria-selected={inWindow}
+                  className={`p-2 text-xs text-gray-900 transition-all duration-200 hover:scale-105 min-w-[80px] focus:outline-none focus:ring-4 focus:ring-inset focus:ring-gray-900 ${
+                    inWindow ? 'ring-2 ring-inset ring-blue-700 ' : ''
+                  }${
+                    !cell
+                      ? 'bg-gray-100'
+                      : cell.isPast
+                      ? 'bg-gray-100 text-gray-600'
+                      : getScoreBand(cell.score).className
+                  }${cell && !cell.suitable ? ` ${UNSUITABLE_PATTERN_CLASS}` : ''}${
+                    cell && cell.values.daylight !== 'day' ? ` ${DAYLIGHT_CLASSES[cell.values.daylight]}` : ''
+                  }`}
+                  data-row={rowIndex}
+                  data-column={cellIndex}
+                  data-daylight={cell ? cell.values.daylight : undefined}
+                  data-band={cell ? getScoreBand(cell.score).key : undefined}
+                  data-suitable={cell ? cell.suitable : undefined}
+                  data-in-window={inWindow || undefined}
+                  title={cell ? describeCellTooltip(cell, units) : t('grid.noData')}
+                >
+                  {cell && (
+                    <div className="flex flex-col items-center justify-center h-12">
+                      <div className="font-medium">
+                        {cell.values.daylight === 'night' && <span aria-hidden="true">🌙 </span>}
+                        {cell.values.daylight === 'twilight' && <span aria-hidden="true">🌅 </span>}
+                        {formatVariable('temperature', cell.values.temperature, units, { decimals: 0, compact: true })}
+                      </div>
+                      <div className="text-xs">
+                        {formatVariable('windSpeed', cell.values.windSpeed, units, { compact: true })}
+                      </div>
+                      <div className="text-[10px]">
+                        <span aria-hidden="true" className="font-bold mr-0.5" data-testid="suitability-icon">
+                          {cell.suitable ? '✓' : '✕'}
+                        </span>
+                        {cell.score}
+                        {cell.models && (
+                          <button
+                            type="button"
+                            tabIndex={-1}
+                            onClick={() => onCompare(cell.time)}
+                            aria-label={t('models.details', { time: when })}
+                            aria-pressed={cell.time === comparedTime}
+                            className={`ml-1 px-1 rounded ${MODEL_CONFIDENCE_CLASSES[cell.models.confidence]}`}
+                            data-confidence={cell.models.confidence}
+                          >
+                            {cell.models.suitable}/{cell.models.total}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+    </>
+  );
+};
+
+export default WeatherGrid;
@@ -0,0 +1,141 @@
+// Coordinates
+//
+// Latitudes and longitudes are kept as the strings they were typed or linked
+// as (see shareLink.js), so checks here take strings or numbers.
+//
+// Riders can paste coordinates in whatever form they have them to hand:
+//   decimal degrees  -37.8136, 144.9631  or  -37.8136 144.9631
+//   DMS              37°48'49"S 144°57'47"E  or  S 37 48 49, E 144 57 47
+//   Google Maps URLs https://www.google.com/maps/place/.../@-37.8136,144.9631,15z
+
+const isCoordinate = (value, limit) => {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return false;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit;
+};
+
+// Whether a value is a latitude in degrees, -90 to 90
+export const isValidLatitude = (value) => isCoordinate(value, 90);
+
+// Whether a value is a longitude in degrees, -180 to 180
+export const isValidLongitude = (value) => isCoordinate(value, 180);
+
+export const isValidCoordinates = (latitude, longitude) => isValidLatitude(latitude) && isValidLongitude(longitude);
+
+// Decimal places kept from parsed coordinates; six is about 10cm
+const DECIMALS = 6;
+
+// A coordinate in degrees as the string the app keeps, e.g. "-37.8136"
+export const formatCoordinate = (value, decimals = DECIMALS) => String(Number(value.toFixed(decimals)) || 0);
+
+// A coordinate is degrees, then optionally minutes and seconds, with an
+// optional hemisphere letter before or after. Unit marks are optional, so
+// "37 48 49 S" reads the same as 37°48'49"S.
+const COORDINATE_PATTERN = /^([NSEW])?\s*(.*?)\s*([NSEW])?$/i;
+const NUMBER_PATTERN = /[-+]?\d+(?:\.\d+)?/g;
+const UNIT_MARKS = /[\s°º'′’"″”]/g;
+
+const HEMISPHERES = { N: ['latitude', 1], S: ['latitude', -1], E: ['longitude', 1], W: ['longitude', -1] };
+
+// Read one coordinate, giving `{ axis, value }` where `axis` is the one its
+// hemisphere letter names (null without one), or null if it can't be read
+const readCoordinate = (text) => {
+  const [, before, body, after] = COORDINATE_PATTERN.exec(text.trim());
+  const parts = body.match(NUMBER_PATTERN) || [];
+  if ((before && after) || parts.length < 1 || parts.length > 3 || body.replace(NUMBER_PATTERN, '').replace(UNIT_MARKS, '')) {
+    return null;
+  }
+  // Only the degrees can be signed, and only the last part can have decimals
+  const [degrees, ...rest] = parts;
+  if (rest.some(part => /^[-+]/.test(part)) || parts.slice(0, -1).some(part => part.includes('.'))) {
+    return null;
+  }
+  if (rest.some(part => Number(part) >= 60)) {
+    return null;
+  }
+  const [minutes = 0, seconds = 0] = rest.map(Number);
+  const magnitude = Math.abs(Number(degrees)) + minutes / 60 + seconds / 3600;
+  const signed = degrees.startsWith('-') ? -magnitude : magnitude;
+
+  const hemisphere = (before || after)?.toUpperCase();
+  if (!hemisphere) {
+    return { axis: null, value: signed };
+  }
+  // A hemisphere already says which way; a sign as well is a mistake
+  if (/^[-+]/.test(degrees)) {
+    return null;
+  }
+  const [axis, sign] = HEMISPHERES[hemisphere];
+  return { axis, value: sign * magnitude };
+};
+
+// Where Google Maps URLs keep coordinates, most specific first: the dropped
+// pin, then a searched-for point, then the middle of the view
+const GOOGLE_MAPS_PATTERNS = [
+  /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/,
+  /[?&](?:q|query|ll|destination|center)=(-?\d+(?:\.\d+)?)(?:,|%2C)\s*(-?\d+(?:\.\d+)?)/i,
+  /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/
+];
+
+const readGoogleMapsUrl = (text) => {
+  if (!/^https?:\/\/(?:www\.|maps\.)?google\.[a-z.]+\/(?:maps)?/i.test(text)) {
+    return null;
+  }
+  for (const pattern of GOOGLE_MAPS_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) {
+      return [match[1], match[2]];
+    }
+  }
+  return null;
+};
+
+// Split a pair into its two coordinates: at a comma or semicolon, between
+// hemisphere-marked halves, or at the space between two plain numbers
+const splitPair = (text) => {
+  const separated = text.split(/[,;]/);
+  if (separated.length === 2) {
+    return separated;
+  }
+  if (separated.length > 2) {
+    return null;
+  }
+
+  // Prefix letters start each half; suffix letters end them
+  const marked = /^([NSEW].*?)\s*([NSEW].*)$/i.exec(text) || /^(.*?[NSEW])\s*(.*[NSEW])$/i.exec(text);
+  if (marked) {
+    return [marked[1], marked[2]];
+  }
+  const numbers = text.split(/\s+/);
+  return numbers.length === 2 ? numbers : null;
+};
+
+// Parse a pasted pair of coordinates in any of the forms above, giving
+// `{ latitude, longitude }` normalised (see formatCoordinate), or null if it
+// isn't a valid pair. Latitude comes first unless hemisphere letters say
+// otherwise.
+export const parseCoordinatePair = (text) => {
+  const trimmed = String(text).trim();
+  const parts = readGoogleMapsUrl(trimmed) || splitPair(trimmed);
+  if (!parts) {
+    return null;
+  }
+
+  const coordinates = parts.map(part => readCoordinate(part));
+  if (coordinates.some(coordinate => !coordinate)) {
+    return null;
+  }
+  let [first, second] = coordinates;
+  if (first.axis === 'longitude' || second.axis === 'latitude') {
+    [first, second] = [second, first];
+  }
+  if (first.axis === 'longitude' || second.axis === 'latitude') {
+    return null;
+  }
+  if (!isValidCoordinates(first.value, second.value)) {
+    return null;
+  }
+  return { latitude: formatCoordinate(first.value), longitude: formatCoordinate(second.value) };
+};
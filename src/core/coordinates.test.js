@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { isValidLatitude, isValidLongitude, isValidCoordinates, parseCoordinatePair } from './coordinates.js';
+
+describe('coordinate checks', () => {
+  it('accepts coordinates as typed or as numbers', () => {
+    expect(isValidCoordinates('-37.8136', '144.9631')).toBe(true);
+    expect(isValidCoordinates(' -37.8136 ', 144.9631)).toBe(true);
+    expect(isValidCoordinates(90, -180)).toBe(true);
+  });
+
+  it('rejects half-typed and out of range values', () => {
+    expect(isValidLatitude('-')).toBe(false);
+    expect(isValidLatitude('-3-')).toBe(false);
+    expect(isValidLatitude('')).toBe(false);
+    expect(isValidLatitude(null)).toBe(false);
+    expect(isValidLatitude('90.1')).toBe(false);
+    expect(isValidLongitude('180.1')).toBe(false);
+    expect(isValidLongitude('invalid')).toBe(false);
+  });
+});
+
+describe('parseCoordinatePair', () => {
+  const MELBOURNE = { latitude: '-37.8136', longitude: '144.9631' };
+  const MELBOURNE_DMS = { latitude: '-37.813611', longitude: '144.963056' };
+
+  it('reads decimal pairs', () => {
+    expect(parseCoordinatePair('-37.8136, 144.9631')).toEqual(MELBOURNE);
+    expect(parseCoordinatePair(' -37.8136 144.9631 ')).toEqual(MELBOURNE);
+    expect(parseCoordinatePair('-37.8136;144.9631')).toEqual(MELBOURNE);
+    expect(parseCoordinatePair('+37.80, -0.0')).toEqual({ latitude: '37.8', longitude: '0' });
+  });
+
+  it('reads degrees, minutes and seconds', () => {
+    expect(parseCoordinatePair('37°48\'49"S 144°57\'47"E')).toEqual(MELBOURNE_DMS);
+    expect(parseCoordinatePair('37°48′49″S, 144°57′47″E')).toEqual(MELBOURNE_DMS);
+    expect(parseCoordinatePair('S 37 48 49 E 144 57 47')).toEqual(MELBOURNE_DMS);
+    expect(parseCoordinatePair('37°48.8\'S 144°57.8\'E')).toEqual({ latitude: '-37.813333', longitude: '144.963333' });
+    expect(parseCoordinatePair('51 30 N, 0 7 W')).toEqual({ latitude: '51.5', longitude: '-0.116667' });
+  });
+
+  it('follows hemisphere letters over the order', () => {
+    expect(parseCoordinatePair('144°57\'47"E 37°48\'49"S')).toEqual(MELBOURNE_DMS);
+    expect(parseCoordinatePair('37°S 144°S')).toBeNull();
+  });
+
+  it('reads Google Maps links', () => {
+    expect(parseCoordinatePair('https://www.google.com/maps/@-37.8136,144.9631,15z')).toEqual(MELBOURNE);
+    expect(parseCoordinatePair('https://maps.google.com/?q=-37.8136,144.9631')).toEqual(MELBOURNE);
+    expect(parseCoordinatePair('https://www.google.com/maps/search/?api=1&query=-37.8136%2C144.9631')).toEqual(MELBOURNE);
+    // A dropped pin wins over the middle of the view
+    expect(parseCoordinatePair(
+      'https://www.google.com/maps/place/Melbourne/@-37.8,144.9,12z/data=!3m1!4b1!4m6!3m5!8m2!3d-37.8136!4d144.9631'
+    )).toEqual(MELBOURNE);
+    expect(parseCoordinatePair('https://example.com/@-37.8136,144.9631')).toBeNull();
+  });
+
+  it('rejects anything else', () => {
+    for (const text of ['', 'abc', '-37.8136', '200, 10', '-37.8, 190', '1, 2, 3', '37 60 0 S, 144 E', '-37°S, 144°E', '37.5 30 S, 144 E']) {
+      expect(parseCoordinatePair(text)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,193 @@
+import {
+  DEFAULT_UNITS,
+  getUnit,
+  toDisplay,
+  fromDisplay,
+  roundForDisplay,
+  snapToStep,
+  convertRange
+} from './units.js';
+import { t, formatNumber } from '../i18n.js';
+
+// Weather variables and riding criteria
+//
+// WEATHER_VARIABLES maps the Open-Meteo hourly variables we fetch onto the
+// short names used throughout the app. Variables with a `quantity` are fetched
+// in metric and shown in the rider's preferred units (see units.js); the rest
+// have a fixed `unit`.
+//
+// CRITERIA describes every threshold a rider can set: which variable it
+// checks, whether it is a lower (`min`) or upper (`max`) bound, and the slider
+// range used to edit it. Limits and ranges are metric. Optional criteria are
+// switched off by storing `null` in the profile.
+//
+// The scoring fields feed the ride score (see rideScore.js):
+//   weight    - how much the criterion matters relative to the others (0-1)
+//   margin    - distance inside the limit where conditions start to feel marginal
+//   tolerance - distance past the limit at which the criterion is a write-off
+//   floor     - physical minimum (e.g. 0 mm rain) that is never marginal
+//
+// Flag criteria (`type: 'flag'`) are on/off rules rather than thresholds, such
+// as "daylight only", and check a value computed by the app rather than fetched.
+//
+// The English `label`s here name things in exports and logs; the UI shows the
+// translated labels from the message catalogs (see i18n.js).
+
+export const WEATHER_VARIABLES = [
+  { key: 'temperature', apiName: 'temperature_2m', label: 'Temperature', quantity: 'temperature' },
+  { key: 'precipitation', apiName: 'precipitation', label: 'Precipitation', quantity: 'precipitation' },
+  { key: 'windSpeed', apiName: 'wind_speed_10m', label: 'Wind', quantity: 'speed' },
+  { key: 'windGusts', apiName: 'wind_gusts_10m', label: 'Gusts', quantity: 'speed' },
+  { key: 'precipitationProbability', apiName: 'precipitation_probability', label: 'Rain chance', unit: '%' },
+  { key: 'apparentTemperature', apiName: 'apparent_temperature', label: 'Feels like', quantity: 'temperature' },
+  { key: 'visibility', apiName: 'visibility', label: 'Visibility', quantity: 'distance' },
+  { key: 'humidity', apiName: 'relative_humidity_2m', label: 'Humidity', unit: '%' },
+  { key: 'uvIndex', apiName: 'uv_index', label: 'UV index', unit: '' }
+];
+
+export const CRITERIA = [
+  { key: 'maxPrecipitation', variable: 'precipitation', bound: 'max', label: 'Max Precipitation', min: 0, max: 10, step: 0.1, weight: 1, margin: 0.5, tolerance: 3, floor: 0 },
+  { key: 'maxWindSpeed', variable: 'windSpeed', bound: 'max', label: 'Max Wind Speed', min: 0, max: 50, step: 1, weight: 1, margin: 10, tolerance: 20 },
+  { key: 'minTemperature', variable: 'temperature', bound: 'min', label: 'Min Temperature', min: -10, max: 40, step: 1, weight: 0.7, margin: 4, tolerance: 10 },
+  { key: 'maxTemperature', variable: 'temperature', bound: 'max', label: 'Max Temperature', min: -10, max: 50, step: 1, weight: 0.7, margin: 4, tolerance: 8 },
+  { key: 'maxWindGusts', variable: 'windGusts', bound: 'max', label: 'Max Wind Gusts', min: 0, max: 100, step: 1, optional: true, defaultValue: 40, weight: 1, margin: 15, tolerance: 30 },
+  { key: 'maxPrecipitationProbability', variable: 'precipitationProbability', bound: 'max', label: 'Max Rain Chance', min: 0, max: 100, step: 5, optional: true, defaultValue: 30, weight: 0.5, margin: 20, tolerance: 50, floor: 0 },
+  { key: 'minApparentTemperature', variable: 'apparentTemperature', bound: 'min', label: 'Min Feels-like Temperature', min: -20, max: 40, step: 1, optional: true, defaultValue: 5, weight: 0.5, margin: 4, tolerance: 10 },
+  { key: 'maxApparentTemperature', variable: 'apparentTemperature', bound: 'max', label: 'Max Feels-like Temperature', min: -20, max: 50, step: 1, optional: true, defaultValue: 35, weight: 0.5, margin: 4, tolerance: 8 },
+  { key: 'minVisibility', variable: 'visibility', bound: 'min', label: 'Min Visibility', min: 0, max: 20000, step: 500, optional: true, defaultValue: 2000, weight: 1, margin: 3000, tolerance: 1500 },
+  { key: 'maxHumidity', variable: 'humidity', bound: 'max', label: 'Max Humidity', min: 0, max: 100, step: 1, optional: true, defaultValue: 90, weight: 0.3, margin: 10, tolerance: 15 },
+  { key: 'maxUvIndex', variable: 'uvIndex', bound: 'max', label: 'Max UV Index', min: 0, max: 12, step: 1, optional: true, defaultValue: 8, weight: 0.3, margin: 3, tolerance: 4, floor: 0 },
+  { key: 'daylightOnly', variable: 'daylight', type: 'flag', label: 'Daylight only (incl. civil twilight)', optional: true, defaultValue: true, weight: 1 }
+];
+
+// Translated label for the `daylight` value computed per hour
+export const getDaylightLabel = (daylight) => t(`daylight.${daylight}`);
+
+// Translated labels for criteria and weather variables
+export const getCriterionLabel = (criterion) => t(`criteria.${criterion.key}`);
+
+export const getVariableLabel = (key) => t(`variables.${key}`);
+
+// Comma separated list for the Open-Meteo `hourly` parameter
+export const HOURLY_API_VARIABLES = WEATHER_VARIABLES.map(variable => variable.apiName).join(',');
+
+const variablesByKey = new Map(WEATHER_VARIABLES.map(variable => [variable.key, variable]));
+
+export const getVariable = (key) => variablesByKey.get(key);
+
+// Unit symbol for a variable in the rider's units, e.g. "mph"
+export const getVariableUnit = (key, units) => {
+  const variable = getVariable(key);
+  return variable.quantity ? getUnit(variable.quantity, units).symbol : variable.unit;
+};
+
+// Unit for the variable a criterion checks
+export const getCriterionUnit = (criterion, units) => getVariableUnit(criterion.variable, units);
+
+// Format a value with its unit, e.g. "12 km/h", "9°C", "40%"
+export const formatWithUnit = (value, unit) => {
+  if (!unit) {
+    return `${value}`;
+  }
+  return unit.startsWith('°') || unit === '%' ? `${value}${unit}` : `${value} ${unit}`;
+};
+
+// Format a metric value of a variable in the rider's units, e.g. "12.4 mph".
+// `decimals` overrides the unit's usual precision; `compact` drops the space
+// before the unit for tight spots like grid cells ("12.4mph").
+export const formatVariable = (key, value, units, { decimals, compact = false } = {}) => {
+  const variable = getVariable(key);
+  let display = value;
+  if (variable.quantity) {
+    const converted = toDisplay(value, variable.quantity, units);
+    display = decimals === undefined
+      ? roundForDisplay(converted, variable.quantity, units)
+      : Number(converted.toFixed(decimals));
+  }
+  const unit = getVariableUnit(key, units);
+  const formatted = formatNumber(display);
+  return compact ? `${formatted}${unit}` : formatWithUnit(formatted, unit);
+};
+
+// Slider `{ min, max, step }` for a criterion in the rider's units
+export const getCriterionRange = (criterion, units) => {
+  const { quantity } = getVariable(criterion.variable) || {};
+  return quantity ? convertRange(criterion, quantity, units) : { min: criterion.min, max: criterion.max, step: criterion.step };
+};
+
+// Criterion limit as shown on its slider, in the rider's units
+export const toSliderValue = (criterion, value, units) => {
+  const { quantity } = getVariable(criterion.variable);
+  return quantity ? roundForDisplay(toDisplay(value, quantity, units), quantity, units) : value;
+};
+
+// Slider position back to a metric limit. Slider positions sit on the
+// steps of the rider's units, so a limit set this way reads as a round
+// number ("12 mph"); limits are otherwise kept as stored, whatever the units.
+export const fromSliderValue = (criterion, value, units) => {
+  const { quantity } = getVariable(criterion.variable);
+  return quantity ? fromDisplay(value, quantity, units) : value;
+};
+
+// Round a limit onto the slider steps of the rider's units
+export const snapCriterion = (criterion, value, units) => {
+  const quantity = getVariable(criterion.variable)?.quantity;
+  return quantity && typeof value === 'number' ? snapToStep(value, quantity, units) : value;
+};
+
+// A criterion is active unless it is optional and switched off
+export const isCriterionEnabled = (criteria, criterion) => {
+  const value = criteria[criterion.key];
+  return value !== null && value !== undefined && value !== false;
+};
+
+// Pick the weather values for hour `index` out of an Open-Meteo `hourly` block
+export const getHourlyValues = (hourly, index) => {
+  const values = {};
+  for (const variable of WEATHER_VARIABLES) {
+    const series = hourly[variable.apiName];
+    values[variable.key] = series ? series[index] : null;
+  }
+  return values;
+};
+
+// Whether a value fails a criterion's limit
+export const failsCriterion = (criterion, value, limit) => {
+  if (criterion.type === 'flag') {
+    return criterion.variable === 'daylight' && value === 'night';
+  }
+  return criterion.bound === 'max' ? value > limit : value < limit;
+};
+
+// Check hourly weather values against the rider's criteria.
+// Returns the list of criteria that failed; an empty list means suitable.
+// Criteria that are switched off, or whose variable has no data, are skipped.
+export const evaluateCriteria = (values, criteria) => {
+  const failures = [];
+  for (const criterion of CRITERIA) {
+    if (!isCriterionEnabled(criteria, criterion)) {
+      continue;
+    }
+    const value = values[criterion.variable];
+    if (value === null || value === undefined) {
+      continue;
+    }
+    const limit = criteria[criterion.key];
+    if (failsCriterion(criterion, value, limit)) {
+      failures.push({ criterion, value, limit });
+    }
+  }
+  return failures;
+};
+
+// Describe a failed criterion, e.g. "Max Wind Speed: 32.8 km/h (limit 20 km/h)"
+export const describeFailure = ({ criterion, value, limit }, units = DEFAULT_UNITS) => {
+  if (criterion.type === 'flag') {
+    return `${getCriterionLabel(criterion)}: ${getDaylightLabel(value)}`;
+  }
+  return t('criteria.failure', {
+    label: getCriterionLabel(criterion),
+    value: formatVariable(criterion.variable, value, units),
+    limit: formatVariable(criterion.variable, limit, units)
+  });
+};
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CRITERIA,
+  getHourlyValues,
+  evaluateCriteria,
+  failsCriterion,
+  isCriterionEnabled,
+  formatVariable,
+  toSliderValue,
+  fromSliderValue,
+  snapCriterion
+} from './criteria.js';
+import { DEFAULT_UNITS, UNIT_PRESETS } from './units.js';
+import { DEFAULT_CRITERIA } from '../profiles.js';
+import { mockWeatherData } from '../../e2e/fixtures/mock-weather-data.js';
+
+const criterion = (key) => CRITERIA.find(candidate => candidate.key === key);
+const failedKeys = (failures) => failures.map(failure => failure.criterion.key);
+
+describe('getHourlyValues', () => {
+  it('picks one hour out of a forecast', () => {
+    expect(getHourlyValues(mockWeatherData.hourly, 0)).toMatchObject({
+      temperature: 8.5,
+      precipitation: 0,
+      windSpeed: 12.5
+    });
+  });
+
+  it('leaves variables the forecast lacks as null', () => {
+    expect(getHourlyValues(mockWeatherData.hourly, 0).windGusts).toBeNull();
+  });
+});
+
+describe('failsCriterion', () => {
+  it('checks upper and lower bounds', () => {
+    expect(failsCriterion(criterion('maxWindSpeed'), 20.1, 20)).toBe(true);
+    expect(failsCriterion(criterion('maxWindSpeed'), 20, 20)).toBe(false);
+    expect(failsCriterion(criterion('minTemperature'), 9.9, 10)).toBe(true);
+    expect(failsCriterion(criterion('minTemperature'), 10, 10)).toBe(false);
+  });
+
+  it('only fails daylight-only at night', () => {
+    expect(failsCriterion(criterion('daylightOnly'), 'night', true)).toBe(true);
+    expect(failsCriterion(criterion('daylightOnly'), 'twilight', true)).toBe(false);
+  });
+});
+
+describe('isCriterionEnabled', () => {
+  it('treats null and false as switched off', () => {
+    expect(isCriterionEnabled({ maxWindGusts: null }, criterion('maxWindGusts'))).toBe(false);
+    expect(isCriterionEnabled({ daylightOnly: false }, criterion('daylightOnly'))).toBe(false);
+    expect(isCriterionEnabled({ maxWindGusts: 0 }, criterion('maxWindGusts'))).toBe(true);
+  });
+});
+
+describe('evaluateCriteria', () => {
+  const hour = (index) => getHourlyValues(mockWeatherData.hourly, index);
+
+  it('passes an hour inside every limit', () => {
+    // 07:00 on the first day: 12.2°C, 15.3 km/h, dry
+    expect(evaluateCriteria(hour(1), DEFAULT_CRITERIA)).toEqual([]);
+  });
+
+  it('lists every failed criterion with its value and limit', () => {
+    // 06:00 on the first day is 8.5°C
+    expect(evaluateCriteria(hour(0), DEFAULT_CRITERIA)).toEqual([
+      { criterion: criterion('minTemperature'), value: 8.5, limit: 10 }
+    ]);
+    // 14:00 is 28.1°C with 35.1 km/h wind
+    expect(failedKeys(evaluateCriteria(hour(8), { ...DEFAULT_CRITERIA, maxTemperature: 25 })))
+      .toEqual(['maxWindSpeed', 'maxTemperature']);
+  });
+
+  it('skips switched-off criteria and variables without data', () => {
+    const values = { ...hour(1), windGusts: null };
+    expect(evaluateCriteria(values, { ...DEFAULT_CRITERIA, maxWindGusts: 10 })).toEqual([]);
+    expect(evaluateCriteria({ ...values, windGusts: 40 }, { ...DEFAULT_CRITERIA, maxWindGusts: null })).toEqual([]);
+  });
+
+  it('applies daylight-only to night hours', () => {
+    const values = { ...hour(1), daylight: 'night' };
+    expect(failedKeys(evaluateCriteria(values, { ...DEFAULT_CRITERIA, daylightOnly: true }))).toEqual(['daylightOnly']);
+  });
+});
+
+describe('formatVariable', () => {
+  it('formats metric values in the rider\'s units', () => {
+    expect(formatVariable('windSpeed', 20, DEFAULT_UNITS)).toBe('20 km/h');
+    expect(formatVariable('windSpeed', 20, UNIT_PRESETS.us.units)).toBe('12.4 mph');
+    expect(formatVariable('temperature', 8.5, UNIT_PRESETS.us.units, { decimals: 0 })).toBe('47°F');
+    expect(formatVariable('windSpeed', 12.5, DEFAULT_UNITS, { compact: true })).toBe('12.5km/h');
+  });
+});
+
+describe('slider values', () => {
+  it('shows a stored limit in any units without changing it', () => {
+    const maxWindSpeed = criterion('maxWindSpeed');
+    expect(toSliderValue(maxWindSpeed, 20, UNIT_PRESETS.us.units)).toBe(12.4);
+    expect(toSliderValue(maxWindSpeed, 20, DEFAULT_UNITS)).toBe(20);
+    expect(toSliderValue(criterion('maxPrecipitation'), 0.5, DEFAULT_UNITS)).toBe(0.5);
+  });
+
+  it('sets a limit from a slider position in the rider\'s units', () => {
+    const limit = fromSliderValue(criterion('maxWindSpeed'), 12, UNIT_PRESETS.us.units);
+    expect(formatVariable('windSpeed', limit, UNIT_PRESETS.us.units)).toBe('12 mph');
+    expect(fromSliderValue(criterion('maxPrecipitationProbability'), 30, UNIT_PRESETS.us.units)).toBe(30);
+  });
+
+  it('rounds a default limit onto the slider steps when switching it on', () => {
+    const limit = snapCriterion(criterion('maxWindGusts'), 40, UNIT_PRESETS.us.units);
+    expect(formatVariable('windGusts', limit, UNIT_PRESETS.us.units)).toBe('25 mph');
+  });
+});
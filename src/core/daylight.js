@@ -0,0 +1,84 @@
+// Daylight helpers
+//
+// Sunrise and sunset come from Open-Meteo's daily data. Civil twilight (sun
+// less than 6° below the horizon, still light enough to ride without the
+// road going dark) isn't available from the API, so its length is worked out
+// locally from the latitude and the sun's declination for the day.
+
+import { parseForecastTime } from './time.js';
+
+const SUNRISE_ALTITUDE = -0.833;
+const CIVIL_TWILIGHT_ALTITUDE = -6;
+const MINUTES_PER_DEGREE = 4;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Hour angle (degrees) at which the sun crosses `altitude`, or null when it
+// never gets that low (or high) on this day
+const hourAngle = (latitude, declination, altitude) => {
+  const phi = toRadians(latitude);
+  const cosH = (Math.sin(toRadians(altitude)) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+  return cosH < -1 || cosH > 1 ? null : toDegrees(Math.acos(cosH));
+};
+
+// Length of morning (or evening) civil twilight in minutes. Returns Infinity
+// when the sun never drops 6° below the horizon (summer "white nights").
+export const civilTwilightMinutes = (latitude, date) => {
+  const startOfYear = Date.UTC(date.getFullYear(), 0, 0);
+  const dayOfYear = Math.floor((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - startOfYear) / 86400000);
+  const declination = toRadians(-23.44 * Math.cos(toRadians(360 / 365 * (dayOfYear + 10))));
+
+  const sunrise = hourAngle(latitude, declination, SUNRISE_ALTITUDE);
+  const civil = hourAngle(latitude, declination, CIVIL_TWILIGHT_ALTITUDE);
+  if (sunrise === null) {
+    return 0;
+  }
+  if (civil === null) {
+    return Infinity;
+  }
+  return (civil - sunrise) * MINUTES_PER_DEGREE;
+};
+
+// Build a map of day ("2025-07-21") to { sunrise, sunset, dawn, dusk } Dates
+// from an Open-Meteo `daily` block, whose times are in `zone` (see time.js)
+export const buildDaylightByDay = (daily, latitude, zone) => {
+  const daylightByDay = new Map();
+  if (!daily || !daily.sunrise || !daily.sunset) {
+    return daylightByDay;
+  }
+
+  daily.time.forEach((day, i) => {
+    const sunrise = parseForecastTime(daily.sunrise[i], zone);
+    const sunset = parseForecastTime(daily.sunset[i], zone);
+    // Cap white nights at 12 hours so dawn and dusk stay valid dates
+    const twilightMs = Math.min(civilTwilightMinutes(Number(latitude), sunrise), 12 * 60) * 60000;
+    daylightByDay.set(day, {
+      sunrise,
+      sunset,
+      dawn: new Date(sunrise.getTime() - twilightMs),
+      dusk: new Date(sunset.getTime() + twilightMs)
+    });
+  });
+  return daylightByDay;
+};
+
+// Classify the moment `dateTime` as 'day', 'twilight' or 'night'.
+// Unknown daylight counts as day.
+export const classifyMoment = (dateTime, daylight) => {
+  if (!daylight) {
+    return 'day';
+  }
+  const time = dateTime.getTime();
+  if (time >= daylight.sunrise.getTime() && time < daylight.sunset.getTime()) {
+    return 'day';
+  }
+  if (time >= daylight.dawn.getTime() && time < daylight.dusk.getTime()) {
+    return 'twilight';
+  }
+  return 'night';
+};
+
+// Classify the hour starting at `dateTime`, judged at the middle of the hour
+export const classifyHour = (dateTime, daylight) =>
+  classifyMoment(new Date(dateTime.getTime() + 30 * 60000), daylight);
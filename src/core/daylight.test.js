@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { civilTwilightMinutes, buildDaylightByDay, classifyMoment, classifyHour } from './daylight.js';
+import { getForecastZone, parseForecastTime } from './time.js';
+import { mockWeatherData, withDaylight } from '../../e2e/fixtures/mock-weather-data.js';
+
+// Sunrise 07:30 and sunset 17:30 on every day of the fixture
+const forecast = withDaylight(mockWeatherData);
+const zone = getForecastZone(forecast);
+const at = (time) => parseForecastTime(time, zone);
+
+describe('civilTwilightMinutes', () => {
+  it('is short near the equator and longer further from it', () => {
+    expect(civilTwilightMinutes(0, new Date(2025, 2, 20))).toBeCloseTo(21, 0);
+    expect(civilTwilightMinutes(-37.8136, new Date(2025, 6, 21))).toBeCloseTo(28.5, 0);
+  });
+
+  it('lasts all night on summer "white nights"', () => {
+    expect(civilTwilightMinutes(65, new Date(2025, 5, 21))).toBe(Infinity);
+  });
+
+  it('is zero when the sun doesn\'t rise or set', () => {
+    expect(civilTwilightMinutes(69.6, new Date(2025, 5, 21))).toBe(0);
+    expect(civilTwilightMinutes(69.6, new Date(2025, 11, 21))).toBe(0);
+  });
+});
+
+describe('buildDaylightByDay', () => {
+  it('maps each day to its sunrise, sunset, dawn and dusk', () => {
+    const daylightByDay = buildDaylightByDay(forecast.daily, forecast.latitude, zone);
+
+    expect([...daylightByDay.keys()]).toEqual(['2025-07-21', '2025-07-22', '2025-07-23']);
+    const { sunrise, sunset, dawn, dusk } = daylightByDay.get('2025-07-21');
+    expect(sunrise).toEqual(at('2025-07-21T07:30'));
+    expect(sunset).toEqual(at('2025-07-21T17:30'));
+    // About 28 minutes of civil twilight in Melbourne in July
+    expect((sunrise - dawn) / 60000).toBeCloseTo(28.5, 0);
+    expect((dusk - sunset) / 60000).toBeCloseTo((sunrise - dawn) / 60000);
+  });
+
+  it('caps twilight on white nights so dawn and dusk stay valid', () => {
+    // July is summer up north
+    const daylightByDay = buildDaylightByDay(forecast.daily, 65, zone);
+    const { sunrise, dawn } = daylightByDay.get('2025-07-21');
+    expect(sunrise - dawn).toBe(12 * 60 * 60000);
+  });
+
+  it('is empty without sunrise and sunset', () => {
+    expect(buildDaylightByDay(undefined, forecast.latitude, zone).size).toBe(0);
+    expect(buildDaylightByDay({ time: forecast.daily.time }, forecast.latitude, zone).size).toBe(0);
+  });
+});
+
+describe('classifyMoment and classifyHour', () => {
+  const daylight = buildDaylightByDay(forecast.daily, forecast.latitude, zone).get('2025-07-21');
+
+  it('tells day, twilight and night apart', () => {
+    expect(classifyMoment(at('2025-07-21T12:00'), daylight)).toBe('day');
+    expect(classifyMoment(at('2025-07-21T07:15'), daylight)).toBe('twilight');
+    expect(classifyMoment(at('2025-07-21T17:45'), daylight)).toBe('twilight');
+    expect(classifyMoment(at('2025-07-21T06:00'), daylight)).toBe('night');
+    expect(classifyMoment(at('2025-07-21T20:00'), daylight)).toBe('night');
+  });
+
+  it('judges an hour at its middle', () => {
+    // 07:30 is sunrise, 17:30 sunset
+    expect(classifyHour(at('2025-07-21T07:00'), daylight)).toBe('day');
+    expect(classifyHour(at('2025-07-21T17:00'), daylight)).toBe('twilight');
+    expect(classifyHour(at('2025-07-21T06:00'), daylight)).toBe('night');
+  });
+
+  it('counts unknown daylight as day', () => {
+    expect(classifyMoment(at('2025-07-21T02:00'), undefined)).toBe('day');
+  });
+});
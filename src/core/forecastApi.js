@@ -0,0 +1,74 @@
+import { HOURLY_API_VARIABLES } from './criteria.js';
+import { MINUTELY_API_VARIABLES } from './nowcast.js';
+import { MODEL_API_KEYS } from './models.js';
+
+// Open-Meteo forecast endpoint
+export const FORECAST_API_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// 15-minute steps requested for the nowcast: enough to cover two hours ahead
+// from anywhere in the current hour
+const NOWCAST_STEPS = 12;
+
+// Build the forecast URL for one location, or several given as comma
+// separated lists of latitudes and longitudes. Always metric: the rider's
+// units are applied when values are shown (see units.js).
+// `nowcast` adds current conditions and 15-minute data (see nowcast.js), and
+// `baseUrl` points the request at another server that speaks the same API.
+export const buildForecastUrl = (latitude, longitude, { nowcast = false, baseUrl = FORECAST_API_URL } = {}) => {
+  const url = `${baseUrl}?latitude=${latitude}&longitude=${longitude}&hourly=${HOURLY_API_VARIABLES}&daily=sunrise,sunset&wind_speed_unit=kmh&timezone=auto&forecast_days=7`;
+  return nowcast
+    ? `${url}&current=${HOURLY_API_VARIABLES}&minutely_15=${MINUTELY_API_VARIABLES}&forecast_minutely_15=${NOWCAST_STEPS}`
+    : url;
+};
+
+// Build the URL for the same hourly forecast from each model we compare
+// (see models.js)
+export const buildModelComparisonUrl = (latitude, longitude, { baseUrl = FORECAST_API_URL } = {}) =>
+  `${baseUrl}?latitude=${latitude}&longitude=${longitude}&hourly=${HOURLY_API_VARIABLES}&models=${MODEL_API_KEYS}&wind_speed_unit=kmh&timezone=auto&forecast_days=7`;
+
+// Series in a response block that aren't numbers
+const TEXT_SERIES = ['time', 'sunrise', 'sunset'];
+
+const toNumberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Line every series of a block (`hourly`, `minutely_15`, `daily`) up with its
+// `time` list, so a short or missing value reads as null rather than shifting
+// or breaking the hours after it
+const normaliseBlock = (block) => {
+  const normalised = { time: block.time };
+  for (const [key, series] of Object.entries(block)) {
+    if (key === 'time') {
+      continue;
+    }
+    normalised[key] = block.time.map((_, i) => {
+      const value = Array.isArray(series) ? series[i] : null;
+      return TEXT_SERIES.includes(key) ? value ?? null : toNumberOrNull(value);
+    });
+  }
+  return normalised;
+};
+
+const hasTimes = (block) => Boolean(block) && Array.isArray(block.time);
+
+// Check and tidy a forecast response before anything reads it: series are
+// aligned with their times, values are numbers or null, and
+// `utc_offset_seconds` is a number or null. Throws when there's no hourly
+// forecast to show.
+export const normaliseForecast = (data) => {
+  if (!data || !hasTimes(data.hourly)) {
+    throw new Error('Forecast response has no hourly data');
+  }
+  const normalised = {
+    ...data,
+    utc_offset_seconds: toNumberOrNull(data.utc_offset_seconds),
+    hourly: normaliseBlock(data.hourly)
+  };
+  for (const key of ['minutely_15', 'daily']) {
+    if (hasTimes(data[key])) {
+      normalised[key] = normaliseBlock(data[key]);
+    } else {
+      delete normalised[key];
+    }
+  }
+  return normalised;
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { buildForecastUrl, normaliseForecast } from './forecastApi.js';
+import { mockWeatherData } from '../../e2e/fixtures/mock-weather-data.js';
+
+describe('buildForecastUrl', () => {
+  it('asks for a metric hourly forecast in the location\'s time', () => {
+    const url = new URL(buildForecastUrl(-37.8136, 144.9631));
+    expect(url.searchParams.get('latitude')).toBe('-37.8136');
+    expect(url.searchParams.get('longitude')).toBe('144.9631');
+    expect(url.searchParams.get('hourly')).toContain('wind_speed_10m');
+    expect(url.searchParams.get('wind_speed_unit')).toBe('kmh');
+    expect(url.searchParams.get('timezone')).toBe('auto');
+    expect(url.searchParams.has('minutely_15')).toBe(false);
+  });
+
+  it('adds 15-minute data for the nowcast', () => {
+    const url = new URL(buildForecastUrl(1, 2, { nowcast: true }));
+    expect(url.searchParams.has('current')).toBe(true);
+    expect(url.searchParams.get('minutely_15')).toContain('precipitation');
+  });
+});
+
+describe('normaliseForecast', () => {
+  it('keeps the forecast\'s values and pads short series', () => {
+    // The fixture's last two hours have a time but no values
+    const { hourly } = normaliseForecast(mockWeatherData);
+    const count = mockWeatherData.hourly.temperature_2m.length;
+
+    expect(hourly.time).toEqual(mockWeatherData.hourly.time);
+    expect(hourly.temperature_2m.slice(0, count)).toEqual(mockWeatherData.hourly.temperature_2m);
+    expect(hourly.temperature_2m.slice(count)).toEqual([null, null]);
+  });
+
+  it('lines series up with their times', () => {
+    const forecast = normaliseForecast({
+      utc_offset_seconds: '3600',
+      hourly: {
+        time: ['2025-07-21T06:00', '2025-07-21T07:00', '2025-07-21T08:00'],
+        temperature_2m: [10, 'warm'],
+        wind_speed_10m: [5, null, Number.NaN, 7]
+      },
+      daily: { time: ['2025-07-21'], sunrise: ['2025-07-21T07:30'] },
+      minutely_15: null
+    });
+
+    expect(forecast.utc_offset_seconds).toBeNull();
+    expect(forecast.hourly.temperature_2m).toEqual([10, null, null]);
+    expect(forecast.hourly.wind_speed_10m).toEqual([5, null, null]);
+    expect(forecast.daily.sunrise).toEqual(['2025-07-21T07:30']);
+    expect(forecast).not.toHaveProperty('minutely_15');
+  });
+
+  it('rejects responses without an hourly forecast', () => {
+    expect(() => normaliseForecast(null)).toThrow('no hourly data');
+    expect(() => normaliseForecast({ hourly: { temperature_2m: [] } })).toThrow('no hourly data');
+  });
+});
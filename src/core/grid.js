@@ -0,0 +1,95 @@
+import { getHourlyValues, evaluateCriteria } from './criteria.js';
+import { scoreHour } from './rideScore.js';
+import { buildDaylightByDay, classifyHour } from './daylight.js';
+import { compareModelsAt } from './models.js';
+import { toLocalHourKey, parseForecastTime, fromDayKey, getForecastZone } from './time.js';
+
+// Forecast grid
+//
+// Turns a forecast into the days x hours grid the app shows, with every hour
+// judged against the rider's criteria. This is the weather engine's main entry
+// point; everything in src/core is plain JavaScript with no React or browser
+// dependencies, so it can be unit-tested and reused outside the app.
+//
+// Each cell is
+//   { time, values, failures, suitable, score, contributions, models, isPast }
+// where `time` is the forecast's own `time` key, `values` includes the hour's
+// `daylight` class and `models` is the model comparison (see models.js), or
+// null without one.
+
+export const EMPTY_GRID = { days: [], hours: [], grid: [] };
+
+// Organise `forecast` into `{ days, hours, grid }`:
+//   days  - `{ date, hours }` per calendar day, `hours` mapping hour -> cell
+//   hours - the hours of the day shown as columns, within `visibleHours`
+//   grid  - one row per day as `{ day, hours }`, with a cell (or null) per column
+// `timeDisplay` is 'location' to lay the grid out in the location's time, or
+// 'device' for the device's. `latitude` is used for daylight when the
+// forecast doesn't carry its own.
+export const organizeWeatherGrid = (forecast, {
+  criteria,
+  now = new Date(),
+  timeDisplay = 'location',
+  visibleHours = { startHour: 0, endHour: 23 },
+  modelForecast = null,
+  latitude = null
+}) => {
+  if (!forecast || !forecast.hourly) {
+    return EMPTY_GRID;
+  }
+
+  const { time } = forecast.hourly;
+  const zone = getForecastZone(forecast);
+  const daylightByDay = buildDaylightByDay(forecast.daily, forecast.latitude ?? latitude, zone);
+  const dayMap = new Map();
+  const hoursSet = new Set();
+
+  // Group data by day and collect all hours
+  for (let i = 0; i < time.length; i++) {
+    const dateTime = parseForecastTime(time[i], zone);
+    // Forecast times are already the location's; "my time" re-reads the
+    // same instant on the device's clock
+    const hourKey = timeDisplay === 'device' ? toLocalHourKey(dateTime) : time[i];
+    const dayKey = hourKey.slice(0, 10);
+    const hour = Number(hourKey.slice(11, 13));
+
+    hoursSet.add(hour);
+
+    if (!dayMap.has(dayKey)) {
+      dayMap.set(dayKey, {
+        date: fromDayKey(dayKey),
+        hours: new Map()
+      });
+    }
+
+    // Check if conditions are suitable for riding
+    const values = getHourlyValues(forecast.hourly, i);
+    values.daylight = classifyHour(dateTime, daylightByDay.get(time[i].slice(0, 10)));
+    const failures = evaluateCriteria(values, criteria);
+    const { score, contributions } = scoreHour(values, criteria);
+
+    dayMap.get(dayKey).hours.set(hour, {
+      time: time[i],
+      suitable: failures.length === 0,
+      failures,
+      score,
+      contributions,
+      values,
+      models: modelForecast ? compareModelsAt(modelForecast, time[i], criteria, values.daylight) : null,
+      isPast: dateTime < now
+    });
+  }
+
+  const days = Array.from(dayMap.values()).sort((a, b) => a.date - b.date);
+  const hours = Array.from(hoursSet)
+    .sort((a, b) => a - b)
+    .filter(hour => hour >= visibleHours.startHour && hour <= visibleHours.endHour);
+
+  // Create grid data with days as rows and hours as columns
+  const grid = days.map(day => ({
+    day,
+    hours: hours.map(hour => day.hours.get(hour) || null)
+  }));
+
+  return { days, hours, grid };
+};
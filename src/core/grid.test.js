@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { organizeWeatherGrid, EMPTY_GRID } from './grid.js';
+import { DEFAULT_CRITERIA } from '../profiles.js';
+import { mockWeatherData, withDaylight } from '../../e2e/fixtures/mock-weather-data.js';
+
+// Before the fixture's first hour (06:00 on 2025-07-21 at UTC+11)
+const BEFORE = new Date('2025-07-20T00:00:00Z');
+
+const organize = (forecast, options = {}) =>
+  organizeWeatherGrid(forecast, { criteria: DEFAULT_CRITERIA, now: BEFORE, ...options });
+
+describe('organizeWeatherGrid', () => {
+  it('returns an empty grid without a forecast', () => {
+    expect(organize(null)).toBe(EMPTY_GRID);
+    expect(organize({})).toBe(EMPTY_GRID);
+  });
+
+  it('lays the forecast out as days by hours', () => {
+    const { days, hours, grid } = organize(mockWeatherData);
+
+    expect(days).toHaveLength(3);
+    expect(days[0].date.getDate()).toBe(21);
+    expect(hours).toEqual([6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+    expect(grid).toHaveLength(3);
+    expect(grid.every(row => row.hours.length === 13)).toBe(true);
+    expect(grid[1].hours[0].time).toBe('2025-07-22T06:00');
+  });
+
+  it('judges every hour against the criteria', () => {
+    const [firstDay] = organize(mockWeatherData).grid;
+
+    // 06:00 is too cold, 07:00-08:00 fine, 09:00 on too windy
+    expect(firstDay.hours.slice(0, 5).map(cell => cell.suitable)).toEqual([false, true, true, false, false]);
+    expect(firstDay.hours[0].failures.map(failure => failure.criterion.key)).toEqual(['minTemperature']);
+    expect(firstDay.hours[1].values).toMatchObject({ temperature: 12.2, windSpeed: 15.3, daylight: 'day' });
+    expect(firstDay.hours[1].score).toBeGreaterThan(firstDay.hours[0].score);
+    expect(firstDay.hours[1].models).toBeNull();
+  });
+
+  it('follows criteria changes', () => {
+    const [firstDay] = organize(mockWeatherData, { criteria: { ...DEFAULT_CRITERIA, maxWindSpeed: 30 } }).grid;
+    expect(firstDay.hours.slice(0, 7).map(cell => cell.suitable)).toEqual([false, true, true, true, true, true, false]);
+  });
+
+  it('only keeps the visible hours', () => {
+    const { hours, grid } = organize(mockWeatherData, { visibleHours: { startHour: 8, endHour: 10 } });
+    expect(hours).toEqual([8, 9, 10]);
+    expect(grid[0].hours.map(cell => cell.time)).toEqual(['2025-07-21T08:00', '2025-07-21T09:00', '2025-07-21T10:00']);
+  });
+
+  it('marks hours before now as past', () => {
+    // 09:30 on the first day at the location
+    const now = new Date('2025-07-20T22:30:00Z');
+    const [firstDay, secondDay] = organize(mockWeatherData, { now }).grid;
+    expect(firstDay.hours.slice(0, 5).map(cell => cell.isPast)).toEqual([true, true, true, true, false]);
+    expect(secondDay.hours.some(cell => cell.isPast)).toBe(false);
+  });
+
+  it('classifies daylight from the forecast\'s sunrise and sunset', () => {
+    // Hours are judged at their midpoint; civil twilight is about half an hour
+    const { grid } = organize(withDaylight(mockWeatherData, { sunrise: '07:45', sunset: '17:15' }));
+    const daylight = grid[0].hours.map(cell => cell.values.daylight);
+    expect(daylight.slice(0, 3)).toEqual(['night', 'twilight', 'day']);
+    expect(daylight.slice(10)).toEqual(['day', 'twilight', 'night']);
+  });
+});
@@ -0,0 +1,94 @@
+// Slippy map math
+//
+// The map picker draws standard 256px Web Mercator tiles, as served by
+// OpenStreetMap and most other tile servers. A tile source is
+// `{ url, attribution }`, where `url` has {z}, {x} and {y} placeholders;
+// swapping it swaps where every tile comes from.
+
+export const OSM_TILES = {
+  url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '© OpenStreetMap contributors'
+};
+
+export const TILE_SIZE = 256;
+export const MIN_ZOOM = 2;
+export const MAX_ZOOM = 18;
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.05112878;
+
+const worldSize = (zoom) => TILE_SIZE * 2 ** zoom;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Pixel position of a point on the whole world map at `zoom`, `{ x, y }`
+// from the top left
+export const project = (latitude, longitude, zoom) => {
+  const size = worldSize(zoom);
+  const sin = Math.sin(clamp(latitude, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI / 180);
+  return {
+    x: (longitude + 180) / 360 * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+};
+
+// The point at a world map pixel position at `zoom`, `{ latitude, longitude }`.
+// Longitudes wrap around into -180 to 180.
+export const unproject = (x, y, zoom) => {
+  const size = worldSize(zoom);
+  const mercator = Math.PI * (1 - 2 * clamp(y, 0, size) / size);
+  const longitude = (((x / size * 360) % 360) + 360) % 360 - 180;
+  return {
+    latitude: Math.atan(Math.sinh(mercator)) * 180 / Math.PI,
+    longitude
+  };
+};
+
+export const clampZoom = (zoom) => clamp(Math.round(zoom), MIN_ZOOM, MAX_ZOOM);
+
+export const tileUrl = (template, { z, x, y }) =>
+  template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+// The tiles covering a `width` x `height` view centred on `center` at
+// `zoom`, each with its `left` and `top` in the view. Tiles repeat east and
+// west; there's nothing north or south of the map.
+export const getVisibleTiles = ({ center, zoom, width, height }) => {
+  const middle = project(center.latitude, center.longitude, zoom);
+  const left = middle.x - width / 2;
+  const top = middle.y - height / 2;
+  const count = 2 ** zoom;
+
+  const tiles = [];
+  for (let row = Math.floor(top / TILE_SIZE); row * TILE_SIZE < top + height; row++) {
+    if (row < 0 || row >= count) {
+      continue;
+    }
+    for (let column = Math.floor(left / TILE_SIZE); column * TILE_SIZE < left + width; column++) {
+      tiles.push({
+        key: `${zoom}/${column}/${row}`,
+        z: zoom,
+        x: ((column % count) + count) % count,
+        y: row,
+        left: column * TILE_SIZE - left,
+        top: row * TILE_SIZE - top
+      });
+    }
+  }
+  return tiles;
+};
+
+// Where a point lands in a `width` x `height` view centred on `center`,
+// `{ left, top }`, taking the copy of the world nearest the centre
+export const toViewPosition = ({ center, zoom, width, height }, latitude, longitude) => {
+  const middle = project(center.latitude, center.longitude, zoom);
+  const point = project(latitude, longitude, zoom);
+  const size = worldSize(zoom);
+  const dx = ((point.x - middle.x) % size + size * 1.5) % size - size / 2;
+  return { left: width / 2 + dx, top: height / 2 + point.y - middle.y };
+};
+
+// The point at `{ left, top }` in a view centred on `center`
+export const fromViewPosition = ({ center, zoom, width, height }, left, top) => {
+  const middle = project(center.latitude, center.longitude, zoom);
+  return unproject(middle.x + left - width / 2, middle.y + top - height / 2, zoom);
+};
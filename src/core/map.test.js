@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { project, unproject, tileUrl, getVisibleTiles, toViewPosition, fromViewPosition, OSM_TILES } from './map.js';
+
+const MELBOURNE = { latitude: -37.8136, longitude: 144.9631 };
+
+describe('project and unproject', () => {
+  it('place points on the world map', () => {
+    expect(project(0, -180, 0)).toEqual({ x: 0, y: 128 });
+    expect(project(0, 0, 1)).toEqual({ x: 256, y: 256 });
+    const { x, y } = project(MELBOURNE.latitude, MELBOURNE.longitude, 11);
+    expect([Math.floor(x / 256), Math.floor(y / 256)]).toEqual([1848, 1256]);
+  });
+
+  it('round trip', () => {
+    const { x, y } = project(MELBOURNE.latitude, MELBOURNE.longitude, 11);
+    const point = unproject(x, y, 11);
+    expect(point.latitude).toBeCloseTo(MELBOURNE.latitude, 9);
+    expect(point.longitude).toBeCloseTo(MELBOURNE.longitude, 9);
+  });
+
+  it('wraps longitudes and stops at the edge of the map', () => {
+    expect(unproject(256 * 4 + 512, 512, 2).longitude).toBeCloseTo(0);
+    expect(unproject(-256, 512, 2).longitude).toBeCloseTo(90);
+    expect(unproject(0, -100, 2).latitude).toBeCloseTo(85.0511, 4);
+  });
+});
+
+describe('tileUrl', () => {
+  it('fills in the template', () => {
+    expect(tileUrl(OSM_TILES.url, { z: 11, x: 1848, y: 1256 })).toBe('https://tile.openstreetmap.org/11/1848/1256.png');
+  });
+});
+
+describe('getVisibleTiles', () => {
+  it('covers the view around the centre', () => {
+    const tiles = getVisibleTiles({ center: MELBOURNE, zoom: 11, width: 512, height: 256 });
+    expect(tiles.map(tile => `${tile.x}/${tile.y}`)).toContain('1848/1256');
+    for (const tile of tiles) {
+      expect(tile.left).toBeLessThan(512);
+      expect(tile.left + 256).toBeGreaterThan(0);
+      expect(tile.top).toBeLessThan(256);
+      expect(tile.top + 256).toBeGreaterThan(0);
+    }
+  });
+
+  it('repeats the world across the date line but not past the poles', () => {
+    const tiles = getVisibleTiles({ center: { latitude: 85, longitude: 180 }, zoom: 2, width: 512, height: 512 });
+    expect(new Set(tiles.map(tile => tile.x))).toEqual(new Set([3, 0]));
+    expect(tiles.every(tile => tile.y >= 0)).toBe(true);
+    expect(new Set(tiles.map(tile => tile.key)).size).toBe(tiles.length);
+  });
+});
+
+describe('view positions', () => {
+  const view = { center: MELBOURNE, zoom: 11, width: 600, height: 300 };
+
+  it('put the centre in the middle', () => {
+    expect(toViewPosition(view, MELBOURNE.latitude, MELBOURNE.longitude)).toEqual({ left: 300, top: 150 });
+    const point = fromViewPosition(view, 300 + 128, 150);
+    expect(point.latitude).toBeCloseTo(MELBOURNE.latitude, 9);
+    expect(point.longitude).toBeCloseTo(MELBOURNE.longitude + 360 / 4096, 9);
+  });
+
+  it('take the copy of the world nearest the centre', () => {
+    const nearDateLine = { ...view, center: { latitude: 0, longitude: 179.9 } };
+    expect(toViewPosition(nearDateLine, 0, -179.9).left).toBeGreaterThan(300);
+  });
+});
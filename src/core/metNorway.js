@@ -0,0 +1,76 @@
+import { toLocalHourKey } from './time.js';
+
+// MET Norway locationforecast
+//
+// The Norwegian Meteorological Institute's global forecast
+// (https://api.met.no/weatherapi/locationforecast/2.0/documentation). Its
+// response is a GeoJSON feature with a `timeseries` of UTC steps: hourly for
+// the first two to three days, then every six hours. Only the hourly steps
+// are used, so the grid doesn't get holes in it.
+//
+// The API has no time zone lookup, so times are keyed in the device's time
+// zone and the forecast has no `utc_offset_seconds`. It also has no sunrise
+// and sunset, no feels-like temperature and no visibility; those come back
+// missing, and the UV index is the clear-sky value.
+//
+// MET Norway's terms ask for coordinates to at most four decimals.
+
+export const MET_NORWAY_API_URL = 'https://api.met.no/weatherapi/locationforecast/2.0/complete';
+
+const MS_TO_KMH = 3.6;
+
+// Internal `hourly` series (named as in WEATHER_VARIABLES) read from each
+// step's instant values, or from its `next_1_hours` summary for amounts over
+// the hour that starts at the step
+const INSTANT_SERIES = {
+  temperature_2m: 'air_temperature',
+  wind_speed_10m: 'wind_speed',
+  wind_gusts_10m: 'wind_speed_of_gust',
+  relative_humidity_2m: 'relative_humidity',
+  uv_index: 'ultraviolet_index_clear_sky'
+};
+const NEXT_HOUR_SERIES = {
+  precipitation: 'precipitation_amount',
+  precipitation_probability: 'probability_of_precipitation'
+};
+// Series MET Norway gives in m/s
+const SPEED_SERIES = ['wind_speed_10m', 'wind_gusts_10m'];
+
+const toFourDecimals = (coordinate) => Number(Number(coordinate).toFixed(4));
+
+export const buildMetNorwayUrl = (latitude, longitude) =>
+  `${MET_NORWAY_API_URL}?lat=${toFourDecimals(latitude)}&lon=${toFourDecimals(longitude)}`;
+
+const readSeries = (steps, read) => steps.map(step => {
+  const value = read(step.data);
+  return typeof value === 'number' ? value : null;
+});
+
+// Convert a locationforecast response into the app's forecast shape (see
+// providers.js). Throws when the response has no timeseries.
+export const fromMetNorway = (data) => {
+  const timeseries = data?.properties?.timeseries;
+  if (!Array.isArray(timeseries)) {
+    throw new Error('MET Norway response has no timeseries');
+  }
+
+  const steps = timeseries.filter(step => step.data?.next_1_hours);
+  const hourly = { time: steps.map(step => toLocalHourKey(new Date(step.time))) };
+  for (const [series, key] of Object.entries(INSTANT_SERIES)) {
+    hourly[series] = readSeries(steps, stepData => stepData.instant?.details?.[key]);
+  }
+  for (const [series, key] of Object.entries(NEXT_HOUR_SERIES)) {
+    hourly[series] = readSeries(steps, stepData => stepData.next_1_hours.details?.[key]);
+  }
+  for (const series of SPEED_SERIES) {
+    hourly[series] = hourly[series].map(value => (value === null ? null : Math.round(value * MS_TO_KMH * 10) / 10));
+  }
+
+  const [longitude, latitude] = data.geometry?.coordinates || [];
+  return {
+    latitude: latitude ?? null,
+    longitude: longitude ?? null,
+    utc_offset_seconds: null,
+    hourly
+  };
+};
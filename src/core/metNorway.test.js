@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { buildMetNorwayUrl, fromMetNorway } from './metNorway.js';
+import { getHourlyValues } from './criteria.js';
+import { toLocalHourKey } from './time.js';
+
+const step = (time, instant, nextHour) => ({
+  time,
+  data: {
+    instant: { details: instant },
+    ...(nextHour && { next_1_hours: { summary: { symbol_code: 'cloudy' }, details: nextHour } })
+  }
+});
+
+const response = {
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [10.7522, 59.9139, 12] },
+  properties: {
+    timeseries: [
+      step('2025-07-21T06:00:00Z', { air_temperature: 14.2, wind_speed: 5, wind_speed_of_gust: 10, relative_humidity: 80 },
+        { precipitation_amount: 0.4, probability_of_precipitation: 35 }),
+      step('2025-07-21T07:00:00Z', { air_temperature: 15.1, wind_speed: 4.2, relative_humidity: 76 },
+        { precipitation_amount: 0 }),
+      // Past the hourly range, steps only have six-hour summaries
+      step('2025-07-24T00:00:00Z', { air_temperature: 11, wind_speed: 2 })
+    ]
+  }
+};
+
+describe('buildMetNorwayUrl', () => {
+  it('rounds coordinates to four decimals', () => {
+    const url = new URL(buildMetNorwayUrl('59.913868', 10.752245));
+    expect(url.origin + url.pathname).toBe('https://api.met.no/weatherapi/locationforecast/2.0/complete');
+    expect(url.searchParams.get('lat')).toBe('59.9139');
+    expect(url.searchParams.get('lon')).toBe('10.7522');
+  });
+});
+
+describe('fromMetNorway', () => {
+  it('keeps the hourly steps, keyed in the device\'s time zone', () => {
+    const forecast = fromMetNorway(response);
+    expect(forecast.hourly.time).toEqual([
+      toLocalHourKey(new Date('2025-07-21T06:00:00Z')),
+      toLocalHourKey(new Date('2025-07-21T07:00:00Z'))
+    ]);
+    expect(forecast.utc_offset_seconds).toBeNull();
+    expect(forecast).toMatchObject({ latitude: 59.9139, longitude: 10.7522 });
+  });
+
+  it('converts to the app\'s variables in metric', () => {
+    const { hourly } = fromMetNorway(response);
+    expect(getHourlyValues(hourly, 0)).toMatchObject({
+      temperature: 14.2,
+      precipitation: 0.4,
+      windSpeed: 18,
+      windGusts: 36,
+      precipitationProbability: 35,
+      humidity: 80,
+      apparentTemperature: null,
+      visibility: null
+    });
+    expect(hourly.wind_speed_10m[1]).toBe(15.1);
+    expect(hourly.wind_gusts_10m[1]).toBeNull();
+    expect(hourly.precipitation_probability[1]).toBeNull();
+  });
+
+  it('rejects responses without a timeseries', () => {
+    expect(() => fromMetNorway({ type: 'Feature', properties: {} })).toThrow('no timeseries');
+  });
+});
@@ -0,0 +1,76 @@
+import { WEATHER_VARIABLES, evaluateCriteria } from './criteria.js';
+
+// Forecast model comparison
+//
+// Open-Meteo's default forecast blends the best model for each location. To
+// show how sure that forecast is, the same hours are also fetched from
+// several individual models in one request (`models=...`). The response then
+// carries one series per variable and model, suffixed with the model key,
+// e.g. `temperature_2m_gfs_seamless`.
+//
+// Each hour is judged against the rider's criteria per model, and the share
+// of models that agree becomes the hour's confidence.
+
+export const FORECAST_MODELS = [
+  { key: 'ecmwf_ifs025', label: 'ECMWF IFS' },
+  { key: 'gfs_seamless', label: 'NOAA GFS' },
+  { key: 'icon_seamless', label: 'DWD ICON' },
+  { key: 'bom_access_global', label: 'BOM ACCESS-G' }
+];
+
+// Comma separated list for the Open-Meteo `models` parameter
+export const MODEL_API_KEYS = FORECAST_MODELS.map(model => model.key).join(',');
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Pick one model's values for hour `index`; null when the model has no data
+// for that hour (past its range, or outside its area)
+const getModelValues = (hourly, modelKey, index) => {
+  const values = {};
+  let found = false;
+  for (const variable of WEATHER_VARIABLES) {
+    const series = hourly[`${variable.apiName}_${modelKey}`];
+    values[variable.key] = series ? series[index] : null;
+    found = found || hasValue(values[variable.key]);
+  }
+  return found ? values : null;
+};
+
+// Confidence from how many models agree with the majority: 'high' when they
+// all agree, 'medium' with one dissenter, 'low' otherwise
+export const getConfidence = (suitable, total) => {
+  const dissenters = Math.min(suitable, total - suitable);
+  if (dissenters === 0) {
+    return 'high';
+  }
+  return dissenters === 1 && total > 2 ? 'medium' : 'low';
+};
+
+// Judge the hour `time` ("2025-07-21T09:00") in every model.
+// `daylight` is the hour's daylight class, which doesn't depend on the model.
+// Returns `{ suitable, total, confidence, models }`, or null when the
+// comparison has no data for the hour.
+export const compareModelsAt = (comparison, time, criteria, daylight) => {
+  const index = comparison?.hourly ? comparison.hourly.time.indexOf(time) : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  const models = FORECAST_MODELS
+    .map(model => {
+      const values = getModelValues(comparison.hourly, model.key, index);
+      if (!values) {
+        return null;
+      }
+      values.daylight = daylight;
+      const failures = evaluateCriteria(values, criteria);
+      return { ...model, values, failures, suitable: failures.length === 0 };
+    })
+    .filter(Boolean);
+  if (models.length === 0) {
+    return null;
+  }
+
+  const suitable = models.filter(model => model.suitable).length;
+  return { suitable, total: models.length, confidence: getConfidence(suitable, models.length), models };
+};
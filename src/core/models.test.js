@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { MODEL_API_KEYS, getConfidence, compareModelsAt } from './models.js';
+import { DEFAULT_CRITERIA } from '../profiles.js';
+import { mockWeatherData, withModels, MOCK_MODELS } from '../../e2e/fixtures/mock-weather-data.js';
+
+// ICON is 5 km/h windier throughout and BOM has rain at 07:00 on day one
+const comparison = withModels(mockWeatherData);
+
+const compare = (time, criteria = DEFAULT_CRITERIA, daylight = 'day') =>
+  compareModelsAt(comparison, time, criteria, daylight);
+
+describe('MODEL_API_KEYS', () => {
+  it('lists the models for the API', () => {
+    expect(MODEL_API_KEYS).toBe(MOCK_MODELS.join(','));
+  });
+});
+
+describe('getConfidence', () => {
+  it('is high when every model agrees', () => {
+    expect(getConfidence(4, 4)).toBe('high');
+    expect(getConfidence(0, 4)).toBe('high');
+  });
+
+  it('is medium with a single dissenter', () => {
+    expect(getConfidence(3, 4)).toBe('medium');
+    expect(getConfidence(1, 4)).toBe('medium');
+  });
+
+  it('is low when the models split', () => {
+    expect(getConfidence(2, 4)).toBe('low');
+    // One of two is a split, not a dissenter
+    expect(getConfidence(1, 2)).toBe('low');
+  });
+});
+
+describe('compareModelsAt', () => {
+  it('judges the hour in every model', () => {
+    // 08:00: 18.7 km/h, but 23.7 km/h in ICON
+    const result = compare('2025-07-21T08:00');
+
+    expect(result).toMatchObject({ suitable: 3, total: 4, confidence: 'medium' });
+    expect(result.models.map(model => model.key)).toEqual(MOCK_MODELS);
+    const icon = result.models.find(model => model.key === 'icon_seamless');
+    expect(icon.suitable).toBe(false);
+    expect(icon.values.windSpeed).toBe(23.7);
+    expect(icon.failures.map(failure => failure.criterion.key)).toEqual(['maxWindSpeed']);
+  });
+
+  it('has low confidence when the models split', () => {
+    // 07:00: ICON too windy and BOM wet
+    expect(compare('2025-07-21T07:00')).toMatchObject({ suitable: 2, total: 4, confidence: 'low' });
+  });
+
+  it('has high confidence when they all agree it\'s unsuitable', () => {
+    // 06:00 is too cold everywhere
+    expect(compare('2025-07-21T06:00')).toMatchObject({ suitable: 0, total: 4, confidence: 'high' });
+  });
+
+  it('applies the hour\'s daylight to every model', () => {
+    const result = compare('2025-07-21T08:00', { ...DEFAULT_CRITERIA, daylightOnly: true }, 'night');
+    expect(result.suitable).toBe(0);
+    expect(result.models.every(model => model.values.daylight === 'night')).toBe(true);
+  });
+
+  it('leaves out models without data for the hour', () => {
+    const { time, ...series } = comparison.hourly;
+    const ecmwfOnly = Object.fromEntries(Object.entries(series).filter(([key]) => key.endsWith('_ecmwf_ifs025')));
+    const result = compareModelsAt({ hourly: { time, ...ecmwfOnly } }, '2025-07-21T08:00', DEFAULT_CRITERIA, 'day');
+
+    expect(result).toMatchObject({ suitable: 1, total: 1, confidence: 'high' });
+  });
+
+  it('is null for hours the comparison doesn\'t have', () => {
+    expect(compare('2025-07-24T08:00')).toBeNull();
+    expect(compareModelsAt(null, '2025-07-21T08:00', DEFAULT_CRITERIA, 'day')).toBeNull();
+    expect(compareModelsAt({ hourly: { time: comparison.hourly.time } }, '2025-07-21T08:00', DEFAULT_CRITERIA, 'day')).toBeNull();
+  });
+});
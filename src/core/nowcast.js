@@ -0,0 +1,134 @@
+import { WEATHER_VARIABLES, getVariable, getHourlyValues, evaluateCriteria } from './criteria.js';
+import { buildDaylightByDay, classifyMoment } from './daylight.js';
+import { toZonedHourKey, toZonedDayKey, parseForecastTime, getForecastZone } from './time.js';
+
+// Current conditions and the short-range nowcast
+//
+// Open-Meteo's `current` block holds conditions for the latest 15-minute
+// step, and `minutely_15` the steps after it (native 15-minute models in
+// Europe and North America, interpolated from hourly data elsewhere). When
+// either is missing we fall back to the hourly forecast for the current hour.
+//
+// Precipitation in these blocks is the amount over the step, so it is scaled
+// up to an hourly rate before it's judged against the rider's mm-per-hour
+// limit, and shown as a rate too.
+
+export const NOWCAST_MINUTES = 120;
+const STEP_MINUTES = 15;
+// Older `current` blocks are ignored in favour of the hourly forecast
+const CURRENT_MAX_AGE_MS = 60 * 60000;
+
+// Variables fetched at 15-minute resolution
+export const NOWCAST_VARIABLES = ['temperature', 'precipitation', 'windSpeed', 'windGusts'];
+
+// Comma separated list for the Open-Meteo `minutely_15` parameter
+export const MINUTELY_API_VARIABLES = NOWCAST_VARIABLES.map(key => getVariable(key).apiName).join(',');
+
+// Pick a 15-minute step's values, with precipitation as an hourly rate
+const getStepValues = (block, index, intervalSeconds) => {
+  const values = {};
+  for (const variable of WEATHER_VARIABLES) {
+    const series = block[variable.apiName];
+    if (series === undefined) {
+      continue;
+    }
+    values[variable.key] = Array.isArray(series) ? series[index] : series;
+  }
+  if (typeof values.precipitation === 'number') {
+    values.precipitation = Math.round(values.precipitation * 3600 / intervalSeconds * 10) / 10;
+  }
+  return values;
+};
+
+const withDaylight = (values, date, daylightByDay, zone) => ({
+  ...values,
+  daylight: classifyMoment(date, daylightByDay.get(toZonedDayKey(date, zone)))
+});
+
+// Conditions right now as `{ date, values, source }`, where `source` is
+// 'current' or 'hourly'. Returns null when the forecast doesn't cover now.
+export const getCurrentConditions = (forecast, now = new Date()) => {
+  const zone = getForecastZone(forecast);
+  const daylightByDay = buildDaylightByDay(forecast.daily, forecast.latitude, zone);
+
+  // A forecast served from the offline cache can hold a `current` block from
+  // hours ago, in which case the hourly forecast is the better guess
+  if (forecast.current && forecast.current.time) {
+    const date = parseForecastTime(forecast.current.time, zone);
+    if (now.getTime() - date.getTime() < CURRENT_MAX_AGE_MS) {
+      const values = getStepValues(forecast.current, 0, forecast.current.interval || STEP_MINUTES * 60);
+      return { date, values: withDaylight(values, now, daylightByDay, zone), source: 'current' };
+    }
+  }
+
+  const index = forecast.hourly ? forecast.hourly.time.indexOf(toZonedHourKey(now, zone)) : -1;
+  if (index === -1) {
+    return null;
+  }
+  return {
+    date: parseForecastTime(forecast.hourly.time[index], zone),
+    values: withDaylight(getHourlyValues(forecast.hourly, index), now, daylightByDay, zone),
+    source: 'hourly'
+  };
+};
+
+// Steps of `block` that end after now and start within the nowcast window
+const collectSteps = (block, intervalSeconds, getValues, now, forecast, daylightByDay) => {
+  const zone = getForecastZone(forecast);
+  const end = now.getTime() + NOWCAST_MINUTES * 60000;
+  const steps = [];
+  block.time.forEach((time, index) => {
+    const date = parseForecastTime(time, zone);
+    if (date.getTime() + intervalSeconds * 1000 <= now.getTime() || date.getTime() >= end) {
+      return;
+    }
+    steps.push({ date, values: withDaylight(getValues(index), date, daylightByDay, zone) });
+  });
+  return steps;
+};
+
+// Steps covering the next two hours as `[{ date, values }]`: 15-minute steps
+// when the forecast has them, otherwise the hourly values
+export const buildNowcast = (forecast, now = new Date()) => {
+  const daylightByDay = buildDaylightByDay(forecast.daily, forecast.latitude, getForecastZone(forecast));
+  const { minutely_15: minutely, hourly } = forecast;
+
+  if (minutely && minutely.time) {
+    const intervalSeconds = STEP_MINUTES * 60;
+    const steps = collectSteps(minutely, intervalSeconds, index => getStepValues(minutely, index, intervalSeconds), now, forecast, daylightByDay);
+    if (steps.length > 0) {
+      return steps;
+    }
+  }
+  if (!hourly || !hourly.time) {
+    return [];
+  }
+  return collectSteps(hourly, 3600, index => getHourlyValues(hourly, index), now, forecast, daylightByDay);
+};
+
+// The first upcoming step with any rain, or null
+export const findRainOnset = (steps) =>
+  steps.find(step => typeof step.values.precipitation === 'number' && step.values.precipitation > 0) || null;
+
+// Whether it's good to ride right now, as `{ status, failures, change }`:
+//   'good'     - now passes and so does the next two hours
+//   'changing' - now passes, but `change` is the first step that doesn't
+//   'bad'      - now fails (`failures`); `change` is the first step that
+//                clears up, if any
+//   'unknown'  - the forecast doesn't cover now
+// `change` is a nowcast step with its own `failures`.
+export const judgeRideNow = (conditions, steps, criteria) => {
+  if (!conditions) {
+    return { status: 'unknown', failures: [], change: null };
+  }
+  const failures = evaluateCriteria(conditions.values, criteria);
+  const upcoming = steps
+    .filter(step => step.date > conditions.date)
+    .map(step => ({ ...step, failures: evaluateCriteria(step.values, criteria) }));
+
+  if (failures.length > 0) {
+    return { status: 'bad', failures, change: upcoming.find(step => step.failures.length === 0) || null };
+  }
+  const change = upcoming.find(step => step.failures.length > 0) || null;
+  return { status: change ? 'changing' : 'good', failures, change };
+};
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { getCurrentConditions, buildNowcast, findRainOnset, judgeRideNow } from './nowcast.js';
+import { DEFAULT_CRITERIA } from '../profiles.js';
+import { mockWeatherData, withNowcast } from '../../e2e/fixtures/mock-weather-data.js';
+
+// 08:37 at the fixture's location (UTC+11), just after its `current` step
+const NOW = new Date('2025-07-21T08:37:00+11:00');
+
+// Dry now, raining 0.3 mm per 15 minutes from 09:15
+const rainOnTheWay = withNowcast(
+  mockWeatherData,
+  { temperature_2m: 15.1, apparent_temperature: 13, precipitation: 0, wind_speed_10m: 14, wind_gusts_10m: 25 },
+  (i) => ({ temperature: 15, precipitation: i >= 5 ? 0.3 : 0, windSpeed: 12, windGusts: 22 })
+);
+
+// Too windy now, calming down at 09:30
+const clearingUp = withNowcast(
+  mockWeatherData,
+  { temperature_2m: 15, precipitation: 0, wind_speed_10m: 35, wind_gusts_10m: 60 },
+  (i) => ({ temperature: 15, precipitation: 0, windSpeed: i >= 6 ? 12 : 35, windGusts: 30 })
+);
+
+const clockTime = (date) => date.toLocaleTimeString('en-GB', { timeZone: 'Etc/GMT-11', hour: '2-digit', minute: '2-digit' });
+
+const judge = (forecast, now = NOW) =>
+  judgeRideNow(getCurrentConditions(forecast, now), buildNowcast(forecast, now), DEFAULT_CRITERIA);
+
+describe('getCurrentConditions', () => {
+  it('reads the current block while it\'s recent', () => {
+    const conditions = getCurrentConditions(rainOnTheWay, NOW);
+
+    expect(conditions.source).toBe('current');
+    expect(clockTime(conditions.date)).toBe('08:30');
+    expect(conditions.values).toMatchObject({ temperature: 15.1, windSpeed: 14, precipitation: 0, daylight: 'day' });
+  });
+
+  it('falls back to the hourly forecast once the current block is old', () => {
+    const later = new Date('2025-07-21T10:37:00+11:00');
+    const conditions = getCurrentConditions(rainOnTheWay, later);
+
+    expect(conditions.source).toBe('hourly');
+    expect(clockTime(conditions.date)).toBe('10:00');
+    expect(conditions.values).toMatchObject({ temperature: 22.1, windSpeed: 25.4 });
+  });
+
+  it('is null when the forecast doesn\'t cover now', () => {
+    expect(getCurrentConditions(mockWeatherData, new Date('2025-07-25T08:37:00+11:00'))).toBeNull();
+  });
+});
+
+describe('buildNowcast', () => {
+  it('covers the next two hours in 15-minute steps', () => {
+    const steps = buildNowcast(rainOnTheWay, NOW);
+
+    expect(steps.map(step => clockTime(step.date))).toEqual([
+      '08:30', '08:45', '09:00', '09:15', '09:30', '09:45', '10:00', '10:15', '10:30'
+    ]);
+  });
+
+  it('scales 15-minute precipitation up to an hourly rate', () => {
+    const onset = findRainOnset(buildNowcast(rainOnTheWay, NOW));
+
+    expect(clockTime(onset.date)).toBe('09:15');
+    expect(onset.values.precipitation).toBe(1.2);
+  });
+
+  it('falls back to the hourly forecast', () => {
+    const steps = buildNowcast(mockWeatherData, NOW);
+
+    expect(steps.map(step => clockTime(step.date))).toEqual(['08:00', '09:00', '10:00']);
+    expect(findRainOnset(steps)).toBeNull();
+  });
+});
+
+describe('judgeRideNow', () => {
+  it('is good when now and the next two hours pass', () => {
+    const dry = withNowcast(
+      mockWeatherData,
+      { temperature_2m: 15, precipitation: 0, wind_speed_10m: 10 },
+      () => ({ temperature: 15, precipitation: 0, windSpeed: 10, windGusts: 20 })
+    );
+    expect(judge(dry)).toEqual({ status: 'good', failures: [], change: null });
+  });
+
+  it('warns about the first step that fails', () => {
+    const { status, change } = judge(rainOnTheWay);
+
+    expect(status).toBe('changing');
+    expect(clockTime(change.date)).toBe('09:15');
+    expect(change.failures.map(failure => failure.criterion.key)).toEqual(['maxPrecipitation']);
+  });
+
+  it('says when a bad spell clears up', () => {
+    const { status, failures, change } = judge(clearingUp);
+
+    expect(status).toBe('bad');
+    expect(failures.map(failure => failure.criterion.key)).toEqual(['maxWindSpeed']);
+    expect(clockTime(change.date)).toBe('09:30');
+    expect(change.failures).toEqual([]);
+  });
+
+  it('is unknown without current conditions', () => {
+    expect(judgeRideNow(null, [], DEFAULT_CRITERIA)).toEqual({ status: 'unknown', failures: [], change: null });
+  });
+});
@@ -0,0 +1,156 @@
+import { buildForecastUrl, buildModelComparisonUrl, normaliseForecast } from './forecastApi.js';
+import { buildMetNorwayUrl, fromMetNorway } from './metNorway.js';
+import { request, createRateLimiter, createRequestError } from './request.js';
+import { isValidCoordinates } from './coordinates.js';
+
+// Weather providers
+//
+// A provider knows how to ask one weather service for a forecast and how to
+// turn its reply into the forecast shape the rest of the app reads:
+//
+//   { latitude, longitude, utc_offset_seconds, timezone?, timezone_abbreviation?,
+//     hourly: { time, <apiName>... }, daily?: { time, sunrise, sunset },
+//     current?, minutely_15? }
+//
+// That is Open-Meteo's response format, so Open-Meteo needs no conversion.
+// `time`s are hour keys ("2025-07-21T09:00") in the location's time, or the
+// device's when it has neither `timezone` nor `utc_offset_seconds` (see
+// getForecastZone in time.js), and each WEATHER_VARIABLES
+// `apiName` (see criteria.js) holds a metric series lined up with them.
+// Variables a provider doesn't have are left out.
+//
+// Each provider has:
+//   id, name            - kept in settings and shown in the picker
+//   attribution         - who to credit for the data
+//   features            - which optional parts of the app it can feed
+//   limiter             - the rate limit its requests share (see request.js)
+//   forecastUrl(latitude, longitude, { nowcast })
+//   toForecast(data)    - a response body in the forecast shape
+// and optionally:
+//   modelComparisonUrl(latitude, longitude) - per-model forecasts (see models.js)
+//   batchForecastUrl(points) - one request for a list of `{ latitude, longitude }`,
+//                              answered with a list in the same order
+
+// Requests per minute we allow ourselves against each provider, well inside
+// what their terms ask for
+const REQUESTS_PER_MINUTE = 60;
+
+const createLimiter = () => createRateLimiter({ requests: REQUESTS_PER_MINUTE, intervalMs: 60 * 1000 });
+
+// Optional features, in the order they're listed to the rider:
+//   nowcast  - current conditions and 15-minute data (see nowcast.js)
+//   models   - the forecast model comparison (see models.js)
+//   daylight - sunrise and sunset (see daylight.js)
+//   timeZone - the location's UTC offset (see time.js)
+export const FEATURES = ['nowcast', 'models', 'daylight', 'timeZone'];
+
+const openMeteoProvider = ({ id, name, attribution = 'Open-Meteo.com', baseUrl }) => ({
+  id,
+  name,
+  attribution,
+  features: { nowcast: true, models: true, daylight: true, timeZone: true },
+  limiter: createLimiter(),
+  forecastUrl: (latitude, longitude, { nowcast = false } = {}) =>
+    buildForecastUrl(latitude, longitude, { nowcast, baseUrl }),
+  modelComparisonUrl: (latitude, longitude) => buildModelComparisonUrl(latitude, longitude, { baseUrl }),
+  batchForecastUrl: (points) => buildForecastUrl(
+    points.map(point => point.latitude).join(','),
+    points.map(point => point.longitude).join(','),
+    { baseUrl }
+  ),
+  toForecast: (data) => data
+});
+
+export const OPEN_METEO = openMeteoProvider({ id: 'open-meteo', name: 'Open-Meteo' });
+
+export const MET_NORWAY = {
+  id: 'met-norway',
+  name: 'MET Norway',
+  attribution: 'MET Norway',
+  features: { nowcast: false, models: false, daylight: false, timeZone: false },
+  limiter: createLimiter(),
+  forecastUrl: (latitude, longitude) => buildMetNorwayUrl(latitude, longitude),
+  toForecast: fromMetNorway
+};
+
+// Open-Meteo's API served by the dev server from the e2e fixtures (see
+// plugins/mock-weather-api.js). Only offered in development builds.
+export const MOCK_FORECAST_PATH = '/mock-api/v1/forecast';
+
+export const MOCK_PROVIDER = openMeteoProvider({
+  id: 'mock',
+  name: 'Local mock',
+  attribution: 'mock data',
+  baseUrl: MOCK_FORECAST_PATH
+});
+
+export const PROVIDERS = [OPEN_METEO, MET_NORWAY];
+
+export const DEFAULT_PROVIDER_ID = OPEN_METEO.id;
+
+// Look a provider up by id, falling back to the default for unknown ids (such
+// as a provider that has since been removed)
+export const getProvider = (id, providers = PROVIDERS) =>
+  providers.find(provider => provider.id === id) || OPEN_METEO;
+
+// Features of FEATURES the provider can't feed
+export const getMissingFeatures = (provider) => FEATURES.filter(feature => !provider.features[feature]);
+
+const fetchJson = async (provider, url, { signal } = {}) => {
+  const response = await request(url, { signal, limiter: provider.limiter });
+  try {
+    return { response, data: await response.json() };
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    throw createRequestError('server', `Unreadable response: ${err.message}`, { status: response.status });
+  }
+};
+
+// Convert a response body, treating anything that doesn't fit as the
+// provider's fault
+const toForecast = (provider, data) => {
+  try {
+    return normaliseForecast(provider.toForecast(data));
+  } catch (err) {
+    throw createRequestError('server', err.message);
+  }
+};
+
+const checkCoordinates = (latitude, longitude) => {
+  if (!isValidCoordinates(latitude, longitude)) {
+    throw createRequestError('invalidCoordinates', `Invalid coordinates: ${latitude}, ${longitude}`);
+  }
+};
+
+// Fetch one location's forecast. Resolves to `{ forecast, response }`, the
+// response being there for its headers. Fails with a request error (see
+// request.js) before asking anyone when the coordinates aren't valid.
+export const fetchForecast = async (provider, latitude, longitude, { nowcast = false, signal } = {}) => {
+  checkCoordinates(latitude, longitude);
+  const { response, data } = await fetchJson(provider, provider.forecastUrl(latitude, longitude, { nowcast }), { signal });
+  return { forecast: toForecast(provider, data), response };
+};
+
+// Fetch forecasts for a list of `{ latitude, longitude }` points, in the same
+// order: in one request where the provider can, otherwise one per point
+export const fetchForecasts = async (provider, points, { signal } = {}) => {
+  points.forEach(point => checkCoordinates(point.latitude, point.longitude));
+  if (!provider.batchForecastUrl) {
+    return Promise.all(points.map(async point =>
+      (await fetchForecast(provider, point.latitude, point.longitude, { signal })).forecast
+    ));
+  }
+  const { data } = await fetchJson(provider, provider.batchForecastUrl(points), { signal });
+  // A single location comes back as an object rather than a list
+  return (Array.isArray(data) ? data : [data]).map(item => toForecast(provider, item));
+};
+
+// Fetch the per-model forecasts for the model comparison. Only for providers
+// with the `models` feature.
+export const fetchModelComparison = async (provider, latitude, longitude, { signal } = {}) => {
+  checkCoordinates(latitude, longitude);
+  const { data } = await fetchJson(provider, provider.modelComparisonUrl(latitude, longitude), { signal });
+  return toForecast(provider, data);
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  OPEN_METEO,
+  MET_NORWAY,
+  MOCK_PROVIDER,
+  getProvider,
+  getMissingFeatures,
+  fetchForecast,
+  fetchForecasts
+} from './providers.js';
+import { mockWeatherData } from '../../e2e/fixtures/mock-weather-data.js';
+
+// Answer every request with `body`, recording the URLs asked for
+const stubFetch = (body, { status = 200 } = {}) => {
+  const fetch = vi.fn(async () => new Response(JSON.stringify(body), { status }));
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('getProvider', () => {
+  it('finds providers by id and falls back to Open-Meteo', () => {
+    expect(getProvider('met-norway')).toBe(MET_NORWAY);
+    expect(getProvider('retired-provider')).toBe(OPEN_METEO);
+    expect(getProvider(undefined)).toBe(OPEN_METEO);
+    expect(getProvider('mock')).toBe(OPEN_METEO);
+    expect(getProvider('mock', [OPEN_METEO, MOCK_PROVIDER])).toBe(MOCK_PROVIDER);
+  });
+
+  it('lists the features a provider lacks', () => {
+    expect(getMissingFeatures(OPEN_METEO)).toEqual([]);
+    expect(getMissingFeatures(MET_NORWAY)).toEqual(['nowcast', 'models', 'daylight', 'timeZone']);
+  });
+});
+
+describe('fetchForecast', () => {
+  it('fetches and normalises a forecast', async () => {
+    const fetch = stubFetch(mockWeatherData);
+    const { forecast, response } = await fetchForecast(OPEN_METEO, -37.8136, 144.9631, { nowcast: true });
+
+    expect(new URL(fetch.mock.calls[0][0]).searchParams.has('minutely_15')).toBe(true);
+    expect(response.ok).toBe(true);
+    expect(forecast.hourly.time).toEqual(mockWeatherData.hourly.time);
+    expect(forecast.hourly.temperature_2m[0]).toBe(8.5);
+  });
+
+  it('asks the mock provider\'s local server', async () => {
+    const fetch = stubFetch(mockWeatherData);
+    await fetchForecast(MOCK_PROVIDER, -37.8136, 144.9631);
+    expect(fetch.mock.calls[0][0]).toMatch(/^\/mock-api\/v1\/forecast\?latitude=-37.8136&longitude=144.9631&/);
+  });
+
+  it('classifies errors from the API', async () => {
+    stubFetch({ error: true, reason: 'Latitude must be in range of -90 to 90°' }, { status: 400 });
+    await expect(fetchForecast(OPEN_METEO, -37.8136, 144.9631))
+      .rejects.toMatchObject({ kind: 'invalidCoordinates', status: 400 });
+  });
+
+  it('rejects invalid coordinates without a request', async () => {
+    const fetch = stubFetch(mockWeatherData);
+    await expect(fetchForecast(OPEN_METEO, '-3-', '144')).rejects.toMatchObject({ kind: 'invalidCoordinates' });
+    await expect(fetchForecast(OPEN_METEO, '-37.8', '')).rejects.toMatchObject({ kind: 'invalidCoordinates' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('blames the provider for responses it can\'t read', async () => {
+    stubFetch({ hourly: null });
+    await expect(fetchForecast(OPEN_METEO, -37.8136, 144.9631)).rejects.toMatchObject({ kind: 'server' });
+  });
+});
+
+describe('fetchForecasts', () => {
+  const points = [{ latitude: '-37.8136', longitude: '144.9631' }, { latitude: '-38.1499', longitude: '144.3617' }];
+
+  it('asks Open-Meteo for every point at once', async () => {
+    const fetch = stubFetch([mockWeatherData, { ...mockWeatherData, latitude: -38.1499 }]);
+    const forecasts = await fetchForecasts(OPEN_METEO, points);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(new URL(fetch.mock.calls[0][0]).searchParams.get('latitude')).toBe('-37.8136,-38.1499');
+    expect(forecasts.map(forecast => forecast.latitude)).toEqual([-37.8136, -38.1499]);
+  });
+
+  it('asks other providers point by point', async () => {
+    const fetch = stubFetch({ type: 'Feature', geometry: { coordinates: [0, 0] }, properties: { timeseries: [] } });
+    const forecasts = await fetchForecasts(MET_NORWAY, points);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(new URL(fetch.mock.calls[1][0]).searchParams.get('lat')).toBe('-38.1499');
+    expect(forecasts).toHaveLength(2);
+  });
+});
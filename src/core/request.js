@@ -0,0 +1,137 @@
+// Forecast requests
+//
+// Forecast requests go through `request()`, which
+//   - waits its turn under the provider's rate limit, so a burst of location
+//     changes or a long route can't get the app blocked by the API
+//   - retries network failures and 5xx responses a couple of times, backing
+//     off exponentially in between
+//   - turns failures into errors with a `kind` the app can explain:
+//       offline            - the request couldn't be made at all
+//       invalidCoordinates - the API rejected the location (400/422)
+//       rateLimited        - too many requests, here or at the API (429)
+//       server             - the API failed or sent something unreadable
+// Aborting the `signal` cancels a request at any stage with the usual
+// AbortError, which callers ignore.
+
+export const REQUEST_ERROR_KINDS = ['offline', 'invalidCoordinates', 'rateLimited', 'server'];
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 500;
+
+// An Error with the `kind` of failure and, where known, the HTTP `status` and
+// how long to wait before trying again (`retryAfterMs`)
+export const createRequestError = (kind, message, { status = null, retryAfterMs = null } = {}) =>
+  Object.assign(new Error(message), { name: 'RequestError', kind, status, retryAfterMs });
+
+const abortError = () => new DOMException('The request was aborted', 'AbortError');
+
+// Resolve after `ms`, or reject with an AbortError as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Retry-After is either seconds or an HTTP date
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// The error for a response that isn't ok
+export const classifyResponse = (response) => {
+  const { status } = response;
+  const message = `HTTP error! status: ${status}`;
+  if (status === 429) {
+    return createRequestError('rateLimited', message, {
+      status,
+      retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+    });
+  }
+  if (status === 400 || status === 422) {
+    return createRequestError('invalidCoordinates', message, { status });
+  }
+  return createRequestError('server', message, { status });
+};
+
+// Allow at most `requests` requests per `intervalMs`. `acquire(signal)`
+// resolves once a request may go out, and fails with a rateLimited error
+// rather than queue for longer than `maxWaitMs`.
+export const createRateLimiter = ({ requests, intervalMs, maxWaitMs = 10000, now = () => Date.now() }) => {
+  // When the requests in the current interval went out, oldest first
+  let sent = [];
+
+  return {
+    async acquire(signal) {
+      for (;;) {
+        const time = now();
+        sent = sent.filter(sentAt => sentAt > time - intervalMs);
+        if (sent.length < requests) {
+          sent.push(time);
+          return;
+        }
+        const waitMs = sent[0] + intervalMs - time;
+        if (waitMs > maxWaitMs) {
+          throw createRequestError('rateLimited', 'Too many requests', { retryAfterMs: waitMs });
+        }
+        await sleep(waitMs, signal);
+      }
+    }
+  };
+};
+
+// Fetch `url`, resolving to the ok response. `limiter` is a rate limiter from
+// createRateLimiter; `retries` and `backoffMs` bound the retries, which wait
+// backoffMs, 2 x backoffMs, 4 x backoffMs...
+export const request = async (url, {
+  signal,
+  limiter = null,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    if (limiter) {
+      await limiter.acquire(signal);
+    }
+
+    let error;
+    try {
+      const response = await fetch(url, { signal });
+      if (response.ok) {
+        return response;
+      }
+      error = classifyResponse(response);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw err;
+      }
+      // fetch only rejects when the request couldn't be made at all
+      error = createRequestError('offline', err.message);
+    }
+
+    const retryable = error.kind === 'server' ? error.status >= 500 : error.kind === 'offline' && !isOffline();
+    if (!retryable || attempt >= retries) {
+      throw error;
+    }
+    await sleep(backoffMs * 2 ** attempt, signal);
+  }
+};
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { request, createRateLimiter, classifyResponse } from './request.js';
+
+const respond = (status, headers = {}) => new Response('{}', { status, headers });
+
+// Answer requests in turn with `responses`: a status, or an Error to reject with
+const stubFetch = (...responses) => {
+  const fetch = vi.fn(async () => {
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) {
+      throw next;
+    }
+    return respond(next);
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+// Run `promise` to completion, letting any backoff timers fire
+const settle = async (promise) => {
+  const result = promise.then(value => ({ value }), error => ({ error }));
+  await vi.runAllTimersAsync();
+  return result;
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('classifyResponse', () => {
+  it('tells apart bad locations, rate limits and server trouble', () => {
+    expect(classifyResponse(respond(400))).toMatchObject({ kind: 'invalidCoordinates', status: 400 });
+    expect(classifyResponse(respond(422))).toMatchObject({ kind: 'invalidCoordinates' });
+    expect(classifyResponse(respond(429, { 'Retry-After': '30' }))).toMatchObject({ kind: 'rateLimited', retryAfterMs: 30000 });
+    expect(classifyResponse(respond(503))).toMatchObject({ kind: 'server', status: 503 });
+    expect(classifyResponse(respond(404))).toMatchObject({ kind: 'server' });
+  });
+});
+
+describe('request', () => {
+  it('retries server errors with exponential backoff', async () => {
+    const fetch = stubFetch(502, 503, 200);
+    const { value } = await settle(request('/forecast', { backoffMs: 100 }));
+
+    expect(value.ok).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('waits longer before each retry', async () => {
+    const fetch = stubFetch(500);
+    const result = request('/forecast', { backoffMs: 100 }).catch(error => error);
+
+    await vi.advanceTimersByTimeAsync(99);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(199);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    expect(await result).toMatchObject({ kind: 'server', status: 500 });
+  });
+
+  it('gives up on server errors after the last retry', async () => {
+    const fetch = stubFetch(500);
+    const { error } = await settle(request('/forecast', { retries: 1 }));
+
+    expect(error).toMatchObject({ kind: 'server', status: 500 });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries network failures and reports them as offline', async () => {
+    const fetch = stubFetch(new TypeError('Failed to fetch'));
+    const { error } = await settle(request('/forecast'));
+
+    expect(error).toMatchObject({ kind: 'offline' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('doesn\'t retry requests the API turned down', async () => {
+    for (const status of [400, 429]) {
+      const fetch = stubFetch(status);
+      const { error } = await settle(request('/forecast'));
+      expect(error.status).toBe(status);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it('stops when aborted during a backoff', async () => {
+    const fetch = stubFetch(500);
+    const controller = new AbortController();
+    const result = settle(request('/forecast', { signal: controller.signal }));
+
+    controller.abort();
+    expect((await result).error.name).toBe('AbortError');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('holds requests past the limit until the interval moves on', async () => {
+    const fetch = stubFetch(200);
+    const limiter = createRateLimiter({ requests: 2, intervalMs: 1000 });
+    const requests = [1, 2, 3].map(() => request('/forecast', { limiter }));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    await Promise.all(requests);
+  });
+
+  it('fails rather than queue for too long', async () => {
+    const limiter = createRateLimiter({ requests: 1, intervalMs: 60000, maxWaitMs: 5000 });
+    await limiter.acquire();
+    await expect(limiter.acquire()).rejects.toMatchObject({ kind: 'rateLimited', retryAfterMs: 60000 });
+  });
+});
@@ -0,0 +1,111 @@
+import { CRITERIA, isCriterionEnabled, failsCriterion } from './criteria.js';
+import { t } from '../i18n.js';
+
+// Graded 0-100 ride score
+//
+// Suitable hours (every criterion passes) score 60-100: they lose up to 40
+// points as values creep within each criterion's `margin` of the limit.
+// Unsuitable hours score 0-59: they start at 59 and lose the rest as values go
+// further past the limit, reaching 0 once the weighted overshoot adds up to a
+// full write-off. This keeps "0.1 mm over" visibly apart from a storm.
+
+const SUITABLE_MIN_SCORE = 60;
+const UNSUITABLE_MAX_SCORE = 59;
+
+// Score bands used to colour the grid, from best to worst. Blue to orange
+// rather than green to red, and getting darker away from the middle, so the
+// bands stay apart with red-green colour blindness.
+export const SCORE_BANDS = [
+  { key: 'great', label: 'Great', min: 80, suitable: true, className: 'bg-sky-300 hover:bg-sky-400' },
+  { key: 'good', label: 'Good', min: 60, suitable: true, className: 'bg-sky-100 hover:bg-sky-200' },
+  { key: 'marginal', label: 'Marginal', min: 40, suitable: false, className: 'bg-amber-50 hover:bg-amber-100' },
+  { key: 'poor', label: 'Poor', min: 20, suitable: false, className: 'bg-orange-200 hover:bg-orange-300' },
+  { key: 'terrible', label: 'Terrible', min: 0, suitable: false, className: 'bg-orange-400 hover:bg-orange-500' }
+];
+
+// Diagonal stripes laid over unsuitable hours, so suitability doesn't rest
+// on telling colours apart at all
+export const UNSUITABLE_PATTERN_CLASS = 'bg-[repeating-linear-gradient(135deg,transparent_0_6px,rgb(0_0_0/0.08)_6px_9px)]';
+
+export const getScoreBand = (score) => SCORE_BANDS.find(band => score >= band.min);
+
+// Translated name of a band, e.g. "Great"
+export const getBandLabel = (band) => t(`score.bands.${band.key}`);
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// How close a passing value is to its limit: 0 = comfortable, 1 = right at the limit
+const closeness = (criterion, value, limit) => {
+  if (criterion.type === 'flag') {
+    // Civil twilight passes "daylight only" but is marginal
+    return value === 'twilight' ? 0.5 : 0;
+  }
+  if (criterion.floor !== undefined && value <= criterion.floor) {
+    return 0;
+  }
+  const inside = criterion.bound === 'max' ? limit - value : value - limit;
+  return clamp01(1 - inside / criterion.margin);
+};
+
+// How far a failing value is past its limit: 1 = at or beyond `tolerance`
+const overshoot = (criterion, value, limit) => {
+  if (criterion.type === 'flag') {
+    return 1;
+  }
+  const outside = criterion.bound === 'max' ? value - limit : limit - value;
+  return clamp01(outside / criterion.tolerance);
+};
+
+const roundPoints = (points) => Math.round(points * 10) / 10;
+
+// Score an hour's weather values against the rider's criteria.
+// Returns `{ score, contributions }` where each contribution records how many
+// points a criterion cost, largest first.
+export const scoreHour = (values, criteria) => {
+  const checks = [];
+  for (const criterion of CRITERIA) {
+    const value = values[criterion.variable];
+    if (!isCriterionEnabled(criteria, criterion) || value === null || value === undefined) {
+      continue;
+    }
+    const limit = criteria[criterion.key];
+    const failed = failsCriterion(criterion, value, limit);
+    checks.push({
+      criterion,
+      failed,
+      amount: failed ? overshoot(criterion, value, limit) : closeness(criterion, value, limit)
+    });
+  }
+
+  const failing = checks.filter(check => check.failed);
+  let score;
+  let weighted;
+
+  if (failing.length === 0) {
+    const totalWeight = checks.reduce((sum, check) => sum + check.criterion.weight, 0);
+    weighted = checks.map(check => ({
+      criterion: check.criterion,
+      points: totalWeight > 0
+        ? (100 - SUITABLE_MIN_SCORE) * check.criterion.weight * check.amount / totalWeight
+        : 0
+    }));
+    score = 100 - weighted.reduce((sum, item) => sum + item.points, 0);
+  } else {
+    const severities = failing.map(check => check.criterion.weight * check.amount);
+    const totalSeverity = severities.reduce((sum, severity) => sum + severity, 0);
+    score = UNSUITABLE_MAX_SCORE * (1 - Math.min(1, totalSeverity));
+    // Share the lost points between the failing criteria by severity
+    const lost = 100 - score;
+    weighted = failing.map((check, index) => ({
+      criterion: check.criterion,
+      points: totalSeverity > 0 ? lost * severities[index] / totalSeverity : lost / failing.length
+    }));
+  }
+
+  const contributions = weighted
+    .filter(item => item.points >= 0.05)
+    .map(item => ({ criterion: item.criterion, points: roundPoints(item.points) }))
+    .sort((a, b) => b.points - a.points);
+
+  return { score: Math.round(score), contributions };
+};
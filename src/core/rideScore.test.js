@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { SCORE_BANDS, getScoreBand, scoreHour } from './rideScore.js';
+import { getHourlyValues, evaluateCriteria } from './criteria.js';
+import { DEFAULT_CRITERIA } from '../profiles.js';
+import { mockWeatherData, mockWeatherDataRainy } from '../../e2e/fixtures/mock-weather-data.js';
+
+const MILD = { temperature: 20, precipitation: 0, windSpeed: 5 };
+
+const score = (values, criteria = DEFAULT_CRITERIA) => scoreHour({ ...MILD, ...values }, criteria);
+const costKeys = (result) => result.contributions.map(contribution => contribution.criterion.key);
+
+describe('getScoreBand', () => {
+  it('puts scores into bands from best to worst', () => {
+    expect([100, 80, 79, 60, 59, 40, 39, 20, 19, 0].map(value => getScoreBand(value).key)).toEqual([
+      'great', 'great', 'good', 'good', 'marginal', 'marginal', 'poor', 'poor', 'terrible', 'terrible'
+    ]);
+  });
+
+  it('keeps suitable and unsuitable scores in separate bands', () => {
+    for (const band of SCORE_BANDS) {
+      expect(band.suitable).toBe(band.min >= 60);
+    }
+  });
+});
+
+describe('scoreHour', () => {
+  it('scores a comfortable hour 100', () => {
+    expect(score({})).toEqual({ score: 100, contributions: [] });
+  });
+
+  it('takes points off as a passing value nears its limit', () => {
+    const breezy = score({ windSpeed: 15 });
+    const windy = score({ windSpeed: 19 });
+
+    expect(breezy.score).toBe(94);
+    expect(windy.score).toBeLessThan(breezy.score);
+    expect(windy.score).toBeGreaterThanOrEqual(60);
+    expect(costKeys(windy)).toEqual(['maxWindSpeed']);
+  });
+
+  it('keeps a value just past its limit apart from a storm', () => {
+    const justOver = score({ windSpeed: 21 });
+    const storm = score({ windSpeed: 45, precipitation: 5 });
+
+    expect(getScoreBand(justOver.score).key).toBe('marginal');
+    expect(storm.score).toBe(0);
+    expect(costKeys(storm)).toEqual(['maxPrecipitation', 'maxWindSpeed']);
+    expect(storm.contributions.reduce((sum, contribution) => sum + contribution.points, 0)).toBeCloseTo(100, 0);
+  });
+
+  it('treats twilight as marginal and night as unsuitable with daylight only', () => {
+    const criteria = { ...DEFAULT_CRITERIA, daylightOnly: true };
+
+    expect(score({ daylight: 'day' }, criteria).score).toBe(100);
+    expect(score({ daylight: 'twilight' }, criteria).score).toBeLessThan(100);
+    expect(score({ daylight: 'twilight' }, criteria).score).toBeGreaterThanOrEqual(60);
+    expect(score({ daylight: 'night' }, criteria).score).toBeLessThan(60);
+  });
+
+  it('skips criteria without data and ones that are switched off', () => {
+    expect(score({ windGusts: 80 }).score).toBe(100);
+    expect(score({ windGusts: null }, { ...DEFAULT_CRITERIA, maxWindGusts: 40 }).score).toBe(100);
+  });
+
+  it('agrees with the criteria on which fixture hours are suitable', () => {
+    for (const forecast of [mockWeatherData, mockWeatherDataRainy]) {
+      forecast.hourly.time.forEach((_, i) => {
+        const values = getHourlyValues(forecast.hourly, i);
+        const suitable = evaluateCriteria(values, DEFAULT_CRITERIA).length === 0;
+        expect(getScoreBand(scoreHour(values, DEFAULT_CRITERIA).score).suitable).toBe(suitable);
+      });
+    }
+  });
+});
@@ -0,0 +1,89 @@
+import { shiftHourKey } from './time.js';
+
+// Ride window finder
+//
+// Scans the rows produced by organizeWeatherGrid for runs of contiguous,
+// suitable, upcoming hours and ranks them so the best blocks of riding time
+// float to the top: longest first, then highest average ride score.
+//
+// Besides the grid position, a window carries `start` and `end`: the forecast
+// `time` of its first hour and of the hour after its last. Those don't depend
+// on which time zone the grid is shown in, so they're what gets highlighted
+// and shared.
+
+const max = (values) => Math.max(...values);
+const min = (values) => Math.min(...values);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Summary statistics for the cells in a window
+export const summariseCells = (cells) => {
+  const temperatures = cells.map(cell => cell.values.temperature);
+  const gusts = cells.map(cell => cell.values.windGusts).filter(value => value !== null && value !== undefined);
+  return {
+    minTemperature: min(temperatures),
+    maxTemperature: max(temperatures),
+    maxWindSpeed: max(cells.map(cell => cell.values.windSpeed)),
+    maxWindGusts: gusts.length > 0 ? max(gusts) : null,
+    totalPrecipitation: round1(cells.reduce((sum, cell) => sum + (cell.values.precipitation || 0), 0))
+  };
+};
+
+const buildWindow = (row, rowIndex, run) => {
+  const cells = run.map(item => item.cell);
+  const startHour = run[0].hour;
+  const endHour = run[run.length - 1].hour + 1;
+  return {
+    id: `${row.day.date.toDateString()}-${startHour}`,
+    rowIndex,
+    date: row.day.date,
+    start: cells[0].time,
+    end: shiftHourKey(cells[cells.length - 1].time, 1),
+    startHour,
+    endHour,
+    length: run.length,
+    averageScore: Math.round(cells.reduce((sum, cell) => sum + cell.score, 0) / cells.length),
+    stats: summariseCells(cells)
+  };
+};
+
+// Find contiguous suitable windows of at least `minHours` hours.
+// `grid` and `hours` are the matching outputs of organizeWeatherGrid.
+export const findRideWindows = (grid, hours, { minHours = 1 } = {}) => {
+  const windows = [];
+
+  grid.forEach((row, rowIndex) => {
+    let run = [];
+    const flush = () => {
+      if (run.length >= minHours) {
+        windows.push(buildWindow(row, rowIndex, run));
+      }
+      run = [];
+    };
+
+    row.hours.forEach((cell, columnIndex) => {
+      const hour = hours[columnIndex];
+      const isRideable = cell && cell.suitable && !cell.isPast;
+      // Columns can skip hours, and a gap breaks the window
+      const continuesRun = run.length > 0 && run[run.length - 1].hour === hour - 1;
+
+      if (!isRideable) {
+        flush();
+        return;
+      }
+      if (!continuesRun) {
+        flush();
+      }
+      run.push({ hour, cell });
+    });
+    flush();
+  });
+
+  return windows.sort((a, b) => b.length - a.length || b.averageScore - a.averageScore || a.date - b.date);
+};
+
+// Whether a forecast `time` falls inside a window
+export const isInWindow = (window, time) =>
+  Boolean(window) && time >= window.start && time < window.end;
+
+// Whether two windows (or `null`s) cover the same hours
+export const isSameWindow = (a, b) => (a?.start ?? null) === (b?.start ?? null) && (a?.end ?? null) === (b?.end ?? null);
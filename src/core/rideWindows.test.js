@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { organizeWeatherGrid } from './grid.js';
+import { findRideWindows, isInWindow, isSameWindow } from './rideWindows.js';
+import { DEFAULT_CRITERIA } from '../profiles.js';
+import { mockWeatherData } from '../../e2e/fixtures/mock-weather-data.js';
+
+const { grid, hours } = organizeWeatherGrid(mockWeatherData, {
+  criteria: DEFAULT_CRITERIA,
+  now: new Date('2025-07-20T00:00:00Z')
+});
+const [firstDay, secondDay] = grid;
+
+describe('findRideWindows', () => {
+  it('finds runs of suitable hours with their forecast times', () => {
+    const [window] = findRideWindows([firstDay], hours);
+    expect(window).toMatchObject({
+      rowIndex: 0,
+      start: '2025-07-21T07:00',
+      end: '2025-07-21T09:00',
+      startHour: 7,
+      endHour: 9,
+      length: 2
+    });
+    expect(window.stats).toEqual({
+      minTemperature: 12.2,
+      maxTemperature: 15.8,
+      maxWindSpeed: 18.7,
+      maxWindGusts: null,
+      totalPrecipitation: 0
+    });
+  });
+
+  it('ranks longer windows first, then better scores', () => {
+    const windows = findRideWindows([firstDay, secondDay], hours);
+    expect(windows.map(window => window.start)).toEqual([
+      '2025-07-21T07:00',
+      '2025-07-22T07:00',
+      '2025-07-22T18:00'
+    ]);
+  });
+
+  it('drops windows shorter than minHours', () => {
+    const windows = findRideWindows([firstDay, secondDay], hours, { minHours: 2 });
+    expect(windows.map(window => window.start)).toEqual(['2025-07-21T07:00']);
+  });
+
+  it('skips past hours', () => {
+    const { grid: laterGrid } = organizeWeatherGrid(mockWeatherData, {
+      criteria: DEFAULT_CRITERIA,
+      // 07:30 on the first day at the location
+      now: new Date('2025-07-20T20:30:00Z')
+    });
+    const [window] = findRideWindows(laterGrid.slice(0, 1), hours);
+    expect(window).toMatchObject({ start: '2025-07-21T08:00', end: '2025-07-21T09:00' });
+  });
+
+  it('breaks windows where columns skip hours', () => {
+    const skipped = hours.filter(hour => hour !== 8);
+    const row = { ...firstDay, hours: firstDay.hours.filter((_, i) => hours[i] !== 8) };
+    expect(findRideWindows([row], skipped).map(window => window.length)).toEqual([1]);
+  });
+});
+
+describe('isInWindow', () => {
+  const window = { start: '2025-07-21T07:00', end: '2025-07-21T09:00' };
+
+  it('includes the start and excludes the end', () => {
+    expect(isInWindow(window, '2025-07-21T07:00')).toBe(true);
+    expect(isInWindow(window, '2025-07-21T08:00')).toBe(true);
+    expect(isInWindow(window, '2025-07-21T09:00')).toBe(false);
+    expect(isInWindow(null, '2025-07-21T08:00')).toBe(false);
+  });
+
+  it('compares windows by their hours', () => {
+    expect(isSameWindow(window, { ...window, id: 'other' })).toBe(true);
+    expect(isSameWindow(window, null)).toBe(false);
+    expect(isSameWindow(null, undefined)).toBe(true);
+  });
+});
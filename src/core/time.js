@@ -0,0 +1,114 @@
+// Date helpers for matching Open-Meteo's local ISO `time` strings
+//
+// Forecasts are fetched with `timezone=auto`, so every `time` is wall-clock
+// time at the forecast location, and `timezone` names the location's IANA
+// time zone. Time math against a forecast goes through that zone rather than
+// the device's, which can be hours away from the location. A single
+// `utc_offset_seconds` won't do: it's the offset when the forecast was made,
+// and a week of hours can cross a daylight saving change.
+//
+// The helpers take a `zone`: an IANA time zone name, a fixed UTC offset in
+// seconds for forecasts without a usable name, or null for the device's time
+// zone. getForecastZone picks one for a forecast.
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+const formatters = new Map();
+
+// en-US parts in `timeZone`, for reading a date's wall-clock time there
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The zone to read `forecast`'s times in: its `timezone` when the runtime
+// knows it, its `utc_offset_seconds` otherwise, or null (the device's) when
+// it has neither, as with MET Norway
+export const getForecastZone = (forecast) => {
+  if (isTimeZone(forecast?.timezone)) {
+    return forecast.timezone;
+  }
+  return Number.isFinite(forecast?.utc_offset_seconds) ? forecast.utc_offset_seconds : null;
+};
+
+// How many seconds `zone` is ahead of UTC at `date`
+export const getUtcOffsetSeconds = (date, zone) => {
+  if (typeof zone === 'number') {
+    return zone;
+  }
+  if (typeof zone !== 'string') {
+    return -date.getTimezoneOffset() * 60;
+  }
+  const parts = Object.fromEntries(getFormatter(zone).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 1000);
+};
+
+// Wall-clock time in `zone`, as a Date whose UTC getters (or formatting with
+// `timeZone: 'UTC'`) read the location's time
+export const toLocationTime = (date, zone) => new Date(date.getTime() + getUtcOffsetSeconds(date, zone) * 1000);
+
+// Day key for a date in the device's time zone, e.g. "2025-07-21"
+export const toLocalDayKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Hour key for a date in the device's time zone, e.g. "2025-07-21T09:00"
+export const toLocalHourKey = (date) => `${toLocalDayKey(date)}T${pad(date.getHours())}:00`;
+
+// Hour key for a date in `zone`, e.g. "2025-07-21T09:00"
+export const toZonedHourKey = (date, zone) => `${toLocationTime(date, zone).toISOString().slice(0, 13)}:00`;
+
+// Day key for a date in `zone`, e.g. "2025-07-21"
+export const toZonedDayKey = (date, zone) => toZonedHourKey(date, zone).slice(0, 10);
+
+// The instant a forecast `time` (or `sunrise`/`sunset`) string in `zone`
+// refers to. The offset is looked up twice so that a time just after a
+// daylight saving change gets the offset it has, not the one before it.
+export const parseForecastTime = (time, zone) => {
+  const wallClock = Date.parse(`${time}Z`);
+  const guess = wallClock - getUtcOffsetSeconds(new Date(wallClock), zone) * 1000;
+  return new Date(wallClock - getUtcOffsetSeconds(new Date(guess), zone) * 1000);
+};
+
+// The hour key `hours` after another, e.g. "2025-07-21T09:00" -> "2025-07-21T10:00"
+export const shiftHourKey = (hourKey, hours) =>
+  `${new Date(Date.parse(`${hourKey}Z`) + hours * 3600 * 1000).toISOString().slice(0, 13)}:00`;
+
+// A day key as a Date at local midnight, for formatting the calendar day
+// without the device's time zone moving it
+export const fromDayKey = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+// e.g. "UTC+08:00" or "UTC−03:30"
+export const formatUtcOffset = (utcOffsetSeconds) => {
+  const minutes = Math.round(Math.abs(utcOffsetSeconds) / 60);
+  return `UTC${utcOffsetSeconds < 0 ? '−' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+// Format an hour of the day as "09:00"
+export const formatHourKey = (hour) => `${pad(hour)}:00`;
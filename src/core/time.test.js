@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getForecastZone,
+  getUtcOffsetSeconds,
+  toLocationTime,
+  toLocalDayKey,
+  toZonedHourKey,
+  toZonedDayKey,
+  parseForecastTime,
+  shiftHourKey,
+  fromDayKey,
+  formatUtcOffset,
+  formatHourKey
+} from './time.js';
+
+// 09:00 in Melbourne in July (UTC+10)
+const MORNING = new Date('2025-07-20T23:00:00Z');
+
+// Melbourne moves its clocks from 02:00 AEST (UTC+10) to 03:00 AEDT (UTC+11)
+// on 2025-10-05
+const MELBOURNE = 'Australia/Melbourne';
+
+describe('getForecastZone', () => {
+  it('prefers the forecast\'s IANA time zone to its offset', () => {
+    expect(getForecastZone({ timezone: MELBOURNE, utc_offset_seconds: 36000 })).toBe(MELBOURNE);
+    expect(getForecastZone({ timezone: 'GMT', utc_offset_seconds: 0 })).toBe('GMT');
+  });
+
+  it('falls back to the offset, then the device time zone', () => {
+    expect(getForecastZone({ timezone: 'Not/AZone', utc_offset_seconds: 36000 })).toBe(36000);
+    expect(getForecastZone({ utc_offset_seconds: 0 })).toBe(0);
+    expect(getForecastZone({ utc_offset_seconds: null })).toBeNull();
+    expect(getForecastZone(null)).toBeNull();
+  });
+});
+
+describe('getUtcOffsetSeconds', () => {
+  it('follows daylight saving in an IANA time zone', () => {
+    expect(getUtcOffsetSeconds(MORNING, MELBOURNE)).toBe(36000);
+    expect(getUtcOffsetSeconds(new Date('2025-10-05T00:00:00Z'), MELBOURNE)).toBe(39600);
+    expect(getUtcOffsetSeconds(new Date('2025-10-05T00:00:00Z'), 36000)).toBe(36000);
+  });
+});
+
+describe('toLocationTime', () => {
+  it('reads the location time through the UTC getters', () => {
+    const local = toLocationTime(MORNING, 36000);
+    expect(local.getUTCDate()).toBe(21);
+    expect(local.getUTCHours()).toBe(9);
+  });
+});
+
+describe('toZonedHourKey', () => {
+  it('keys an instant by the hour at the location', () => {
+    expect(toZonedHourKey(MORNING, 36000)).toBe('2025-07-21T09:00');
+    expect(toZonedHourKey(MORNING, -4 * 3600)).toBe('2025-07-20T19:00');
+  });
+
+  it('falls back to the device time zone without an offset', () => {
+    const date = new Date(2025, 6, 21, 9, 30);
+    expect(toZonedHourKey(date, null)).toBe('2025-07-21T09:00');
+    expect(toZonedDayKey(date, undefined)).toBe('2025-07-21');
+  });
+});
+
+describe('parseForecastTime', () => {
+  it('reads forecast times at the location offset', () => {
+    expect(parseForecastTime('2025-07-21T09:00', 36000).toISOString()).toBe(MORNING.toISOString());
+  });
+
+  it('round-trips with toZonedHourKey', () => {
+    for (const offset of [-34200, 0, 19800, 39600]) {
+      expect(toZonedHourKey(parseForecastTime('2025-12-31T23:00', offset), offset)).toBe('2025-12-31T23:00');
+    }
+  });
+});
+
+describe('across a daylight saving change', () => {
+  const hours = ['2025-10-05T00:00', '2025-10-05T01:00', '2025-10-05T03:00', '2025-10-05T09:00', '2025-10-11T09:00'];
+
+  it('reads forecast times at the offset each one has', () => {
+    expect(hours.map(time => parseForecastTime(time, MELBOURNE).toISOString())).toEqual([
+      '2025-10-04T14:00:00.000Z',
+      '2025-10-04T15:00:00.000Z',
+      '2025-10-04T16:00:00.000Z',
+      '2025-10-04T22:00:00.000Z',
+      '2025-10-10T22:00:00.000Z'
+    ]);
+  });
+
+  it('round-trips with toZonedHourKey', () => {
+    for (const time of hours) {
+      expect(toZonedHourKey(parseForecastTime(time, MELBOURNE), MELBOURNE)).toBe(time);
+    }
+  });
+
+  it('keeps consecutive hours an hour apart', () => {
+    const before = parseForecastTime('2025-10-05T01:00', MELBOURNE);
+    const after = parseForecastTime('2025-10-05T03:00', MELBOURNE);
+    expect(after - before).toBe(3600 * 1000);
+  });
+
+  it('handles clocks going back', () => {
+    // 03:00 AEDT becomes 02:00 AEST on 2026-04-05
+    expect(parseForecastTime('2026-04-05T09:00', MELBOURNE).toISOString()).toBe('2026-04-04T23:00:00.000Z');
+    expect(toZonedHourKey(new Date('2026-04-04T14:00:00Z'), MELBOURNE)).toBe('2026-04-05T01:00');
+    expect(toZonedHourKey(new Date('2026-04-04T17:00:00Z'), MELBOURNE)).toBe('2026-04-05T03:00');
+  });
+});
+
+describe('shiftHourKey', () => {
+  it('moves across days, months and years', () => {
+    expect(shiftHourKey('2025-07-21T09:00', 1)).toBe('2025-07-21T10:00');
+    expect(shiftHourKey('2025-07-31T23:00', 1)).toBe('2025-08-01T00:00');
+    expect(shiftHourKey('2026-01-01T00:00', -1)).toBe('2025-12-31T23:00');
+  });
+});
+
+describe('day keys', () => {
+  it('turns a day key into local midnight and back', () => {
+    const date = fromDayKey('2025-07-21');
+    expect(date.getHours()).toBe(0);
+    expect(toLocalDayKey(date)).toBe('2025-07-21');
+  });
+});
+
+describe('formatting', () => {
+  it('formats UTC offsets', () => {
+    expect(formatUtcOffset(28800)).toBe('UTC+08:00');
+    expect(formatUtcOffset(-12600)).toBe('UTC−03:30');
+    expect(formatUtcOffset(0)).toBe('UTC+00:00');
+  });
+
+  it('formats hours of the day', () => {
+    expect(formatHourKey(7)).toBe('07:00');
+    expect(formatHourKey(18)).toBe('18:00');
+  });
+});
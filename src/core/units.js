@@ -0,0 +1,97 @@
+// Units
+//
+// Forecasts are always fetched, stored and judged in metric (°C, km/h, mm,
+// metres), so cached forecasts, ride alerts and shared profiles don't depend on
+// anyone's display preference. Values are converted only at the edges: when
+// they're formatted for display, and when a slider is moved.
+//
+// Each quantity has a set of units. A unit converts from metric as
+// `value * scale + offset` and carries the slider step and the number of
+// decimals shown for it.
+
+export const QUANTITIES = {
+  temperature: {
+    units: {
+      celsius: { symbol: '°C', scale: 1, offset: 0, step: 1, decimals: 1 },
+      fahrenheit: { symbol: '°F', scale: 9 / 5, offset: 32, step: 1, decimals: 1 }
+    }
+  },
+  speed: {
+    units: {
+      kmh: { symbol: 'km/h', scale: 1, offset: 0, step: 1, decimals: 1 },
+      mph: { symbol: 'mph', scale: 1 / 1.609344, offset: 0, step: 1, decimals: 1 },
+      ms: { symbol: 'm/s', scale: 1 / 3.6, offset: 0, step: 0.5, decimals: 1 },
+      kn: { symbol: 'kn', scale: 1 / 1.852, offset: 0, step: 1, decimals: 1 }
+    }
+  },
+  precipitation: {
+    units: {
+      mm: { symbol: 'mm', scale: 1, offset: 0, step: 0.1, decimals: 1 },
+      inch: { symbol: 'in', scale: 1 / 25.4, offset: 0, step: 0.01, decimals: 2 }
+    }
+  },
+  // Metric base is metres
+  distance: {
+    units: {
+      km: { symbol: 'km', scale: 1 / 1000, offset: 0, step: 0.5, decimals: 1 },
+      mi: { symbol: 'mi', scale: 1 / 1609.344, offset: 0, step: 0.5, decimals: 1 }
+    }
+  }
+};
+
+export const UNIT_PRESETS = {
+  metric: { units: { temperature: 'celsius', speed: 'kmh', precipitation: 'mm', distance: 'km' } },
+  us: { units: { temperature: 'fahrenheit', speed: 'mph', precipitation: 'inch', distance: 'mi' } },
+  uk: { units: { temperature: 'celsius', speed: 'mph', precipitation: 'mm', distance: 'mi' } }
+};
+
+export const DEFAULT_UNITS = UNIT_PRESETS.metric.units;
+
+// The preset matching a set of units, if any
+export const findPreset = (units) =>
+  Object.keys(UNIT_PRESETS).find(key =>
+    Object.entries(UNIT_PRESETS[key].units).every(([quantity, unit]) => units[quantity] === unit)
+  ) || null;
+
+export const getUnit = (quantity, units) => QUANTITIES[quantity].units[units[quantity]];
+
+const roundTo = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Convert a metric value into the rider's unit for `quantity`
+export const toDisplay = (value, quantity, units) => {
+  const { scale, offset } = getUnit(quantity, units);
+  return value * scale + offset;
+};
+
+// Convert a value in the rider's unit back to metric
+export const fromDisplay = (value, quantity, units) => {
+  const { scale, offset } = getUnit(quantity, units);
+  return (value - offset) / scale;
+};
+
+// Round a display value to the precision shown for its unit
+export const roundForDisplay = (value, quantity, units) =>
+  roundTo(value, getUnit(quantity, units).decimals);
+
+// Snap a metric value onto the slider steps of the rider's unit, so a
+// threshold set in it reads as a round number ("12 mph")
+export const snapToStep = (value, quantity, units) => {
+  const { step } = getUnit(quantity, units);
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  const display = roundTo(Math.round(toDisplay(value, quantity, units) / step) * step, decimals);
+  return fromDisplay(display, quantity, units);
+};
+
+// Slider `{ min, max, step }` for a metric range, widened to whole steps
+export const convertRange = ({ min, max }, quantity, units) => {
+  const { step } = getUnit(quantity, units);
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return {
+    min: roundTo(Math.floor(toDisplay(min, quantity, units) / step) * step, decimals),
+    max: roundTo(Math.ceil(toDisplay(max, quantity, units) / step) * step, decimals),
+    step
+  };
+};
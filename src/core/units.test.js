@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  UNIT_PRESETS,
+  DEFAULT_UNITS,
+  findPreset,
+  toDisplay,
+  fromDisplay,
+  roundForDisplay,
+  snapToStep,
+  convertRange
+} from './units.js';
+
+const { us: { units: US }, uk: { units: UK } } = UNIT_PRESETS;
+
+describe('findPreset', () => {
+  it('names the preset a set of units matches', () => {
+    expect(findPreset(DEFAULT_UNITS)).toBe('metric');
+    expect(findPreset(US)).toBe('us');
+    expect(findPreset({ ...UK, speed: 'kn' })).toBeNull();
+  });
+});
+
+describe('toDisplay and fromDisplay', () => {
+  it('convert metric values into the rider\'s units', () => {
+    expect(toDisplay(20, 'temperature', US)).toBe(68);
+    expect(toDisplay(-40, 'temperature', US)).toBe(-40);
+    expect(toDisplay(1.609344, 'speed', US)).toBeCloseTo(1);
+    expect(toDisplay(36, 'speed', { ...DEFAULT_UNITS, speed: 'ms' })).toBe(10);
+    expect(toDisplay(25.4, 'precipitation', US)).toBeCloseTo(1);
+    expect(toDisplay(2000, 'distance', DEFAULT_UNITS)).toBe(2);
+  });
+
+  it('round-trip without drift', () => {
+    const values = { temperature: [-7.3, 0, 18.5], speed: [0, 20, 37.2], precipitation: [0.1, 0.5, 6.1], distance: [400, 24000] };
+    for (const units of [DEFAULT_UNITS, US, UK, { ...DEFAULT_UNITS, speed: 'kn' }]) {
+      for (const [quantity, samples] of Object.entries(values)) {
+        for (const value of samples) {
+          let roundTripped = value;
+          for (let i = 0; i < 10; i++) {
+            roundTripped = fromDisplay(toDisplay(roundTripped, quantity, units), quantity, units);
+          }
+          expect(roundTripped).toBeCloseTo(value, 9);
+        }
+      }
+    }
+  });
+});
+
+describe('roundForDisplay', () => {
+  it('rounds to the decimals shown for the unit', () => {
+    expect(roundForDisplay(toDisplay(20, 'speed', US), 'speed', US)).toBe(12.4);
+    expect(roundForDisplay(toDisplay(0.5, 'precipitation', US), 'precipitation', US)).toBe(0.02);
+  });
+});
+
+describe('snapToStep', () => {
+  it('snaps a metric value onto the unit\'s slider steps', () => {
+    expect(toDisplay(snapToStep(20, 'speed', US), 'speed', US)).toBeCloseTo(12);
+    expect(toDisplay(snapToStep(40, 'speed', { ...DEFAULT_UNITS, speed: 'ms' }), 'speed', { ...DEFAULT_UNITS, speed: 'ms' })).toBeCloseTo(11);
+    expect(toDisplay(snapToStep(0.5, 'precipitation', US), 'precipitation', US)).toBeCloseTo(0.02);
+  });
+
+  it('leaves values already on a step as they are', () => {
+    expect(snapToStep(20, 'speed', DEFAULT_UNITS)).toBe(20);
+    expect(snapToStep(0.5, 'precipitation', DEFAULT_UNITS)).toBe(0.5);
+    expect(snapToStep(10, 'temperature', US)).toBeCloseTo(10);
+  });
+});
+
+describe('convertRange', () => {
+  it('widens a metric range to whole steps of the rider\'s unit', () => {
+    expect(convertRange({ min: -10, max: 50 }, 'temperature', US)).toEqual({ min: 14, max: 122, step: 1 });
+    expect(convertRange({ min: 0, max: 50 }, 'speed', US)).toEqual({ min: 0, max: 32, step: 1 });
+    expect(convertRange({ min: 0, max: 10 }, 'precipitation', US)).toEqual({ min: 0, max: 0.4, step: 0.01 });
+  });
+
+  it('keeps metric ranges as they are', () => {
+    expect(convertRange({ min: 0, max: 10 }, 'precipitation', DEFAULT_UNITS)).toEqual({ min: 0, max: 10, step: 0.1 });
+    expect(convertRange({ min: 0, max: 20000 }, 'distance', DEFAULT_UNITS)).toEqual({ min: 0, max: 20, step: 0.5 });
+  });
+});
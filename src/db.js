@@ -0,0 +1,47 @@
+// Minimal IndexedDB helpers
+//
+// IndexedDB is used for data the service worker needs to read too (it has no
+// access to localStorage). Each call opens the database, runs one request in
+// its own transaction and resolves with the result.
+
+const DB_NAME = 'rideready';
+// Version 2 added the ride log
+const DB_VERSION = 2;
+
+export const ALERTS_STORE = 'alerts';
+export const RIDES_STORE = 'rides';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    for (const storeName of [ALERTS_STORE, RIDES_STORE]) {
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, { keyPath: 'id' });
+      }
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+export const getAllRecords = (storeName) => runRequest(storeName, 'readonly', store => store.getAll());
+
+export const putRecord = (storeName, record) => runRequest(storeName, 'readwrite', store => store.put(record));
+
+export const deleteRecord = (storeName, key) => runRequest(storeName, 'readwrite', store => store.delete(key));
@@ -0,0 +1,85 @@
+// Forecast caching for the service worker
+//
+// The service worker (see sw.js) serves forecasts stale-while-revalidate,
+// keyed by location. Cached responses carry the time they were fetched so the
+// app can show how old an offline forecast is. Everything here takes its
+// cache, fetch and clock as arguments, so it runs (and is tested) outside a
+// service worker.
+
+export const CACHE_PREFIX = 'ride-ready-';
+export const FORECAST_CACHE = `${CACHE_PREFIX}forecasts-v1`;
+
+// Header stamped onto cached forecasts with the time they were fetched (ms)
+export const FETCHED_AT_HEADER = 'X-RideReady-Fetched-At';
+// Cached forecasts younger than this are served without revalidating
+export const FORECAST_FRESH_MS = 10 * 60 * 1000;
+
+// Forecast endpoints, and the query parameters that hold their coordinates
+const FORECAST_ENDPOINTS = [
+  { host: 'api.open-meteo.com', path: '/v1/forecast', coordinates: ['latitude', 'longitude'] },
+  { host: 'api.met.no', path: '/weatherapi/locationforecast/2.0/complete', coordinates: ['lat', 'lon'] }
+];
+
+export const findForecastEndpoint = (url) =>
+  FORECAST_ENDPOINTS.find(endpoint => url.hostname === endpoint.host && url.pathname === endpoint.path);
+
+// Normalise a forecast URL into a cache key: coordinates rounded to ~1 km so
+// nearby requests share an entry, and parameters sorted so order doesn't matter
+export const forecastCacheKey = (requestUrl) => {
+  const url = new URL(requestUrl);
+  for (const param of findForecastEndpoint(url).coordinates) {
+    const value = url.searchParams.get(param);
+    if (value !== null) {
+      url.searchParams.set(param, value.split(',').map(coordinate => Number(coordinate).toFixed(2)).join(','));
+    }
+  }
+  url.searchParams.sort();
+  return url.toString();
+};
+
+// Copy a response, adding the time it was fetched and exposing that header to
+// the page's CORS request
+export const stampResponse = async (response, now = Date.now()) => {
+  const headers = new Headers(response.headers);
+  headers.set(FETCHED_AT_HEADER, String(now));
+  headers.set('Access-Control-Expose-Headers', FETCHED_AT_HEADER);
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+};
+
+// Cache names to delete on activate: ours, other than the ones in use
+export const findStaleCaches = (cacheNames, currentCaches) =>
+  cacheNames.filter(cacheName => cacheName.startsWith(CACHE_PREFIX) && !currentCaches.includes(cacheName));
+
+// Answer a forecast request from `cache` when it has a copy, refreshing the
+// copy in the background once it's older than FORECAST_FRESH_MS, or from the
+// network otherwise. `waitUntil` keeps the worker alive for the refresh and
+// `onUpdate` is called when a refresh replaces a cached copy.
+export const staleWhileRevalidate = async (request, { cache, waitUntil, onUpdate, fetch = globalThis.fetch, now = Date.now }) => {
+  const key = forecastCacheKey(request.url);
+  const cached = await cache.match(key);
+
+  const revalidate = () => fetch(request).then(async response => {
+    if (response.ok) {
+      await cache.put(key, await stampResponse(response.clone(), now()));
+      if (cached) {
+        await onUpdate();
+      }
+    }
+    return response;
+  });
+
+  if (!cached) {
+    return revalidate();
+  }
+
+  const age = now() - Number(cached.headers.get(FETCHED_AT_HEADER));
+  if (age >= FORECAST_FRESH_MS) {
+    // Offline revalidation failures are expected; the cached copy stands
+    waitUntil(revalidate().catch(() => {}));
+  }
+  return cached;
+};
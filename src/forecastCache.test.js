@@ -0,0 +1,150 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  FORECAST_CACHE,
+  FETCHED_AT_HEADER,
+  FORECAST_FRESH_MS,
+  findForecastEndpoint,
+  forecastCacheKey,
+  stampResponse,
+  findStaleCaches,
+  staleWhileRevalidate
+} from './forecastCache.js';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast?longitude=144.96312&latitude=-37.81361&hourly=temperature_2m';
+const NOW = Date.parse('2025-07-21T09:00:00Z');
+
+// A Cache with just what staleWhileRevalidate uses
+const createCache = (entries = {}) => {
+  const responses = new Map(Object.entries(entries));
+  return {
+    responses,
+    match: async (key) => responses.get(key),
+    put: async (key, response) => {
+      responses.set(key, response);
+    }
+  };
+};
+
+const cachedForecast = (fetchedAt) => new Response('{"cached":true}', {
+  headers: { [FETCHED_AT_HEADER]: String(fetchedAt) }
+});
+
+// Run staleWhileRevalidate against `cache`, collecting the background work
+const serve = async (cache, fetch) => {
+  const background = [];
+  const onUpdate = vi.fn();
+  const response = await staleWhileRevalidate(new Request(FORECAST_URL), {
+    cache,
+    fetch,
+    onUpdate,
+    waitUntil: promise => background.push(promise),
+    now: () => NOW
+  });
+  await Promise.all(background);
+  return { response, onUpdate, revalidated: background.length > 0 };
+};
+
+describe('findForecastEndpoint', () => {
+  it('recognises Open-Meteo and MET Norway forecasts', () => {
+    expect(findForecastEndpoint(new URL(FORECAST_URL))).toBeDefined();
+    expect(findForecastEndpoint(new URL('https://api.met.no/weatherapi/locationforecast/2.0/complete?lat=1&lon=2'))).toBeDefined();
+    expect(findForecastEndpoint(new URL('https://archive-api.open-meteo.com/v1/archive'))).toBeUndefined();
+  });
+});
+
+describe('forecastCacheKey', () => {
+  it('rounds coordinates and sorts parameters', () => {
+    expect(forecastCacheKey(FORECAST_URL))
+      .toBe('https://api.open-meteo.com/v1/forecast?hourly=temperature_2m&latitude=-37.81&longitude=144.96');
+  });
+
+  it('rounds each coordinate of a multi-location request', () => {
+    const key = forecastCacheKey('https://api.open-meteo.com/v1/forecast?latitude=-37.8136,-33.8688&longitude=144.9631,151.2093');
+    expect(new URL(key).searchParams.get('latitude')).toBe('-37.81,-33.87');
+    expect(new URL(key).searchParams.get('longitude')).toBe('144.96,151.21');
+  });
+
+  it('rounds MET Norway\'s coordinates', () => {
+    expect(forecastCacheKey('https://api.met.no/weatherapi/locationforecast/2.0/complete?lon=10.7522&lat=59.9139'))
+      .toBe('https://api.met.no/weatherapi/locationforecast/2.0/complete?lat=59.91&lon=10.75');
+  });
+});
+
+describe('stampResponse', () => {
+  it('copies the response with the time it was fetched', async () => {
+    const response = new Response('{"hourly":{}}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+    const stamped = await stampResponse(response, NOW);
+
+    expect(stamped.status).toBe(200);
+    expect(stamped.headers.get('Content-Type')).toBe('application/json');
+    expect(stamped.headers.get(FETCHED_AT_HEADER)).toBe(String(NOW));
+    expect(stamped.headers.get('Access-Control-Expose-Headers')).toBe(FETCHED_AT_HEADER);
+    expect(await stamped.text()).toBe('{"hourly":{}}');
+  });
+});
+
+describe('findStaleCaches', () => {
+  it('picks our caches from earlier builds and leaves others alone', () => {
+    const current = ['ride-ready-shell-abc123', FORECAST_CACHE];
+    expect(findStaleCaches(['ride-ready-shell-old', 'ride-ready-shell-abc123', FORECAST_CACHE, 'someone-else'], current))
+      .toEqual(['ride-ready-shell-old']);
+  });
+});
+
+describe('staleWhileRevalidate', () => {
+  const fresh = () => vi.fn(async () => new Response('{"fresh":true}'));
+
+  it('fetches and caches a forecast it hasn\'t seen', async () => {
+    const cache = createCache();
+    const fetch = fresh();
+    const { response, onUpdate } = await serve(cache, fetch);
+
+    expect(await response.json()).toEqual({ fresh: true });
+    const stored = cache.responses.get(forecastCacheKey(FORECAST_URL));
+    expect(stored.headers.get(FETCHED_AT_HEADER)).toBe(String(NOW));
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  it('serves a recent copy without going to the network', async () => {
+    const cache = createCache({ [forecastCacheKey(FORECAST_URL)]: cachedForecast(NOW - FORECAST_FRESH_MS + 1000) });
+    const fetch = fresh();
+    const { response, revalidated } = await serve(cache, fetch);
+
+    expect(await response.json()).toEqual({ cached: true });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(revalidated).toBe(false);
+  });
+
+  it('serves an old copy and refreshes it in the background', async () => {
+    const key = forecastCacheKey(FORECAST_URL);
+    const cache = createCache({ [key]: cachedForecast(NOW - FORECAST_FRESH_MS) });
+    const fetch = fresh();
+    const { response, onUpdate } = await serve(cache, fetch);
+
+    expect(await response.json()).toEqual({ cached: true });
+    expect(fetch).toHaveBeenCalledOnce();
+    expect(await cache.responses.get(key).json()).toEqual({ fresh: true });
+    expect(onUpdate).toHaveBeenCalledOnce();
+  });
+
+  it('keeps the old copy when the refresh fails', async () => {
+    const key = forecastCacheKey(FORECAST_URL);
+    const old = cachedForecast(NOW - FORECAST_FRESH_MS);
+    const cache = createCache({ [key]: old });
+    const { response, onUpdate } = await serve(cache, vi.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    }));
+
+    expect(response).toBe(old);
+    expect(cache.responses.get(key)).toBe(old);
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  it('doesn\'t cache error responses', async () => {
+    const cache = createCache();
+    const { response } = await serve(cache, vi.fn(async () => new Response('{"error":true}', { status: 429 })));
+
+    expect(response.status).toBe(429);
+    expect(cache.responses.size).toBe(0);
+  });
+});
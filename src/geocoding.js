@@ -0,0 +1,117 @@
+// Geocoding adapters
+//
+// A geocoder is any object with a `search(query, { signal, language })` method
+// that resolves to an array of places shaped like:
+//   { id, name, label, latitude, longitude }
+// The app defaults to Open-Meteo's geocoding API but any adapter with the same
+// shape can be passed to <App geocoder={...} />.
+
+const OPEN_METEO_GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+// Build a human readable label such as "Fitzroy, Victoria, Australia"
+const buildLabel = (parts) => parts.filter(Boolean).join(', ');
+
+export const createOpenMeteoGeocoder = ({ count = 5, language = 'en' } = {}) => ({
+  async search(query, { signal, language: requestLanguage = language } = {}) {
+    const params = new URLSearchParams({
+      name: query,
+      count: String(count),
+      language: requestLanguage,
+      format: 'json'
+    });
+
+    const response = await fetch(`${OPEN_METEO_GEOCODING_URL}?${params}`, { signal });
+    if (!response.ok) {
+      throw new Error(`Geocoding error! status: ${response.status}`);
+    }
+    const data = await response.json();
+
+    // Open-Meteo omits `results` entirely when nothing matches
+    return (data.results || []).map(result => ({
+      id: result.id,
+      name: result.name,
+      label: buildLabel([result.name, result.admin1, result.country]),
+      latitude: result.latitude,
+      longitude: result.longitude
+    }));
+  }
+});
+
+export const openMeteoGeocoder = createOpenMeteoGeocoder();
+
+// Reverse geocoding adapters
+//
+// A reverse geocoder is any object with a `reverse(latitude, longitude, { signal })`
+// method that resolves to a place `{ name, label, latitude, longitude }` or
+// `null` when nothing is found. Pass one to <App reverseGeocoder={...} />.
+
+const NOMINATIM_REVERSE_URL = 'https://nominatim.openstreetmap.org/reverse';
+
+export const createNominatimReverseGeocoder = ({ zoom = 14, language = 'en' } = {}) => ({
+  async reverse(latitude, longitude, { signal } = {}) {
+    const params = new URLSearchParams({
+      lat: String(latitude),
+      lon: String(longitude),
+      zoom: String(zoom),
+      format: 'jsonv2',
+      'accept-language': language
+    });
+
+    const response = await fetch(`${NOMINATIM_REVERSE_URL}?${params}`, { signal });
+    if (!response.ok) {
+      throw new Error(`Reverse geocoding error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.error) {
+      return null;
+    }
+
+    // Riders think in suburbs, so prefer the most local named area
+    const address = data.address || {};
+    const name = address.suburb || address.town || address.village ||
+      address.city || address.municipality || address.county || data.name;
+    if (!name) {
+      return null;
+    }
+
+    return {
+      name,
+      label: buildLabel([name, address.state, address.country]),
+      latitude: Number(data.lat),
+      longitude: Number(data.lon)
+    };
+  }
+});
+
+export const nominatimReverseGeocoder = createNominatimReverseGeocoder();
+
+// Format coordinates for display, e.g. "37.81°S, 144.96°E"
+export const formatCoordinates = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  return `${Math.abs(lat).toFixed(2)}°${lat < 0 ? 'S' : 'N'}, ${Math.abs(lon).toFixed(2)}°${lon < 0 ? 'W' : 'E'}`;
+};
+
+// Wrap a reverse geocoder with an in-memory cache keyed by rounded coordinates.
+// Two decimal places is roughly 1 km, which is plenty for a suburb name.
+export const createCachedReverseGeocoder = (reverseGeocoder, { precision = 2 } = {}) => {
+  const cache = new Map();
+  const keyFor = (latitude, longitude) =>
+    `${Number(latitude).toFixed(precision)},${Number(longitude).toFixed(precision)}`;
+
+  return {
+    async reverse(latitude, longitude, options) {
+      const key = keyFor(latitude, longitude);
+      if (cache.has(key)) {
+        return cache.get(key);
+      }
+      const place = await reverseGeocoder.reverse(latitude, longitude, options);
+      cache.set(key, place);
+      return place;
+    },
+    // Seed the cache with a place we already know, e.g. a forward search result
+    prime(latitude, longitude, place) {
+      cache.set(keyFor(latitude, longitude), place);
+    }
+  };
+};
@@ -0,0 +1,143 @@
+import { WEATHER_VARIABLES, CRITERIA, getVariable, getVariableUnit, isCriterionEnabled, toSliderValue } from './core/criteria.js';
+import { roundForDisplay, toDisplay } from './core/units.js';
+import { toLocalDayKey, formatHourKey } from './core/time.js';
+
+// Forecast grid export
+//
+// The evaluated grid from organizeWeatherGrid as CSV or JSON, one record per
+// hour on screen, so an export always matches what's displayed. Values are
+// in the rider's units and rounded as shown. The location, units and
+// criteria go along with the hours so the file describes itself.
+//
+// Names in the files are the stable keys and English labels rather than the
+// UI language, so spreadsheets and scripts reading them don't depend on it.
+
+const EXPORT_TYPE = 'rideready-forecast';
+const EXPORT_VERSION = 1;
+
+const BOUND_SYMBOLS = { max: '<=', min: '>=' };
+// How a criterion result reads in CSV; hours without data stay empty
+const PASS_LABELS = { true: 'pass', false: 'fail' };
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// A metric value in the rider's units, rounded to the precision shown
+const toExportValue = (key, value, units) => {
+  const { quantity } = getVariable(key);
+  if (!hasValue(value) || !quantity) {
+    return hasValue(value) ? value : null;
+  }
+  return roundForDisplay(toDisplay(value, quantity, units), quantity, units);
+};
+
+// Criteria as `{ key, label, variable, bound, limit, unit }` in the rider's
+// units; `limit` is null for criteria that are switched off, and flags have
+// a `limit` of true and no bound or unit
+const describeCriteria = (criteria, units) => CRITERIA.map(criterion => {
+  const enabled = isCriterionEnabled(criteria, criterion);
+  if (criterion.type === 'flag') {
+    return { key: criterion.key, label: criterion.label, variable: criterion.variable, bound: null, limit: enabled || null, unit: null };
+  }
+  return {
+    key: criterion.key,
+    label: criterion.label,
+    variable: criterion.variable,
+    bound: criterion.bound,
+    limit: enabled ? toSliderValue(criterion, criteria[criterion.key], units) : null,
+    unit: getVariableUnit(criterion.variable, units)
+  };
+});
+
+// Whether an hour passes each criterion that's switched on: true, false, or
+// null when the hour has no data for it
+const judgeCriteria = (cell, criteria) => Object.fromEntries(CRITERIA
+  .filter(criterion => isCriterionEnabled(criteria, criterion))
+  .map(criterion => [
+    criterion.key,
+    hasValue(cell.values[criterion.variable])
+      ? !cell.failures.some(failure => failure.criterion.key === criterion.key)
+      : null
+  ]));
+
+// Build the export document from organizeWeatherGrid's `grid` and `hours`.
+// `location` is `{ name, latitude, longitude }`, `timeDisplay` says whether
+// `day` and `hour` are the location's ('location') or the device's ('device')
+// time; `time` is always the forecast's own location time.
+export const buildGridExport = (grid, hours, { criteria, units, location, timeDisplay, utcOffsetSeconds, now = new Date() }) => ({
+  type: EXPORT_TYPE,
+  version: EXPORT_VERSION,
+  exportedAt: now.toISOString(),
+  location: {
+    name: location.name,
+    latitude: Number(location.latitude),
+    longitude: Number(location.longitude),
+    utcOffsetSeconds: hasValue(utcOffsetSeconds) ? utcOffsetSeconds : null
+  },
+  timeDisplay,
+  units,
+  variables: WEATHER_VARIABLES.map(variable => ({ key: variable.key, label: variable.label, unit: getVariableUnit(variable.key, units) })),
+  criteria: describeCriteria(criteria, units),
+  hours: grid.flatMap(row => row.hours
+    .map((cell, column) => (cell ? {
+      day: toLocalDayKey(row.day.date),
+      hour: hours[column],
+      time: cell.time,
+      past: cell.isPast,
+      daylight: cell.values.daylight,
+      values: Object.fromEntries(WEATHER_VARIABLES.map(variable =>
+        [variable.key, toExportValue(variable.key, cell.values[variable.key], units)]
+      )),
+      criteria: judgeCriteria(cell, criteria),
+      score: cell.score,
+      suitable: cell.suitable
+    } : null))
+    .filter(Boolean))
+});
+
+export const exportJson = (data) => JSON.stringify(data, null, 2);
+
+// Quote a CSV field when it needs it (RFC 4180)
+const toCsvField = (value) => {
+  const text = hasValue(value) ? String(value) : '';
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (fields) => fields.map(toCsvField).join(',');
+
+const withUnit = (label, unit) => (unit ? `${label} (${unit})` : label);
+
+// CSV with the metadata as leading `#` lines, then one row per hour with a
+// pass/fail column per criterion that's switched on
+export const exportCsv = (data) => {
+  const enabled = data.criteria.filter(criterion => criterion.limit !== null);
+  const metadata = [
+    `# RideReady forecast for ${data.location.name} (${data.location.latitude}, ${data.location.longitude})`,
+    `# Exported ${data.exportedAt}; day and hour are in ${data.timeDisplay} time, the time column in location time`,
+    ...enabled.map(criterion => (criterion.bound === null
+      ? `# Criterion: ${criterion.label}`
+      : `# Criterion: ${criterion.label} ${BOUND_SYMBOLS[criterion.bound]} ${criterion.limit}${criterion.unit ? ` ${criterion.unit}` : ''}`))
+  ];
+  const header = [
+    'day',
+    'hour',
+    'time',
+    ...data.variables.map(variable => withUnit(variable.key, variable.unit)),
+    'daylight',
+    ...enabled.map(criterion => criterion.key),
+    'score',
+    'suitable',
+    'past'
+  ];
+  const rows = data.hours.map(hour => [
+    hour.day,
+    formatHourKey(hour.hour),
+    hour.time,
+    ...data.variables.map(variable => hour.values[variable.key]),
+    hour.daylight,
+    ...enabled.map(criterion => PASS_LABELS[hour.criteria[criterion.key]]),
+    hour.score,
+    hour.suitable,
+    hour.past
+  ]);
+  return [...metadata.map(line => line.replace(/[\r\n]+/g, ' ')), toCsvLine(header), ...rows.map(toCsvLine)].join('\r\n') + '\r\n';
+};
@@ -0,0 +1,112 @@
+import { loadJSON, saveJSON } from './storage.js';
+import en from './locales/en.js';
+import de from './locales/de.js';
+
+// Internationalisation
+//
+// Messages live in per-language catalogs under src/locales/. The active
+// language and locale are module state, set by <App> via `setLocale()` when
+// the rider's choice changes (in a layout effect, then re-rendering), so
+// components and helpers can call `t()` and the formatters directly. Code
+// that needs the language itself gets it as a prop, and code that runs
+// outside the page (the service worker) passes one to `translate()`.
+//
+// The language decides which catalog is used; the locale decides how dates,
+// hours and numbers look. When the browser's own locale is in the chosen
+// language (e.g. "en-AU" for English) we keep it, so regional formats survive.
+
+export const LANGUAGES = {
+  en: { label: 'English', messages: en },
+  de: { label: 'Deutsch', messages: de }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Hour display: follow the locale, or force a 12 or 24 hour clock
+export const CLOCKS = ['auto', '12', '24'];
+
+const LANGUAGE_KEY = 'language';
+const CLOCK_KEY = 'clock';
+
+const browserLanguages = () => {
+  if (typeof navigator === 'undefined') {
+    return [];
+  }
+  return navigator.languages?.length ? navigator.languages : [navigator.language].filter(Boolean);
+};
+
+const baseLanguage = (tag) => tag.split('-')[0].toLowerCase();
+
+// First of the browser's preferred languages that we have a catalog for
+export const detectLanguage = (languages = browserLanguages()) =>
+  languages.map(baseLanguage).find(language => LANGUAGES[language]) || DEFAULT_LANGUAGE;
+
+// Formatting locale for a language, preferring the browser's regional variant
+export const resolveLocale = (language, languages = browserLanguages()) =>
+  languages.find(tag => baseLanguage(tag) === language) || language;
+
+// The rider's language choice, or `null` to follow the browser
+export const loadLanguagePreference = () => {
+  const stored = loadJSON(LANGUAGE_KEY, null);
+  return LANGUAGES[stored] ? stored : null;
+};
+
+export const saveLanguagePreference = (language) => saveJSON(LANGUAGE_KEY, language);
+
+export const loadClock = () => {
+  const stored = loadJSON(CLOCK_KEY, 'auto');
+  return CLOCKS.includes(stored) ? stored : 'auto';
+};
+
+export const saveClock = (clock) => saveJSON(CLOCK_KEY, clock);
+
+let current = { language: DEFAULT_LANGUAGE, locale: DEFAULT_LANGUAGE, clock: 'auto' };
+
+// Switch the language and clock used by `t()` and the formatters
+export const setLocale = ({ language, clock = 'auto' }) => {
+  current = { language, locale: resolveLocale(language), clock };
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = current.locale;
+  }
+};
+
+// Translate `key` into `language`, filling `{placeholders}` from `params`.
+// Falls back to English, then to the key itself.
+export const translate = (language, key, params = {}) => {
+  let message = LANGUAGES[language]?.messages[key] ?? LANGUAGES[DEFAULT_LANGUAGE].messages[key];
+  if (message === undefined) {
+    return key;
+  }
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(language).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+};
+
+// Translate into the active language
+export const t = (key, params) => translate(current.language, key, params);
+
+const clockOptions = () => (current.clock === 'auto' ? {} : { hour12: current.clock === '12' });
+
+// e.g. "Mon, 21 Jul" or "Mo., 21. Juli". `options` can add Intl options
+// such as `timeZone`.
+export const formatDate = (date, options) => date.toLocaleDateString(current.locale, {
+  weekday: 'short', month: 'short', day: 'numeric', ...options
+});
+
+// e.g. "09:00 am", "9:00 AM" or "09:00" depending on locale and clock
+export const formatTime = (date, options) => date.toLocaleTimeString(current.locale, {
+  hour: '2-digit', minute: '2-digit', ...clockOptions(), ...options
+});
+
+// An hour of the day (0-24), formatted as a time
+export const formatHour = (hour) => formatTime(new Date(new Date().setHours(hour, 0, 0, 0)));
+
+// e.g. "12.5" or "12,5"
+export const formatNumber = (value, options) => new Intl.NumberFormat(current.locale, options).format(value);
+
+// e.g. "nowcast, models and daylight" or "… und …"
+export const formatList = (items) => new Intl.ListFormat(current.locale, { type: 'conjunction' }).format(items);
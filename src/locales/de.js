@@ -0,0 +1,339 @@
+// German messages. Keys missing here fall back to the English catalog.
+
+export default {
+  // Page
+  'app.title': '🏍️ POC Ride Ready – 7-Tage-Vorhersage',
+  'app.findingLocation': 'Standort wird ermittelt...',
+  'app.loading': 'Wetterdaten werden geladen...',
+  'app.error': 'Fehler: ',
+  'app.refresh': 'Wetterdaten aktualisieren',
+  'app.refreshing': 'Wetter wird abgerufen...',
+  'app.criteriaTitle': 'Geeignete Fahrfenster in der Vorhersage',
+  'app.criteriaPrompt': 'Wähle deine Kriterien',
+  'app.poweredBy': 'Daten von {provider}',
+  'app.errors.locationUnavailable': 'Dein Standort ist nicht verfügbar. Melbourne wird als Standard verwendet.',
+  'app.errors.geolocationUnsupported': 'Dieser Browser unterstützt keine Standortbestimmung. Melbourne wird als Standard verwendet.',
+  'app.errors.fetchFailed': 'Wetterdaten konnten nicht geladen werden. Bitte versuche es erneut.',
+  'app.errors.offline': 'Du scheinst offline zu sein. Prüfe deine Verbindung und versuche es erneut.',
+  'app.errors.invalidCoordinates': 'Diese Koordinaten sind ungültig. Der Breitengrad reicht von -90 bis 90, der Längengrad von -180 bis 180.',
+  'app.errors.rateLimited': 'Zu viele Wetterabfragen. Bitte warte eine Minute und versuche es erneut.',
+  'app.errors.server': 'Der Wetterdienst hat Probleme. Bitte versuche es später erneut.',
+
+  // Location inputs
+  'location.coordinates': 'Koordinaten',
+  'location.coordinatesPlaceholder': 'Koordinaten, z. B. -37.8136, 144.9631',
+  'location.hint': 'Suche nach einem Ort oder einer Stadt, klicke auf die Karte oder füge Koordinaten ein: dezimal, in Grad, Minuten und Sekunden oder als Google-Maps-Link.',
+  'citySearch.placeholder': 'Stadt eingeben oder unten einen Punkt auf der Karte wählen',
+  'map.label': 'Karte',
+  'map.instructions': 'Klicke auf die Karte, um dort nachzusehen. Ziehe sie oder verschiebe sie mit den Pfeiltasten, zoome mit + und - und wähle mit der Eingabetaste die Mitte.',
+  'map.zoomIn': 'Vergrößern',
+  'map.zoomOut': 'Verkleinern',
+  'map.savedLocation': 'Gespeicherter Ort: {name}',
+  'citySearch.searching': 'Suche läuft...',
+  'citySearch.noResults': 'Keine passenden Orte gefunden',
+  'citySearch.failed': 'Ortssuche fehlgeschlagen. Bitte versuche es erneut.',
+
+  // Saved locations
+  'savedLocations.title': 'Gespeicherte Orte',
+  'savedLocations.list': 'Gespeicherte Orte',
+  'savedLocations.moveUp': '{name} nach oben verschieben',
+  'savedLocations.moveDown': '{name} nach unten verschieben',
+  'savedLocations.delete': '{name} löschen',
+  'savedLocations.empty': 'Noch keine gespeicherten Orte.',
+  'savedLocations.namePlaceholder': 'Ort benennen',
+  'savedLocations.namePlaceholderSuggested': 'Ort benennen (z. B. {name})',
+  'savedLocations.nameLabel': 'Name des Ortes',
+  'savedLocations.save': 'Ort speichern',
+
+  // Sharing
+  'share.button': 'Teilen',
+  'share.copied': 'Link kopiert',
+  'share.failed': 'Der Link konnte nicht geteilt werden.',
+  'share.text': 'Fahrvorhersage für {location}',
+  'share.textWindow': 'Fahrvorhersage für {location}: {window}',
+  'share.profileName': 'Geteilter Link',
+
+  // Forecast freshness
+  'forecast.from': 'Vorhersage von {age}',
+  'forecast.updating': ' (wird aktualisiert...)',
+  'forecast.offline': ' (offline)',
+  'forecast.minutesAgo': { one: 'vor {count} Minute', other: 'vor {count} Minuten' },
+  'forecast.hoursAgo': { one: 'vor {count} Stunde', other: 'vor {count} Stunden' },
+
+  // Current conditions
+  'current.title': 'Aktuelle Bedingungen',
+  'current.temperature': 'Temperatur:',
+  'current.precipitation': 'Niederschlag:',
+  'current.windSpeed': 'Windgeschwindigkeit:',
+  'current.notAvailable': 'k. A.',
+  'current.feelsLike': 'Gefühlt:',
+  'current.windGusts': 'Böen:',
+  'current.asOf': 'Stand {time}',
+  'current.hourly': 'Stündliche Vorhersage ab {time}',
+  'current.verdict.good': 'Jetzt gut zum Fahren.',
+  'current.verdict.goodDetail': 'Die Bedingungen halten die nächsten 2 Stunden.',
+  'current.verdict.changing': 'Jetzt gut zum Fahren, aber nicht mehr lange.',
+  'current.verdict.changingDetail': 'Ab {time}: {reasons}.',
+  'current.verdict.bad': 'Gerade nicht gut zum Fahren.',
+  'current.verdict.clearsAt': 'Besser ab {time}.',
+  'current.verdict.noChange': 'Keine Besserung in den nächsten 2 Stunden.',
+  'current.verdict.unknown': 'Keine Vorhersage für jetzt.',
+  'nowcast.title': 'Nächste 2 Stunden',
+  'nowcast.gusts': 'Böen {gusts}',
+  'nowcast.rainFrom': 'Regen ab {time} erwartet.',
+  'nowcast.raining': 'Es regnet gerade.',
+  'nowcast.noRain': 'Kein Regen in den nächsten 2 Stunden erwartet.',
+
+  // Time zones
+  'timeZone.localTime': 'Ortszeit dort: {time} ({zone})',
+  'timeZone.label': 'Zeiten anzeigen in',
+  'timeZone.location': 'Ortszeit ({offset})',
+  'timeZone.device': 'Meine Zeit',
+
+  // Settings
+  'language.label': 'Sprache',
+  'language.auto': 'Browser-Standard ({language})',
+  'clock.label': 'Uhrzeit',
+  'clock.auto': 'Automatisch',
+  'clock.12': '12 Stunden',
+  'clock.24': '24 Stunden',
+  'units.label': 'Einheiten',
+  'units.quantityUnit': 'Einheit für {quantity}',
+  'units.custom': 'Benutzerdefiniert',
+  'units.presets.metric': 'Metrisch',
+  'units.presets.us': 'USA',
+  'units.presets.uk': 'Vereinigtes Königreich',
+  'units.quantities.temperature': 'Temperatur',
+  'units.quantities.speed': 'Windgeschwindigkeit',
+  'units.quantities.precipitation': 'Regen',
+  'units.quantities.distance': 'Entfernung',
+  'provider.label': 'Wetterquelle',
+  'provider.missing': 'Bei {provider} nicht verfügbar: {features}',
+  'provider.features.nowcast': '15-Minuten-Vorhersage',
+  'provider.features.models': 'Modellvergleich',
+  'provider.features.daylight': 'Sonnenauf- und -untergang',
+  'provider.features.timeZone': 'Ortszeit',
+
+  // Rider profiles
+  'profiles.label': 'Fahrerprofil',
+  'profiles.delete': 'Löschen',
+  'profiles.export': 'Exportieren',
+  'profiles.import': 'Importieren',
+  'profiles.newName': 'Name des neuen Profils',
+  'profiles.saveAs': 'Als Profil speichern',
+  'profiles.importFailed': 'Profil konnte nicht importiert werden: {message}',
+  'profiles.errors.invalidJson': 'Die Datei ist kein gültiges JSON.',
+  'profiles.errors.notProfile': 'Die Datei ist kein Ride-Ready-Profil.',
+  'profiles.errors.missingName': 'Dem Profil fehlt ein Name.',
+  'profiles.errors.invalidValue': 'Das Profil hat einen ungültigen Wert für {key}.',
+
+  // Criteria
+  'criteria.more': 'Weitere Kriterien',
+  'criteria.failure': '{label}: {value} (Grenze {limit})',
+  'criteria.maxPrecipitation': 'Max. Niederschlag',
+  'criteria.maxWindSpeed': 'Max. Windgeschwindigkeit',
+  'criteria.minTemperature': 'Min. Temperatur',
+  'criteria.maxTemperature': 'Max. Temperatur',
+  'criteria.maxWindGusts': 'Max. Windböen',
+  'criteria.maxPrecipitationProbability': 'Max. Regenwahrscheinlichkeit',
+  'criteria.minApparentTemperature': 'Min. gefühlte Temperatur',
+  'criteria.maxApparentTemperature': 'Max. gefühlte Temperatur',
+  'criteria.minVisibility': 'Min. Sichtweite',
+  'criteria.maxHumidity': 'Max. Luftfeuchtigkeit',
+  'criteria.maxUvIndex': 'Max. UV-Index',
+  'criteria.daylightOnly': 'Nur bei Tageslicht (inkl. bürgerlicher Dämmerung)',
+
+  // Weather variables
+  'variables.temperature': 'Temperatur',
+  'variables.precipitation': 'Niederschlag',
+  'variables.windSpeed': 'Wind',
+  'variables.windGusts': 'Böen',
+  'variables.precipitationProbability': 'Regenwahrscheinlichkeit',
+  'variables.apparentTemperature': 'Gefühlt',
+  'variables.visibility': 'Sichtweite',
+  'variables.humidity': 'Luftfeuchtigkeit',
+  'variables.uvIndex': 'UV-Index',
+
+  // Daylight
+  'daylight.day': 'Tageslicht',
+  'daylight.twilight': 'Bürgerliche Dämmerung',
+  'daylight.night': 'Nacht',
+
+  // Ride score
+  'score.legend': 'Legende der Fahrbewertung',
+  'score.legendNote': 'Ab 60 Punkten sind alle deine Kriterien erfüllt; niedrigere Werte zeigen, wie weit eine Stunde sie verfehlt.',
+  'score.bands.great': 'Sehr gut',
+  'score.bands.good': 'Gut',
+  'score.bands.marginal': 'Grenzwertig',
+  'score.bands.poor': 'Schlecht',
+  'score.bands.terrible': 'Sehr schlecht',
+
+  // Forecast grid
+  'grid.intro': 'Mit ✓ markierte Stunden erfüllen deine Kriterien, schraffierte Stunden mit ✕ nicht. Die Farben zeigen die Fahrbewertung:',
+  'grid.showHoursFrom': 'Stunden anzeigen von',
+  'grid.to': 'bis',
+  'grid.firstHour': 'Erste angezeigte Stunde',
+  'grid.lastHour': 'Letzte angezeigte Stunde',
+  'grid.daylightKey': '🌅 bürgerliche Dämmerung · 🌙 Nacht (schattiert)',
+  'grid.label': 'Stündliche Fahrvorhersage',
+  'grid.keyboardHint': 'Wechsle mit den Pfeiltasten zwischen den Stunden, springe mit Pos1 und Ende zum Anfang oder Ende eines Tages und vergleiche mit der Eingabetaste die Vorhersagemodelle einer Stunde.',
+  'grid.day': 'Tag',
+  'grid.noData': 'Keine Daten',
+  'grid.past': ' (vorbei)',
+  'grid.rideScore': 'Fahrbewertung {score}/100 ({band})',
+  'grid.failed': 'Nicht erfüllt:',
+  'grid.suitable': 'Zum Fahren geeignet',
+  'grid.unsuitable': 'Nicht zum Fahren geeignet',
+  'grid.emptyTitle': 'Keine Daten verfügbar!',
+  'grid.emptyBody': ' Für den Vorhersagezeitraum konnten keine Wetterdaten geladen werden.',
+
+  // Grid export
+  'export.label': 'Tabelle exportieren',
+  'export.format': 'Exportformat',
+  'export.download': 'Herunterladen',
+  'export.copy': 'Kopieren',
+  'export.copied': 'In die Zwischenablage kopiert',
+  'export.copyFailed': 'Kopieren in die Zwischenablage fehlgeschlagen.',
+
+  // Model comparison
+  'models.compare': 'Vorhersagemodelle vergleichen',
+  'models.loading': 'Modellvergleich wird geladen...',
+  'models.fetchFailed': 'Der Modellvergleich konnte nicht abgerufen werden.',
+  'models.agreement': '{suitable}/{total} Modelle geeignet',
+  'models.confidence.high': 'hohe Sicherheit',
+  'models.confidence.medium': 'mittlere Sicherheit',
+  'models.confidence.low': 'geringe Sicherheit',
+  'models.details': 'Modelle für {time} vergleichen',
+  'models.title': 'Modelle für {time}',
+  'models.model': 'Modell',
+  'models.verdict': 'Ergebnis',
+  'models.suitable': 'Geeignet',
+  'models.close': 'Schließen',
+
+  // Ride windows
+  'common.hours': { one: '{count} Stunde', other: '{count} Stunden' },
+  'rideWindows.title': 'Beste Fahrfenster',
+  'rideWindows.atLeast': 'Mindestens',
+  'rideWindows.minLength': 'Mindestlänge des Fahrfensters',
+  'rideWindows.list': 'Fahrfenster',
+  'rideWindows.summary': '{length} Std. · Bewertung {score}',
+  'rideWindows.conditions': '{temperature}, Wind bis {wind}{gusts}, {rain} Regen',
+  'rideWindows.gusts': ', Böen bis {gusts}',
+  'rideWindows.empty': 'Keine kommenden Fenster von {hours} oder mehr entsprechen deinen Kriterien.',
+
+  // Calendar export
+  'calendar.add': 'Zum Kalender hinzufügen',
+  'calendar.addLabel': '{window} zum Kalender hinzufügen',
+  'calendar.addAll': 'Alle zum Kalender hinzufügen',
+  'calendar.addHighlighted': 'Markierte Stunden zum Kalender hinzufügen',
+  'calendar.name': 'Fahrfenster: {location}',
+  'calendar.summary': 'Fahrt: {location}',
+  'calendar.temperature': 'Temperatur: {range}',
+  'calendar.wind': 'Max. Wind: {wind}',
+  'calendar.gusts': 'Max. Böen: {gusts}',
+  'calendar.precipitation': 'Niederschlag: {rain}',
+  'calendar.score': 'Fahrbewertung: {score}',
+
+  // Route forecast
+  'route.title': 'Routenvorhersage',
+  'route.waypoints': 'Wegpunkte („Breitengrad, Längengrad“, einer pro Zeile)',
+  'route.gpx': 'Oder GPX importieren:',
+  'route.gpxPoints': '{name} ({count} Punkte)',
+  'route.departure': 'Abfahrt',
+  'route.speed': 'Durchschnittsgeschwindigkeit ({unit})',
+  'route.check': 'Route prüfen',
+  'route.checking': 'Route wird geprüft...',
+  'route.fetchFailed': 'Die Vorhersage entlang deiner Route konnte nicht geladen werden. Bitte versuche es erneut.',
+  'route.segments': 'Routenabschnitte',
+  'route.segmentAround': '{from}–{to}, gegen {time}',
+  'route.noForecast': 'Keine Vorhersage für diese Zeit',
+  'route.errors.speed': 'Die Durchschnittsgeschwindigkeit muss größer als null sein.',
+  'route.errors.invalidWaypoint': 'Wegpunkt {number} („{line}“) ist kein gültiges Paar aus Breiten- und Längengrad.',
+  'route.errors.invalidGpx': 'Die Datei ist kein gültiges GPX.',
+  'route.errors.emptyGpx': 'Die GPX-Datei enthält keinen Track, keine Route und keine Wegpunkte.',
+  'route.errors.tooFewPoints': 'Eine Route braucht mindestens zwei Punkte.',
+  'route.verdict.unknown': 'Die Abfahrtszeit liegt außerhalb der 7-Tage-Vorhersage.',
+  'route.verdict.good': 'Gute Fahrt: Jeder Abschnitt erfüllt deine Kriterien.',
+  'route.verdict.partial': {
+    one: 'Sieht gut aus, aber {count} Abschnitt liegt außerhalb der Vorhersage.',
+    other: 'Sieht gut aus, aber {count} Abschnitte liegen außerhalb der Vorhersage.'
+  },
+  'route.verdict.bad': '{count} von {total} Abschnitten verfehlen deine Kriterien.',
+
+  // Ride alerts
+  'alerts.title': 'Fahr-Benachrichtigungen',
+  'alerts.intro': 'Erhalte am Vorabend eine Benachrichtigung, wenn ein gutes Fahrfenster ansteht, und eine weitere, falls es wegfällt.',
+  'alerts.location': 'Ort',
+  'alerts.locationLabel': 'Ort der Benachrichtigung',
+  'alerts.currentLocation': 'Aktuell: {name}',
+  'alerts.thisLocation': 'dieser Ort',
+  'alerts.profile': 'Profil',
+  'alerts.profileLabel': 'Profil der Benachrichtigung',
+  'alerts.minLength': 'Fenster von mindestens',
+  'alerts.minLengthLabel': 'Mindestlänge des Fensters für die Benachrichtigung',
+  'alerts.notifyFrom': 'Benachrichtigen ab',
+  'alerts.create': 'Benachrichtigung erstellen',
+  'alerts.list': 'Fahr-Benachrichtigungen',
+  'alerts.summary': ' · {profile} · ab {hours} Std. · ab {time}',
+  'alerts.delete': 'Löschen',
+  'alerts.deleteLabel': 'Benachrichtigung für {name} löschen',
+  'alerts.errors.location': 'Wähle einen Ort für die Benachrichtigung.',
+  'alerts.errors.blocked': 'Benachrichtigungen sind blockiert. Erlaube sie in den Browser-Einstellungen, um Fahr-Benachrichtigungen zu erhalten.',
+  'alerts.errors.saveFailed': 'Die Benachrichtigung konnte nicht gespeichert werden. Bitte versuche es erneut.',
+  'alerts.foregroundOnly': 'Dieser Browser kann Benachrichtigungen nicht im Hintergrund prüfen, daher werden sie bei jedem Öffnen von Ride Ready geprüft. Installiere die App in Chrome oder Edge für Prüfungen im Hintergrund.',
+  'alerts.notifications.tomorrowTitle': 'Morgen fahren: {location}',
+  'alerts.notifications.tomorrowBody': '{window} erfüllt deine Kriterien für {profile}.',
+  'alerts.notifications.cancelledTitle': 'Fahrfenster entfallen: {location}',
+  'alerts.notifications.cancelledBody': '{windows} erfüllt deine Kriterien für {profile} nicht mehr.',
+
+  // Ride log
+  'rideLog.title': 'Fahrtenbuch',
+  'rideLog.intro': 'Trage gefahrene Touren ein, um die Vorhersage mit dem beobachteten Wetter zu vergleichen. Bewerte, wie sie sich angefühlt haben, um Vorschläge für deine Grenzwerte zu bekommen.',
+  'rideLog.date': 'Datum',
+  'rideLog.dateLabel': 'Datum der Fahrt',
+  'rideLog.location': 'Standort',
+  'rideLog.locationLabel': 'Standort der Fahrt',
+  'rideLog.from': 'Von',
+  'rideLog.fromLabel': 'Beginn der Fahrt',
+  'rideLog.to': 'Bis',
+  'rideLog.toLabel': 'Ende der Fahrt',
+  'rideLog.rating': 'Wie war es?',
+  'rideLog.ratingLabel': 'Bewertung der Fahrt',
+  'rideLog.ratings.none': 'Nicht bewertet',
+  'rideLog.ratings.good': 'Gut',
+  'rideLog.ratings.ok': 'Okay',
+  'rideLog.ratings.bad': 'Schlecht',
+  'rideLog.log': 'Fahrt eintragen',
+  'rideLog.list': 'Eingetragene Fahrten',
+  'rideLog.felt.good': 'war gut',
+  'rideLog.felt.ok': 'war okay',
+  'rideLog.felt.bad': 'war schlecht',
+  'rideLog.deleteLabel': 'Fahrt am {date} löschen',
+  'rideLog.forecast': 'Vorhersage',
+  'rideLog.observed': 'Beobachtet',
+  'rideLog.rows.wind': 'Max. Wind',
+  'rideLog.rows.gusts': 'Max. Böen',
+  'rideLog.rows.temperature': 'Temperatur',
+  'rideLog.rows.rain': 'Regen',
+  'rideLog.rows.verdict': 'Urteil',
+  'rideLog.suitable': 'Geeignet',
+  'rideLog.unsuitable': 'Ungeeignet',
+  'rideLog.awaitingObserved': 'Das beobachtete Wetter ist meist einige Tage nach der Fahrt verfügbar.',
+  'rideLog.forecastRight': 'Die Vorhersage lag bei dieser Fahrt richtig.',
+  'rideLog.forecastWrong': 'Die Vorhersage lag bei dieser Fahrt falsch.',
+  'rideLog.noForecast': 'Für diese Fahrt ist keine Vorhersage verfügbar.',
+  'rideLog.suggestions.title': 'Vorgeschlagene Grenzwerte',
+  'rideLog.suggestions.loosen': {
+    one: '{count} gut bewertete Fahrt lag über {criterion} ({from}). Auf {to} anheben?',
+    other: '{count} gut bewertete Fahrten lagen über {criterion} ({from}). Auf {to} anheben?'
+  },
+  'rideLog.suggestions.tighten': {
+    one: '{count} schlecht bewertete Fahrt lag nahe an {criterion} ({from}). Auf {to} verschärfen?',
+    other: '{count} schlecht bewertete Fahrten lagen nahe an {criterion} ({from}). Auf {to} verschärfen?'
+  },
+  'rideLog.suggestions.apply': 'Übernehmen',
+  'rideLog.suggestions.applyLabel': '{criterion} wie vorgeschlagen übernehmen',
+  'rideLog.errors.location': 'Wähle einen Standort mit Koordinaten für die Fahrt.',
+  'rideLog.errors.time': 'Wähle ein Datum und ein Ende nach dem Beginn.',
+  'rideLog.errors.saveFailed': 'Die Fahrt konnte nicht gespeichert werden.'
+};
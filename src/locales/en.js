@@ -0,0 +1,344 @@
+// English messages. This is the reference catalog: every key used by the app
+// lives here, and other catalogs fall back to it for anything missing.
+//
+// `{name}` placeholders are filled from the params passed to `t()`. Messages
+// that depend on a count are objects keyed by plural category (`one`,
+// `other`, ...) and pick their form from `params.count`.
+
+export default {
+  // Page
+  'app.title': '🏍️ POC Ride Ready - 7 Day Forecast',
+  'app.findingLocation': 'Finding your location...',
+  'app.loading': 'Loading weather data...',
+  'app.error': 'Error: ',
+  'app.refresh': 'Refresh Weather Data',
+  'app.refreshing': 'Fetching Weather...',
+  'app.criteriaTitle': 'Suitable Forecasted Riding Windows',
+  'app.criteriaPrompt': 'Select your criteria',
+  'app.poweredBy': 'Powered by {provider}',
+  'app.errors.locationUnavailable': 'Unable to get your location. Using Melbourne as default.',
+  'app.errors.geolocationUnsupported': 'Geolocation not supported by this browser. Using Melbourne as default.',
+  'app.errors.fetchFailed': 'Failed to fetch weather data. Please try again.',
+  'app.errors.offline': 'You appear to be offline. Check your connection and try again.',
+  'app.errors.invalidCoordinates': 'Those coordinates aren\'t valid. Latitude runs from -90 to 90 and longitude from -180 to 180.',
+  'app.errors.rateLimited': 'Too many forecast requests. Please wait a minute and try again.',
+  'app.errors.server': 'The weather service is having trouble. Please try again later.',
+
+  // Location inputs
+  'location.coordinates': 'Coordinates',
+  'location.coordinatesPlaceholder': 'Coordinates, e.g. -37.8136, 144.9631',
+  'location.hint': 'Search for a suburb or city, click the map, or paste coordinates: decimal, degrees-minutes-seconds or a Google Maps link.',
+  'citySearch.placeholder': 'Enter city name or pick a spot on the map below',
+  'map.label': 'Map',
+  'map.instructions': 'Click the map to look there. Drag it or use the arrow keys to move around, + and - to zoom, and Enter to pick the middle.',
+  'map.zoomIn': 'Zoom in',
+  'map.zoomOut': 'Zoom out',
+  'map.savedLocation': 'Saved location: {name}',
+  'citySearch.searching': 'Searching...',
+  'citySearch.noResults': 'No matching places found',
+  'citySearch.failed': 'Location search failed. Please try again.',
+
+  // Saved locations
+  'savedLocations.title': 'Saved Locations',
+  'savedLocations.list': 'Saved locations',
+  'savedLocations.moveUp': 'Move {name} up',
+  'savedLocations.moveDown': 'Move {name} down',
+  'savedLocations.delete': 'Delete {name}',
+  'savedLocations.empty': 'No saved locations yet.',
+  'savedLocations.namePlaceholder': 'Name this location',
+  'savedLocations.namePlaceholderSuggested': 'Name this location (e.g. {name})',
+  'savedLocations.nameLabel': 'Location name',
+  'savedLocations.save': 'Save Location',
+
+  // Sharing
+  'share.button': 'Share',
+  'share.copied': 'Link copied',
+  'share.failed': 'Failed to share the link.',
+  'share.text': 'Riding forecast for {location}',
+  'share.textWindow': 'Riding forecast for {location}: {window}',
+  'share.profileName': 'Shared link',
+
+  // Forecast freshness
+  'forecast.from': 'Forecast from {age}',
+  'forecast.updating': ' (updating...)',
+  'forecast.offline': ' (offline)',
+  'forecast.minutesAgo': { one: '{count} minute ago', other: '{count} minutes ago' },
+  'forecast.hoursAgo': { one: '{count} hour ago', other: '{count} hours ago' },
+
+  // Current conditions
+  'current.title': 'Current Conditions',
+  'current.temperature': 'Temperature:',
+  'current.precipitation': 'Precipitation:',
+  'current.windSpeed': 'Wind Speed:',
+  'current.notAvailable': 'N/A',
+  'current.feelsLike': 'Feels like:',
+  'current.windGusts': 'Gusts:',
+  'current.asOf': 'As of {time}',
+  'current.hourly': 'Hourly forecast from {time}',
+  'current.verdict.good': 'Good to ride now.',
+  'current.verdict.goodDetail': 'Conditions hold for the next 2 hours.',
+  'current.verdict.changing': 'Good to ride now, but not for long.',
+  'current.verdict.changingDetail': 'From {time}: {reasons}.',
+  'current.verdict.bad': 'Not good to ride right now.',
+  'current.verdict.clearsAt': 'Clears up from {time}.',
+  'current.verdict.noChange': 'No improvement in the next 2 hours.',
+  'current.verdict.unknown': 'No forecast for right now.',
+  'nowcast.title': 'Next 2 hours',
+  'nowcast.gusts': 'gusts {gusts}',
+  'nowcast.rainFrom': 'Rain expected from {time}.',
+  'nowcast.raining': 'Raining now.',
+  'nowcast.noRain': 'No rain expected in the next 2 hours.',
+
+  // Time zones
+  'timeZone.localTime': 'Local time there: {time} ({zone})',
+  'timeZone.label': 'Times shown in',
+  'timeZone.location': 'Location time ({offset})',
+  'timeZone.device': 'My time',
+
+  // Settings
+  'language.label': 'Language',
+  'language.auto': 'Browser default ({language})',
+  'clock.label': 'Clock',
+  'clock.auto': 'Automatic',
+  'clock.12': '12-hour',
+  'clock.24': '24-hour',
+  'units.label': 'Units',
+  'units.quantityUnit': '{quantity} unit',
+  'units.custom': 'Custom',
+  'units.presets.metric': 'Metric',
+  'units.presets.us': 'US',
+  'units.presets.uk': 'UK',
+  'units.quantities.temperature': 'Temperature',
+  'units.quantities.speed': 'Wind speed',
+  'units.quantities.precipitation': 'Rain',
+  'units.quantities.distance': 'Distance',
+  'provider.label': 'Forecast source',
+  'provider.missing': 'Not available from {provider}: {features}',
+  'provider.features.nowcast': '15-minute nowcast',
+  'provider.features.models': 'model comparison',
+  'provider.features.daylight': 'sunrise and sunset',
+  'provider.features.timeZone': 'location time',
+
+  // Rider profiles
+  'profiles.label': 'Rider profile',
+  'profiles.delete': 'Delete',
+  'profiles.export': 'Export',
+  'profiles.import': 'Import',
+  'profiles.newName': 'New profile name',
+  'profiles.saveAs': 'Save as Profile',
+  'profiles.importFailed': 'Could not import profile: {message}',
+  'profiles.errors.invalidJson': 'The file is not valid JSON.',
+  'profiles.errors.notProfile': 'The file is not a Ride Ready profile.',
+  'profiles.errors.missingName': 'The profile is missing a name.',
+  'profiles.errors.invalidValue': 'The profile has an invalid value for {key}.',
+
+  // Criteria
+  'criteria.more': 'More criteria',
+  'criteria.failure': '{label}: {value} (limit {limit})',
+  'criteria.maxPrecipitation': 'Max Precipitation',
+  'criteria.maxWindSpeed': 'Max Wind Speed',
+  'criteria.minTemperature': 'Min Temperature',
+  'criteria.maxTemperature': 'Max Temperature',
+  'criteria.maxWindGusts': 'Max Wind Gusts',
+  'criteria.maxPrecipitationProbability': 'Max Rain Chance',
+  'criteria.minApparentTemperature': 'Min Feels-like Temperature',
+  'criteria.maxApparentTemperature': 'Max Feels-like Temperature',
+  'criteria.minVisibility': 'Min Visibility',
+  'criteria.maxHumidity': 'Max Humidity',
+  'criteria.maxUvIndex': 'Max UV Index',
+  'criteria.daylightOnly': 'Daylight only (incl. civil twilight)',
+
+  // Weather variables
+  'variables.temperature': 'Temperature',
+  'variables.precipitation': 'Precipitation',
+  'variables.windSpeed': 'Wind',
+  'variables.windGusts': 'Gusts',
+  'variables.precipitationProbability': 'Rain chance',
+  'variables.apparentTemperature': 'Feels like',
+  'variables.visibility': 'Visibility',
+  'variables.humidity': 'Humidity',
+  'variables.uvIndex': 'UV index',
+
+  // Daylight
+  'daylight.day': 'Daylight',
+  'daylight.twilight': 'Civil twilight',
+  'daylight.night': 'Night',
+
+  // Ride score
+  'score.legend': 'Ride score legend',
+  'score.legendNote': 'Scores of 60 and above meet all of your criteria; lower scores show how far an hour misses them.',
+  'score.bands.great': 'Great',
+  'score.bands.good': 'Good',
+  'score.bands.marginal': 'Marginal',
+  'score.bands.poor': 'Poor',
+  'score.bands.terrible': 'Terrible',
+
+  // Forecast grid
+  'grid.intro': 'Hours marked ✓ meet your riding criteria; striped hours marked ✕ miss them. Colours show the ride score:',
+  'grid.showHoursFrom': 'Show hours from',
+  'grid.to': 'to',
+  'grid.firstHour': 'First hour shown',
+  'grid.lastHour': 'Last hour shown',
+  'grid.daylightKey': '🌅 civil twilight · 🌙 night (shaded)',
+  'grid.label': 'Hourly riding forecast',
+  'grid.keyboardHint': 'Use the arrow keys to move between hours, Home and End to go to the start or end of a day, and Enter to compare forecast models for an hour.',
+  'grid.day': 'Day',
+  'grid.noData': 'No data',
+  'grid.past': ' (past)',
+  'grid.rideScore': 'Ride score {score}/100 ({band})',
+  'grid.failed': 'Failed:',
+  'grid.suitable': 'Suitable for riding',
+  'grid.unsuitable': 'Not suitable for riding',
+  'grid.emptyTitle': 'No data available!',
+  'grid.emptyBody': ' Unable to load weather data for the forecast period.',
+
+  // Grid export
+  'export.label': 'Export grid',
+  'export.format': 'Export format',
+  'export.download': 'Download',
+  'export.copy': 'Copy',
+  'export.copied': 'Copied to clipboard',
+  'export.copyFailed': 'Failed to copy to the clipboard.',
+
+  // Model comparison
+  'models.compare': 'Compare forecast models',
+  'models.loading': 'Loading model comparison...',
+  'models.fetchFailed': 'Failed to fetch the model comparison.',
+  'models.agreement': '{suitable}/{total} models suitable',
+  'models.confidence.high': 'high confidence',
+  'models.confidence.medium': 'medium confidence',
+  'models.confidence.low': 'low confidence',
+  'models.details': 'Compare models for {time}',
+  'models.title': 'Models for {time}',
+  'models.model': 'Model',
+  'models.verdict': 'Verdict',
+  'models.suitable': 'Suitable',
+  'models.close': 'Close',
+
+  // Ride windows
+  'common.hours': { one: '{count} hour', other: '{count} hours' },
+  'rideWindows.title': 'Best Ride Windows',
+  'rideWindows.atLeast': 'At least',
+  'rideWindows.minLength': 'Minimum ride window length',
+  'rideWindows.list': 'Ride windows',
+  'rideWindows.summary': '{length} h · score {score}',
+  'rideWindows.conditions': '{temperature}, wind up to {wind}{gusts}, {rain} rain',
+  'rideWindows.gusts': ', gusts up to {gusts}',
+  'rideWindows.empty': 'No upcoming windows of {hours} or more match your criteria.',
+
+  // Calendar export
+  'calendar.add': 'Add to calendar',
+  'calendar.addLabel': 'Add {window} to calendar',
+  'calendar.addAll': 'Add all to calendar',
+  'calendar.addHighlighted': 'Add highlighted hours to calendar',
+  'calendar.name': 'Ride windows: {location}',
+  'calendar.summary': 'Ride: {location}',
+  'calendar.temperature': 'Temperature: {range}',
+  'calendar.wind': 'Max wind: {wind}',
+  'calendar.gusts': 'Max gusts: {gusts}',
+  'calendar.precipitation': 'Precipitation: {rain}',
+  'calendar.score': 'Ride score: {score}',
+
+  // Route forecast
+  'route.title': 'Route Forecast',
+  'route.waypoints': 'Waypoints (one "latitude, longitude" per line)',
+  'route.gpx': 'Or import GPX:',
+  'route.gpxPoints': '{name} ({count} points)',
+  'route.departure': 'Departure',
+  'route.speed': 'Average speed ({unit})',
+  'route.check': 'Check Route',
+  'route.checking': 'Checking Route...',
+  'route.fetchFailed': 'Failed to fetch the forecast along your route. Please try again.',
+  'route.segments': 'Route segments',
+  'route.segmentAround': '{from}–{to}, around {time}',
+  'route.noForecast': 'No forecast for this time',
+  'route.errors.speed': 'Average speed must be above zero.',
+  'route.errors.invalidWaypoint': 'Waypoint {number} ("{line}") is not a valid "latitude, longitude" pair.',
+  'route.errors.invalidGpx': 'The file is not valid GPX.',
+  'route.errors.emptyGpx': 'The GPX file has no track, route or waypoints.',
+  'route.errors.tooFewPoints': 'A route needs at least two points.',
+  'route.verdict.unknown': 'The departure time is outside the 7 day forecast.',
+  'route.verdict.good': 'Good to go: every segment meets your criteria.',
+  'route.verdict.partial': {
+    one: 'Looks good, but {count} segment is beyond the forecast.',
+    other: 'Looks good, but {count} segments are beyond the forecast.'
+  },
+  'route.verdict.bad': '{count} of {total} segments miss your criteria.',
+
+  // Ride alerts
+  'alerts.title': 'Ride Alerts',
+  'alerts.intro': 'Get a notification the evening before a day with a good ride window, and another if that window falls through.',
+  'alerts.location': 'Location',
+  'alerts.locationLabel': 'Alert location',
+  'alerts.currentLocation': 'Current: {name}',
+  'alerts.thisLocation': 'this location',
+  'alerts.profile': 'Profile',
+  'alerts.profileLabel': 'Alert profile',
+  'alerts.minLength': 'Window of at least',
+  'alerts.minLengthLabel': 'Alert minimum window length',
+  'alerts.notifyFrom': 'Notify from',
+  'alerts.create': 'Create Alert',
+  'alerts.list': 'Ride alerts',
+  'alerts.summary': ' · {profile} · {hours}h+ · from {time}',
+  'alerts.delete': 'Delete',
+  'alerts.deleteLabel': 'Delete alert for {name}',
+  'alerts.errors.location': 'Pick a location for the alert.',
+  'alerts.errors.blocked': 'Notifications are blocked. Allow them in your browser settings to get ride alerts.',
+  'alerts.errors.saveFailed': 'Failed to save the alert. Please try again.',
+  'alerts.foregroundOnly': "This browser can't check alerts in the background, so they are checked each time you open Ride Ready. Installing the app in Chrome or Edge enables background checks.",
+  'alerts.notifications.tomorrowTitle': 'Ride tomorrow: {location}',
+  'alerts.notifications.tomorrowBody': '{window} meets your {profile} criteria.',
+  'alerts.notifications.cancelledTitle': 'Ride window cancelled: {location}',
+  'alerts.notifications.cancelledBody': '{windows} no longer meets your {profile} criteria.',
+
+  // Ride log
+  'rideLog.title': 'Ride Log',
+  'rideLog.intro': 'Log rides you did to compare the forecast with the weather that was observed. Rate how they felt to get suggestions for your limits.',
+  'rideLog.date': 'Date',
+  'rideLog.dateLabel': 'Ride date',
+  'rideLog.location': 'Location',
+  'rideLog.locationLabel': 'Ride location',
+  'rideLog.from': 'From',
+  'rideLog.fromLabel': 'Ride start',
+  'rideLog.to': 'To',
+  'rideLog.toLabel': 'Ride end',
+  'rideLog.rating': 'How did it feel?',
+  'rideLog.ratingLabel': 'Ride rating',
+  'rideLog.ratings.none': 'Not rated',
+  'rideLog.ratings.good': 'Good',
+  'rideLog.ratings.ok': 'OK',
+  'rideLog.ratings.bad': 'Bad',
+  'rideLog.log': 'Log Ride',
+  'rideLog.list': 'Logged rides',
+  'rideLog.felt.good': 'felt good',
+  'rideLog.felt.ok': 'felt OK',
+  'rideLog.felt.bad': 'felt bad',
+  'rideLog.deleteLabel': 'Delete ride on {date}',
+  'rideLog.forecast': 'Forecast',
+  'rideLog.observed': 'Observed',
+  'rideLog.rows.wind': 'Max wind',
+  'rideLog.rows.gusts': 'Max gusts',
+  'rideLog.rows.temperature': 'Temperature',
+  'rideLog.rows.rain': 'Rain',
+  'rideLog.rows.verdict': 'Verdict',
+  'rideLog.suitable': 'Suitable',
+  'rideLog.unsuitable': 'Unsuitable',
+  'rideLog.awaitingObserved': 'Observed weather is usually available a few days after the ride.',
+  'rideLog.forecastRight': 'The forecast got this ride right.',
+  'rideLog.forecastWrong': 'The forecast got this ride wrong.',
+  'rideLog.noForecast': 'No forecast is available for this ride.',
+  'rideLog.suggestions.title': 'Suggested limits',
+  'rideLog.suggestions.loosen': {
+    one: '{count} ride rated good went past {criterion} ({from}). Raise it to {to}?',
+    other: '{count} rides rated good went past {criterion} ({from}). Raise it to {to}?'
+  },
+  'rideLog.suggestions.tighten': {
+    one: '{count} ride rated bad was close to {criterion} ({from}). Tighten it to {to}?',
+    other: '{count} rides rated bad were close to {criterion} ({from}). Tighten it to {to}?'
+  },
+  'rideLog.suggestions.apply': 'Apply',
+  'rideLog.suggestions.applyLabel': 'Apply suggested {criterion}',
+  'rideLog.errors.location': 'Pick a location with coordinates for the ride.',
+  'rideLog.errors.time': 'Pick a date and an end time after the start time.',
+  'rideLog.errors.saveFailed': 'Failed to save the ride.'
+};
@@ -0,0 +1,145 @@
+import { loadJSON, saveJSON, createId } from './storage.js';
+import { CRITERIA } from './core/criteria.js';
+import { t } from './i18n.js';
+
+// Rider profiles bundle a named set of riding criteria, e.g. "Commute" or
+// "Sport ride". Profiles are stored locally and can be shared as JSON files.
+
+// Default riding criteria constants
+export const DEFAULT_MAX_WIND_SPEED = 20;
+export const DEFAULT_MIN_TEMPERATURE = 10;
+export const DEFAULT_MAX_TEMPERATURE = 35;
+export const DEFAULT_MAX_PRECIPITATION = 0;
+
+// Optional criteria start switched off (`null`)
+export const DEFAULT_CRITERIA = {
+  ...Object.fromEntries(CRITERIA.filter(criterion => criterion.optional).map(criterion => [criterion.key, null])),
+  maxPrecipitation: DEFAULT_MAX_PRECIPITATION,
+  maxWindSpeed: DEFAULT_MAX_WIND_SPEED,
+  minTemperature: DEFAULT_MIN_TEMPERATURE,
+  maxTemperature: DEFAULT_MAX_TEMPERATURE
+};
+
+const PROFILES_KEY = 'profiles';
+const PROFILE_EXPORT_TYPE = 'rideready-profile';
+const PROFILE_EXPORT_VERSION = 1;
+
+// Profiles every rider starts with
+export const DEFAULT_PROFILES = [
+  { id: 'commute', name: 'Commute', criteria: { ...DEFAULT_CRITERIA } },
+  {
+    id: 'sport-ride',
+    name: 'Sport ride',
+    criteria: { ...DEFAULT_CRITERIA, maxPrecipitation: 0, maxWindSpeed: 30, minTemperature: 14, maxTemperature: 32, maxWindGusts: 50 }
+  },
+  {
+    id: 'touring-with-pillion',
+    name: 'Touring with pillion',
+    criteria: { ...DEFAULT_CRITERIA, maxPrecipitation: 0.5, maxWindSpeed: 15, minTemperature: 12, maxTemperature: 30, maxWindGusts: 35 }
+  }
+];
+
+// Load `{ profiles, activeProfileId }`, falling back to the default profiles
+export const loadProfiles = () => {
+  const stored = loadJSON(PROFILES_KEY, null);
+  if (!stored || !Array.isArray(stored.profiles) || stored.profiles.length === 0) {
+    return { profiles: DEFAULT_PROFILES, activeProfileId: DEFAULT_PROFILES[0].id };
+  }
+  return stored;
+};
+
+export const saveProfiles = (state) => saveJSON(PROFILES_KEY, state);
+
+// Look up the active profile, falling back to the first one
+export const getActiveProfile = ({ profiles, activeProfileId }) =>
+  profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+
+export const updateProfileCriteria = (state, id, changes) => ({
+  ...state,
+  profiles: state.profiles.map(profile =>
+    profile.id === id ? { ...profile, criteria: { ...profile.criteria, ...changes } } : profile
+  )
+});
+
+// Profile holding criteria opened from a shared link (see src/shareLink.js)
+export const SHARED_PROFILE_ID = 'shared-link';
+
+const hasSameCriteria = (a, b) => CRITERIA.every(({ key }) => (a[key] ?? null) === (b[key] ?? null));
+
+// Switch to criteria from a shared link without overwriting the rider's own
+// profiles: a profile with exactly those criteria is picked if there is one,
+// otherwise they go into the "Shared link" profile
+export const applySharedCriteria = (state, criteria) => {
+  if (hasSameCriteria(getActiveProfile(state).criteria, criteria)) {
+    return state;
+  }
+  const match = state.profiles.find(profile => hasSameCriteria(profile.criteria, criteria));
+  if (match) {
+    return { ...state, activeProfileId: match.id };
+  }
+  const profiles = state.profiles.some(profile => profile.id === SHARED_PROFILE_ID)
+    ? state.profiles
+    : [...state.profiles, { id: SHARED_PROFILE_ID, name: t('share.profileName'), criteria: {} }];
+  return updateProfileCriteria({ profiles, activeProfileId: SHARED_PROFILE_ID }, SHARED_PROFILE_ID, criteria);
+};
+
+// Add a new profile and make it the active one
+export const addProfile = (state, { name, criteria }) => {
+  const profile = { id: createId(), name: name.trim(), criteria: { ...criteria } };
+  return { profiles: [...state.profiles, profile], activeProfileId: profile.id };
+};
+
+// Remove a profile, always keeping at least one around
+export const removeProfile = (state, id) => {
+  if (state.profiles.length <= 1) {
+    return state;
+  }
+  const profiles = state.profiles.filter(profile => profile.id !== id);
+  const activeProfileId = state.activeProfileId === id ? profiles[0].id : state.activeProfileId;
+  return { profiles, activeProfileId };
+};
+
+// Serialise a profile to a shareable JSON document
+export const exportProfile = (profile) => JSON.stringify({
+  type: PROFILE_EXPORT_TYPE,
+  version: PROFILE_EXPORT_VERSION,
+  name: profile.name,
+  criteria: profile.criteria
+}, null, 2);
+
+// Parse and validate a shared profile, returning `{ name, criteria }`.
+// Throws an Error with a user-facing message when the file isn't a profile.
+export const parseProfile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('profiles.errors.invalidJson'));
+  }
+
+  if (!data || data.type !== PROFILE_EXPORT_TYPE) {
+    throw new Error(t('profiles.errors.notProfile'));
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error(t('profiles.errors.missingName'));
+  }
+
+  const criteria = {};
+  for (const { key, optional, type } of CRITERIA) {
+    const value = data.criteria?.[key];
+    // Optional criteria may be switched off or missing from older exports
+    if (optional && (value === null || value === undefined)) {
+      criteria[key] = null;
+      continue;
+    }
+    const valid = type === 'flag'
+      ? typeof value === 'boolean'
+      : typeof value === 'number' && Number.isFinite(value);
+    if (!valid) {
+      throw new Error(t('profiles.errors.invalidValue', { key }));
+    }
+    criteria[key] = value;
+  }
+
+  return { name: data.name.trim(), criteria };
+};
@@ -0,0 +1,155 @@
+import { CRITERIA, HOURLY_API_VARIABLES, getVariable, getHourlyValues, evaluateCriteria, failsCriterion, isCriterionEnabled } from './core/criteria.js';
+import { formatHourKey } from './core/time.js';
+
+// Ride log
+//
+// Rides the rider actually did, stored in IndexedDB:
+//   { id, day, startHour, endHour, locationName, latitude, longitude,
+//     rating, predicted, observed }
+// `day` and the hours are in the location's time, with an exclusive end hour.
+// `rating` is how the conditions felt ('good', 'ok' or 'bad'), or null.
+// `predicted` is what the forecast said for those hours: the forecast on
+// screen when the ride was logged, or else Open-Meteo's record of its past
+// forecasts. `observed` is what the weather archive recorded. Both are
+// `[{ time, values }]` lists, or null when not known (yet).
+//
+// Rated rides with observed weather feed calibration: limits the rider keeps
+// riding happily past, or keeps finding unpleasant inside, are worth moving.
+
+export const ARCHIVE_API_URL = 'https://archive-api.open-meteo.com/v1/archive';
+
+// Open-Meteo's record of the forecasts it served
+export const HISTORICAL_FORECAST_API_URL = 'https://historical-forecast-api.open-meteo.com/v1/forecast';
+
+export const RIDE_RATINGS = ['good', 'ok', 'bad'];
+
+// Variables the archive has observations for
+const ARCHIVE_VARIABLES = ['temperature', 'precipitation', 'windSpeed', 'windGusts', 'apparentTemperature', 'humidity'];
+
+// Rides needed before a limit is worth suggesting
+const MIN_RIDES_FOR_SUGGESTION = 2;
+
+// Forecast `time` keys covered by a ride, e.g. ["2025-07-21T09:00", ...]
+export const getRideTimes = ({ day, startHour, endHour }) =>
+  Array.from({ length: endHour - startHour }, (_, i) => `${day}T${formatHourKey(startHour + i)}`);
+
+// Pick a ride's hours out of an Open-Meteo response with a `hourly` block.
+// Returns null unless every hour of the ride is covered.
+export const pickRideHours = (data, ride) => {
+  if (!data || !data.hourly) {
+    return null;
+  }
+  const hours = getRideTimes(ride).map(time => {
+    const index = data.hourly.time.indexOf(time);
+    return index === -1 ? null : { time, values: getHourlyValues(data.hourly, index) };
+  });
+  // The archive lists recent days before it has values for them
+  const complete = hours.every(hour => hour && hour.values.temperature !== null && hour.values.temperature !== undefined);
+  return complete ? hours : null;
+};
+
+export const buildArchiveUrl = ({ day, latitude, longitude }) => {
+  const hourly = ARCHIVE_VARIABLES.map(key => getVariable(key).apiName).join(',');
+  return `${ARCHIVE_API_URL}?latitude=${latitude}&longitude=${longitude}&start_date=${day}&end_date=${day}&hourly=${hourly}&wind_speed_unit=kmh&timezone=auto`;
+};
+
+export const buildHistoricalForecastUrl = ({ day, latitude, longitude }) =>
+  `${HISTORICAL_FORECAST_API_URL}?latitude=${latitude}&longitude=${longitude}&start_date=${day}&end_date=${day}&hourly=${HOURLY_API_VARIABLES}&wind_speed_unit=kmh&timezone=auto`;
+
+const fetchRideHours = async (url, ride, { signal } = {}) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return pickRideHours(await response.json(), ride);
+};
+
+// Fetch the observed weather for a ride's hours. Resolves to null while the
+// archive doesn't have the day yet (it runs a few days behind).
+export const fetchObservedHours = (ride, options) => fetchRideHours(buildArchiveUrl(ride), ride, options);
+
+// Fetch what the forecast said for a ride's hours, for rides the forecast on
+// screen doesn't cover: earlier days, or other locations. Resolves to null
+// when there's no record of it.
+export const fetchPredictedHours = (ride, options) => fetchRideHours(buildHistoricalForecastUrl(ride), ride, options);
+
+const series = (hours, key) => hours
+  .map(hour => hour.values[key])
+  .filter(value => value !== null && value !== undefined);
+
+const extreme = (values, pick) => (values.length > 0 ? pick(...values) : null);
+
+// Summary of a ride's hours, and whether every hour meets `criteria`
+export const summariseRideHours = (hours, criteria) => ({
+  minTemperature: extreme(series(hours, 'temperature'), Math.min),
+  maxTemperature: extreme(series(hours, 'temperature'), Math.max),
+  maxWindSpeed: extreme(series(hours, 'windSpeed'), Math.max),
+  maxWindGusts: extreme(series(hours, 'windGusts'), Math.max),
+  totalPrecipitation: Math.round(series(hours, 'precipitation').reduce((sum, value) => sum + value, 0) * 10) / 10,
+  suitable: hours.every(hour => evaluateCriteria(hour.values, criteria).length === 0)
+});
+
+// The value that matters for a criterion over a ride: the highest for an
+// upper limit, the lowest for a lower one
+const worstValue = (criterion, hours) =>
+  extreme(series(hours, criterion.variable), criterion.bound === 'max' ? Math.max : Math.min);
+
+// Round a suggested limit onto the criterion's slider
+const toSliderStep = (criterion, value, round) => {
+  const decimals = (criterion.step.toString().split('.')[1] || '').length;
+  const stepped = Number((round(value / criterion.step) * criterion.step).toFixed(decimals));
+  return Math.min(criterion.max, Math.max(criterion.min, stepped));
+};
+
+// Suggest limit changes from rated rides, as
+// `[{ criterion, direction, value, count }]` where `direction` is 'loosen'
+// (rides rated good went past the limit) or 'tighten' (rides rated bad were
+// uncomfortably close inside it) and `value` is the suggested metric limit
+export const suggestCalibration = (rides, criteria) => {
+  const rated = rides.filter(ride => ride.rating && ride.observed && ride.observed.length > 0);
+  const suggestions = [];
+
+  for (const criterion of CRITERIA) {
+    if (criterion.type === 'flag' || !ARCHIVE_VARIABLES.includes(criterion.variable) || !isCriterionEnabled(criteria, criterion)) {
+      continue;
+    }
+    const limit = criteria[criterion.key];
+    const isMax = criterion.bound === 'max';
+    const worst = (ride) => worstValue(criterion, ride.observed);
+
+    // Rated good despite going past the limit
+    const pastLimit = rated
+      .filter(ride => ride.rating === 'good')
+      .map(worst)
+      .filter(value => value !== null && failsCriterion(criterion, value, limit));
+    if (pastLimit.length >= MIN_RIDES_FOR_SUGGESTION) {
+      suggestions.push({
+        criterion,
+        direction: 'loosen',
+        value: isMax
+          ? toSliderStep(criterion, Math.max(...pastLimit), Math.ceil)
+          : toSliderStep(criterion, Math.min(...pastLimit), Math.floor),
+        count: pastLimit.length
+      });
+      continue;
+    }
+
+    // Rated bad while inside the limit, but within its margin
+    const nearLimit = rated
+      .filter(ride => ride.rating === 'bad')
+      .map(worst)
+      .filter(value => value !== null && !failsCriterion(criterion, value, limit) &&
+        Math.abs(limit - value) <= criterion.margin && (criterion.floor === undefined || value > criterion.floor));
+    if (nearLimit.length >= MIN_RIDES_FOR_SUGGESTION) {
+      suggestions.push({
+        criterion,
+        direction: 'tighten',
+        value: isMax
+          ? toSliderStep(criterion, Math.min(...nearLimit) - criterion.step, Math.floor)
+          : toSliderStep(criterion, Math.max(...nearLimit) + criterion.step, Math.ceil),
+        count: nearLimit.length
+      });
+    }
+  }
+  return suggestions;
+};
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { getRideTimes, pickRideHours, summariseRideHours, suggestCalibration } from './rideLog.js';
+import { DEFAULT_CRITERIA } from './profiles.js';
+import { mockWeatherData } from '../e2e/fixtures/mock-weather-data.js';
+
+const MORNING_RIDE = { day: '2025-07-21', startHour: 9, endHour: 11 };
+
+// A rated ride whose observed hours had `values`, one object per hour, on
+// top of weather comfortably inside the default criteria
+const ride = (rating, ...hours) => ({
+  rating,
+  observed: hours.map((values, i) => ({
+    time: `2025-07-21T${String(9 + i).padStart(2, '0')}:00`,
+    values: { temperature: 18, precipitation: 0, windSpeed: 5, ...values }
+  }))
+});
+
+const suggest = (rides, criteria = DEFAULT_CRITERIA) =>
+  suggestCalibration(rides, criteria).map(({ criterion, ...suggestion }) => ({ key: criterion.key, ...suggestion }));
+
+describe('getRideTimes', () => {
+  it('lists the hours a ride covers, end hour excluded', () => {
+    expect(getRideTimes(MORNING_RIDE)).toEqual(['2025-07-21T09:00', '2025-07-21T10:00']);
+  });
+});
+
+describe('pickRideHours', () => {
+  it('picks a ride\'s hours out of a forecast', () => {
+    const hours = pickRideHours(mockWeatherData, MORNING_RIDE);
+
+    expect(hours.map(hour => hour.time)).toEqual(['2025-07-21T09:00', '2025-07-21T10:00']);
+    expect(hours[1].values).toMatchObject({ temperature: 22.1, windSpeed: 25.4, precipitation: 0 });
+  });
+
+  it('is null unless every hour is covered', () => {
+    expect(pickRideHours(mockWeatherData, { ...MORNING_RIDE, endHour: 20 })).toBeNull();
+    expect(pickRideHours(mockWeatherData, { ...MORNING_RIDE, day: '2025-07-24' })).toBeNull();
+    expect(pickRideHours(null, MORNING_RIDE)).toBeNull();
+  });
+
+  it('is null for days the archive lists without values yet', () => {
+    const pending = {
+      ...mockWeatherData,
+      hourly: { ...mockWeatherData.hourly, temperature_2m: mockWeatherData.hourly.temperature_2m.map(() => null) }
+    };
+    expect(pickRideHours(pending, MORNING_RIDE)).toBeNull();
+  });
+});
+
+describe('summariseRideHours', () => {
+  it('summarises the hours and judges them against the criteria', () => {
+    const hours = pickRideHours(mockWeatherData, MORNING_RIDE);
+    expect(summariseRideHours(hours, DEFAULT_CRITERIA)).toEqual({
+      minTemperature: 18.5,
+      maxTemperature: 22.1,
+      maxWindSpeed: 25.4,
+      maxWindGusts: null,
+      totalPrecipitation: 0,
+      suitable: false
+    });
+  });
+});
+
+describe('suggestCalibration', () => {
+  it('suggests loosening a limit that rides rated good went past', () => {
+    const rides = [ride('good', { windSpeed: 18 }, { windSpeed: 24 }), ride('good', { windSpeed: 25.3 })];
+    expect(suggest(rides)).toEqual([{ key: 'maxWindSpeed', direction: 'loosen', value: 26, count: 2 }]);
+  });
+
+  it('loosens a lower limit downwards', () => {
+    const rides = [ride('good', { temperature: 7.4 }), ride('good', { temperature: 8.6 })];
+    expect(suggest(rides)).toEqual([{ key: 'minTemperature', direction: 'loosen', value: 7, count: 2 }]);
+  });
+
+  it('suggests tightening a limit that rides rated bad were close to', () => {
+    // Within 10 km/h of the 20 km/h limit
+    const rides = [ride('bad', { windSpeed: 17 }), ride('bad', { windSpeed: 18.2 })];
+    expect(suggest(rides)).toEqual([{ key: 'maxWindSpeed', direction: 'tighten', value: 16, count: 2 }]);
+  });
+
+  it('tightens a lower limit upwards', () => {
+    // Within 4 °C of the 10 °C limit
+    const rides = [ride('bad', { temperature: 11.2 }), ride('bad', { temperature: 12 })];
+    expect(suggest(rides)).toEqual([{ key: 'minTemperature', direction: 'tighten', value: 13, count: 2 }]);
+  });
+
+  it('waits for more than one ride', () => {
+    expect(suggest([ride('good', { windSpeed: 26 })])).toEqual([]);
+    expect(suggest([ride('bad', { windSpeed: 18 })])).toEqual([]);
+  });
+
+  it('keeps suggestions within the criterion\'s range', () => {
+    expect(suggest([ride('good', { windSpeed: 58 }), ride('good', { windSpeed: 61 })]))
+      .toEqual([{ key: 'maxWindSpeed', direction: 'loosen', value: 50, count: 2 }]);
+    expect(suggest([ride('good', { temperature: -14 }), ride('good', { temperature: -12 })]))
+      .toEqual([{ key: 'minTemperature', direction: 'loosen', value: -10, count: 2 }]);
+    expect(suggest([ride('bad', { windSpeed: 0.4 }), ride('bad', { windSpeed: 0.5 })], { ...DEFAULT_CRITERIA, maxWindSpeed: 1 }))
+      .toEqual([{ key: 'maxWindSpeed', direction: 'tighten', value: 0, count: 2 }]);
+  });
+
+  it('leaves values at a criterion\'s floor alone', () => {
+    // Dry rides rated bad don't make "no rain" any stricter
+    expect(suggest([ride('bad', { precipitation: 0 }), ride('bad', { precipitation: 0 })])).toEqual([]);
+  });
+
+  it('ignores unrated rides, rides without observations and criteria that are off', () => {
+    const rides = [
+      ride(null, { windSpeed: 26 }),
+      { rating: 'good', observed: null },
+      ride('good', { windGusts: 70 }),
+      ride('good', { windGusts: 75 })
+    ];
+    expect(suggest(rides)).toEqual([]);
+  });
+});
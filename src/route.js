@@ -0,0 +1,172 @@
+import { getHourlyValues, evaluateCriteria } from './core/criteria.js';
+import { fetchForecasts } from './core/providers.js';
+import { scoreHour } from './core/rideScore.js';
+import { buildDaylightByDay, classifyHour } from './core/daylight.js';
+import { toZonedHourKey, parseForecastTime, getForecastZone } from './core/time.js';
+import { t } from './i18n.js';
+
+// Route-aware forecasts
+//
+// A route is a list of `{ latitude, longitude }` points, typed in as waypoints
+// or read from a GPX file. The route is cut into legs of roughly equal length
+// and each leg is judged at its midpoint, at the hour the rider would get there
+// given a departure time and average speed.
+
+const EARTH_RADIUS_KM = 6371;
+// Open-Meteo accepts many coordinates per request, but keep requests modest
+const MAX_SEGMENTS = 20;
+const DEFAULT_SEGMENT_KM = 25;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in kilometres
+export const haversineKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const isValidPoint = ({ latitude, longitude }) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+// Parse waypoints typed one per line as "latitude, longitude".
+// Throws an Error naming the first line that can't be read.
+export const parseWaypoints = (text) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.map((line, index) => {
+    const [latitude, longitude] = line.split(/[,\s]+/).map(Number);
+    const point = { latitude, longitude };
+    if (!isValidPoint(point)) {
+      throw new Error(t('route.errors.invalidWaypoint', { number: index + 1, line }));
+    }
+    return point;
+  });
+};
+
+// Read the points from a GPX document, preferring track points, then route
+// points, then plain waypoints
+export const parseGpx = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(t('route.errors.invalidGpx'));
+  }
+
+  for (const tag of ['trkpt', 'rtept', 'wpt']) {
+    const elements = Array.from(doc.getElementsByTagName(tag));
+    if (elements.length > 0) {
+      return elements
+        .map(element => ({
+          latitude: Number(element.getAttribute('lat')),
+          longitude: Number(element.getAttribute('lon'))
+        }))
+        .filter(isValidPoint);
+    }
+  }
+  throw new Error(t('route.errors.emptyGpx'));
+};
+
+// Point at `distanceKm` along a polyline with precomputed cumulative distances
+const pointAtDistance = (points, cumulative, distanceKm) => {
+  const index = cumulative.findIndex(distance => distance >= distanceKm);
+  if (index <= 0) {
+    return points[Math.max(index, 0)];
+  }
+  const legLength = cumulative[index] - cumulative[index - 1];
+  const ratio = legLength > 0 ? (distanceKm - cumulative[index - 1]) / legLength : 0;
+  const from = points[index - 1];
+  const to = points[index];
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * ratio,
+    longitude: from.longitude + (to.longitude - from.longitude) * ratio
+  };
+};
+
+// Cut a route into legs and work out where and when the rider is at each
+// leg's midpoint. Returns `{ totalKm, segments }`.
+export const planRoute = (points, { departure, speedKmh, segmentKm = DEFAULT_SEGMENT_KM }) => {
+  if (points.length < 2) {
+    throw new Error(t('route.errors.tooFewPoints'));
+  }
+
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineKm(points[i - 1], points[i]));
+  }
+  const totalKm = cumulative[cumulative.length - 1];
+
+  // Lengthen the legs on long routes so we stay within the request limit
+  const count = Math.min(MAX_SEGMENTS, Math.max(1, Math.ceil(totalKm / segmentKm)));
+  const legKm = totalKm / count;
+
+  const segments = Array.from({ length: count }, (_, index) => {
+    const startKm = index * legKm;
+    const endKm = startKm + legKm;
+    const midKm = startKm + legKm / 2;
+    return {
+      index,
+      startKm,
+      endKm,
+      ...pointAtDistance(points, cumulative, midKm),
+      eta: new Date(departure.getTime() + midKm / speedKmh * 3600000)
+    };
+  });
+
+  return { totalKm, segments };
+};
+
+// Fetch forecasts for every segment midpoint from `provider`, in a single
+// request where it can (see providers.js)
+export const fetchSegmentForecasts = (segments, provider, { signal } = {}) =>
+  fetchForecasts(provider, segments.map(segment => ({
+    latitude: segment.latitude.toFixed(4),
+    longitude: segment.longitude.toFixed(4)
+  })), { signal });
+
+// Judge each segment at the hour the rider reaches it.
+// Returns `{ segments, verdict }` where the verdict summarises the whole ride.
+export const evaluateRoute = (segments, forecasts, criteria) => {
+  const evaluated = segments.map((segment, i) => {
+    const forecast = forecasts[i];
+    // Forecast hours are in each segment's own time zone
+    const zone = getForecastZone(forecast);
+    const hourKey = toZonedHourKey(segment.eta, zone);
+    const index = forecast?.hourly ? forecast.hourly.time.indexOf(hourKey) : -1;
+    if (index === -1) {
+      return { ...segment, values: null, failures: [], score: null, suitable: null };
+    }
+
+    const values = getHourlyValues(forecast.hourly, index);
+    const daylightByDay = buildDaylightByDay(forecast.daily, segment.latitude, zone);
+    values.daylight = classifyHour(
+      parseForecastTime(forecast.hourly.time[index], zone),
+      daylightByDay.get(hourKey.slice(0, 10))
+    );
+    const failures = evaluateCriteria(values, criteria);
+    const { score } = scoreHour(values, criteria);
+    return { ...segment, values, failures, score, suitable: failures.length === 0 };
+  });
+
+  const judged = evaluated.filter(segment => segment.suitable !== null);
+  const unsuitable = judged.filter(segment => !segment.suitable);
+  let verdict;
+  if (judged.length === 0) {
+    verdict = { status: 'unknown', message: t('route.verdict.unknown') };
+  } else if (unsuitable.length === 0) {
+    verdict = {
+      status: 'good',
+      message: judged.length === evaluated.length
+        ? t('route.verdict.good')
+        : t('route.verdict.partial', { count: evaluated.length - judged.length })
+    };
+  } else {
+    verdict = {
+      status: 'bad',
+      message: t('route.verdict.bad', { count: unsuitable.length, total: evaluated.length })
+    };
+  }
+
+  return { segments: evaluated, verdict };
+};
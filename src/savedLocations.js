@@ -0,0 +1,48 @@
+import { loadJSON, saveJSON, createId } from './storage.js';
+
+// Saved rider locations, e.g. home, work and weekend staging points.
+// Each entry is `{ id, name, latitude, longitude }` with coordinates kept as
+// strings to match the Latitude/Longitude inputs.
+
+const SAVED_LOCATIONS_KEY = 'savedLocations';
+const LAST_LOCATION_KEY = 'lastLocation';
+
+export const loadSavedLocations = () => {
+  const locations = loadJSON(SAVED_LOCATIONS_KEY, []);
+  return Array.isArray(locations) ? locations : [];
+};
+
+export const saveSavedLocations = (locations) => saveJSON(SAVED_LOCATIONS_KEY, locations);
+
+// The last coordinates used, loaded on startup instead of asking for geolocation
+export const loadLastLocation = () => {
+  const location = loadJSON(LAST_LOCATION_KEY, null);
+  return location && location.latitude && location.longitude ? location : null;
+};
+
+export const saveLastLocation = (location) => saveJSON(LAST_LOCATION_KEY, location);
+
+export const addLocation = (locations, { name, latitude, longitude }) => [
+  ...locations,
+  { id: createId(), name: name.trim(), latitude, longitude }
+];
+
+export const removeLocation = (locations, id) => locations.filter(location => location.id !== id);
+
+// Move a location up (-1) or down (+1) in the list
+export const moveLocation = (locations, id, offset) => {
+  const from = locations.findIndex(location => location.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= locations.length) {
+    return locations;
+  }
+  const reordered = [...locations];
+  const [moved] = reordered.splice(from, 1);
+  reordered.splice(to, 0, moved);
+  return reordered;
+};
+
+// Whether a saved location matches the coordinates currently in use
+export const isSameLocation = (location, latitude, longitude) =>
+  Number(location.latitude) === Number(latitude) &&
+  Number(location.longitude) === Number(longitude);
@@ -0,0 +1,97 @@
+import { CRITERIA } from './core/criteria.js';
+import { QUANTITIES } from './core/units.js';
+import { isValidLatitude, isValidLongitude } from './core/coordinates.js';
+import { DEFAULT_CRITERIA } from './profiles.js';
+
+// Shareable links
+//
+// The page's query string describes what's on screen, so a link shows
+// someone else the same spot, limits, units and highlighted ride window:
+//
+//   ?lat=-37.8136&lon=144.9631&maxPrecipitation=0&maxWindSpeed=20&...
+//    &units=celsius,kmh,mm,km&from=2025-07-26T09:00&to=2025-07-26T12:00
+//
+// Criteria are metric, like everywhere else. Switched-off optional criteria
+// are `off` and flags are `1` or `0`. `units` lists a unit per quantity in
+// QUANTITIES order. `from` and `to` are forecast `time` keys in the location's
+// time, with `to` exclusive.
+//
+// Anything missing or invalid in a link is left out rather than rejected, so
+// a hand-edited or older link still opens what it can.
+
+const OFF = 'off';
+const QUANTITY_KEYS = Object.keys(QUANTITIES);
+const HOUR_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:00$/;
+
+const encodeCriterion = (criterion, value) => {
+  if (value === null || value === undefined) {
+    return OFF;
+  }
+  return criterion.type === 'flag' ? (value ? '1' : '0') : String(value);
+};
+
+// Decode a criterion value, or `undefined` when it isn't a valid one
+const decodeCriterion = (criterion, raw) => {
+  if (raw === OFF) {
+    return criterion.optional ? null : undefined;
+  }
+  if (criterion.type === 'flag') {
+    return raw === '1' ? true : raw === '0' ? false : undefined;
+  }
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isFinite(value)) {
+    return undefined;
+  }
+  return Math.min(criterion.max, Math.max(criterion.min, value));
+};
+
+// Serialise the state on screen to a query string (without the leading "?").
+// `latitude` and `longitude` are kept as typed, so restoring a link gives back
+// exactly the same values.
+export const buildShareLink = ({ latitude, longitude, criteria, units, window }) => {
+  const params = new URLSearchParams();
+  params.set('lat', String(latitude));
+  params.set('lon', String(longitude));
+  for (const criterion of CRITERIA) {
+    params.set(criterion.key, encodeCriterion(criterion, criteria[criterion.key]));
+  }
+  params.set('units', QUANTITY_KEYS.map(quantity => units[quantity]).join(','));
+  if (window) {
+    params.set('from', window.start);
+    params.set('to', window.end);
+  }
+  return params.toString();
+};
+
+// Parse a query string into `{ location, criteria, units, window }`, each
+// null when the link doesn't carry a valid one. Criteria the link leaves out
+// fall back to the defaults.
+export const parseShareLink = (search) => {
+  const params = new URLSearchParams(search);
+
+  const latitude = params.get('lat');
+  const longitude = params.get('lon');
+  const location = isValidLatitude(latitude) && isValidLongitude(longitude)
+    ? { latitude: latitude.trim(), longitude: longitude.trim() }
+    : null;
+
+  let criteria = null;
+  for (const criterion of CRITERIA) {
+    const raw = params.get(criterion.key);
+    const value = raw === null ? undefined : decodeCriterion(criterion, raw);
+    if (value !== undefined) {
+      criteria = { ...(criteria || DEFAULT_CRITERIA), [criterion.key]: value };
+    }
+  }
+
+  const unitKeys = (params.get('units') || '').split(',');
+  const units = QUANTITY_KEYS.every((quantity, i) => QUANTITIES[quantity].units[unitKeys[i]])
+    ? Object.fromEntries(QUANTITY_KEYS.map((quantity, i) => [quantity, unitKeys[i]]))
+    : null;
+
+  const start = params.get('from');
+  const end = params.get('to');
+  const window = HOUR_KEY_PATTERN.test(start) && HOUR_KEY_PATTERN.test(end) && start < end ? { start, end } : null;
+
+  return { location, criteria, units, window };
+};
@@ -0,0 +1,31 @@
+// Small helpers around localStorage
+//
+// Everything the rider configures is kept in localStorage rather than the
+// service worker's Cache Storage, so it survives service worker upgrades
+// (which clear old caches on activate). Keys are namespaced with `rideready:`.
+
+const STORAGE_PREFIX = 'rideready:';
+
+// Read and parse a JSON value, returning `fallback` if missing or unreadable
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.error(`Error reading ${key} from storage:`, err);
+    return fallback;
+  }
+};
+
+// Serialise and store a JSON value; storage can be full or disabled (private mode)
+export const saveJSON = (key, value) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Error writing ${key} to storage:`, err);
+  }
+};
+
+// Generate a reasonably unique id for stored records
+export const createId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
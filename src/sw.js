@@ -0,0 +1,115 @@
+/* global __PRECACHE_MANIFEST__ */
+import { ALERT_SYNC_TAG, runAlertChecks } from './alerts.js';
+import {
+  CACHE_PREFIX,
+  FORECAST_CACHE,
+  findForecastEndpoint,
+  findStaleCaches,
+  staleWhileRevalidate
+} from './forecastCache.js';
+
+// Ride Ready service worker
+//
+// Built by plugins/service-worker.js, which injects the hashed list of app
+// shell files. Caching strategies:
+//   - App shell (hashed build output + public assets): precached per build
+//     version, served cache-first. Old versions are dropped on activate.
+//   - Page navigations: network-first, falling back to the cached shell.
+//   - Forecasts (Open-Meteo and MET Norway, see core/providers.js):
+//     stale-while-revalidate, keyed by location (see forecastCache.js).
+//
+// It also checks ride alerts (see alerts.js) on periodic background sync, and
+// focuses the app when a notification is clicked. There is no push server, so
+// alerts rely on periodic sync where the browser offers it and otherwise on
+// the checks the page runs while the app is open (see RideAlerts.jsx).
+
+const { version, urls: PRECACHE_URLS } = __PRECACHE_MANIFEST__;
+
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${version}`;
+
+// Install event - precache the app shell for this build
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Activate event - clean up app shells from previous builds
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(cacheNames => Promise.all(
+        findStaleCaches(cacheNames, [SHELL_CACHE, FORECAST_CACHE]).map(cacheName => caches.delete(cacheName))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Let open pages know a newer forecast is in the cache
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+};
+
+const serveForecast = async (event) => staleWhileRevalidate(event.request, {
+  cache: await caches.open(FORECAST_CACHE),
+  waitUntil: promise => event.waitUntil(promise),
+  onUpdate: () => notifyClients({ type: 'forecast-updated', url: event.request.url })
+});
+
+const networkFirstNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cached = await caches.match('/index.html') || await caches.match('/');
+    if (cached) {
+      return cached;
+    }
+    throw err;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+};
+
+// Fetch event - route requests to a caching strategy
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (findForecastEndpoint(url)) {
+    event.respondWith(serveForecast(event));
+  } else if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirstNavigation(request));
+  } else if (url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+const showRideNotification = ({ title, ...options }) =>
+  self.registration.showNotification(title, { icon: '/android-chrome-192x192.png', ...options });
+
+// Periodic background sync - check ride alerts against fresh forecasts
+self.addEventListener('periodicsync', event => {
+  if (event.tag === ALERT_SYNC_TAG) {
+    event.waitUntil(runAlertChecks({ notify: showRideNotification }));
+  }
+});
+
+// Notification click - focus an open Ride Ready window, or open one
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients.find(client => new URL(client.url).origin === self.location.origin);
+      return client ? client.focus() : self.clients.openWindow('/');
+    })
+  );
+});
@@ -0,0 +1,17 @@
+import { loadJSON, saveJSON } from './storage.js';
+import { QUANTITIES, DEFAULT_UNITS } from './core/units.js';
+
+// The rider's preferred units, kept in localStorage (see core/units.js for
+// the units themselves)
+
+const UNITS_KEY = 'units';
+
+// Load the unit preference, falling back to metric for anything missing or unknown
+export const loadUnits = () => {
+  const stored = loadJSON(UNITS_KEY, {});
+  return Object.fromEntries(Object.entries(QUANTITIES).map(([quantity, { units }]) =>
+    [quantity, units[stored[quantity]] ? stored[quantity] : DEFAULT_UNITS[quantity]]
+  ));
+};
+
+export const saveUnits = (units) => saveJSON(UNITS_KEY, units);
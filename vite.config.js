@@ -1,16 +1,14 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
+import { serviceWorkerPlugin } from "./plugins/service-worker.js";
+import { mockWeatherApiPlugin } from "./plugins/mock-weather-api.js";
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
-  build: {
-    rollupOptions: {
-      input: {
-        main: './index.html',
-        sw: './public/sw.js'
-      }
-    }
+  plugins: [react(), tailwindcss(), serviceWorkerPlugin(), mockWeatherApiPlugin()],
+  test: {
+    // Unit tests sit next to the modules they cover; e2e/ is Playwright's
+    include: ["src/**/*.test.js"]
   }
 });